@@ -0,0 +1,23 @@
+-- Verificación en dos pasos (TOTP) para usuarios del panel.
+-- Ejecutar como owner/superusuario en la base de la app.
+--
+-- totp_secret se guarda cifrado con TOKEN_SECRET (no cambiar TOKEN_SECRET con
+-- 2FA activo o habrá que reiniciar la verificación de todos los usuarios).
+-- totp_last_step evita aceptar dos veces el mismo código. Los códigos de
+-- recuperación se guardan como hash y se marcan al usarse.
+
+ALTER TABLE public.admin_users
+  ADD COLUMN IF NOT EXISTS totp_secret text,
+  ADD COLUMN IF NOT EXISTS totp_enabled_at timestamptz,
+  ADD COLUMN IF NOT EXISTS totp_last_step bigint;
+
+CREATE TABLE IF NOT EXISTS public.admin_recovery_codes (
+  id bigserial PRIMARY KEY,
+  admin_user_id integer NOT NULL REFERENCES public.admin_users(id) ON DELETE CASCADE,
+  code_hash text NOT NULL,
+  used_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS admin_recovery_codes_admin_idx
+  ON public.admin_recovery_codes(admin_user_id) WHERE used_at IS NULL;
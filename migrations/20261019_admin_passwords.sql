@@ -0,0 +1,24 @@
+-- Claves del panel: cambio obligatorio, invitación y recuperación por correo.
+-- Ejecutar como owner/superusuario en la base de la app.
+--
+-- must_change_password obliga a cambiar la clave temporal que asigna un admin.
+-- admin_password_tokens guarda el hash (hashToken) de los enlaces de invitación
+-- (INVITE) y de recuperación (RESET); cada enlace vence y sirve una sola vez.
+
+ALTER TABLE public.admin_users
+  ADD COLUMN IF NOT EXISTS must_change_password boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS password_changed_at timestamptz;
+
+CREATE TABLE IF NOT EXISTS public.admin_password_tokens (
+  id bigserial PRIMARY KEY,
+  admin_user_id integer NOT NULL REFERENCES public.admin_users(id) ON DELETE CASCADE,
+  purpose text NOT NULL CHECK (purpose IN ('INVITE','RESET')),
+  token_hash text NOT NULL UNIQUE,
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz,
+  ip text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS admin_password_tokens_admin_idx
+  ON public.admin_password_tokens(admin_user_id, created_at DESC);
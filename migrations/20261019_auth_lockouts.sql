@@ -0,0 +1,39 @@
+-- Protección contra fuerza bruta en /admin/login y /verificar-voto.
+-- Ejecutar como owner/superusuario en la base de la app.
+--
+-- auth_failures guarda cada intento fallido (historial para revisar ataques).
+-- auth_lockouts lleva el contador vigente por cuenta (correo del panel) o por
+-- identidad (DNI/correo en /verificar-voto): espera progresiva y bloqueo
+-- temporal. subject_hash es sha256 de ámbito + cuenta/identidad; label es la
+-- versión legible (correo del panel o identidad enmascarada).
+
+CREATE TABLE IF NOT EXISTS public.auth_failures (
+  id bigserial PRIMARY KEY,
+  scope text NOT NULL CHECK (scope IN ('ADMIN_LOGIN','VOTE_RECEIPT')),
+  subject_hash text NOT NULL,
+  label text,
+  admin_user_id integer REFERENCES public.admin_users(id) ON DELETE SET NULL,
+  reason text,
+  ip text,
+  user_agent text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS auth_failures_created_idx
+  ON public.auth_failures(created_at DESC);
+
+CREATE INDEX IF NOT EXISTS auth_failures_subject_idx
+  ON public.auth_failures(scope, subject_hash, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.auth_lockouts (
+  id bigserial PRIMARY KEY,
+  scope text NOT NULL,
+  subject_hash text NOT NULL,
+  label text,
+  admin_user_id integer REFERENCES public.admin_users(id) ON DELETE CASCADE,
+  failures integer NOT NULL DEFAULT 0,
+  last_failure_at timestamptz NOT NULL DEFAULT now(),
+  blocked_until timestamptz,
+  locked_at timestamptz,
+  UNIQUE (scope, subject_hash)
+);
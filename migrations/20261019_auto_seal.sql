@@ -0,0 +1,22 @@
+-- Apertura y sellado automáticos de la campaña.
+-- Ejecutar como owner/superusuario en la base de la app.
+--
+-- Con elections.auto_activate el servidor activa la campaña cuando abre su
+-- primera ventana (reg_open_at o vote_open_at), si nunca se activó.
+--
+-- Con elections.auto_seal el servidor sella la campaña activa cuando pasa
+-- vote_close_at + auto_seal_delay_minutes (revisa cada
+-- AUTO_SEAL_INTERVAL_SECONDS). Usa el mismo pg_advisory_xact_lock(99, id) que
+-- el sellado manual, así que es idempotente entre reinicios e instancias.
+-- Con auto_notify_sealed además envía el correo de resultados sellados.
+-- La auditoría queda con actor_admin_id NULL y meta_json.actor = 'SYSTEM'.
+
+ALTER TABLE public.elections
+  ADD COLUMN IF NOT EXISTS auto_activate boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS auto_seal boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS auto_seal_delay_minutes integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS auto_notify_sealed boolean NOT NULL DEFAULT false;
+
+ALTER TABLE public.elections DROP CONSTRAINT IF EXISTS elections_auto_seal_delay_minutes_check;
+ALTER TABLE public.elections
+  ADD CONSTRAINT elections_auto_seal_delay_minutes_check CHECK (auto_seal_delay_minutes >= 0);
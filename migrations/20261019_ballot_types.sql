@@ -0,0 +1,37 @@
+-- Tipos de papeleta y voto en blanco.
+-- Ejecutar como owner/superusuario en la base de la app.
+--
+-- Cada pregunta declara su tipo: SINGLE (una opción), APPROVAL (hasta K
+-- opciones) o RANKED (preferencias ordenadas, conteo por segunda vuelta
+-- instantánea). La selección completa queda en referendum_votes.choices y
+-- entra en el hash de la cadena.
+--
+-- Voto en blanco: cuenta para la participación pero no para ninguna opción.
+-- En referendum_votes se marca con is_blank; en votes/fiscal_votes la lista
+-- queda en NULL.
+
+ALTER TABLE public.referendum_questions
+  ADD COLUMN IF NOT EXISTS ballot_type text NOT NULL DEFAULT 'SINGLE',
+  ADD COLUMN IF NOT EXISTS max_choices integer,
+  ADD COLUMN IF NOT EXISTS allow_blank boolean NOT NULL DEFAULT false;
+
+ALTER TABLE public.referendum_questions
+  DROP CONSTRAINT IF EXISTS referendum_questions_ballot_type_check;
+
+ALTER TABLE public.referendum_questions
+  ADD CONSTRAINT referendum_questions_ballot_type_check
+  CHECK (ballot_type IN ('SINGLE','APPROVAL','RANKED'));
+
+ALTER TABLE public.referendum_votes
+  ALTER COLUMN option_id DROP NOT NULL,
+  ADD COLUMN IF NOT EXISTS choices integer[],
+  ADD COLUMN IF NOT EXISTS is_blank boolean NOT NULL DEFAULT false;
+
+ALTER TABLE public.elections
+  ADD COLUMN IF NOT EXISTS allow_blank_vote boolean NOT NULL DEFAULT false;
+
+ALTER TABLE public.votes
+  ALTER COLUMN candidate_id DROP NOT NULL;
+
+ALTER TABLE public.fiscal_votes
+  ALTER COLUMN fiscal_list_id DROP NOT NULL;
@@ -0,0 +1,34 @@
+-- Rebotes y avisos de entrega de correos.
+-- Ejecutar como owner/superusuario en la base de la app.
+--
+-- El worker guarda en email_outbox.message_id el Message-ID del correo enviado.
+-- POST /correos/eventos recibe rebotes y entregas, completa delivery_status
+-- (DELIVERED o BOUNCED) y registra el evento en notification_log. Un rebote
+-- permanente marca registrations.email_invalid_at hasta que un admin corrija
+-- el correo desde /admin/solicitudes/:id.
+
+ALTER TABLE public.email_outbox
+  ADD COLUMN IF NOT EXISTS message_id text,
+  ADD COLUMN IF NOT EXISTS delivery_status text,
+  ADD COLUMN IF NOT EXISTS delivery_at timestamptz,
+  ADD COLUMN IF NOT EXISTS delivery_detail text;
+
+ALTER TABLE public.email_outbox DROP CONSTRAINT IF EXISTS email_outbox_delivery_status_check;
+ALTER TABLE public.email_outbox
+  ADD CONSTRAINT email_outbox_delivery_status_check CHECK (delivery_status IN ('DELIVERED','BOUNCED'));
+
+CREATE INDEX IF NOT EXISTS email_outbox_message_id_idx
+  ON public.email_outbox(trim(both '<>' from message_id))
+  WHERE message_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS email_outbox_recipient_sent_idx
+  ON public.email_outbox(lower(recipient), sent_at DESC)
+  WHERE status='SENT';
+
+ALTER TABLE public.registrations
+  ADD COLUMN IF NOT EXISTS email_invalid_at timestamptz,
+  ADD COLUMN IF NOT EXISTS email_invalid_reason text;
+
+CREATE INDEX IF NOT EXISTS registrations_email_invalid_idx
+  ON public.registrations(election_id)
+  WHERE email_invalid_at IS NOT NULL;
@@ -0,0 +1,35 @@
+-- Cola persistente de correos (outbox).
+-- Ejecutar como owner/superusuario en la base de la app.
+--
+-- Los handlers ya no envían en línea: encolan en email_outbox y un worker del
+-- servidor envía con límite por minuto, reintentos con espera exponencial y
+-- estado DEAD al agotar max_attempts. payload guarda los parámetros del correo
+-- cifrados con una clave derivada de TOKEN_SECRET (incluye enlaces de voto y
+-- claves temporales) y se borra al enviarse. notification_log sigue siendo el
+-- historial de resultados (SENT / FAILED / SKIPPED).
+
+CREATE TABLE IF NOT EXISTS public.email_outbox (
+  id bigserial PRIMARY KEY,
+  election_id integer REFERENCES public.elections(id) ON DELETE SET NULL,
+  registration_id integer REFERENCES public.registrations(id) ON DELETE SET NULL,
+  admin_user_id integer REFERENCES public.admin_users(id) ON DELETE SET NULL,
+  template text NOT NULL,
+  recipient text NOT NULL,
+  mailer text NOT NULL,
+  payload text,
+  meta_json jsonb NOT NULL DEFAULT '{}'::jsonb,
+  status text NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING','SENDING','SENT','DEAD')),
+  attempts integer NOT NULL DEFAULT 0,
+  max_attempts integer NOT NULL DEFAULT 6,
+  next_attempt_at timestamptz NOT NULL DEFAULT now(),
+  locked_at timestamptz,
+  last_error text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  sent_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS email_outbox_pending_idx
+  ON public.email_outbox(next_attempt_at, id)
+  WHERE status='PENDING';
+
+CREATE INDEX IF NOT EXISTS email_outbox_status_idx ON public.email_outbox(status);
@@ -0,0 +1,28 @@
+-- Plantillas de correo editables y marca de la comunidad.
+-- Ejecutar como owner/superusuario en la base de la app.
+--
+-- Las plantillas originales están en src/mail_templates (asunto, texto y
+-- HTML por tipo). email_templates guarda solo las editadas desde el panel;
+-- borrar la fila restaura la original. email_branding es una sola fila
+-- (id = 1) con nombre de la comunidad, logo, firmantes y contacto; los campos
+-- vacíos usan las variables de entorno.
+
+CREATE TABLE IF NOT EXISTS public.email_templates (
+  type text PRIMARY KEY,
+  subject text NOT NULL,
+  text_body text NOT NULL,
+  html_body text NOT NULL,
+  updated_by integer REFERENCES public.admin_users(id) ON DELETE SET NULL,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.email_branding (
+  id integer PRIMARY KEY CHECK (id = 1),
+  system_name text,
+  community_name text,
+  logo_url text,
+  signatories text,
+  support_contact text,
+  updated_by integer REFERENCES public.admin_users(id) ON DELETE SET NULL,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
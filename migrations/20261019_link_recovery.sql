@@ -0,0 +1,20 @@
+-- "Perdí mi enlace": reemisión del enlace de votación por el propio vecino.
+-- Ejecutar como owner/superusuario en la base de la app.
+--
+-- Cada intento en /perdi-mi-enlace queda en link_recovery_attempts (hash de
+-- campaña + DNI + correo, e IP) para limitar los intentos por identidad y por
+-- IP. Los enlaces reemitidos así llevan vote_tokens.issued_via='SELF_SERVICE'.
+
+CREATE TABLE IF NOT EXISTS public.link_recovery_attempts (
+  id bigserial PRIMARY KEY,
+  election_id integer REFERENCES public.elections(id) ON DELETE CASCADE,
+  identity_hash text NOT NULL,
+  ip text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS link_recovery_attempts_identity_idx
+  ON public.link_recovery_attempts(identity_hash, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS link_recovery_attempts_ip_idx
+  ON public.link_recovery_attempts(ip, created_at DESC);
@@ -0,0 +1,17 @@
+-- Varias campañas activas a la vez (por ejemplo, un referéndum mientras corre
+-- el registro de la elección del Consejo Directivo).
+-- Ejecutar como owner/superusuario en la base de la app.
+--
+-- Quita el índice que permitía una sola campaña activa. activated_at ordena
+-- las campañas activas: las rutas sin campaña (/registro, /admin/solicitudes)
+-- usan la activada más recientemente; las rutas /c/:electionId/... y
+-- /admin/elections/:id/... usan la indicada.
+
+DROP INDEX IF EXISTS public.one_active_election;
+
+ALTER TABLE public.elections
+  ADD COLUMN IF NOT EXISTS activated_at timestamptz;
+
+UPDATE public.elections
+SET activated_at = COALESCE(activated_at, created_at, now())
+WHERE is_active = true;
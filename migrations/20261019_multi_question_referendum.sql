@@ -0,0 +1,14 @@
+-- Votaciones internas con varias preguntas en la misma papeleta.
+-- Ejecutar como owner/superusuario en la base de la app.
+--
+-- Cada respuesta es una fila en referendum_votes (una por pregunta), todas en
+-- la misma cadena de la campaña. El blindaje de un voto por unidad pasa a ser
+-- un voto por unidad y por pregunta.
+
+DROP INDEX IF EXISTS public.referendum_votes_one_per_unit_uidx;
+
+CREATE UNIQUE INDEX IF NOT EXISTS referendum_votes_one_per_unit_uidx
+  ON public.referendum_votes(election_id, unit_id, question_id);
+
+CREATE INDEX IF NOT EXISTS referendum_votes_token_idx
+  ON public.referendum_votes(election_id, token_id);
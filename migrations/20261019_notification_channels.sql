@@ -0,0 +1,29 @@
+-- Canal preferido de avisos (correo, SMS o WhatsApp).
+-- Ejecutar como owner/superusuario en la base de la app.
+--
+-- registrations.preferred_channel y resident_registry.preferred_channel guardan
+-- por dónde quiere el vecino recibir el enlace de votación, los recordatorios y
+-- el recibo de voto. email_outbox.channel indica por dónde sale cada mensaje
+-- de la cola (recipient es el teléfono en E.164 para SMS/WHATSAPP) y
+-- notification_log.channel registra el resultado por canal.
+
+ALTER TABLE public.registrations
+  ADD COLUMN IF NOT EXISTS preferred_channel text NOT NULL DEFAULT 'EMAIL';
+
+ALTER TABLE public.resident_registry
+  ADD COLUMN IF NOT EXISTS preferred_channel text NOT NULL DEFAULT 'EMAIL';
+
+ALTER TABLE public.email_outbox
+  ADD COLUMN IF NOT EXISTS channel text NOT NULL DEFAULT 'EMAIL';
+
+ALTER TABLE public.registrations DROP CONSTRAINT IF EXISTS registrations_preferred_channel_check;
+ALTER TABLE public.registrations
+  ADD CONSTRAINT registrations_preferred_channel_check CHECK (preferred_channel IN ('EMAIL','SMS','WHATSAPP'));
+
+ALTER TABLE public.resident_registry DROP CONSTRAINT IF EXISTS resident_registry_preferred_channel_check;
+ALTER TABLE public.resident_registry
+  ADD CONSTRAINT resident_registry_preferred_channel_check CHECK (preferred_channel IN ('EMAIL','SMS','WHATSAPP'));
+
+ALTER TABLE public.email_outbox DROP CONSTRAINT IF EXISTS email_outbox_channel_check;
+ALTER TABLE public.email_outbox
+  ADD CONSTRAINT email_outbox_channel_check CHECK (channel IN ('EMAIL','SMS','WHATSAPP'));
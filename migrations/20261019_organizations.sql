@@ -0,0 +1,124 @@
+-- Varias urbanizaciones (organizaciones) en una misma instalación.
+-- Ejecutar como owner/superusuario en la base de la app.
+--
+-- organizations guarda cada urbanización: slug (/o/:slug/...), hostname
+-- propio opcional, catálogo de calles, remitente SMTP y nombre público. La
+-- organización 1 es la instalación original y recibe todos los datos
+-- existentes.
+--
+-- Aislamiento: la app fija app.org_id en cada conexión (id de la
+-- organización del pedido, '*' solo en los procesos de fondo) y las
+-- políticas de row-level security filtran por organization_id. Las tablas de
+-- cada campaña (solicitudes, enlaces, votos, listas...) se filtran por la
+-- campaña a la que pertenecen. FORCE hace que las políticas apliquen también
+-- si la app se conecta como owner de las tablas; un superusuario o un rol con
+-- BYPASSRLS las salta, así que DATABASE_URL no debe usar ninguno de los dos.
+
+CREATE TABLE IF NOT EXISTS public.organizations (
+  id serial PRIMARY KEY,
+  slug text NOT NULL UNIQUE CHECK (slug ~ '^[a-z0-9][a-z0-9-]*$'),
+  name text NOT NULL,
+  hostname text UNIQUE,
+  streets text[] NOT NULL DEFAULT '{}',
+  smtp_from text,
+  enabled boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+INSERT INTO public.organizations(id, slug, name, streets)
+VALUES (1, 'isla-del-sol', 'Isla del Sol', ARRAY['Jr. El Visitador', 'Calle El Pacificador', 'Calle El Inquisidor'])
+ON CONFLICT (id) DO NOTHING;
+
+SELECT setval(pg_get_serial_sequence('public.organizations', 'id'), GREATEST((SELECT MAX(id) FROM public.organizations), 1));
+
+ALTER TABLE public.admin_users
+  ADD COLUMN IF NOT EXISTS is_superadmin boolean NOT NULL DEFAULT false;
+
+-- Organización del pedido (NULL sin organización o en procesos de fondo).
+CREATE OR REPLACE FUNCTION public.app_org_id() RETURNS integer
+LANGUAGE sql STABLE AS $$
+  SELECT NULLIF(NULLIF(current_setting('app.org_id', true), ''), '*')::integer
+$$;
+
+CREATE OR REPLACE FUNCTION public.app_org_visible(org integer) RETURNS boolean
+LANGUAGE sql STABLE AS $$
+  SELECT current_setting('app.org_id', true) = '*' OR org = public.app_org_id()
+$$;
+
+-- Tablas con organization_id propio.
+DO $$
+DECLARE
+  t text;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['elections', 'units', 'resident_registry', 'admin_users', 'audit_log', 'notification_log',
+                           'email_outbox', 'email_templates', 'email_branding', 'auth_failures', 'auth_lockouts']
+  LOOP
+    EXECUTE format('ALTER TABLE public.%I ADD COLUMN IF NOT EXISTS organization_id integer REFERENCES public.organizations(id)', t);
+    EXECUTE format('UPDATE public.%I SET organization_id = 1 WHERE organization_id IS NULL', t);
+    EXECUTE format('ALTER TABLE public.%I ALTER COLUMN organization_id SET DEFAULT public.app_org_id()', t);
+    EXECUTE format('ALTER TABLE public.%I ALTER COLUMN organization_id SET NOT NULL', t);
+    EXECUTE format('CREATE INDEX IF NOT EXISTS %I ON public.%I(organization_id)', t || '_organization_idx', t);
+    EXECUTE format('ALTER TABLE public.%I ENABLE ROW LEVEL SECURITY', t);
+    EXECUTE format('ALTER TABLE public.%I FORCE ROW LEVEL SECURITY', t);
+    EXECUTE format('DROP POLICY IF EXISTS organization_isolation ON public.%I', t);
+    EXECUTE format('CREATE POLICY organization_isolation ON public.%I USING (public.app_org_visible(organization_id)) WITH CHECK (public.app_org_visible(organization_id))', t);
+  END LOOP;
+END $$;
+
+-- Tablas de una campaña: visibles si la campaña lo es.
+DO $$
+DECLARE
+  t text;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['registrations', 'vote_tokens', 'votes', 'candidates', 'slate_members', 'fiscal_lists', 'fiscal_votes',
+                           'referendum_questions', 'referendum_options', 'referendum_votes', 'election_seals', 'vote_receipts',
+                           'paper_ballots', 'proxies', 'reminder_schedules', 'reminder_runs', 'vote_otps', 'link_recovery_attempts']
+  LOOP
+    IF to_regclass('public.' || t) IS NULL THEN
+      CONTINUE;
+    END IF;
+    EXECUTE format('ALTER TABLE public.%I ENABLE ROW LEVEL SECURITY', t);
+    EXECUTE format('ALTER TABLE public.%I FORCE ROW LEVEL SECURITY', t);
+    EXECUTE format('DROP POLICY IF EXISTS organization_isolation ON public.%I', t);
+    EXECUTE format('CREATE POLICY organization_isolation ON public.%I USING (EXISTS (SELECT 1 FROM public.elections e WHERE e.id = election_id)) WITH CHECK (EXISTS (SELECT 1 FROM public.elections e WHERE e.id = election_id))', t);
+  END LOOP;
+END $$;
+
+-- Claves y códigos de un usuario del panel: visibles si el usuario lo es.
+DO $$
+DECLARE
+  t text;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['admin_recovery_codes', 'admin_password_tokens']
+  LOOP
+    EXECUTE format('ALTER TABLE public.%I ENABLE ROW LEVEL SECURITY', t);
+    EXECUTE format('ALTER TABLE public.%I FORCE ROW LEVEL SECURITY', t);
+    EXECUTE format('DROP POLICY IF EXISTS organization_isolation ON public.%I', t);
+    EXECUTE format('CREATE POLICY organization_isolation ON public.%I USING (EXISTS (SELECT 1 FROM public.admin_users a WHERE a.id = admin_user_id)) WITH CHECK (EXISTS (SELECT 1 FROM public.admin_users a WHERE a.id = admin_user_id))', t);
+  END LOOP;
+END $$;
+
+-- Unicidad por organización: la misma dirección, correo del panel o
+-- plantilla puede existir en dos urbanizaciones.
+ALTER TABLE public.units DROP CONSTRAINT IF EXISTS units_label_key;
+CREATE UNIQUE INDEX IF NOT EXISTS units_organization_label_uidx ON public.units(organization_id, label);
+DROP INDEX IF EXISTS public.units_unique_address;
+CREATE UNIQUE INDEX IF NOT EXISTS units_unique_address
+  ON public.units(organization_id, street, number, unit_extra)
+  WHERE street IS NOT NULL AND number IS NOT NULL;
+
+ALTER TABLE public.admin_users DROP CONSTRAINT IF EXISTS admin_users_email_key;
+CREATE UNIQUE INDEX IF NOT EXISTS admin_users_organization_email_uidx ON public.admin_users(organization_id, email);
+
+ALTER TABLE public.email_templates DROP CONSTRAINT IF EXISTS email_templates_pkey;
+ALTER TABLE public.email_templates ADD PRIMARY KEY (organization_id, type);
+
+-- email_branding pasa de una sola fila (id = 1) a una por organización.
+ALTER TABLE public.email_branding DROP CONSTRAINT IF EXISTS email_branding_id_check;
+ALTER TABLE public.email_branding DROP CONSTRAINT IF EXISTS email_branding_pkey;
+ALTER TABLE public.email_branding ALTER COLUMN id DROP NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS email_branding_organization_uidx ON public.email_branding(organization_id);
+
+ALTER TABLE public.auth_lockouts DROP CONSTRAINT IF EXISTS auth_lockouts_scope_subject_hash_key;
+CREATE UNIQUE INDEX IF NOT EXISTS auth_lockouts_organization_subject_uidx ON public.auth_lockouts(organization_id, scope, subject_hash);
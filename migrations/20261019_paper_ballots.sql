@@ -0,0 +1,52 @@
+-- Papeletas en papel (conteo de mesa) sumadas al resultado oficial.
+-- Ejecutar como owner/superusuario en la base de la app.
+--
+-- Un usuario transcribe la papeleta física de una unidad (queda PENDING en
+-- paper_ballots) y otro usuario distinto la aprueba. Al aprobar se agregan los
+-- votos a la cadena de la campaña con channel='PAPER' y sin token; los índices
+-- *_one_per_unit_uidx rechazan la papeleta si la unidad ya votó en digital.
+-- Solo los votos PAPER llevan el canal dentro del payload del hash.
+
+ALTER TABLE public.votes
+  ADD COLUMN IF NOT EXISTS channel text NOT NULL DEFAULT 'DIGITAL',
+  ALTER COLUMN token_id DROP NOT NULL;
+
+ALTER TABLE public.fiscal_votes
+  ADD COLUMN IF NOT EXISTS channel text NOT NULL DEFAULT 'DIGITAL',
+  ALTER COLUMN token_id DROP NOT NULL;
+
+ALTER TABLE public.referendum_votes
+  ADD COLUMN IF NOT EXISTS channel text NOT NULL DEFAULT 'DIGITAL',
+  ALTER COLUMN token_id DROP NOT NULL;
+
+ALTER TABLE public.votes DROP CONSTRAINT IF EXISTS votes_channel_check;
+ALTER TABLE public.votes
+  ADD CONSTRAINT votes_channel_check CHECK (channel IN ('DIGITAL','PAPER'));
+
+ALTER TABLE public.fiscal_votes DROP CONSTRAINT IF EXISTS fiscal_votes_channel_check;
+ALTER TABLE public.fiscal_votes
+  ADD CONSTRAINT fiscal_votes_channel_check CHECK (channel IN ('DIGITAL','PAPER'));
+
+ALTER TABLE public.referendum_votes DROP CONSTRAINT IF EXISTS referendum_votes_channel_check;
+ALTER TABLE public.referendum_votes
+  ADD CONSTRAINT referendum_votes_channel_check CHECK (channel IN ('DIGITAL','PAPER'));
+
+CREATE TABLE IF NOT EXISTS public.paper_ballots (
+  id serial PRIMARY KEY,
+  election_id integer NOT NULL REFERENCES public.elections(id) ON DELETE CASCADE,
+  unit_id integer NOT NULL REFERENCES public.units(id),
+  ballot jsonb NOT NULL,
+  sheet_ref text,
+  status text NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING','APPROVED','REJECTED')),
+  notes text,
+  entered_by integer NOT NULL,
+  entered_at timestamptz NOT NULL DEFAULT now(),
+  reviewed_by integer,
+  reviewed_at timestamptz,
+  vote_ids jsonb
+);
+
+-- Una sola papeleta vigente (pendiente o aprobada) por unidad y campaña.
+CREATE UNIQUE INDEX IF NOT EXISTS paper_ballots_one_open_per_unit_uidx
+  ON public.paper_ballots(election_id, unit_id)
+  WHERE status IN ('PENDING','APPROVED');
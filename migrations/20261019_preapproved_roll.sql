@@ -0,0 +1,24 @@
+-- Padrón preaprobado: aprobación automática de solicitudes que coinciden con
+-- el padrón maestro.
+-- Ejecutar como owner/superusuario en la base de la app.
+--
+-- Con elections.preapproved_roll, la solicitud cuya unidad tiene un
+-- residente ACTIVE con el mismo correo (y el mismo DNI, si el padrón lo
+-- tiene) en resident_registry recibe su enlace sin pasar por el Consejo (plantilla registration_approved), y
+-- "Importar padrón a campaña" emite los enlaces directamente.
+--
+-- registrations.roll_check guarda el resultado de la comparación:
+--   MATCH     = coincide con un residente ACTIVE de la unidad.
+--   MISMATCH  = la unidad tiene residentes ACTIVE pero con otro correo o DNI.
+--   NOT_FOUND = la unidad no tiene residentes ACTIVE en el padrón.
+-- NULL = la solicitud es de una campaña sin padrón preaprobado.
+
+ALTER TABLE public.elections
+  ADD COLUMN IF NOT EXISTS preapproved_roll boolean NOT NULL DEFAULT false;
+
+ALTER TABLE public.registrations
+  ADD COLUMN IF NOT EXISTS roll_check text;
+
+ALTER TABLE public.registrations DROP CONSTRAINT IF EXISTS registrations_roll_check_check;
+ALTER TABLE public.registrations
+  ADD CONSTRAINT registrations_roll_check_check CHECK (roll_check IN ('MATCH','MISMATCH','NOT_FOUND'));
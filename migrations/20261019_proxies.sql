@@ -0,0 +1,53 @@
+-- Voto por poder (apoderados).
+-- Ejecutar como owner/superusuario en la base de la app.
+--
+-- Una solicitud APROBADA (poderdante) designa como apoderado a otra solicitud
+-- APROBADA de la misma campaña y adjunta la carta poder firmada en PDF. El
+-- Consejo Directivo la revisa en /admin/solicitudes/:id. Mientras el poder
+-- esté APROBADO, el apoderado vota por la unidad del poderdante desde su
+-- propio enlace; el voto se registra con el token del poderdante y queda
+-- marcado con proxy_id en el voto y en el recibo.
+--
+-- elections.max_proxies_per_delegate limita cuántos poderes aprobados puede
+-- tener un mismo apoderado.
+
+ALTER TABLE public.elections
+  ADD COLUMN IF NOT EXISTS max_proxies_per_delegate integer NOT NULL DEFAULT 2;
+
+ALTER TABLE public.elections DROP CONSTRAINT IF EXISTS elections_max_proxies_per_delegate_check;
+ALTER TABLE public.elections
+  ADD CONSTRAINT elections_max_proxies_per_delegate_check CHECK (max_proxies_per_delegate >= 0);
+
+CREATE TABLE IF NOT EXISTS public.proxies (
+  id serial PRIMARY KEY,
+  election_id integer NOT NULL REFERENCES public.elections(id) ON DELETE CASCADE,
+  registration_id integer NOT NULL REFERENCES public.registrations(id) ON DELETE CASCADE,
+  unit_id integer NOT NULL REFERENCES public.units(id),
+  delegate_registration_id integer NOT NULL REFERENCES public.registrations(id) ON DELETE CASCADE,
+  document_path text NOT NULL,
+  status text NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING','APPROVED','REJECTED','REVOKED')),
+  notes text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  reviewed_at timestamptz,
+  reviewed_by integer,
+  CHECK (registration_id <> delegate_registration_id)
+);
+
+-- Un solo poder vigente (pendiente o aprobado) por solicitud.
+CREATE UNIQUE INDEX IF NOT EXISTS proxies_one_open_per_registration_uidx
+  ON public.proxies(registration_id)
+  WHERE status IN ('PENDING','APPROVED');
+
+CREATE INDEX IF NOT EXISTS proxies_delegate_idx ON public.proxies(election_id, delegate_registration_id);
+
+ALTER TABLE public.votes
+  ADD COLUMN IF NOT EXISTS proxy_id integer REFERENCES public.proxies(id);
+
+ALTER TABLE public.fiscal_votes
+  ADD COLUMN IF NOT EXISTS proxy_id integer REFERENCES public.proxies(id);
+
+ALTER TABLE public.referendum_votes
+  ADD COLUMN IF NOT EXISTS proxy_id integer REFERENCES public.proxies(id);
+
+ALTER TABLE public.vote_receipts
+  ADD COLUMN IF NOT EXISTS proxy_id integer REFERENCES public.proxies(id);
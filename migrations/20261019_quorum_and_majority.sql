@@ -0,0 +1,55 @@
+-- Quórum, mayoría requerida y regla de empate.
+-- Ejecutar como owner/superusuario en la base de la app.
+--
+-- quorum_base: NONE (sin quórum), REGISTRATIONS (unidades con registro aprobado)
+-- o UNITS (unidades habilitadas). El quórum se cumple con más del
+-- quorum_percent % de esa base (50 = mitad más uno).
+--
+-- majority_rule / tie_rule se definen por campaña y cada pregunta de una
+-- VOTACION puede sobreescribirlas (NULL = usar la de la campaña).
+--
+-- referendum_options.is_rejection marca las opciones que significan rechazo
+-- ("No", "En contra"): si gana una de ellas el resultado es NO APROBADO.
+-- Las opciones existentes que empiezan con "No" o "En contra" quedan marcadas.
+
+ALTER TABLE public.elections
+  ADD COLUMN IF NOT EXISTS quorum_base text NOT NULL DEFAULT 'NONE',
+  ADD COLUMN IF NOT EXISTS quorum_percent numeric(5,2) NOT NULL DEFAULT 50,
+  ADD COLUMN IF NOT EXISTS majority_rule text NOT NULL DEFAULT 'SIMPLE',
+  ADD COLUMN IF NOT EXISTS tie_rule text NOT NULL DEFAULT 'NOT_APPROVED';
+
+ALTER TABLE public.elections DROP CONSTRAINT IF EXISTS elections_quorum_base_check;
+ALTER TABLE public.elections
+  ADD CONSTRAINT elections_quorum_base_check CHECK (quorum_base IN ('NONE','REGISTRATIONS','UNITS'));
+
+ALTER TABLE public.elections DROP CONSTRAINT IF EXISTS elections_quorum_percent_check;
+ALTER TABLE public.elections
+  ADD CONSTRAINT elections_quorum_percent_check CHECK (quorum_percent >= 0 AND quorum_percent < 100);
+
+ALTER TABLE public.elections DROP CONSTRAINT IF EXISTS elections_majority_rule_check;
+ALTER TABLE public.elections
+  ADD CONSTRAINT elections_majority_rule_check CHECK (majority_rule IN ('SIMPLE','ABSOLUTE','TWO_THIRDS'));
+
+ALTER TABLE public.elections DROP CONSTRAINT IF EXISTS elections_tie_rule_check;
+ALTER TABLE public.elections
+  ADD CONSTRAINT elections_tie_rule_check CHECK (tie_rule IN ('NOT_APPROVED','TIE'));
+
+ALTER TABLE public.referendum_questions
+  ADD COLUMN IF NOT EXISTS majority_rule text,
+  ADD COLUMN IF NOT EXISTS tie_rule text;
+
+ALTER TABLE public.referendum_questions DROP CONSTRAINT IF EXISTS referendum_questions_majority_rule_check;
+ALTER TABLE public.referendum_questions
+  ADD CONSTRAINT referendum_questions_majority_rule_check CHECK (majority_rule IS NULL OR majority_rule IN ('SIMPLE','ABSOLUTE','TWO_THIRDS'));
+
+ALTER TABLE public.referendum_questions DROP CONSTRAINT IF EXISTS referendum_questions_tie_rule_check;
+ALTER TABLE public.referendum_questions
+  ADD CONSTRAINT referendum_questions_tie_rule_check CHECK (tie_rule IS NULL OR tie_rule IN ('NOT_APPROVED','TIE'));
+
+ALTER TABLE public.referendum_options
+  ADD COLUMN IF NOT EXISTS is_rejection boolean NOT NULL DEFAULT false;
+
+UPDATE public.referendum_options
+SET is_rejection = true
+WHERE is_rejection = false
+  AND option_text ~* '^[[:space:]]*(no|en contra)([^[:alpha:]]|$)';
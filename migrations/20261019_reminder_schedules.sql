@@ -0,0 +1,41 @@
+-- Recordatorios de voto pendiente programados.
+-- Ejecutar como owner/superusuario en la base de la app.
+--
+-- reminder_schedules guarda, por campaña, cuántas horas antes de
+-- vote_close_at se envía el recordatorio, el máximo de recordatorios por
+-- vecino y la separación mínima entre dos recordatorios al mismo vecino.
+-- reminder_runs registra cada envío (programado o manual); los correos quedan
+-- en notification_log con meta_json.reminder_run_id y de ahí salen los conteos.
+-- Una programación se ejecuta una sola vez (índice único por schedule_id);
+-- un envío FAILED (error o proceso cortado) no cuenta y se puede reintentar.
+
+CREATE TABLE IF NOT EXISTS public.reminder_schedules (
+  id serial PRIMARY KEY,
+  election_id integer NOT NULL REFERENCES public.elections(id) ON DELETE CASCADE,
+  hours_before integer NOT NULL CHECK (hours_before > 0),
+  max_per_recipient integer NOT NULL DEFAULT 2 CHECK (max_per_recipient > 0),
+  min_gap_hours integer NOT NULL DEFAULT 6 CHECK (min_gap_hours >= 0),
+  enabled boolean NOT NULL DEFAULT true,
+  created_by integer,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.reminder_runs (
+  id serial PRIMARY KEY,
+  election_id integer NOT NULL REFERENCES public.elections(id) ON DELETE CASCADE,
+  schedule_id integer REFERENCES public.reminder_schedules(id) ON DELETE CASCADE,
+  triggered_by integer,
+  status text NOT NULL DEFAULT 'RUNNING' CHECK (status IN ('RUNNING','DONE','FAILED')),
+  total integer NOT NULL DEFAULT 0,
+  started_at timestamptz NOT NULL DEFAULT now(),
+  finished_at timestamptz
+);
+
+DROP INDEX IF EXISTS public.reminder_runs_one_per_schedule_uidx;
+CREATE UNIQUE INDEX reminder_runs_one_per_schedule_uidx
+  ON public.reminder_runs(schedule_id)
+  WHERE schedule_id IS NOT NULL AND status <> 'FAILED';
+
+CREATE INDEX IF NOT EXISTS notification_log_reminder_run_idx
+  ON public.notification_log((meta_json->>'reminder_run_id'))
+  WHERE template='vote_pending_reminder';
@@ -0,0 +1,39 @@
+-- Catálogo de calles y unidades administrado desde el panel.
+-- Ejecutar como owner/superusuario en la base de la app.
+--
+-- Hasta ahora el registro creaba una unidad por cada número que escribía el
+-- vecino, y "A-101" y "A 101" quedaban como dos unidades. unit_key() reduce
+-- número y piso/depto a una forma canónica (mayúsculas, sin espacios ni
+-- separadores repetidos) con la que se buscan las unidades existentes.
+--
+-- units.block agrupa las unidades por manzana o bloque en el catálogo y en
+-- el selector del registro. units.review_requested_at marca las unidades que
+-- un vecino pidió desde el registro porque no estaban en el catálogo: se
+-- crean deshabilitadas y el Consejo las habilita o las fusiona con la
+-- correcta.
+--
+-- organizations.unlisted_units decide qué pasa con esas unidades:
+--   OPEN   = se crean habilitadas (comportamiento anterior).
+--   REVIEW = se crean deshabilitadas y la solicitud espera la revisión.
+--   REJECT = solo se aceptan unidades del catálogo.
+
+CREATE OR REPLACE FUNCTION public.unit_key(v text) RETURNS text
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT btrim(regexp_replace(upper(btrim(COALESCE(v, ''))), '[[:space:]._/-]+', '-', 'g'), '-')
+$$;
+
+ALTER TABLE public.units
+  ADD COLUMN IF NOT EXISTS block text;
+
+ALTER TABLE public.units
+  ADD COLUMN IF NOT EXISTS review_requested_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS units_organization_key_idx
+  ON public.units(organization_id, street, public.unit_key(number), public.unit_key(unit_extra));
+
+ALTER TABLE public.organizations
+  ADD COLUMN IF NOT EXISTS unlisted_units text NOT NULL DEFAULT 'REVIEW';
+
+ALTER TABLE public.organizations DROP CONSTRAINT IF EXISTS organizations_unlisted_units_check;
+ALTER TABLE public.organizations
+  ADD CONSTRAINT organizations_unlisted_units_check CHECK (unlisted_units IN ('OPEN','REVIEW','REJECT'));
@@ -0,0 +1,29 @@
+-- Voto ponderado por alícuota de la unidad.
+-- Ejecutar como owner/superusuario en la base de la app.
+--
+-- units.weight es el coeficiente de participación (1 = una unidad, un voto).
+-- Cada voto guarda una copia del peso vigente al votar (weight) que entra al
+-- payload de la cadena. Votos anteriores a esta migración quedan con weight
+-- NULL y cuentan como 1.
+--
+-- elections.weighted_tally decide si el resultado (quórum y mayoría) se
+-- calcula por cantidad de unidades o por peso.
+
+ALTER TABLE public.units
+  ADD COLUMN IF NOT EXISTS weight numeric(12,6) NOT NULL DEFAULT 1;
+
+ALTER TABLE public.units DROP CONSTRAINT IF EXISTS units_weight_check;
+ALTER TABLE public.units
+  ADD CONSTRAINT units_weight_check CHECK (weight > 0);
+
+ALTER TABLE public.elections
+  ADD COLUMN IF NOT EXISTS weighted_tally boolean NOT NULL DEFAULT false;
+
+ALTER TABLE public.votes
+  ADD COLUMN IF NOT EXISTS weight numeric(12,6);
+
+ALTER TABLE public.fiscal_votes
+  ADD COLUMN IF NOT EXISTS weight numeric(12,6);
+
+ALTER TABLE public.referendum_votes
+  ADD COLUMN IF NOT EXISTS weight numeric(12,6);
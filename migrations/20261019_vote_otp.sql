@@ -0,0 +1,31 @@
+-- Código de un solo uso (OTP) al abrir el enlace de votación.
+-- Ejecutar como owner/superusuario en la base de la app.
+--
+-- Con elections.require_vote_otp, GET /votar/:token envía un código de 6
+-- dígitos al correo o teléfono de la solicitud y pide ingresarlo antes de la
+-- papeleta. vote_otps guarda solo el hash del código, su vencimiento y los
+-- intentos. email_outbox.priority adelanta estos mensajes al resto de la cola.
+
+ALTER TABLE public.elections
+  ADD COLUMN IF NOT EXISTS require_vote_otp boolean NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS public.vote_otps (
+  id bigserial PRIMARY KEY,
+  election_id integer NOT NULL REFERENCES public.elections(id) ON DELETE CASCADE,
+  token_id integer NOT NULL REFERENCES public.vote_tokens(id) ON DELETE CASCADE,
+  code_hash text NOT NULL,
+  attempts integer NOT NULL DEFAULT 0,
+  expires_at timestamptz NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  verified_at timestamptz,
+  invalidated_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS vote_otps_token_idx ON public.vote_otps(token_id, created_at DESC);
+
+ALTER TABLE public.email_outbox
+  ADD COLUMN IF NOT EXISTS priority smallint NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS email_outbox_pending_priority_idx
+  ON public.email_outbox(priority DESC, next_attempt_at ASC, id ASC)
+  WHERE status='PENDING';
@@ -0,0 +1,53 @@
+-- Cambio de voto (re-votación) antes del cierre.
+-- Ejecutar como owner/superusuario en la base de la app.
+--
+-- Con elections.allow_recast una unidad puede volver a votar mientras la
+-- ventana vote_open_at..vote_close_at siga abierta. El voto nuevo se agrega a
+-- la cadena con supersedes = id del voto que reemplaza (entra al hash) y el
+-- anterior queda marcado con superseded_at; no se borra nada.
+--
+-- El blindaje de un voto por unidad pasa a ser un voto VIGENTE por unidad:
+-- los índices *_one_per_unit_uidx solo miran filas con superseded_at NULL.
+
+ALTER TABLE public.elections
+  ADD COLUMN IF NOT EXISTS allow_recast boolean NOT NULL DEFAULT false;
+
+ALTER TABLE public.votes
+  ADD COLUMN IF NOT EXISTS supersedes integer REFERENCES public.votes(id),
+  ADD COLUMN IF NOT EXISTS superseded_at timestamptz;
+
+ALTER TABLE public.fiscal_votes
+  ADD COLUMN IF NOT EXISTS supersedes integer REFERENCES public.fiscal_votes(id),
+  ADD COLUMN IF NOT EXISTS superseded_at timestamptz;
+
+ALTER TABLE public.referendum_votes
+  ADD COLUMN IF NOT EXISTS supersedes integer REFERENCES public.referendum_votes(id),
+  ADD COLUMN IF NOT EXISTS superseded_at timestamptz;
+
+-- Restricciones UNIQUE del esquema inicial, si siguen presentes.
+ALTER TABLE public.votes DROP CONSTRAINT IF EXISTS votes_unit_id_key;
+ALTER TABLE public.fiscal_votes DROP CONSTRAINT IF EXISTS fiscal_votes_election_id_unit_id_key;
+
+DROP INDEX IF EXISTS public.votes_one_per_unit_uidx;
+CREATE UNIQUE INDEX IF NOT EXISTS votes_one_per_unit_uidx
+  ON public.votes(election_id, unit_id)
+  WHERE superseded_at IS NULL;
+
+DROP INDEX IF EXISTS public.fiscal_votes_one_per_unit_uidx;
+CREATE UNIQUE INDEX IF NOT EXISTS fiscal_votes_one_per_unit_uidx
+  ON public.fiscal_votes(election_id, unit_id)
+  WHERE superseded_at IS NULL;
+
+DROP INDEX IF EXISTS public.referendum_votes_one_per_unit_uidx;
+CREATE UNIQUE INDEX IF NOT EXISTS referendum_votes_one_per_unit_uidx
+  ON public.referendum_votes(election_id, unit_id, question_id)
+  WHERE superseded_at IS NULL;
+
+-- Los conteos toman como vigente el voto que ningún otro reemplaza
+-- (NOT EXISTS ... supersedes = id): índice para esa búsqueda.
+CREATE INDEX IF NOT EXISTS votes_supersedes_idx
+  ON public.votes(supersedes) WHERE supersedes IS NOT NULL;
+CREATE INDEX IF NOT EXISTS fiscal_votes_supersedes_idx
+  ON public.fiscal_votes(supersedes) WHERE supersedes IS NOT NULL;
+CREATE INDEX IF NOT EXISTS referendum_votes_supersedes_idx
+  ON public.referendum_votes(supersedes) WHERE supersedes IS NOT NULL;
@@ -8,19 +8,32 @@ const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 const email = process.argv[2];
 const pass = process.argv[3];
 const role = process.argv[4] || "admin";
+const orgSlug = process.argv[5] || null;
 
 if (!email || !pass) {
-  console.log("Uso: node create_admin.mjs email password [admin|viewer]");
+  console.log("Uso: node create_admin.mjs email password [admin|viewer] [organizacion]");
   process.exit(1);
 }
 
+const client = await pool.connect();
+const org = orgSlug
+  ? (await client.query(`SELECT id FROM organizations WHERE slug=$1`, [orgSlug])).rows[0]
+  : (await client.query(`SELECT id FROM organizations WHERE id=1`)).rows[0];
+if (!org) {
+  console.log("Organización no encontrada: " + orgSlug);
+  process.exit(1);
+}
+// Las políticas de RLS solo dejan escribir en la organización fijada.
+await client.query(`SELECT set_config('app.org_id', $1, false)`, [String(org.id)]);
+
 const hash = await bcrypt.hash(pass, 12);
-await pool.query(
+await client.query(
   `INSERT INTO admin_users(email, password_hash, role)
    VALUES ($1,$2,$3)
-   ON CONFLICT (email) DO UPDATE SET password_hash=EXCLUDED.password_hash, role=EXCLUDED.role`,
+   ON CONFLICT (organization_id, email) DO UPDATE SET password_hash=EXCLUDED.password_hash, role=EXCLUDED.role`,
   [email.toLowerCase(), hash, role]
 );
 
 console.log("OK");
+client.release();
 await pool.end();
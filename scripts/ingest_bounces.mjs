@@ -0,0 +1,68 @@
+import "dotenv/config";
+import fs from "fs";
+
+// Lee un buzón mbox con los rebotes (DSN) que devuelve el servidor SMTP y los
+// envía a POST /correos/eventos. Sirve cuando el proveedor no tiene webhook:
+// por ejemplo, una casilla de Gmail descargada con fetchmail/getmail.
+
+const file = process.argv[2];
+const dryRun = process.argv.includes("--dry-run");
+
+if (!file) {
+  console.error("Uso: node scripts/ingest_bounces.mjs <archivo.mbox|-> [--dry-run]");
+  process.exit(1);
+}
+
+const base = String(process.env.BASE_URL || "").replace(/\/$/, "");
+const secret = process.env.BOUNCE_WEBHOOK_SECRET;
+if (!dryRun && (!base || !secret)) {
+  console.error("Faltan BASE_URL o BOUNCE_WEBHOOK_SECRET.");
+  process.exit(1);
+}
+
+function parseDsn(raw) {
+  const text = raw.replace(/\r\n/g, "\n").replace(/\n[ \t]+/g, " ");
+  const action = /^Action:\s*(\S+)/im.exec(text)?.[1]?.toLowerCase();
+  if (action !== "failed" && action !== "delivered") return null;
+
+  const recipient = /^Final-Recipient:\s*[^;]*;\s*<?([^\s>]+)/im.exec(text)?.[1] || null;
+  const status = /^Status:\s*(\d\.\d+\.\d+)/im.exec(text)?.[1] || "";
+  const diagnostic = /^Diagnostic-Code:\s*(?:[^;\n]*;\s*)?(.+)$/im.exec(text)?.[1] || null;
+
+  // El primer Message-ID es el del propio rebote; el del correo original viene
+  // después, en las cabeceras devueltas.
+  const ids = [...text.matchAll(/^Message-ID:\s*(<[^>\n]+>)/gim)].map(m => m[1]);
+
+  return {
+    event: action === "failed" ? "bounced" : "delivered",
+    recipient,
+    message_id: ids.length > 1 ? ids[ids.length - 1] : null,
+    reason: [status, diagnostic].filter(Boolean).join(" ") || null,
+    severity: status.startsWith("4") ? "soft" : "hard"
+  };
+}
+
+const mbox = fs.readFileSync(file === "-" ? 0 : file, "utf8");
+const events = mbox
+  .split(/^From .*$/m)
+  .map(parseDsn)
+  .filter(ev => ev && (ev.recipient || ev.message_id));
+
+console.log(`Mensajes con reporte de entrega: ${events.length}`);
+if (dryRun) {
+  for (const ev of events) console.log(JSON.stringify(ev));
+  process.exit(0);
+}
+
+for (let i = 0; i < events.length; i += 200) {
+  const r = await fetch(base + "/correos/eventos", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Webhook-Secret": secret },
+    body: JSON.stringify({ events: events.slice(i, i + 200) })
+  });
+  if (!r.ok) {
+    console.error(`Error ${r.status}: ${await r.text()}`);
+    process.exit(1);
+  }
+  console.log(await r.json());
+}
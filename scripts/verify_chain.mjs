@@ -15,6 +15,8 @@ if (!electionId) {
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL
 });
+// Verificación de auditoría: ve las campañas de todas las organizaciones (RLS).
+pool.on("connect", client => client.query(`SELECT set_config('app.org_id', '*', false)`));
 
 function sha256Hex(s) {
   return crypto.createHash("sha256").update(s, "utf8").digest("hex");
@@ -103,6 +105,7 @@ async function verifyTable(table, payloadBuilder, kind) {
     expectedPosition++;
   }
 
+  const supersededCount = verifySupersedes(rows, kind);
   const globalHash = sha256Hex(concatenated);
 
   const seal = (await pool.query(
@@ -122,13 +125,66 @@ async function verifyTable(table, payloadBuilder, kind) {
 
   console.log("✔ Cadena íntegra.");
   console.log("Total votos:", rows.length);
+  if (supersededCount) console.log("Votos reemplazados:", supersededCount);
   console.log("Formato hash:", Array.from(formatsUsed).join(", ") || "sin votos");
   if (legacyStoredHashCount) {
     console.log(`⚠️ ${legacyStoredHashCount} voto(s) verificado(s) en modo legacy_stored_hash_only.`);
     console.log("⚠️ Este modo NO recompone el payload del voto; solo sirve para campañas de prueba/transición.");
   }
   console.log("Global hash:", globalHash);
-  return { kind, totalVotes: rows.length, globalHash, sealed: !!seal, formatsUsed: Array.from(formatsUsed), legacyStoredHashCount };
+  return { kind, totalVotes: rows.length, supersededCount, globalHash, sealed: !!seal, formatsUsed: Array.from(formatsUsed), legacyStoredHashCount };
+}
+
+// Cambio de voto: superseded_at no entra al hash, así que debe calzar con los
+// punteros supersedes (que sí entran). Cada voto reemplazado lo referencia
+// exactamente un voto posterior de la misma unidad y ningún vigente es referenciado.
+function verifySupersedes(rows, kind) {
+  const byId = new Map(rows.map(r => [Number(r.id), r]));
+  const referencedBy = new Map();
+
+  for (const r of rows) {
+    if (r.supersedes === null || r.supersedes === undefined) continue;
+    const target = byId.get(Number(r.supersedes));
+    if (!target) {
+      throw new Error(`❌ Cambio de voto inválido en ${kind}, posición ${r.chain_position}: supersedes=${r.supersedes} no es un voto de esta campaña`);
+    }
+    if (Number(target.chain_position) >= Number(r.chain_position) || Number(target.unit_id) !== Number(r.unit_id)) {
+      throw new Error(`❌ Cambio de voto inválido en ${kind}, posición ${r.chain_position}: reemplaza a un voto posterior o de otra unidad`);
+    }
+    if (referencedBy.has(Number(target.id))) {
+      throw new Error(`❌ Cambio de voto inválido en ${kind}: el voto de la posición ${target.chain_position} está reemplazado más de una vez`);
+    }
+    referencedBy.set(Number(target.id), r);
+  }
+
+  let superseded = 0;
+  for (const r of rows) {
+    const replaced = referencedBy.has(Number(r.id));
+    const marked = r.superseded_at !== null && r.superseded_at !== undefined;
+    if (marked && !replaced) {
+      throw new Error(`❌ Voto marcado como reemplazado en ${kind}, posición ${r.chain_position}, sin un voto posterior que lo reemplace`);
+    }
+    if (!marked && replaced) {
+      throw new Error(`❌ Voto vigente en ${kind}, posición ${r.chain_position}, reemplazado por la posición ${referencedBy.get(Number(r.id)).chain_position}`);
+    }
+    if (replaced) superseded++;
+  }
+  return superseded;
+}
+
+// Votos con peso (alícuota) copiado al votar: el peso entra al payload.
+function hasWeight(r) {
+  return r.weight !== null && r.weight !== undefined;
+}
+
+// Papeletas en papel: el canal entra al payload (los digitales no lo llevan).
+function channelOf(r) {
+  return r.channel === "PAPER" ? { channel: r.channel } : {};
+}
+
+// Cambio de voto: el id del voto reemplazado entra al payload.
+function supersedesOf(r) {
+  return r.supersedes ? { supersedes: r.supersedes } : {};
 }
 
 function councilPayloads(r, previous_hash) {
@@ -137,8 +193,11 @@ function councilPayloads(r, previous_hash) {
     payload: {
       election_id: r.election_id,
       unit_id: r.unit_id,
+      ...(hasWeight(r) ? { weight: r.weight } : {}),
       candidate_id: r.candidate_id,
       token_id: r.token_id,
+      ...channelOf(r),
+      ...supersedesOf(r),
       cast_at,
       previous_hash,
       chain_position: Number(r.chain_position)
@@ -152,8 +211,11 @@ function fiscalPayloads(r, previous_hash) {
     payload: {
       election_id: r.election_id,
       unit_id: r.unit_id,
+      ...(hasWeight(r) ? { weight: r.weight } : {}),
       fiscal_list_id: r.fiscal_list_id,
       token_id: r.token_id,
+      ...channelOf(r),
+      ...supersedesOf(r),
       cast_at,
       previous_hash,
       chain_position: Number(r.chain_position)
@@ -166,6 +228,28 @@ function referendumPayloads(r, previous_hash) {
   for (const [idx, cast_at] of castAtVariants(r).entries()) {
     const suffix = idx === 0 ? "" : `_cast_variant_${idx}`;
 
+    // Votos con tipo de papeleta: la selección completa y el blanco entran al hash.
+    if (r.choices !== null && r.choices !== undefined) {
+      out.push({
+        name: `ballot${suffix}`,
+        payload: {
+          election_id: r.election_id,
+          unit_id: r.unit_id,
+          ...(hasWeight(r) ? { weight: r.weight } : {}),
+          question_id: r.question_id,
+          option_id: r.option_id,
+          choices: r.choices,
+          is_blank: r.is_blank,
+          token_id: r.token_id,
+          ...channelOf(r),
+          ...supersedesOf(r),
+          cast_at,
+          previous_hash,
+          chain_position: Number(r.chain_position)
+        }
+      });
+    }
+
     out.push({
       name: `canonical${suffix}`,
       payload: {
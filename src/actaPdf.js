@@ -1,6 +1,6 @@
-export function createActaPdfHandler({ q, PDFDocument, getActiveElection, getReferendumForElection, audit }) {
+export function createActaPdfHandler({ q, PDFDocument, getActiveElection, getResultSections, countVotes, audit }) {
   return async function actaPdfHandler(req, res) {
-    const active = await getActiveElection();
+    const active = await getActiveElection(req);
     if (!active) return res.render("no_active");
 
     const seals = (await q(
@@ -11,46 +11,15 @@ export function createActaPdfHandler({ q, PDFDocument, getActiveElection, getRef
       [active.id]
     )).rows;
 
-    let totals = [];
-    let question = null;
-    let metrics;
-
-    if (active.kind === "VOTACION") {
-      const data = await getReferendumForElection(active.id);
-      question = data.question;
-
-      totals = (await q(
-        `SELECT ro.option_label AS code, ro.option_text AS name, COUNT(rv.id)::int AS votes
-         FROM referendum_options ro
-         LEFT JOIN referendum_votes rv ON rv.option_id=ro.id AND rv.election_id=$1
-         WHERE ro.election_id=$1
-         GROUP BY ro.id
-         ORDER BY ro.sort_order ASC, ro.id ASC`,
-        [active.id]
-      )).rows;
-
-      metrics = {
-        votes: (await q(`SELECT COUNT(*)::int AS n FROM referendum_votes WHERE election_id=$1`, [active.id])).rows[0].n,
-        approved_regs: (await q(`SELECT COUNT(*)::int AS n FROM registrations WHERE election_id=$1 AND status='APPROVED'`, [active.id])).rows[0].n,
-        pending_regs: (await q(`SELECT COUNT(*)::int AS n FROM registrations WHERE election_id=$1 AND status='PENDING'`, [active.id])).rows[0].n
-      };
-    } else {
-      totals = (await q(
-        `SELECT c.name, c.list_code AS code, COUNT(v.id)::int AS votes
-         FROM candidates c
-         LEFT JOIN votes v ON v.candidate_id=c.id AND v.election_id=$1
-         WHERE c.election_id=$1
-         GROUP BY c.id
-         ORDER BY c.sort_order ASC`,
-        [active.id]
-      )).rows;
-
-      metrics = {
-        votes: (await q(`SELECT COUNT(*)::int AS n FROM votes WHERE election_id=$1`, [active.id])).rows[0].n,
-        fiscal_votes: (await q(`SELECT COUNT(*)::int AS n FROM fiscal_votes WHERE election_id=$1`, [active.id])).rows[0].n,
-        approved_regs: (await q(`SELECT COUNT(*)::int AS n FROM registrations WHERE election_id=$1 AND status='APPROVED'`, [active.id])).rows[0].n,
-        pending_regs: (await q(`SELECT COUNT(*)::int AS n FROM registrations WHERE election_id=$1 AND status='PENDING'`, [active.id])).rows[0].n
-      };
+    const sections = await getResultSections(active);
+
+    const metrics = {
+      votes: await countVotes(active),
+      approved_regs: (await q(`SELECT COUNT(*)::int AS n FROM registrations WHERE election_id=$1 AND status='APPROVED'`, [active.id])).rows[0].n,
+      pending_regs: (await q(`SELECT COUNT(*)::int AS n FROM registrations WHERE election_id=$1 AND status='PENDING'`, [active.id])).rows[0].n
+    };
+    if (active.kind !== "VOTACION") {
+      metrics.fiscal_votes = (await q(`SELECT COUNT(*)::int AS n FROM fiscal_votes WHERE election_id=$1 AND superseded_at IS NULL`, [active.id])).rows[0].n;
     }
 
     res.setHeader("Content-Type", "application/pdf");
@@ -74,40 +43,90 @@ export function createActaPdfHandler({ q, PDFDocument, getActiveElection, getRef
     doc.text(`Fecha/Hora generación (Lima): ${new Date().toLocaleString("es-PE", { timeZone: "America/Lima" })}`);
     doc.moveDown(0.8);
 
-    if (active.kind === "VOTACION" && question) {
-      doc.fontSize(11).text("Pregunta:", { underline: true });
-      doc.fontSize(10).text(question.question_text, { width: usableW });
-      doc.moveDown(0.8);
-    }
-
     doc.fontSize(11).text(`Total votos emitidos: ${metrics.votes}`);
     if (active.kind !== "VOTACION") doc.text(`Total votos fiscales: ${metrics.fiscal_votes}`);
     doc.text(`Registros aprobados: ${metrics.approved_regs}`);
     doc.text(`Registros pendientes: ${metrics.pending_regs}`);
+    if (sections[0]?.weighted) doc.text("Conteo ponderado por alícuota (el resultado se decide por peso).");
+    if (sections[0]?.quorum) doc.text(`Quórum: ${sections[0].quorum.summary}`);
     doc.moveDown(1);
 
     doc.fontSize(13).text(active.kind === "VOTACION" ? "Resultados - Votación interna" : "Resultados - Consejo Directivo", { underline: true });
     doc.moveDown(0.6);
 
-    const colX = { item: left, votes: right - 120 };
-    doc.fontSize(11).text(active.kind === "VOTACION" ? "Opción" : "Lista", colX.item, doc.y, { continued: true });
-    doc.text("Votos", colX.votes, doc.y);
-    doc.moveDown(0.3);
-    doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
-    doc.moveDown(0.4);
-
-    for (const t of totals) {
-      if (doc.y > doc.page.height - 180) doc.addPage();
-      const label = active.kind === "VOTACION"
-        ? `${t.code ? t.code + ". " : ""}${t.name ?? ""}`
-        : String(t.name ?? "");
-      doc.fontSize(10).text(label, colX.item, doc.y, { width: colX.votes - colX.item - 10, continued: true });
-      doc.text(String(t.votes ?? 0), colX.votes, doc.y);
-      doc.moveDown(0.35);
-    }
+    const baseColX = { item: left, votes: right - 160, weight: right - 80 };
+    // Con papeletas en papel se agregan las columnas Digital / Papel.
+    const paperColX = { item: left, votes: right - 280, digital: right - 220, paper: right - 150, weight: right - 80 };
 
-    doc.moveDown(1);
-    doc.fontSize(13).text("Sellos de integridad", { underline: true });
+    sections.forEach((section, idx) => {
+      if (doc.y > doc.page.height - 220) doc.addPage();
+
+      if (active.kind === "VOTACION") {
+        doc.fontSize(11).text(sections.length > 1 ? `Pregunta ${idx + 1}:` : "Pregunta:", left, doc.y, { underline: true });
+        doc.fontSize(10).text(section.title, { width: usableW });
+        if (section.ballot_type !== "SINGLE") doc.fontSize(9).fillColor("gray").text(`Tipo de papeleta: ${section.type_label}`).fillColor("black");
+        doc.moveDown(0.5);
+      }
+
+      const itemLabel = t => `${t.code ? t.code + ". " : ""}${t.name ?? ""}`;
+      const table = (rows, header, withWeight, withPaper = false) => {
+        const colX = withPaper ? paperColX : baseColX;
+        const y = doc.y;
+        doc.fontSize(11).text(active.kind === "VOTACION" ? "Opción" : "Lista", colX.item, y);
+        doc.text(header, colX.votes, y);
+        if (withPaper) {
+          doc.text("Digital", colX.digital, y);
+          doc.text("Papel", colX.paper, y);
+        }
+        if (withWeight) doc.text("Peso", colX.weight, y);
+        doc.moveDown(0.3);
+        doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+        doc.moveDown(0.4);
+
+        for (const t of rows) {
+          if (doc.y > doc.page.height - 180) doc.addPage();
+          const rowY = doc.y;
+          doc.fontSize(10).text(itemLabel(t), colX.item, rowY, { width: colX.votes - colX.item - 10 });
+          const endY = doc.y;
+          doc.text(String(t.votes ?? 0), colX.votes, rowY);
+          if (withPaper) {
+            doc.text(String((t.votes ?? 0) - (t.paper ?? 0)), colX.digital, rowY);
+            doc.text(String(t.paper ?? 0), colX.paper, rowY);
+          }
+          if (withWeight) doc.text(String(t.weight ?? 0), colX.weight, rowY);
+          doc.y = Math.max(endY, doc.y);
+          doc.moveDown(0.35);
+        }
+        doc.x = left;
+      };
+
+      const blankRow = section.allow_blank || section.blank ? [{ name: "Voto en blanco", votes: section.blank, paper: section.blank_paper, weight: section.blank_weight }] : [];
+      table([...section.totals, ...blankRow], section.ballot_type === "RANKED" ? "1ª pref." : "Votos", section.weighted, !!section.paper);
+      if (section.paper) doc.fontSize(9).fillColor("gray").text(`Incluye ${section.paper} papeleta(s) en papel de mesa.`, left, doc.y).fillColor("black");
+
+      if (section.ballot_type === "RANKED") {
+        section.rounds.forEach((round, i) => {
+          if (doc.y > doc.page.height - 200) doc.addPage();
+          doc.moveDown(0.4);
+          doc.fontSize(10).text(`Ronda ${i + 1}${round.exhausted ? ` (${round.exhausted} papeleta(s) sin preferencias vigentes)` : ""}`, left, doc.y);
+          doc.moveDown(0.2);
+          table(round.totals, section.weighted ? "Peso" : "Votos", false);
+          if (round.eliminated.length) doc.fontSize(9).text(`Eliminada(s): ${round.eliminated.map(itemLabel).join(", ")}`, left, doc.y);
+        });
+        doc.moveDown(0.3);
+        doc.fontSize(10).text(`Segunda vuelta: ${section.winner ? itemLabel(section.winner) : "empate, ninguna opción alcanzó mayoría"}`, left, doc.y);
+      }
+
+      const outcome = section.outcome;
+      doc.moveDown(0.4);
+      doc.fontSize(11).text(`Resultado: ${outcome.label}${outcome.option ? " - " + itemLabel(outcome.option) : ""}`, left, doc.y);
+      doc.fontSize(9).text(outcome.detail, { width: usableW });
+
+      doc.moveDown(0.8);
+    });
+
+    doc.moveDown(0.2);
+    doc.fontSize(13).text("Sellos de integridad", left, doc.y, { underline: true });
     doc.moveDown(0.5);
     if (!seals.length) {
       doc.fontSize(10).text("Campaña todavía no sellada.");
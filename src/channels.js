@@ -0,0 +1,85 @@
+import fs from "fs";
+
+// Canales de aviso además del correo. Cada canal usa el proveedor indicado en
+// SMS_PROVIDER / WHATSAPP_PROVIDER:
+//   twilio  -> API de Twilio (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN y el remitente
+//              TWILIO_SMS_FROM o TWILIO_WHATSAPP_FROM).
+//   file    -> agrega una línea JSON por mensaje en CHANNEL_FILE_PATH (pruebas).
+//   console -> escribe el mensaje en el log del servidor (pruebas).
+// Sin proveedor el canal queda desactivado y los avisos vuelven al correo.
+export const CHANNELS = {
+  EMAIL: "Correo electrónico",
+  SMS: "SMS",
+  WHATSAPP: "WhatsApp"
+};
+
+const PROVIDER_ENV = { SMS: "SMS_PROVIDER", WHATSAPP: "WHATSAPP_PROVIDER" };
+
+const PROVIDERS = {
+  async console({ channel, to, text }) {
+    console.log(`[${channel}] ${to}\n${text}`);
+    return true;
+  },
+
+  async file({ channel, to, text }) {
+    const path = process.env.CHANNEL_FILE_PATH || "channel_messages.log";
+    fs.appendFileSync(path, JSON.stringify({ at: new Date().toISOString(), channel, to, text }) + "\n");
+    return true;
+  },
+
+  async twilio({ channel, to, text }) {
+    const sid = process.env.TWILIO_ACCOUNT_SID;
+    const from = channel === "WHATSAPP" ? process.env.TWILIO_WHATSAPP_FROM : process.env.TWILIO_SMS_FROM;
+    if (!sid || !process.env.TWILIO_AUTH_TOKEN || !from) return false;
+
+    const prefix = channel === "WHATSAPP" ? "whatsapp:" : "";
+    const r = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(sid)}/Messages.json`, {
+      method: "POST",
+      headers: {
+        Authorization: "Basic " + Buffer.from(sid + ":" + process.env.TWILIO_AUTH_TOKEN).toString("base64"),
+        "Content-Type": "application/x-www-form-urlencoded"
+      },
+      body: new URLSearchParams({ To: prefix + to, From: prefix + from.replace(/^whatsapp:/, ""), Body: text })
+    });
+    if (!r.ok) {
+      const body = await r.text().catch(() => "");
+      throw new Error(`twilio ${r.status}: ${body.slice(0, 300)}`);
+    }
+    return true;
+  }
+};
+
+function providerFor(channel) {
+  const name = String(process.env[PROVIDER_ENV[channel]] || "").trim().toLowerCase();
+  return PROVIDERS[name] || null;
+}
+
+// El canal tiene proveedor configurado (EMAIL se controla con canMail()).
+export function canSend(channel) {
+  return !!providerFor(channel);
+}
+
+// Canales que el vecino puede elegir: correo siempre, SMS/WhatsApp si están configurados.
+export function availableChannels() {
+  return Object.keys(CHANNELS).filter(c => c === "EMAIL" || canSend(c));
+}
+
+// Número en formato E.164. Los números locales de 9 dígitos reciben el código
+// de PHONE_COUNTRY_CODE (51 = Perú por defecto). Devuelve null si no parece un móvil.
+export function normalizePhone(phone) {
+  const raw = String(phone || "").trim();
+  const digits = raw.replace(/\D/g, "");
+  if (!digits) return null;
+  if (raw.startsWith("+") || raw.startsWith("00")) {
+    const intl = raw.startsWith("00") ? digits.slice(2) : digits;
+    return intl.length >= 8 && intl.length <= 15 ? "+" + intl : null;
+  }
+  if (digits.length === 9) return "+" + String(process.env.PHONE_COUNTRY_CODE || "51").replace(/\D/g, "") + digits;
+  return null;
+}
+
+export async function sendChannelMessage(channel, to, text) {
+  const provider = providerFor(channel);
+  if (!provider) return false;
+  return provider({ channel, to, text });
+}
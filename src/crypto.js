@@ -8,3 +8,24 @@ export function hashToken(token) {
   const secret = process.env.TOKEN_SECRET || "";
   return crypto.createHash("sha256").update(token + secret).digest("hex");
 }
+
+// Cifrado simétrico (AES-256-GCM) para datos que deben guardarse un tiempo y
+// leerse de vuelta, como el contenido de los correos en cola (enlaces de voto,
+// claves temporales). La clave se deriva de TOKEN_SECRET.
+function payloadKey() {
+  return crypto.createHash("sha256").update("payload:" + (process.env.TOKEN_SECRET || "")).digest();
+}
+
+export function encryptJson(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", payloadKey(), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(b => b.toString("base64url")).join(".");
+}
+
+export function decryptJson(text) {
+  const [iv, tag, data] = String(text || "").split(".").map(s => Buffer.from(s, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", payloadKey(), iv);
+  decipher.setAuthTag(tag);
+  return JSON.parse(Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8"));
+}
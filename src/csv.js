@@ -0,0 +1,65 @@
+// Lectura de CSV exportados desde Excel o Google Sheets: separador "," o ";"
+// (Excel en español usa ";"), comillas dobles con "" escapado, saltos de
+// línea dentro de comillas y BOM inicial.
+function detectSeparator(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || "";
+  let commas = 0;
+  let semicolons = 0;
+  let tabs = 0;
+  let quoted = false;
+  for (const ch of firstLine) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && ch === ",") commas++;
+    else if (!quoted && ch === ";") semicolons++;
+    else if (!quoted && ch === "\t") tabs++;
+  }
+  if (tabs > commas && tabs > semicolons) return "\t";
+  return semicolons > commas ? ";" : ",";
+}
+
+// Devuelve las filas como arreglos de celdas sin espacios alrededor. Omite
+// las filas vacías.
+export function parseCsv(input) {
+  const text = String(input || "").replace(/^\uFEFF/, "");
+  const sep = detectSeparator(text);
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  const endCell = () => { row.push(cell.trim()); cell = ""; };
+  const endRow = () => {
+    endCell();
+    if (row.some(c => c !== "")) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === sep) {
+      endCell();
+    } else if (ch === "\n") {
+      endRow();
+    } else if (ch !== "\r") {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) endRow();
+  return rows;
+}
+
+// Nombre de columna comparable: minúsculas, sin tildes ni signos.
+export function headerKey(v) {
+  return String(v || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
@@ -1,11 +1,32 @@
 import pg from "pg";
+import { organizationSetting } from "./tenant.js";
 const { Pool } = pg;
 
 export const pool = new Pool({
   connectionString: process.env.DATABASE_URL
 });
 
+// Cada conexión que pide la app (q, withTx, pool.connect()) lleva la
+// organización del pedido en app.org_id para las políticas de RLS. La forma
+// con callback la usa pg internamente y queda igual.
+const connectPool = pool.connect.bind(pool);
+pool.connect = async (callback) => {
+  if (callback) return connectPool(callback);
+  const client = await connectPool();
+  try {
+    await client.query(`SELECT set_config('app.org_id', $1, false)`, [organizationSetting()]);
+  } catch (e) {
+    client.release(e);
+    throw e;
+  }
+  return client;
+};
+
 export async function q(text, params) {
-  const res = await pool.query(text, params);
-  return res;
+  const client = await pool.connect();
+  try {
+    return await client.query(text, params);
+  } finally {
+    client.release();
+  }
 }
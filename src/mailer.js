@@ -1,4 +1,66 @@
+import fs from "fs";
 import nodemailer from "nodemailer";
+import { q } from "./db.js";
+import { sendChannelMessage } from "./channels.js";
+import { currentOrganization, DEFAULT_ORGANIZATION_ID } from "./tenant.js";
+
+const TEMPLATES_DIR = new URL("./mail_templates/", import.meta.url).pathname;
+
+// Tipos de correo con plantilla propia. vars documenta las variables que recibe
+// cada uno (además de las de marca) y sample se usa en la vista previa del panel.
+export const EMAIL_TEMPLATES = {
+  registration_received: {
+    label: "Solicitud recibida",
+    vars: ["name", "election_title", "unit_label"],
+    sample: { name: "María Pérez", election_title: "Elección de Consejo Directivo 2026", unit_label: "Calle Ejemplo - 123" }
+  },
+  registration_approved: {
+    label: "Solicitud aprobada / enlace de votación",
+    vars: ["link", "election_title", "unit_label", "vote_dates"],
+    sample: { link: "https://ejemplo.org/votar/EJEMPLO", election_title: "Elección de Consejo Directivo 2026", unit_label: "Calle Ejemplo - 123", vote_dates: "Inicio: 01/11/2026, 8:00:00 a. m.\nCierre: 01/11/2026, 6:00:00 p. m." }
+  },
+  registration_rejected: {
+    label: "Solicitud no aprobada",
+    vars: ["election_title", "unit_label", "reason"],
+    sample: { election_title: "Elección de Consejo Directivo 2026", unit_label: "Calle Ejemplo - 123", reason: "La unidad ya tiene una solicitud aprobada." }
+  },
+  vote_pending_reminder: {
+    label: "Recordatorio de voto pendiente",
+    vars: ["election_title", "unit_label", "vote_dates", "recover_url"],
+    sample: { election_title: "Elección de Consejo Directivo 2026", unit_label: "Calle Ejemplo - 123", vote_dates: "Inicio: 01/11/2026, 8:00:00 a. m.\nCierre: 01/11/2026, 6:00:00 p. m.", recover_url: "https://ejemplo.org/perdi-mi-enlace" }
+  },
+  vote_receipt: {
+    label: "Recibo de voto",
+    vars: ["election_title", "unit_label", "cast_at", "option_text", "receipt_code", "verify_url", "vote_hash", "chain_position", "proxy_name"],
+    sample: { election_title: "Elección de Consejo Directivo 2026", unit_label: "Calle Ejemplo - 123", cast_at: "01/11/2026, 10:15:00 a. m.", option_text: "Consejo Directivo: Lista 1", receipt_code: "ABCD-EFGH-IJKL", verify_url: "https://ejemplo.org/verificar-voto?receipt=ABCD-EFGH-IJKL", vote_hash: "3f2a…9c1e", chain_position: "42", proxy_name: "" }
+  },
+  vote_otp: {
+    label: "Código para abrir la papeleta",
+    vars: ["code", "election_title", "unit_label", "minutes"],
+    sample: { code: "482913", election_title: "Elección de Consejo Directivo 2026", unit_label: "Calle Ejemplo - 123", minutes: "10" }
+  },
+  election_sealed: {
+    label: "Resultados sellados",
+    vars: ["election_title", "results_text", "results_url", "hashes_text"],
+    sample: { election_title: "Elección de Consejo Directivo 2026", results_text: "Lista 1: 120 votos\nLista 2: 80 votos", results_url: "https://ejemplo.org/resultados/1", hashes_text: "COUNCIL: 9b7e…04aa (votos: 200)" }
+  },
+  admin_invite: {
+    label: "Invitación al panel",
+    vars: ["role", "login_url", "email", "set_password_url", "hours"],
+    sample: { role: "fiscal", login_url: "https://ejemplo.org/admin/login", email: "fiscal@ejemplo.org", set_password_url: "https://ejemplo.org/admin/clave/nueva/EJEMPLO", hours: "72" }
+  },
+  admin_password_reset: {
+    label: "Recuperar clave del panel",
+    vars: ["email", "reset_url", "minutes"],
+    sample: { email: "fiscal@ejemplo.org", reset_url: "https://ejemplo.org/admin/clave/nueva/EJEMPLO", minutes: "60" }
+  }
+};
+
+// Tipos que también se envían por SMS/WhatsApp según el canal preferido del
+// vecino. El texto corto está en <tipo>.short.txt.
+export const SHORT_MESSAGE_TYPES = ["registration_approved", "vote_pending_reminder", "vote_receipt", "vote_otp"];
+
+export const BRANDING_VARS = ["system_name", "community_name", "logo_url", "signatories", "support_contact", "sender"];
 
 export function canMail() {
   return !!(process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS);
@@ -16,12 +78,8 @@ export function makeTransport() {
   });
 }
 
-function systemName() {
-  return process.env.SYSTEM_NAME || "Sistema de Votación Isla del Sol";
-}
-
-function supportEmail() {
-  return process.env.SUPPORT_EMAIL || process.env.SMTP_FROM || "Consejo Directivo";
+function senderAddress() {
+  return currentOrganization()?.smtp_from || process.env.SMTP_FROM;
 }
 
 function formatLima(dt) {
@@ -29,96 +87,154 @@ function formatLima(dt) {
   return new Date(dt).toLocaleString("es-PE", { timeZone: "America/Lima" });
 }
 
-function header() {
-  return `${systemName()}\nConsejo Directivo\n`;
+function voteDates(voteOpenAt, voteCloseAt) {
+  const openText = formatLima(voteOpenAt);
+  const closeText = formatLima(voteCloseAt);
+  return [
+    openText ? `Inicio: ${openText}` : null,
+    closeText ? `Cierre: ${closeText}` : null
+  ].filter(Boolean).join("\n");
+}
+
+// Marca del correo: lo guardado desde el panel (email_branding de la
+// organización) y, si falta, las variables de entorno; las demás
+// organizaciones usan su nombre en lugar de COMMUNITY_NAME, EMAIL_LOGO_URL y
+// SUPPORT_EMAIL. El remitente es organizations.smtp_from o SMTP_FROM.
+export async function getBranding() {
+  let row = {};
+  try {
+    row = (await q(`SELECT * FROM email_branding WHERE organization_id=app_org_id()`)).rows[0] || {};
+  } catch (e) {
+    console.error("email_branding read failed", e.message);
+  }
+  const org = currentOrganization();
+  const env = !org || org.id === DEFAULT_ORGANIZATION_ID ? process.env : {};
+  const communityName = row.community_name || env.COMMUNITY_NAME || (env === process.env ? "" : org.name);
+  return {
+    system_name: row.system_name || process.env.SYSTEM_NAME || "Sistema de Votación",
+    community_name: communityName,
+    logo_url: row.logo_url || env.EMAIL_LOGO_URL || "",
+    signatories: row.signatories || ("Consejo Directivo" + (communityName ? "\n" + communityName : "")),
+    support_contact: row.support_contact || env.SUPPORT_EMAIL || "",
+    sender: senderAddress() || ""
+  };
 }
 
-function footer() {
-  return `Atentamente,\nConsejo Directivo\nIsla del Sol`;
+function readTemplateFile(name) {
+  return fs.readFileSync(TEMPLATES_DIR + name, "utf8");
 }
 
-function block(title, body) {
-  if (!body) return "";
-  return `${title}:\n${body}`;
+export function defaultEmailTemplate(type) {
+  return {
+    subject: readTemplateFile(`${type}.subject.txt`).trim(),
+    text_body: readTemplateFile(`${type}.txt`),
+    html_body: readTemplateFile(`${type}.html`)
+  };
 }
 
-function unitBlock(unitLabel) {
-  return unitLabel ? block("Unidad / propiedad", unitLabel) + "\n\n" : "";
+// Plantilla vigente: la editada en el panel (email_templates) o la del archivo.
+export async function getEmailTemplate(type) {
+  try {
+    const row = (await q(`SELECT subject, text_body, html_body, updated_at FROM email_templates WHERE type=$1`, [type])).rows[0];
+    if (row) return { ...row, customized: true };
+  } catch (e) {
+    console.error("email_templates read failed", e.message);
+  }
+  return { ...defaultEmailTemplate(type), customized: false };
 }
 
-function safeSenderNote() {
-  const from = process.env.SMTP_FROM || "votacion@isladelsol.org";
-  return `Para no perder notificaciones importantes, agrega este remitente a tus contactos o lista segura:\n${from}\n\nSi no ves un correo esperado, revisa también la bandeja de Spam o Correo no deseado.`;
+function escapeHtml(v) {
+  return String(v)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+    .replace(/\n/g, "<br/>");
 }
 
-async function sendPlain({ to, subject, text }) {
+// Sintaxis de plantilla: {{variable}}, {{#variable}}...{{/variable}} (solo si
+// tiene valor) y {{^variable}}...{{/variable}} (solo si está vacía). No
+// ejecuta código: los textos editados en el panel no pueden tocar el servidor.
+export function fillTemplate(tpl, vars, escape = String) {
+  let out = String(tpl || "");
+  let prev;
+  do {
+    prev = out;
+    out = out
+      .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, k, inner) => vars[k] ? inner : "")
+      .replace(/\{\{\^(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, k, inner) => vars[k] ? "" : inner);
+  } while (out !== prev);
+  return out.replace(/\{\{(\w+)\}\}/g, (_, k) => escape(vars[k] ?? ""));
+}
+
+// Arma asunto, texto y HTML de un correo. template permite previsualizar un
+// texto todavía no guardado.
+export async function renderEmail(type, vars, template = null) {
+  const tpl = template || await getEmailTemplate(type);
+  const all = { ...await getBranding(), ...vars };
+  const [layoutTop, layoutBottom] = readTemplateFile("_layout.html").split("{{content}}");
+
+  return {
+    subject: fillTemplate(tpl.subject, all).replace(/\s+/g, " ").trim(),
+    text: fillTemplate(tpl.text_body, all).replace(/\n{3,}/g, "\n\n").trim() + "\n",
+    html: fillTemplate(layoutTop, all, escapeHtml) + fillTemplate(tpl.html_body, all, escapeHtml) + fillTemplate(layoutBottom, all, escapeHtml)
+  };
+}
+
+// Texto para SMS/WhatsApp: sin HTML ni firma, solo el nombre del sistema.
+export async function renderShortMessage(type, vars) {
+  const all = { ...await getBranding(), ...vars };
+  return fillTemplate(readTemplateFile(`${type}.short.txt`), all).replace(/\n{2,}/g, "\n").trim();
+}
+
+export async function sendRendered({ to, subject, text, html }) {
   if (!canMail()) return false;
   const transport = makeTransport();
-  await transport.sendMail({
-    from: process.env.SMTP_FROM,
+  const info = await transport.sendMail({
+    from: senderAddress(),
     to,
     subject,
-    text
+    text,
+    html
   });
-  return true;
+  // El Message-ID permite asociar rebotes y avisos de entrega (ver /correos/eventos).
+  return info?.messageId || true;
 }
 
-export async function sendVoteLink({ to, link, electionTitle = "la campaña activa", voteOpenAt = null, voteCloseAt = null, unitLabel = null }) {
-  return sendRegistrationApproved({ to, link, electionTitle, voteOpenAt, voteCloseAt, unitLabel });
+// channel distinto de EMAIL: to es el teléfono en formato E.164.
+async function sendTemplate(type, to, vars, channel = "EMAIL") {
+  if (channel !== "EMAIL") return sendChannelMessage(channel, to, await renderShortMessage(type, vars));
+  if (!canMail()) return false;
+  return sendRendered({ to, ...await renderEmail(type, vars) });
 }
 
-export async function sendAdminInvite({ to, role, secret, loginUrl }) {
-  return sendPlain({
-    to,
-    subject: `Acceso al panel - ${systemName()}`,
-    text: `${header()}\nHola,\n\nSe creó un acceso para el panel administrativo.\n\n${block("Rol", role)}\n\n${block("Página de ingreso", loginUrl)}\n\n${block("Usuario", to)}\n\n${block("Clave temporal", secret)}\n\nGuarda estos datos en un lugar seguro.\n\n${footer()}`
-  });
+export async function sendVoteLink({ to, link, electionTitle = "la campaña activa", voteOpenAt = null, voteCloseAt = null, unitLabel = null, channel = "EMAIL" }) {
+  return sendRegistrationApproved({ to, link, electionTitle, voteOpenAt, voteCloseAt, unitLabel, channel });
 }
 
-export async function sendRegistrationReceived({ to, name, electionTitle, unitLabel = null }) {
-  return sendPlain({
-    to,
-    subject: `Solicitud recibida - ${electionTitle}`,
-    text: `${header()}\nHola${name ? " " + name : ""},\n\nRecibimos tu solicitud de registro.\n\n${block("Campaña", electionTitle)}\n\n${unitBlock(unitLabel)}Tu solicitud queda pendiente de revisión por el Consejo Directivo. La aprobación no es automática.\n\nCuando sea aprobada, recibirás en este correo tu enlace personal de votación.\n\nCada enlace corresponde únicamente a la unidad indicada. Si representas más de una propiedad, debes registrar cada unidad por separado.\n\n${safeSenderNote()}\n\n${footer()}`
-  });
+export async function sendAdminInvite({ to, role, link, hours, loginUrl }) {
+  return sendTemplate("admin_invite", to, { role, login_url: loginUrl, email: to, set_password_url: link, hours: String(hours) });
 }
 
-export async function sendRegistrationApproved({ to, link, electionTitle, voteOpenAt = null, voteCloseAt = null, unitLabel = null }) {
-  const openText = formatLima(voteOpenAt);
-  const closeText = formatLima(voteCloseAt);
-  const dates = [
-    openText ? `Inicio: ${openText}` : null,
-    closeText ? `Cierre: ${closeText}` : null
-  ].filter(Boolean).join("\n");
+export async function sendAdminPasswordReset({ to, link, minutes }) {
+  return sendTemplate("admin_password_reset", to, { email: to, reset_url: link, minutes: String(minutes) });
+}
 
-  return sendPlain({
-    to,
-    subject: `Solicitud aprobada - ${electionTitle}`,
-    text: `${header()}\nHola,\n\nTu solicitud fue aprobada.\n\n${block("Campaña", electionTitle)}\n\n${unitBlock(unitLabel)}${dates ? block("Horario de votación", dates) + "\n\n" : ""}Tu enlace personal de votación es:\n${link}\n\nGuarda este correo. El enlace es personal, único y solo puede usarse una vez.\n\nEste enlace corresponde únicamente a la unidad indicada.\n\nSi abres el enlace antes de la hora de inicio, el sistema te indicará que la votación todavía no empezó.\n\n${safeSenderNote()}\n\n${footer()}`
-  });
+export async function sendRegistrationReceived({ to, name, electionTitle, unitLabel = null }) {
+  return sendTemplate("registration_received", to, { name, election_title: electionTitle, unit_label: unitLabel });
 }
 
-export async function sendRegistrationRejected({ to, electionTitle, reason, unitLabel = null }) {
-  return sendPlain({
-    to,
-    subject: `Solicitud revisada - ${electionTitle}`,
-    text: `${header()}\nHola,\n\nTu solicitud de registro fue revisada y no fue aprobada.\n\n${block("Campaña", electionTitle)}\n\n${unitBlock(unitLabel)}${reason ? block("Motivo o nota", reason) + "\n\n" : ""}Para consultas, comunícate con el Consejo Directivo.\n\n${footer()}`
-  });
+export async function sendRegistrationApproved({ to, link, electionTitle, voteOpenAt = null, voteCloseAt = null, unitLabel = null, channel = "EMAIL" }) {
+  return sendTemplate("registration_approved", to, { link, election_title: electionTitle, unit_label: unitLabel, vote_dates: voteDates(voteOpenAt, voteCloseAt) }, channel);
 }
 
-export async function sendVotePendingReminder({ to, electionTitle, voteOpenAt = null, voteCloseAt = null, unitLabel = null }) {
-  const openText = formatLima(voteOpenAt);
-  const closeText = formatLima(voteCloseAt);
-  const dates = [
-    openText ? `Inicio: ${openText}` : null,
-    closeText ? `Cierre: ${closeText}` : null
-  ].filter(Boolean).join("\n");
+export async function sendRegistrationRejected({ to, electionTitle, reason, unitLabel = null }) {
+  return sendTemplate("registration_rejected", to, { election_title: electionTitle, unit_label: unitLabel, reason });
+}
 
-  return sendPlain({
-    to,
-    subject: `Recordatorio de votación pendiente - ${electionTitle}`,
-    text: `${header()}\nHola,\n\nTe recordamos que tienes una votación pendiente.\n\n${block("Campaña", electionTitle)}\n\n${unitBlock(unitLabel)}${dates ? block("Horario de votación", dates) + "\n\n" : ""}Para votar, usa el enlace personal que recibiste cuando tu solicitud fue aprobada.\n\nSi ya votaste hace pocos minutos, puedes ignorar este mensaje.\n\nSi no encuentras tu enlace personal, comunícate con el Consejo Directivo para que sea reemitido.\n\n${safeSenderNote()}\n\n${footer()}`
-  });
+export async function sendVotePendingReminder({ to, electionTitle, voteOpenAt = null, voteCloseAt = null, unitLabel = null, recoverUrl = null, channel = "EMAIL" }) {
+  return sendTemplate("vote_pending_reminder", to, { election_title: electionTitle, unit_label: unitLabel, vote_dates: voteDates(voteOpenAt, voteCloseAt), recover_url: recoverUrl }, channel);
 }
 
 export async function sendVoteReceipt({
@@ -130,27 +246,27 @@ export async function sendVoteReceipt({
   voteHash,
   receiptCode,
   verifyUrl,
-  chainPosition
+  chainPosition,
+  proxyName = "",
+  channel = "EMAIL"
 }) {
-  const technical = [
-    receiptCode ? block("Código de verificación", receiptCode) : null,
-    verifyUrl ? block("Enlace para validar tu voto", verifyUrl) : null,
-    voteHash ? block("Hash del voto", voteHash) : null,
-    chainPosition ? block("Posición en cadena", String(chainPosition)) : null
-  ].filter(Boolean).join("\n\n");
-
-  return sendPlain({
-    to,
-    subject: `Recibo de voto registrado - ${electionTitle}`,
-    text: `${header()}\nHola,\n\nTu voto fue registrado correctamente.\n\n${block("Campaña", electionTitle)}\n\n${unitBlock(unitLabel)}${block("Fecha y hora", castAt || new Date().toLocaleString("es-PE", { timeZone: "America/Lima" }))}\n\n${optionText ? block("Opción registrada", optionText) + "\n\n" : ""}Este es tu recibo de verificación.\n\n${technical}\n\nImportante:\nEste recibo no permite votar nuevamente ni modificar tu voto. Solo sirve para consultar el voto registrado en el sistema.\n\nPara validar tu voto, entra al enlace anterior e ingresa tu DNI/CE o correo electrónico.\n\n${footer()}`
-  });
+  return sendTemplate("vote_receipt", to, {
+    election_title: electionTitle,
+    unit_label: unitLabel,
+    cast_at: castAt || new Date().toLocaleString("es-PE", { timeZone: "America/Lima" }),
+    option_text: optionText,
+    vote_hash: voteHash,
+    receipt_code: receiptCode,
+    verify_url: verifyUrl,
+    chain_position: chainPosition ? String(chainPosition) : "",
+    proxy_name: proxyName
+  }, channel);
+}
+
+export async function sendVoteOtp({ to, code, electionTitle, unitLabel = null, minutes, channel = "EMAIL" }) {
+  return sendTemplate("vote_otp", to, { code, election_title: electionTitle, unit_label: unitLabel, minutes: String(minutes) }, channel);
 }
 
 export async function sendElectionSealed({ to, electionTitle, resultsUrl, hashesText, resultsText = "" }) {
-  const resultsBlock = resultsText ? block("Resultados", resultsText) + "\n\n" : "";
-  return sendPlain({
-    to,
-    subject: `Resultados sellados - ${electionTitle}`,
-    text: `${header()}\nHola,\n\nLa campaña fue cerrada y sellada correctamente.\n\n${block("Campaña", electionTitle)}\n\n${resultsBlock}${block("Resultados publicados", resultsUrl)}\n\n${block("Sello de integridad", hashesText)}\n\nEste sello permite verificar que los resultados no fueron modificados luego del cierre.\n\n${footer()}`
-  });
+  return sendTemplate("election_sealed", to, { election_title: electionTitle, results_url: resultsUrl, hashes_text: hashesText, results_text: resultsText });
 }
@@ -1,16 +1,56 @@
+// La sesión del panel vale solo en la organización donde se ingresó.
+function hasSession(req) {
+  return !!req.session?.admin?.id && req.session.admin.organizationId === req.organization?.id;
+}
+
+// Sin sesión va al ingreso. Con clave temporal (asignada por un admin) solo
+// puede cambiarla o salir.
+function redirectIfNotReady(req, res) {
+  if (!hasSession(req)) {
+    res.redirect("/admin/login");
+    return true;
+  }
+  if (req.session.admin.mustChangePassword && req.path !== "/admin/logout") {
+    res.redirect("/admin/clave");
+    return true;
+  }
+  return false;
+}
+
 export function requireAdmin(req, res, next) {
-  if (!req.session?.admin?.id) return res.redirect("/admin/login");
+  if (redirectIfNotReady(req, res)) return;
   if (req.session.admin.role !== "admin") return res.status(403).send("Acceso restringido a administradores.");
   return next();
 }
 
 export function requireFiscalOrAdmin(req, res, next) {
-  if (!req.session?.admin?.id) return res.redirect("/admin/login");
+  if (redirectIfNotReady(req, res)) return;
   if (!["admin", "fiscal"].includes(req.session.admin.role)) return res.status(403).send("Acceso restringido a fiscalización.");
   return next();
 }
 
 export function requireViewerOrAdmin(req, res, next) {
-  if (req.session?.admin?.id) return next();
-  return res.redirect("/admin/login");
+  if (redirectIfNotReady(req, res)) return;
+  // El operador de mesa solo usa la pantalla de voto presencial.
+  if (req.session.admin.role === "mesa") return res.redirect("/mesa");
+  return next();
+}
+
+export function requireMesaOrAdmin(req, res, next) {
+  if (redirectIfNotReady(req, res)) return;
+  if (!["admin", "mesa"].includes(req.session.admin.role)) return res.status(403).send("Acceso restringido a la mesa de votación presencial.");
+  return next();
+}
+
+// Cualquier usuario del panel, aunque deba cambiar su clave (página /admin/clave).
+export function requireLogin(req, res, next) {
+  if (!hasSession(req)) return res.redirect("/admin/login");
+  return next();
+}
+
+// Alta y edición de organizaciones (urbanizaciones) de la instalación.
+export function requireSuperAdmin(req, res, next) {
+  if (redirectIfNotReady(req, res)) return;
+  if (!req.session.admin.isSuperAdmin) return res.status(403).send("Acceso restringido al superadministrador.");
+  return next();
 }
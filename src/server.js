@@ -4,15 +4,21 @@ import session from "express-session";
 import rateLimit from "express-rate-limit";
 import bcrypt from "bcrypt";
 import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
 
 import multer from "multer";
 import path from "path";
 import fs from "fs";
 import crypto from "crypto";
 import { q, pool } from "./db.js";
-import { newToken, hashToken } from "./crypto.js";
-import { canMail, sendVoteLink, sendAdminInvite, sendRegistrationReceived, sendRegistrationRejected, sendVoteReceipt, sendElectionSealed, sendVotePendingReminder } from "./mailer.js";
-import { requireAdmin, requireFiscalOrAdmin, requireViewerOrAdmin } from "./middleware.js";
+import { parseCsv, headerKey } from "./csv.js";
+import { parseXlsx } from "./xlsx.js";
+import { runWithOrganization, runForAllOrganizations, currentOrganization, keepOrganization, DEFAULT_ORGANIZATION_ID } from "./tenant.js";
+import { newToken, hashToken, encryptJson, decryptJson } from "./crypto.js";
+import { newTotpSecret, verifyTotp, totpUri, newRecoveryCodes, normalizeRecoveryCode } from "./totp.js";
+import { CHANNELS, canSend, availableChannels, normalizePhone } from "./channels.js";
+import { canMail, sendVoteLink, sendAdminInvite, sendRegistrationReceived, sendRegistrationRejected, sendVoteReceipt, sendElectionSealed, sendVotePendingReminder, sendVoteOtp, sendAdminPasswordReset, EMAIL_TEMPLATES, BRANDING_VARS, getBranding, getEmailTemplate, defaultEmailTemplate, renderEmail, sendRendered } from "./mailer.js";
+import { requireAdmin, requireFiscalOrAdmin, requireViewerOrAdmin, requireMesaOrAdmin, requireLogin, requireSuperAdmin } from "./middleware.js";
 import { createActaPdfHandler } from "./actaPdf.js";
 import { createAudit } from "./audit.js";
 const auditEvent = createAudit({ q });
@@ -70,11 +76,68 @@ async function lockElectionChain(client, electionId, kind /* 'COUNCIL'|'FISCAL'|
   await client.query("SELECT pg_advisory_xact_lock($1, $2)", [ns, electionId]);
 }
 
+/**
+ * Peso (alícuota) de la unidad al momento de votar. Se copia al voto y entra
+ * al payload, así un cambio posterior en units.weight no altera votos emitidos.
+ * Se usa el texto numeric de Postgres tal cual para que el hash sea reproducible.
+ */
+async function unitWeightSnapshot(client, unitId) {
+  return (await client.query(`SELECT weight FROM units WHERE id=$1`, [unitId])).rows[0]?.weight ?? "1";
+}
+
+/**
+ * Canal del voto: DIGITAL (enlace/mesa) o PAPER (papeleta física transcrita).
+ * Solo los votos en papel llevan el canal en el payload, así los hashes de
+ * los votos digitales siguen siendo los mismos de siempre.
+ */
+function channelPayload(channel) {
+  return channel === "PAPER" ? { channel } : {};
+}
+
+/**
+ * Cambio de voto: el voto nuevo apunta al que reemplaza (supersedes) y ese id
+ * entra al payload. Los votos que no reemplazan a otro no lo llevan.
+ */
+function supersedesPayload(supersedes) {
+  return supersedes ? { supersedes } : {};
+}
+
+/**
+ * Voto vigente según la cadena: ningún voto posterior lo reemplaza. Los
+ * conteos usan el puntero supersedes (entra al hash) y no superseded_at.
+ */
+function currentVoteSql(table, alias) {
+  return `NOT EXISTS (SELECT 1 FROM ${table} sv WHERE sv.supersedes=${alias}.id)`;
+}
+
+/**
+ * Marca como reemplazados los votos vigentes de la unidad en la tabla dada,
+ * antes de insertar el voto nuevo (los índices *_one_per_unit_uidx solo miran
+ * votos vigentes). Un voto en papel no se reemplaza desde el enlace.
+ * Devuelve { rows: [{ id, question_id? }] } o { error }.
+ */
+async function supersedeCurrentVotes(client, table, electionId, unitId) {
+  const current = (await client.query(
+    `SELECT * FROM ${table}
+     WHERE election_id=$1 AND unit_id=$2 AND superseded_at IS NULL
+     FOR UPDATE`,
+    [electionId, unitId]
+  )).rows;
+  if (current.some(v => v.channel === "PAPER")) return { error: "La unidad votó con papeleta en papel; ese voto no se puede cambiar." };
+  if (current.length) {
+    await client.query(`UPDATE ${table} SET superseded_at=NOW() WHERE id = ANY($1::int[])`, [current.map(v => v.id)]);
+  }
+  return { rows: current };
+}
+
 async function insertCouncilVoteChained(client, {
   election_id,
   unit_id,
   candidate_id,
   token_id,
+  proxy_id = null,
+  channel = "DIGITAL",
+  supersedes = null,
   ip,
   user_agent
 }) {
@@ -96,11 +159,16 @@ async function insertCouncilVoteChained(client, {
   // fijamos cast_at desde DB (misma fuente de tiempo)
   const cast_at = (await client.query("SELECT now() AS t")).rows[0].t;
 
+  const weight = await unitWeightSnapshot(client, unit_id);
+
   const payload = {
     election_id,
     unit_id,
+    weight,
     candidate_id,
     token_id,
+    ...channelPayload(channel),
+    ...supersedesPayload(supersedes),
     cast_at,
     previous_hash,
     chain_position: nextPos
@@ -110,13 +178,13 @@ async function insertCouncilVoteChained(client, {
 
   const ins = await client.query(
     `INSERT INTO votes (
-       unit_id, candidate_id, token_id, cast_at, ip, user_agent, election_id,
+       unit_id, weight, candidate_id, token_id, proxy_id, channel, supersedes, cast_at, ip, user_agent, election_id,
        chain_position, previous_hash, vote_hash
      )
-     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
      RETURNING id`,
     [
-      unit_id, candidate_id, token_id, cast_at, ip, user_agent, election_id,
+      unit_id, weight, candidate_id, token_id, proxy_id, channel, supersedes, cast_at, ip, user_agent, election_id,
       nextPos, previous_hash, vote_hash
     ]
   );
@@ -129,6 +197,9 @@ async function insertFiscalVoteChained(client, {
   unit_id,
   fiscal_list_id,
   token_id,
+  proxy_id = null,
+  channel = "DIGITAL",
+  supersedes = null,
   ip,
   user_agent
 }) {
@@ -147,11 +218,16 @@ async function insertFiscalVoteChained(client, {
   const previous_hash = last?.vote_hash ?? "GENESIS";
   const cast_at = (await client.query("SELECT now() AS t")).rows[0].t;
 
+  const weight = await unitWeightSnapshot(client, unit_id);
+
   const payload = {
     election_id,
     unit_id,
+    weight,
     fiscal_list_id,
     token_id,
+    ...channelPayload(channel),
+    ...supersedesPayload(supersedes),
     cast_at,
     previous_hash,
     chain_position: nextPos
@@ -161,13 +237,13 @@ async function insertFiscalVoteChained(client, {
 
   const ins = await client.query(
     `INSERT INTO fiscal_votes (
-       election_id, unit_id, fiscal_list_id, token_id, cast_at, ip, user_agent,
+       election_id, unit_id, weight, fiscal_list_id, token_id, proxy_id, channel, supersedes, cast_at, ip, user_agent,
        chain_position, previous_hash, vote_hash
      )
-     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
      RETURNING id`,
     [
-      election_id, unit_id, fiscal_list_id, token_id, cast_at, ip, user_agent,
+      election_id, unit_id, weight, fiscal_list_id, token_id, proxy_id, channel, supersedes, cast_at, ip, user_agent,
       nextPos, previous_hash, vote_hash
     ]
   );
@@ -180,7 +256,12 @@ async function insertReferendumVoteChained(client, {
   unit_id,
   question_id,
   option_id,
+  choices,
+  is_blank,
   token_id,
+  proxy_id = null,
+  channel = "DIGITAL",
+  supersedes = null,
   ip,
   user_agent
 }) {
@@ -199,25 +280,32 @@ async function insertReferendumVoteChained(client, {
   const previous_hash = last?.vote_hash ?? "GENESIS";
   const cast_at = (await client.query("SELECT now() AS t")).rows[0].t;
 
-  const payload = { election_id, unit_id, question_id, option_id, token_id, cast_at, previous_hash, chain_position: nextPos };
+  const weight = await unitWeightSnapshot(client, unit_id);
+
+  // choices (selección completa, en orden de preferencia) e is_blank entran al hash.
+  const payload = { election_id, unit_id, weight, question_id, option_id, choices, is_blank, token_id, ...channelPayload(channel), ...supersedesPayload(supersedes), cast_at, previous_hash, chain_position: nextPos };
   const vote_hash = sha256Hex(JSON.stringify(payload));
 
   const ins = await client.query(
     `INSERT INTO referendum_votes (
-       election_id, question_id, option_id, unit_id, token_id, cast_at, ip, user_agent,
+       election_id, question_id, option_id, choices, is_blank, unit_id, weight, token_id, proxy_id, channel, supersedes, cast_at, ip, user_agent,
        chain_position, previous_hash, vote_hash
      )
-     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17)
      RETURNING id`,
-    [election_id, question_id, option_id, unit_id, token_id, cast_at, ip, user_agent, nextPos, previous_hash, vote_hash]
+    [election_id, question_id, option_id, choices, is_blank, unit_id, weight, token_id, proxy_id, channel, supersedes, cast_at, ip, user_agent, nextPos, previous_hash, vote_hash]
   );
 
   return { id: ins.rows[0].id, chain_position: nextPos, previous_hash, vote_hash, cast_at };
 }
 
 
-// Cloudflare/Nginx proxy
-app.set("trust proxy", 1);
+// Cloudflare/Nginx proxy: TRUST_PROXY_HOPS es la cantidad de proxies propios
+// delante de la app (solo Nginx = 1, Cloudflare + Nginx = 2). req.ip sale de
+// X-Forwarded-For contando esos saltos desde el final, así que el cliente no
+// puede elegir su IP con una cabecera; los límites por IP usan req.ip.
+const TRUST_PROXY_HOPS = Number(process.env.TRUST_PROXY_HOPS ?? 1);
+app.set("trust proxy", TRUST_PROXY_HOPS);
 
 // SECURITY_HEADERS_PROD_GUARD
 app.use((req, res, next) => {
@@ -262,6 +350,143 @@ app.use(rateLimit({
   legacyHeaders: false
 }));
 
+/* =========================
+   ORGANIZACIÓN DEL PEDIDO
+========================= */
+// Cada urbanización es una organización con sus unidades, padrón, campañas,
+// usuarios del panel, calles, marca y remitente. La organización del pedido sale de:
+//   hostname propio (organizations.hostname)
+//   /o/:slug/...   prefijo; se recuerda en la sesión para los siguientes pedidos
+//   la recordada en la sesión o, sin ninguna, la organización 1 (la original)
+// Los enlaces que salen del sistema (correos, invitaciones) llevan siempre el
+// hostname o el prefijo (ver baseUrl), así no dependen de la sesión.
+// El resto del pedido corre dentro de runWithOrganization: q() y withTx fijan
+// app.org_id y Postgres filtra cada tabla (row-level security).
+async function findOrganization(column, value) {
+  if (!["id", "slug", "hostname"].includes(column) || value == null || value === "") return null;
+  return (await q(`SELECT * FROM organizations WHERE ${column}=$1`, [value])).rows[0] || null;
+}
+
+app.use(async (req, res, next) => {
+  let org;
+  try {
+    org = await findOrganization("hostname", String(req.hostname || "").toLowerCase());
+    const m = !org && /^\/o\/([a-z0-9-]+)(\/.*)?$/.exec(req.url);
+    if (m) {
+      org = await findOrganization("slug", m[1]);
+      if (!org) return res.status(404).send("Organización no encontrada.");
+      req.url = m[2] || "/";
+      req.session.organizationId = org.id;
+    }
+    if (!org && req.session.organizationId) {
+      org = await findOrganization("id", req.session.organizationId);
+      if (!org?.enabled) {
+        delete req.session.organizationId;
+        org = null;
+      }
+    }
+    if (!org) org = await findOrganization("id", DEFAULT_ORGANIZATION_ID);
+  } catch (e) {
+    console.error("organization lookup failed", e);
+    return res.status(500).send("Error resolviendo la organización.");
+  }
+  if (!org || !org.enabled) return res.status(404).send("Organización no encontrada.");
+
+  req.organization = org;
+  res.locals.organization = org;
+  runWithOrganization(org, next);
+});
+
+// Los procesos de fondo buscan trabajo en todas las organizaciones y atienden
+// cada campaña o correo como la organización dueña.
+async function asOrganization(organizationId, fn) {
+  const org = await findOrganization("id", organizationId);
+  if (!org) return null;
+  return runWithOrganization(org, fn);
+}
+
+/* =========================
+   CAMPAÑA DEL PEDIDO
+========================= */
+// Varias campañas pueden estar activas a la vez. La campaña de cada pedido sale de:
+//   /c/:electionId/...         rutas públicas (portada, registro, votar, perdí mi enlace, mesa)
+//   /admin/elections/:id/...   panel de una campaña (solicitudes, resultados, sellado...)
+//   /votar/:token              el enlace de voto (enlaces enviados antes de /c/)
+//   /admin/solicitudes/:id     la solicitud
+// Las rutas con prefijo se reescriben a la ruta sin prefijo y dejan req.campaignId;
+// campaignBase / adminBase quedan en res.locals para armar enlaces en las vistas y
+// los redirect a rutas de campaña conservan el prefijo.
+const CAMPAIGN_PUBLIC_PATH = /^\/(?:(?:registro|votar|perdi-mi-enlace|mesa)(?:[/?]|$)|(?:\?|$))/;
+const CAMPAIGN_ADMIN_PATH = /^\/admin(?:\/(?:solicitudes|resultados|votacion|directiva|fiscales|papeletas|recordatorios-voto|fiscalizacion|election|seal|notifications|verify|acta\.pdf|export|print|padron_v2\.pdf|poderes|residentes\/importar-campana)(?:[/?]|$)|(?:\?|$))/;
+const CAMPAIGN_ELECTION_ACTIONS = ["activate", "close"];
+
+async function campaignFromEntity(path) {
+  let m = /^\/votar\/([^/?]+)/.exec(path);
+  if (m) {
+    let raw;
+    try { raw = decodeURIComponent(m[1]); } catch { return null; }
+    return (await q(`SELECT election_id FROM vote_tokens WHERE token_hash=$1`, [hashToken(raw)])).rows[0]?.election_id ?? null;
+  }
+  m = /^\/admin\/solicitudes\/(\d+)(?:[/?]|$)/.exec(path);
+  if (m) return (await q(`SELECT election_id FROM registrations WHERE id=$1`, [Number(m[1])])).rows[0]?.election_id ?? null;
+  return null;
+}
+
+app.use(async (req, res, next) => {
+  res.locals.campaignBase = "";
+  res.locals.adminBase = "/admin";
+
+  let m = /^\/c\/(\d+)(\/.*)?$/.exec(req.url);
+  if (m && CAMPAIGN_PUBLIC_PATH.test(m[2] || "/")) {
+    req.campaignId = Number(m[1]);
+    req.url = m[2] || "/";
+  } else if ((m = /^\/admin\/elections\/(\d+)(\/.*)?$/.exec(req.url)) && !CAMPAIGN_ELECTION_ACTIONS.includes(String(m[2] || "").split(/[/?]/)[1])) {
+    req.campaignId = Number(m[1]);
+    req.url = "/admin" + (m[2] || "");
+    res.locals.adminBase = `/admin/elections/${req.campaignId}`;
+  } else {
+    try {
+      req.campaignId = await campaignFromEntity(req.path);
+    } catch (e) {
+      console.error("campaign scope lookup failed", e);
+      return res.status(500).send("Error resolviendo la campaña.");
+    }
+    if (req.campaignId && req.path.startsWith("/admin/")) res.locals.adminBase = `/admin/elections/${req.campaignId}`;
+  }
+  if (!req.campaignId) return next();
+  if (!req.path.startsWith("/admin")) res.locals.campaignBase = campaignPath(req.campaignId);
+
+  const redirect = res.redirect.bind(res);
+  res.redirect = (...args) => {
+    const i = args.length - 1;
+    const url = args[i];
+    if (typeof url === "string") {
+      if (res.locals.campaignBase && CAMPAIGN_PUBLIC_PATH.test(url)) args[i] = res.locals.campaignBase + (url === "/" ? "" : url);
+      else if (res.locals.adminBase !== "/admin" && CAMPAIGN_ADMIN_PATH.test(url)) args[i] = res.locals.adminBase + url.slice("/admin".length);
+    }
+    return redirect(...args);
+  };
+  next();
+});
+
+// Tablet en modo mesa: mientras el vecino tiene la tablet, la sesión del operador
+// solo sirve para votar con el token presencial entregado y para volver a /mesa
+// (que reinicia la tablet). El resto del sitio queda bloqueado.
+app.use((req, res, next) => {
+  const m = req.session?.mesa;
+  if (!m) return next();
+  if (req.method === "GET" && req.path === "/mesa") return next();
+
+  const v = /^\/votar\/([^/]+)(?:\/|$)/.exec(req.path);
+  let raw = null;
+  if (v) {
+    try { raw = decodeURIComponent(v[1]); } catch { raw = null; }
+  }
+  if (raw && m.token_hash && hashToken(raw) === m.token_hash) return next();
+
+  return res.status(403).send("Tablet en modo mesa: solo se puede votar con la papeleta entregada. El operador la reinicia volviendo a la mesa.");
+});
+
 // Bloqueo global post-sellado: una campaña sellada queda congelada.
 app.use(async (req, res, next) => {
   if (!["POST", "PUT", "PATCH", "DELETE"].includes(req.method)) return next();
@@ -281,6 +506,8 @@ app.use(async (req, res, next) => {
   const sealedCampaignMutation =
     req.path.startsWith("/votar/") ||
     req.path.startsWith("/admin/solicitudes") ||
+    req.path.startsWith("/mesa") ||
+    req.path.startsWith("/admin/papeletas") ||
     req.path.startsWith("/admin/votacion") ||
     req.path.startsWith("/admin/directiva") ||
     req.path.startsWith("/admin/fiscales") ||
@@ -291,8 +518,9 @@ app.use(async (req, res, next) => {
   if (!sealedCampaignMutation) return next();
 
   try {
-    const election = await getActiveElection();
-    if (election && await isElectionSealed(election.id)) {
+    // La campaña que se modifica: la de la ruta o, sin prefijo, la activa por defecto.
+    const electionId = req.campaignId || (await getActiveElection(req))?.id;
+    if (electionId && await isElectionSealed(electionId)) {
       return res.status(403).send("La campaña ya fue sellada. No se permiten cambios ni nuevos votos. Puedes desactivarla desde el panel para cerrar la publicación activa.");
     }
   } catch (e) {
@@ -320,43 +548,47 @@ async function computeGlobalHash(client, electionId, kind /* 'COUNCIL' | 'FISCAL
   return { globalHash, totalVotes: rows.length };
 }
 
-app.post("/admin/seal", requireAdmin, async (req, res) => {
-  const election = await getActiveElection();
-  if (!election) return res.status(400).send("No hay elección activa.");
-
-  // SEAL_IDEMPOTENT_ALREADY_SEALED
-  const existingSeals = (await q(`SELECT kind, global_hash AS "globalHash", total_votes AS "totalVotes" FROM election_seals WHERE election_id=$1 ORDER BY kind ASC`, [election.id])).rows;
-  if (existingSeals.length) {
-    const council = existingSeals.find(s => s.kind === "COUNCIL") || null;
-    const fiscal = existingSeals.find(s => s.kind === "FISCAL") || null;
-    const referendum = existingSeals.find(s => s.kind === "REFERENDUM") || null;
-    return res.render("seal_result", { election, council, fiscal, referendum });
-  }
-
+// Sella la campaña bajo pg_advisory_xact_lock(99, id). Vuelve a mirar los sellos
+// dentro del lock: si otra instancia (o el programador) ya selló, devuelve
+// sealed=false con los sellos existentes y no audita nada.
+async function sealElection(election, actorAdminId, auditMeta = {}) {
   const c = await pool.connect();
   try {
     await c.query("BEGIN");
     await c.query("SELECT pg_advisory_xact_lock($1, $2)", [99, election.id]);
 
+    const existingSeals = (await c.query(`SELECT kind, global_hash AS "globalHash", total_votes AS "totalVotes" FROM election_seals WHERE election_id=$1 ORDER BY kind ASC`, [election.id])).rows;
+    if (existingSeals.length) {
+      await c.query("ROLLBACK");
+      return {
+        sealed: false,
+        council: existingSeals.find(s => s.kind === "COUNCIL") || null,
+        fiscal: existingSeals.find(s => s.kind === "FISCAL") || null,
+        referendum: existingSeals.find(s => s.kind === "REFERENDUM") || null
+      };
+    }
+
     let council = null;
     let fiscal = null;
     let referendum = null;
 
     if (election.kind === "VOTACION") {
+      // Una sola cadena por campaña: el sello cubre las respuestas de todas las preguntas.
       referendum = await computeGlobalHash(c, election.id, "REFERENDUM");
+      const results = sealResultsSnapshot(await getResultSections(election, c));
       await c.query(
-        `INSERT INTO election_seals (election_id, kind, global_hash, total_votes, created_by_admin_id)
-         VALUES ($1,$2,$3,$4,$5)
+        `INSERT INTO election_seals (election_id, kind, global_hash, total_votes, created_by_admin_id, meta_json)
+         VALUES ($1,$2,$3,$4,$5,$6)
          ON CONFLICT (election_id, kind) DO NOTHING`,
-        [election.id, "REFERENDUM", referendum.globalHash, referendum.totalVotes, req.session.admin.id]
+        [election.id, "REFERENDUM", referendum.globalHash, referendum.totalVotes, actorAdminId, { question_ids: results.map(r => r.question_id), results }]
       );
     } else {
       council = await computeGlobalHash(c, election.id, "COUNCIL");
       await c.query(
-        `INSERT INTO election_seals (election_id, kind, global_hash, total_votes, created_by_admin_id)
-         VALUES ($1,$2,$3,$4,$5)
+        `INSERT INTO election_seals (election_id, kind, global_hash, total_votes, created_by_admin_id, meta_json)
+         VALUES ($1,$2,$3,$4,$5,$6)
          ON CONFLICT (election_id, kind) DO NOTHING`,
-        [election.id, "COUNCIL", council.globalHash, council.totalVotes, req.session.admin.id]
+        [election.id, "COUNCIL", council.globalHash, council.totalVotes, actorAdminId, { results: sealResultsSnapshot(await getResultSections(election, c)) }]
       );
 
       fiscal = await computeGlobalHash(c, election.id, "FISCAL");
@@ -364,32 +596,44 @@ app.post("/admin/seal", requireAdmin, async (req, res) => {
         `INSERT INTO election_seals (election_id, kind, global_hash, total_votes, created_by_admin_id)
          VALUES ($1,$2,$3,$4,$5)
          ON CONFLICT (election_id, kind) DO NOTHING`,
-        [election.id, "FISCAL", fiscal.globalHash, fiscal.totalVotes, req.session.admin.id]
+        [election.id, "FISCAL", fiscal.globalHash, fiscal.totalVotes, actorAdminId]
       );
     }
 
     await c.query("COMMIT");
 
     await audit("ELECTION_SEALED", {
-      actor_admin_id: req.session.admin.id,
+      actor_admin_id: actorAdminId,
       election_id: election.id,
-      meta_json: { council, fiscal, referendum }
+      meta_json: { council, fiscal, referendum, ...auditMeta }
     });
 
-    return res.render("seal_result", { election, council, fiscal, referendum });
+    return { sealed: true, council, fiscal, referendum };
   } catch (e) {
     await c.query("ROLLBACK");
-    console.error(e);
-    return res.status(500).send("Error sellando elección.");
+    throw e;
   } finally {
     c.release();
   }
-});
+}
 
-app.post("/admin/notifications/sealed", requireAdmin, async (req, res) => {
-  const election = await getActiveElection();
-  if (!election) return res.status(500).send("No hay campaña activa.");
+app.post("/admin/seal", requireAdmin, async (req, res) => {
+  const election = await getActiveElection(req);
+  if (!election) return res.status(400).send("No hay elección activa.");
+
+  try {
+    // SEAL_IDEMPOTENT_ALREADY_SEALED: si ya estaba sellada se muestran los sellos existentes.
+    const { council, fiscal, referendum } = await sealElection(election, req.session.admin.id);
+    return res.render("seal_result", { election, council, fiscal, referendum });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).send("Error sellando elección.");
+  }
+});
 
+// Envía el correo de resultados sellados a los aprobados. Devuelve null si la
+// campaña todavía no tiene sellos.
+async function notifySealedResults(election, actorAdminId, auditMeta = {}) {
   const seals = (await q(
     `SELECT kind, global_hash, total_votes, created_at
      FROM election_seals
@@ -398,7 +642,7 @@ app.post("/admin/notifications/sealed", requireAdmin, async (req, res) => {
     [election.id]
   )).rows;
 
-  if (!seals.length) return res.status(400).send("La campaña todavía no tiene sellos. Primero usa Cerrar y Sellar Campaña.");
+  if (!seals.length) return null;
 
   const recipients = (await q(
     `SELECT id, email
@@ -411,31 +655,14 @@ app.post("/admin/notifications/sealed", requireAdmin, async (req, res) => {
   const hashesText = seals.map(s => `${s.kind}: ${s.global_hash} (votos: ${s.total_votes})`).join("\n");
   const resultsUrl = absoluteUrl(`/resultados/${election.id}`);
 
-  let resultRows = [];
-  if (election.kind === "VOTACION") {
-    resultRows = (await q(
-      `SELECT ro.option_label AS code, ro.option_text AS name, COUNT(rv.id)::int AS votes
-       FROM referendum_options ro
-       LEFT JOIN referendum_votes rv ON rv.option_id=ro.id AND rv.election_id=$1
-       WHERE ro.election_id=$1
-       GROUP BY ro.id
-       ORDER BY ro.sort_order ASC, ro.id ASC`,
-      [election.id]
-    )).rows;
-  } else {
-    resultRows = (await q(
-      `SELECT c.list_code AS code, c.name, COUNT(v.id)::int AS votes
-       FROM candidates c
-       LEFT JOIN votes v ON v.candidate_id=c.id AND v.election_id=$1
-       WHERE c.election_id=$1
-       GROUP BY c.id
-       ORDER BY c.sort_order ASC, c.id ASC`,
-      [election.id]
-    )).rows;
-  }
-  const resultsText = resultRows.map(r => `${r.code ? r.code + ". " : ""}${r.name}: ${r.votes} voto(s)`).join("\n");
+  const sections = await getResultSections(election);
+  const quorum = sections[0]?.quorum;
+  const resultsText = (quorum ? `Quórum: ${quorum.summary}\n\n` : "") + sections.map(s => {
+    const lines = resultSectionLines(s).join("\n");
+    return sections.length > 1 ? `${s.title}\n${lines}` : lines;
+  }).join("\n\n");
 
-  let sent = 0;
+  let queued = 0;
   let failed = 0;
   for (const r of recipients) {
     const ok = await sendEmailNotification({
@@ -444,17 +671,28 @@ app.post("/admin/notifications/sealed", requireAdmin, async (req, res) => {
       election_id: election.id,
       registration_id: r.id,
       meta_json: { hashes: seals.map(s => ({ kind: s.kind, global_hash: s.global_hash, total_votes: s.total_votes })) },
-      send: () => sendElectionSealed({ to: r.email, electionTitle: election.title, resultsUrl, hashesText, resultsText })
+      mailer: "sendElectionSealed",
+      args: { to: r.email, electionTitle: election.title, resultsUrl, hashesText, resultsText }
     });
-    if (ok) sent++; else failed++;
+    if (ok) queued++; else failed++;
   }
 
-  await audit("SEALED_RESULTS_NOTIFIED", { actor_admin_id: req.session.admin.id, election_id: election.id, meta_json: { sent, failed, total: recipients.length }});
+  await audit("SEALED_RESULTS_NOTIFIED", { actor_admin_id: actorAdminId, election_id: election.id, meta_json: { queued, failed, total: recipients.length, ...auditMeta }});
+  return { queued, failed, total: recipients.length };
+}
+
+app.post("/admin/notifications/sealed", requireAdmin, async (req, res) => {
+  const election = await getActiveElection(req);
+  if (!election) return res.status(500).send("No hay campaña activa.");
+
+  const result = await notifySealedResults(election, req.session.admin.id);
+  if (!result) return res.status(400).send("La campaña todavía no tiene sellos. Primero usa Cerrar y Sellar Campaña.");
+
   res.redirect("/admin");
 });
 
 app.get("/admin/verify", requireViewerOrAdmin, async (req, res) => {
-  const election = await getActiveElection();
+  const election = await getActiveElection(req);
   if (!election) {
     const latestFinished = await getLatestFinishedElection();
     return res.render("no_active", { latestFinished });
@@ -463,7 +701,7 @@ app.get("/admin/verify", requireViewerOrAdmin, async (req, res) => {
 });
 
 app.post("/admin/verify", requireViewerOrAdmin, async (req, res) => {
-  const election = await getActiveElection();
+  const election = await getActiveElection(req);
   if (!election) {
     const latestFinished = await getLatestFinishedElection();
     return res.render("no_active", { latestFinished });
@@ -506,11 +744,10 @@ app.post("/admin/verify", requireViewerOrAdmin, async (req, res) => {
 });
 
 
-const STREETS = [
-  "Jr. El Visitador",
-  "Calle El Pacificador",
-  "Calle El Inquisidor"
-];
+// Calles de la urbanización del pedido (organizations.streets).
+function organizationStreets() {
+  return currentOrganization()?.streets || [];
+}
 
 function now() { return new Date(); }
 
@@ -530,8 +767,21 @@ async function audit(event, meta = {}) {
   );
 }
 
+// Eventos que dispara el propio servidor (programadores): sin actor_admin_id.
+function systemAuditMeta(trigger) {
+  return { actor: "SYSTEM", trigger };
+}
+
+// URL pública de la organización del pedido: su hostname propio o BASE_URL
+// con el prefijo /o/:slug. También la organización original lleva prefijo:
+// sin él, un enlace abierto en un navegador que antes visitó otra
+// organización se resolvería con la recordada en la sesión.
 function baseUrl() {
-  return String(process.env.BASE_URL || "").replace(/\/$/, "");
+  const org = currentOrganization();
+  if (org?.hostname) return `https://${org.hostname}`;
+  const b = String(process.env.BASE_URL || "").replace(/\/$/, "");
+  if (org) return `${b}/o/${org.slug}`;
+  return b;
 }
 
 function absoluteUrl(path) {
@@ -540,45 +790,85 @@ function absoluteUrl(path) {
   return b + path;
 }
 
-async function logNotification({ election_id = null, registration_id = null, admin_user_id = null, template, recipient, status, error = null, meta_json = {} }) {
+async function logNotification({ election_id = null, registration_id = null, admin_user_id = null, channel = "EMAIL", template, recipient, status, error = null, meta_json = {} }) {
   try {
     await q(
       `INSERT INTO notification_log(election_id, registration_id, admin_user_id, channel, template, recipient, status, error, meta_json)
-       VALUES ($1,$2,$3,'EMAIL',$4,$5,$6,$7,$8)`,
-      [election_id, registration_id, admin_user_id, template, recipient, status, error, meta_json]
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
+      [election_id, registration_id, admin_user_id, channel, template, recipient, status, error, meta_json]
     );
   } catch (e) {
     console.error("notification_log failed", e);
   }
 }
 
-async function sendEmailNotification({ template, recipient, election_id = null, registration_id = null, admin_user_id = null, meta_json = {}, send }) {
+// Avisos que pueden salir por SMS/WhatsApp (aprobación, recordatorio, recibo y
+// código para abrir la papeleta).
+const CHANNEL_MAILERS = ["sendVoteLink", "sendVotePendingReminder", "sendVoteReceipt", "sendVoteOtp"];
+
+// Encola el aviso en email_outbox; el worker de la cola lo envía (ver COLA DE
+// CORREOS). mailer es el nombre de la función de mailer.js y args sus
+// parámetros, que se guardan cifrados. channel es el canal preferido del
+// vecino: si el aviso no lo admite, el canal no tiene proveedor o el teléfono
+// no es válido, se envía por correo. priority > 0 adelanta el mensaje al resto
+// de la cola (códigos de un solo uso). Devuelve true si quedó en cola.
+async function sendEmailNotification({ template, recipient, election_id = null, registration_id = null, admin_user_id = null, meta_json = {}, mailer, args, channel = "EMAIL", phone = null, priority = 0 }) {
+  if (channel !== "EMAIL") {
+    const to = normalizePhone(phone);
+    if (CHANNEL_MAILERS.includes(mailer) && canSend(channel) && to) {
+      recipient = to;
+      args = { ...args, to, channel };
+    } else {
+      meta_json = { ...meta_json, channel_fallback: channel };
+      channel = "EMAIL";
+    }
+  }
+
   if (!recipient) {
-    await logNotification({ election_id, registration_id, admin_user_id, template, recipient: "", status: "SKIPPED", error: "missing recipient", meta_json });
+    await logNotification({ election_id, registration_id, admin_user_id, channel, template, recipient: "", status: "SKIPPED", error: "missing recipient", meta_json });
     return false;
   }
 
-  if (!canMail()) {
-    await logNotification({ election_id, registration_id, admin_user_id, template, recipient, status: "SKIPPED", error: "SMTP not configured", meta_json });
+  if (channel === "EMAIL" && !canMail()) {
+    await logNotification({ election_id, registration_id, admin_user_id, channel, template, recipient, status: "SKIPPED", error: "SMTP not configured", meta_json });
     return false;
   }
 
   try {
-    await send();
-    await logNotification({ election_id, registration_id, admin_user_id, template, recipient, status: "SENT", meta_json });
+    await q(
+      `INSERT INTO email_outbox(election_id, registration_id, admin_user_id, channel, template, recipient, mailer, payload, meta_json, max_attempts, priority)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)`,
+      [election_id, registration_id, admin_user_id, channel, template, recipient, mailer, encryptJson(args), meta_json, OUTBOX_MAX_ATTEMPTS, priority]
+    );
     return true;
   } catch (e) {
-    await logNotification({ election_id, registration_id, admin_user_id, template, recipient, status: "FAILED", error: String(e?.message || e), meta_json });
-    console.error("email " + template + " failed", e);
+    await logNotification({ election_id, registration_id, admin_user_id, channel, template, recipient, status: "FAILED", error: "enqueue failed: " + String(e?.message || e), meta_json });
+    console.error("email " + template + " enqueue failed", e);
     return false;
   }
 }
 
-async function getActiveElection() {
-  const r = await q(`SELECT * FROM elections WHERE is_active=true LIMIT 1`);
+// Campaña del pedido: la que indica la ruta (/c/:electionId/..., /admin/elections/:id/...,
+// el enlace de voto o la solicitud; ver "CAMPAÑA DEL PEDIDO") o, si no indica
+// ninguna, la activada más recientemente. Con una sola campaña activa todo
+// funciona como antes.
+async function getActiveElection(req = null) {
+  if (req?.campaignId) {
+    return (await q(`SELECT * FROM elections WHERE id=$1 AND is_active=true`, [req.campaignId])).rows[0] || null;
+  }
+  const r = await q(`SELECT * FROM elections WHERE is_active=true ORDER BY activated_at DESC NULLS LAST, id DESC LIMIT 1`);
   return r.rows[0] || null;
 }
 
+async function getActiveElections() {
+  return (await q(`SELECT * FROM elections WHERE is_active=true ORDER BY activated_at DESC NULLS LAST, id DESC`)).rows;
+}
+
+// Ruta pública de una campaña, p. ej. campaignPath(5, "/registro") -> "/c/5/registro".
+function campaignPath(electionId, path = "") {
+  return `/c/${electionId}${path}`;
+}
+
 async function isElectionSealed(electionId) {
   const r = await q(`SELECT 1 FROM election_seals WHERE election_id=$1 LIMIT 1`, [electionId]);
   return r.rows.length > 0;
@@ -598,27 +888,70 @@ function unitLabel(street, number, unit_extra) {
   return `${street.trim()} - ${String(number).trim()}${extra}`;
 }
 
-async function findOrCreateUnit({ street, number, unit_extra }) {
+function validUnitWeight(raw) {
+  const v = String(raw ?? "").trim();
+  return !v || Number(v) > 0;
+}
+
+// Alícuota de la unidad. Los votos ya emitidos conservan el peso copiado al votar.
+async function updateUnitWeight(unitId, raw, adminId) {
+  const v = String(raw ?? "").trim();
+  if (!v) return;
+  const before = (await q(`SELECT weight FROM units WHERE id=$1`, [unitId])).rows[0]?.weight;
+  const after = (await q(`UPDATE units SET weight=$1 WHERE id=$2 RETURNING weight`, [Number(v), unitId])).rows[0]?.weight;
+  if (before !== after) {
+    await audit("UNIT_WEIGHT_UPDATED", { actor_admin_id: adminId, unit_id: unitId, meta_json: { from: before, to: after } });
+  }
+}
+
+// Busca la unidad por su forma canónica (unit_key): "A-101", "a 101" y
+// "A_101" son la misma. Ver migrations/20261019_unit_catalogue.sql.
+async function findUnit({ street, number, unit_extra }, db = { query: q }) {
+  return (await db.query(
+    `SELECT id, label, enabled, review_requested_at FROM units
+     WHERE street=$1 AND unit_key(number)=unit_key($2) AND unit_key(unit_extra)=unit_key($3)
+     ORDER BY enabled DESC, id ASC
+     LIMIT 1`,
+    [street.trim(), String(number).trim(), (unit_extra || "").trim()]
+  )).rows[0] || null;
+}
+
+async function findOrCreateUnit({ street, number, unit_extra, block = null }, { enabled = true, review = false } = {}, db = { query: q }) {
   const streetN = street.trim();
   const numberN = String(number).trim();
   const extraN = (unit_extra || "").trim() || null;
 
-  const existing = await q(
-    `SELECT id, label FROM units WHERE street=$1 AND number=$2 AND (unit_extra IS NOT DISTINCT FROM $3::text) LIMIT 1`,
-    [streetN, numberN, extraN]
-  );
-  if (existing.rows.length) return existing.rows[0];
+  const existing = await findUnit({ street: streetN, number: numberN, unit_extra: extraN }, db);
+  if (existing) return existing;
 
   const label = unitLabel(streetN, numberN, extraN);
-  const created = await q(
-    `INSERT INTO units(label, street, number, unit_extra, enabled)
-     VALUES ($1,$2,$3,$4,true)
-     RETURNING id, label`,
-    [label, streetN, numberN, extraN]
+  const created = await db.query(
+    `INSERT INTO units(label, street, number, unit_extra, block, enabled, review_requested_at)
+     VALUES ($1,$2,$3,$4,$5,$6,CASE WHEN $7 THEN now() END)
+     RETURNING id, label, enabled, review_requested_at`,
+    [label, streetN, numberN, extraN, cleanText(block), enabled, review]
   );
   return created.rows[0];
 }
 
+// Unidad escrita a mano en el registro porque no estaba en el selector. Si ya
+// existe se usa; si no, organizations.unlisted_units decide si se crea
+// habilitada, pendiente de revisión o si se rechaza.
+async function unlistedRegistrationUnit(election, address) {
+  const found = await findUnit(address);
+  if (found && (found.enabled || found.review_requested_at)) return { unit: found };
+  if (found) return { error: "Esa unidad no está habilitada para votar. Comunícate con el Consejo Directivo." };
+
+  const mode = currentOrganization()?.unlisted_units || "REVIEW";
+  if (mode === "REJECT") return { error: "Elige tu unidad de la lista. Si no aparece, comunícate con el Consejo Directivo." };
+
+  const unit = await findOrCreateUnit(address, mode === "OPEN" ? {} : { enabled: false, review: true });
+  if (!unit.enabled) {
+    await audit("UNIT_REVIEW_REQUESTED", { election_id: election.id, unit_id: unit.id, meta_json: { label: unit.label } });
+  }
+  return { unit };
+}
+
 function toLimaOffset(dtLocal) {
   // dtLocal = "YYYY-MM-DDTHH:MM" (sin zona)
   // lo guardamos explícito en Lima: "-05:00"
@@ -629,6 +962,11 @@ function toLimaOffset(dtLocal) {
 const UPLOAD_DIR = path.resolve("uploads/plans");
 fs.mkdirSync(UPLOAD_DIR, { recursive: true });
 
+// Cartas poder: suben por el mismo `upload` y se mueven aquí, fuera de /plan,
+// porque contienen datos personales y solo se sirven a administradores.
+const PROXY_DIR = path.resolve("uploads/poderes");
+fs.mkdirSync(PROXY_DIR, { recursive: true });
+
 function randName(ext = ".pdf") {
   return crypto.randomBytes(24).toString("hex") + ext;
 }
@@ -670,43 +1008,453 @@ async function getCouncilListsWithMembers(electionId) {
   return lists.map(l => ({ ...l, members: bySlate.get(l.id) || [] }));
 }
 
-async function getReferendumForElection(electionId) {
-  const question = (await q(
-    `SELECT * FROM referendum_questions WHERE election_id=$1 ORDER BY sort_order ASC, id ASC LIMIT 1`,
+// Una campaña VOTACION puede tener N preguntas, cada una con sus opciones.
+async function getReferendumForElection(electionId, db = { query: q }) {
+  const questions = (await db.query(
+    `SELECT * FROM referendum_questions WHERE election_id=$1 ORDER BY sort_order ASC, id ASC`,
+    [electionId]
+  )).rows;
+
+  const options = (await db.query(
+    `SELECT * FROM referendum_options WHERE election_id=$1 ORDER BY sort_order ASC, id ASC`,
     [electionId]
-  )).rows[0] || null;
-  if (!question) return { question: null, options: [] };
-  const options = (await q(
-    `SELECT * FROM referendum_options WHERE election_id=$1 AND question_id=$2 ORDER BY sort_order ASC, id ASC`,
-    [electionId, question.id]
   )).rows;
-  return { question, options };
+
+  const byQuestion = new Map();
+  for (const o of options) {
+    if (!byQuestion.has(o.question_id)) byQuestion.set(o.question_id, []);
+    byQuestion.get(o.question_id).push(o);
+  }
+
+  return { questions: questions.map(qq => ({ ...qq, options: byQuestion.get(qq.id) || [] })) };
+}
+
+const BALLOT_TYPES = ["SINGLE", "APPROVAL", "RANKED"];
+
+// Texto legible de la selección de una fila de referendum_votes (requiere alias rv y rq).
+const REFERENDUM_SELECTION_SQL = `CASE WHEN rv.is_blank THEN 'Voto en blanco' ELSE (
+  SELECT string_agg(
+           CASE WHEN rq.ballot_type='RANKED' THEN x.ord || 'º ' ELSE '' END
+           || COALESCE(NULLIF(o.option_label, '') || '. ', '') || o.option_text,
+           '; ' ORDER BY x.ord)
+  FROM unnest(COALESCE(rv.choices, ARRAY[rv.option_id])) WITH ORDINALITY AS x(id, ord)
+  JOIN referendum_options o ON o.id=x.id
+) END`;
+
+function ballotTypeLabel(question) {
+  if (question.ballot_type === "APPROVAL") {
+    const k = question.max_choices || question.options?.length;
+    return k ? `Aprobación: hasta ${k} opción(es)` : "Aprobación: varias opciones";
+  }
+  if (question.ballot_type === "RANKED") return "Preferencias ordenadas (segunda vuelta instantánea)";
+  return "Una opción";
+}
+
+// Lee la respuesta de una pregunta desde el formulario de votación.
+// Devuelve { choices, is_blank } o { error }. choices va en orden de preferencia.
+function parseReferendumAnswer(question, body) {
+  const raw = body[`option_${question.id}`];
+  const values = (Array.isArray(raw) ? raw : [raw]).filter(v => v !== undefined && v !== "");
+  const optionIds = question.options.map(o => Number(o.id));
+
+  const ranks = [];
+  if (question.ballot_type === "RANKED") {
+    for (const id of optionIds) {
+      const rank = Number(body[`rank_${question.id}_${id}`]);
+      if (rank) ranks.push({ id, rank });
+    }
+  }
+
+  if (values.includes("BLANK")) {
+    if (!question.allow_blank) return { error: "Esta pregunta no admite voto en blanco." };
+    if (values.length > 1 || ranks.length) return { error: "El voto en blanco no se puede combinar con otras opciones." };
+    return { choices: [], is_blank: true };
+  }
+
+  if (question.ballot_type === "RANKED") {
+    ranks.sort((a, b) => a.rank - b.rank);
+    if (!ranks.length) return { error: "Ordena al menos una opción en cada pregunta." };
+    if (ranks.some((r, i) => r.rank !== i + 1)) return { error: "Las preferencias deben ser 1, 2, 3... sin repetir ni saltar números." };
+    if (question.max_choices && ranks.length > question.max_choices) return { error: `Puedes ordenar hasta ${question.max_choices} opción(es).` };
+    return { choices: ranks.map(r => r.id), is_blank: false };
+  }
+
+  const selected = [...new Set(values.map(Number))];
+  if (!selected.length) return { error: "Elige una opción en cada pregunta." };
+  if (selected.some(id => !optionIds.includes(id))) return { error: "Opción inválida." };
+
+  if (question.ballot_type === "APPROVAL") {
+    const k = question.max_choices || optionIds.length;
+    if (selected.length > k) return { error: `Puedes marcar hasta ${k} opción(es).` };
+    return { choices: optionIds.filter(id => selected.includes(id)), is_blank: false };
+  }
+
+  if (selected.length !== 1) return { error: "Elige una sola opción." };
+  return { choices: selected, is_blank: false };
+}
+
+// Segunda vuelta instantánea: en cada ronda cada papeleta cuenta para su
+// preferencia más alta que siga en carrera. Gana quien supere la mitad de las
+// papeletas vigentes; si nadie lo logra se eliminan las opciones con menos votos.
+// ballots: [{ choices, weight }] (weight = 1 en conteo por unidades).
+function tallyInstantRunoff(optionIds, ballots) {
+  let remaining = [...optionIds];
+  const rounds = [];
+  const total = ballots.reduce((n, b) => n + b.weight, 0);
+
+  while (remaining.length) {
+    const counts = new Map(remaining.map(id => [id, 0]));
+    let exhausted = 0;
+    for (const b of ballots) {
+      const top = b.choices.find(id => counts.has(id));
+      if (top === undefined) exhausted += b.weight;
+      else counts.set(top, counts.get(top) + b.weight);
+    }
+
+    const round = { counts, exhausted, eliminated: [] };
+    rounds.push(round);
+
+    const active = total - exhausted;
+    if (!active) return { rounds, winner: null };
+
+    const max = Math.max(...counts.values());
+    if (max * 2 > active) return { rounds, winner: remaining.find(id => counts.get(id) === max) };
+
+    const min = Math.min(...counts.values());
+    const losers = remaining.filter(id => counts.get(id) === min);
+    if (losers.length === remaining.length) return { rounds, winner: null };
+
+    round.eliminated = losers;
+    remaining = remaining.filter(id => !losers.includes(id));
+  }
+
+  return { rounds, winner: null };
+}
+
+// Pesos en millonésimas enteras: se suman y comparan sin errores de coma flotante.
+const toWeightUnits = (w) => Math.round(Number(w ?? 1) * 1e6);
+const fromWeightUnits = (n) => n / 1e6;
+
+const MAJORITY_RULES = {
+  SIMPLE: "Mayoría simple",
+  ABSOLUTE: "Mayoría absoluta (más de la mitad de votos válidos)",
+  TWO_THIRDS: "Mayoría calificada (2/3 de votos válidos)"
+};
+const TIE_RULES = {
+  NOT_APPROVED: "Empate = no aprobado",
+  TIE: "Empate declarado (requiere nueva votación)"
+};
+const QUORUM_BASES = {
+  NONE: "Sin quórum",
+  REGISTRATIONS: "Unidades con registro aprobado",
+  UNITS: "Unidades habilitadas"
+};
+const OUTCOME_LABELS = { APROBADO: "APROBADO", NO_APROBADO: "NO APROBADO", SIN_QUORUM: "SIN QUÓRUM", EMPATE: "EMPATE" };
+
+// Quórum de la campaña: más del quorum_percent % de la base elegida.
+// Con conteo ponderado la base y la participación se miden en peso (alícuota).
+async function getQuorum(election, db = { query: q }) {
+  const base = election.quorum_base || "NONE";
+  if (base === "NONE") return null;
+
+  const row = base === "UNITS"
+    ? (await db.query(`SELECT COUNT(*)::int AS n, COALESCE(SUM(weight),0) AS w FROM units WHERE enabled=true`)).rows[0]
+    : (await db.query(
+        `SELECT COUNT(*)::int AS n, COALESCE(SUM(u.weight),0) AS w
+         FROM units u
+         WHERE u.id IN (SELECT unit_id FROM registrations WHERE election_id=$1 AND status='APPROVED')`,
+        [election.id]
+      )).rows[0];
+  const percent = Number(election.quorum_percent ?? 50);
+  const eligible = row.n;
+  const required = Math.floor(eligible * percent / 100) + 1;
+  const baseLabel = QUORUM_BASES[base].toLowerCase();
+
+  if (election.weighted_tally) {
+    const eligibleWeight = fromWeightUnits(toWeightUnits(row.w));
+    return {
+      base,
+      percent,
+      eligible,
+      required,
+      weighted: true,
+      eligible_weight: eligibleWeight,
+      summary: `más del ${percent}% del peso de ${eligible} unidad(es) (${baseLabel}), peso total ${eligibleWeight}`
+    };
+  }
+
+  return {
+    base,
+    percent,
+    eligible,
+    required,
+    summary: `más del ${percent}% de ${eligible} (${baseLabel}): mínimo ${required} unidad(es)`
+  };
+}
+
+// Resultado de una sección según quórum, mayoría requerida y regla de empate.
+// La mayoría se mide sobre votos válidos: el voto en blanco solo suma al quórum.
+// Con conteo ponderado se comparan pesos en lugar de cantidad de unidades.
+function computeOutcome(section, { quorum, majority_rule, tie_rule }) {
+  const rule = MAJORITY_RULES[majority_rule] ? majority_rule : "SIMPLE";
+  const tie = TIE_RULES[tie_rule] ? tie_rule : "NOT_APPROVED";
+  const out = (status, option, detail) => ({ status, label: OUTCOME_LABELS[status], option, majority_rule: rule, tie_rule: tie, detail });
+  const weighted = !!section.weighted;
+  const unit = weighted ? "de peso" : "voto(s)";
+  const show = (n) => weighted ? fromWeightUnits(n) : n;
+
+  const ballots = weighted ? toWeightUnits(section.ballots_weight) : section.ballots;
+  if (quorum) {
+    const reached = weighted
+      ? ballots * 100 > toWeightUnits(quorum.eligible_weight) * quorum.percent
+      : section.ballots >= quorum.required;
+    if (!reached) {
+      return out("SIN_QUORUM", null, weighted
+        ? `Participación ${show(ballots)} de ${quorum.eligible_weight} de peso; se requiere más del ${quorum.percent}%.`
+        : `Participación ${section.ballots} de ${quorum.eligible}; se requieren ${quorum.required}.`);
+    }
+  }
+
+  // En RANKED se evalúa la ronda final de la segunda vuelta instantánea
+  // (sus totales ya vienen en peso cuando el conteo es ponderado).
+  const last = section.rounds ? section.rounds[section.rounds.length - 1] : null;
+  const value = (t) => weighted ? toWeightUnits(last ? t.votes : t.weight) : t.votes;
+  const totals = (last ? last.totals : section.totals).map(t => ({ ...t, value: value(t) }));
+  const blank = weighted ? toWeightUnits(section.blank_weight) : section.blank;
+  const exhausted = last ? (weighted ? toWeightUnits(last.exhausted) : last.exhausted) : 0;
+  const valid = ballots - blank - exhausted;
+
+  const [top, second] = totals.sort((a, b) => b.value - a.value);
+  if (!top || !top.value) return out("NO_APROBADO", null, "Sin votos válidos.");
+
+  const name = `${top.code ? top.code + ". " : ""}${top.name}`;
+  if (second && second.value === top.value) {
+    return out(tie === "TIE" ? "EMPATE" : "NO_APROBADO", null, `Empate en primer lugar con ${show(top.value)} ${unit}. ${TIE_RULES[tie]}.`);
+  }
+
+  const reached = rule === "TWO_THIRDS" ? top.value * 3 >= valid * 2
+    : rule === "ABSOLUTE" ? top.value * 2 > valid
+    : true;
+  const detail = `${name}: ${show(top.value)} de ${show(valid)} ${weighted ? "de peso válido" : "voto(s) válido(s)"}. ${MAJORITY_RULES[rule]}.`;
+  if (!reached) return out("NO_APROBADO", null, detail);
+  // Si gana una opción de rechazo ("No", "En contra") la propuesta no se aprueba.
+  return out(top.is_rejection ? "NO_APROBADO" : "APROBADO", { code: top.code, name: top.name }, detail);
+}
+
+// Totales por sección: una por pregunta en VOTACION, una para Directiva en ELECTION.
+// El conteo sigue el tipo de papeleta de cada pregunta; los votos en blanco
+// suman participación (ballots) pero no a ninguna opción. Cada sección trae
+// su outcome (APROBADO / NO APROBADO / SIN QUÓRUM) y el quórum de la campaña.
+// Con elections.weighted_tally cada total lleva además su peso (weight) y el
+// resultado se decide por peso; los conteos por unidad se muestran igual.
+// Solo cuentan los votos vigentes: los que ningún voto posterior reemplaza
+// (supersedes), no los marcados con superseded_at.
+// Cada total y la sección traen también el subtotal de papeletas en papel
+// (paper, blank_paper); el digital es la diferencia.
+async function getResultSections(election, db = { query: q }) {
+  const quorum = await getQuorum(election, db);
+  const weighted = !!election.weighted_tally;
+  const sumWeight = (rows) => fromWeightUnits(rows.reduce((n, r) => n + toWeightUnits(r.weight), 0));
+
+  if (election.kind === "VOTACION") {
+    const { questions } = await getReferendumForElection(election.id, db);
+    const votes = (await db.query(
+      `SELECT question_id, option_id, choices, is_blank, weight, channel
+       FROM referendum_votes rv
+       WHERE election_id=$1 AND ${currentVoteSql("referendum_votes", "rv")}
+       ORDER BY chain_position ASC`,
+      [election.id]
+    )).rows;
+
+    return questions.map(question => {
+      const answers = votes.filter(v => Number(v.question_id) === Number(question.id));
+      // Votos previos a los tipos de papeleta no tienen choices: equivalen a [option_id].
+      const ballots = answers
+        .filter(v => !v.is_blank)
+        .map(v => ({ choices: (v.choices || [v.option_id]).map(Number), weight: v.weight, paper: v.channel === "PAPER" }));
+      const blanks = answers.filter(v => v.is_blank);
+      const label = o => ({ option_id: o.id, code: o.option_label, name: o.option_text, is_rejection: !!o.is_rejection });
+
+      const section = {
+        question_id: question.id,
+        title: question.question_text,
+        ballot_type: question.ballot_type || "SINGLE",
+        type_label: ballotTypeLabel(question),
+        allow_blank: !!question.allow_blank,
+        weighted,
+        ballots: answers.length,
+        blank: blanks.length,
+        paper: answers.filter(v => v.channel === "PAPER").length,
+        blank_paper: blanks.filter(v => v.channel === "PAPER").length,
+        totals: question.options.map(o => {
+          const id = Number(o.id);
+          const matches = ballots.filter(b => question.ballot_type === "RANKED" ? b.choices[0] === id : b.choices.includes(id));
+          return { ...label(o), votes: matches.length, paper: matches.filter(b => b.paper).length, ...(weighted ? { weight: sumWeight(matches) } : {}) };
+        })
+      };
+      if (weighted) {
+        section.ballots_weight = sumWeight(answers);
+        section.blank_weight = sumWeight(blanks);
+      }
+
+      if (section.ballot_type === "RANKED") {
+        const byId = new Map(question.options.map(o => [Number(o.id), o]));
+        const irv = tallyInstantRunoff(
+          question.options.map(o => Number(o.id)),
+          ballots.map(b => ({ choices: b.choices, weight: weighted ? toWeightUnits(b.weight) : 1 }))
+        );
+        const show = (n) => weighted ? fromWeightUnits(n) : n;
+        section.rounds = irv.rounds.map(r => ({
+          totals: [...r.counts].map(([id, votes]) => ({ ...label(byId.get(id)), votes: show(votes) })),
+          exhausted: show(r.exhausted),
+          eliminated: r.eliminated.map(id => label(byId.get(id)))
+        }));
+        section.winner = irv.winner ? label(byId.get(irv.winner)) : null;
+      }
+
+      section.quorum = quorum;
+      section.outcome = computeOutcome(section, {
+        quorum,
+        majority_rule: question.majority_rule || election.majority_rule,
+        tie_rule: question.tie_rule || election.tie_rule
+      });
+      return section;
+    });
+  }
+
+  // Votos anteriores al voto ponderado no tienen weight: cuentan como 1.
+  const totals = (await db.query(
+    `SELECT c.list_code AS code, c.name, COUNT(v.id)::int AS votes, COUNT(v.id) FILTER (WHERE v.channel='PAPER')::int AS paper,
+            COALESCE(SUM(COALESCE(v.weight,1)),0) AS weight
+     FROM candidates c
+     LEFT JOIN votes v ON v.candidate_id=c.id AND v.election_id=$1 AND ${currentVoteSql("votes", "v")}
+     WHERE c.election_id=$1
+     GROUP BY c.id
+     ORDER BY c.sort_order ASC, c.id ASC`,
+    [election.id]
+  )).rows.map(t => weighted ? { ...t, weight: fromWeightUnits(toWeightUnits(t.weight)) } : { code: t.code, name: t.name, votes: t.votes, paper: t.paper });
+  const blankRow = (await db.query(
+    `SELECT COUNT(*)::int AS n, COUNT(*) FILTER (WHERE channel='PAPER')::int AS paper, COALESCE(SUM(COALESCE(weight,1)),0) AS w
+     FROM votes v WHERE election_id=$1 AND candidate_id IS NULL AND ${currentVoteSql("votes", "v")}`,
+    [election.id]
+  )).rows[0];
+
+  const section = {
+    question_id: null,
+    title: "Consejo Directivo",
+    ballot_type: "SINGLE",
+    type_label: ballotTypeLabel({}),
+    allow_blank: !!election.allow_blank_vote,
+    weighted,
+    ballots: totals.reduce((n, t) => n + t.votes, blankRow.n),
+    blank: blankRow.n,
+    paper: totals.reduce((n, t) => n + t.paper, blankRow.paper),
+    blank_paper: blankRow.paper,
+    totals,
+    quorum
+  };
+  if (weighted) {
+    section.blank_weight = fromWeightUnits(toWeightUnits(blankRow.w));
+    section.ballots_weight = fromWeightUnits(totals.reduce((n, t) => n + toWeightUnits(t.weight), toWeightUnits(blankRow.w)));
+  }
+  section.outcome = computeOutcome(section, { quorum, majority_rule: election.majority_rule, tie_rule: election.tie_rule });
+  return [section];
+}
+
+// Conteo que queda guardado junto al sello, según el tipo de papeleta.
+function sealResultsSnapshot(sections) {
+  return sections.map(s => ({
+    question_id: s.question_id,
+    ballot_type: s.ballot_type,
+    weighted: !!s.weighted,
+    ballots: s.ballots,
+    blank: s.blank,
+    ...(s.weighted ? { ballots_weight: s.ballots_weight, blank_weight: s.blank_weight } : {}),
+    ...(s.paper ? { paper: s.paper, blank_paper: s.blank_paper } : {}),
+    totals: s.totals.map(t => ({ code: t.code, name: t.name, votes: t.votes, ...(s.weighted ? { weight: t.weight } : {}), ...(s.paper ? { paper: t.paper } : {}) })),
+    ...(s.ballot_type === "RANKED" ? { rounds: s.rounds, winner: s.winner } : {}),
+    quorum: s.quorum,
+    outcome: s.outcome
+  }));
+}
+
+// Resumen en texto de una sección (correo de sellado).
+function resultSectionLines(section) {
+  const item = t => `${t.code ? t.code + ". " : ""}${t.name}`;
+  const lines = [];
+  if (section.ballot_type !== "SINGLE") lines.push(`(${section.type_label})`);
+  const suffix = section.ballot_type === "RANKED" ? " (1ª preferencia)" : "";
+  const weight = (w) => section.weighted ? ` / peso ${w}` : "";
+  const channels = (votes, paper) => section.paper ? ` (digital ${votes - paper}, papel ${paper})` : "";
+  for (const t of section.totals) lines.push(`${item(t)}: ${t.votes} voto(s)${channels(t.votes, t.paper)}${weight(t.weight)}${suffix}`);
+  if (section.allow_blank || section.blank) lines.push(`Voto en blanco: ${section.blank}${channels(section.blank, section.blank_paper)}${weight(section.blank_weight)}`);
+  if (section.ballot_type === "RANKED") lines.push(`Ganador tras ${section.rounds.length} ronda(s): ${section.winner ? item(section.winner) : "empate, sin mayoría"}`);
+  lines.push(`Resultado: ${section.outcome.label}${section.outcome.option ? " - " + item(section.outcome.option) : ""} (${section.outcome.detail})`);
+  return lines;
+}
+
+// Votos emitidos = unidades que votaron (en VOTACION cada respuesta es una fila).
+// Un cambio de voto no suma: cuenta solo el voto vigente de cada unidad.
+async function countVotes(election) {
+  const sql = election.kind === "VOTACION"
+    ? `SELECT COUNT(DISTINCT unit_id)::int AS n FROM referendum_votes WHERE election_id=$1`
+    : `SELECT COUNT(*)::int AS n FROM votes v WHERE election_id=$1 AND ${currentVoteSql("votes", "v")}`;
+  return (await q(sql, [election.id])).rows[0].n;
 }
 
 function newReceiptCode() {
   return crypto.randomBytes(32).toString("hex");
 }
 
-async function createVoteReceipt(client, { election_id, registration_id, unit_id, vote_kind, vote_table, vote_id, vote_hash }) {
+async function createVoteReceipt(client, { election_id, registration_id, unit_id, vote_kind, vote_table, vote_id, vote_hash, proxy_id = null }) {
   const receiptCode = newReceiptCode();
   const receiptHash = sha256Hex(receiptCode);
   await client.query(
-    `INSERT INTO vote_receipts(election_id, registration_id, unit_id, vote_kind, vote_table, vote_id, vote_hash, receipt_hash)
-     VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+    `INSERT INTO vote_receipts(election_id, registration_id, unit_id, vote_kind, vote_table, vote_id, vote_hash, receipt_hash, proxy_id)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
      ON CONFLICT (vote_table, vote_id) DO UPDATE SET receipt_hash=EXCLUDED.receipt_hash
      RETURNING id`,
-    [election_id, registration_id, unit_id, vote_kind, vote_table, vote_id, vote_hash, receiptHash]
+    [election_id, registration_id, unit_id, vote_kind, vote_table, vote_id, vote_hash, receiptHash, proxy_id]
   );
   return receiptCode;
 }
 
+// Envía el recibo de voto (REFERENDUM, COUNCIL o FISCAL) por el canal preferido de la solicitud.
+// Si votó un apoderado, el recibo va igual al poderdante e indica quién votó.
+async function sendVoteReceiptNotification({ election, vt, vote, receiptCode, kind, optionText, proxy = null }) {
+  const regForReceipt = (await q(`SELECT r.id, r.email, r.phone, r.preferred_channel, u.label AS unit_label FROM registrations r JOIN units u ON u.id=r.unit_id WHERE r.id=$1`, [vt.registration_id])).rows[0];
+
+  return sendEmailNotification({
+    template: "vote_receipt",
+    recipient: regForReceipt?.email,
+    election_id: election.id,
+    registration_id: regForReceipt?.id,
+    meta_json: { token_id: vt.id, kind, vote_hash: vote.vote_hash, chain_position: vote.chain_position, proxy_id: proxy?.id || null },
+    channel: regForReceipt?.preferred_channel,
+    phone: regForReceipt?.phone,
+    mailer: "sendVoteReceipt",
+    args: {
+      to: regForReceipt?.email,
+      electionTitle: election.title,
+      unitLabel: regForReceipt?.unit_label,
+      castAt: new Date(vote.cast_at).toLocaleString("es-PE", { timeZone: "America/Lima" }),
+      optionText,
+      voteHash: vote.vote_hash,
+      chainPosition: vote.chain_position,
+      receiptCode,
+      verifyUrl: absoluteUrl(`/verificar-voto?receipt=${encodeURIComponent(receiptCode)}`),
+      proxyName: proxy?.delegate_name || ""
+    }
+  });
+}
+
 async function lookupVoteReceipt({ receiptCode, identity }) {
   const code = String(receiptCode || "").trim();
   const ident = String(identity || "").trim().toLowerCase();
   if (!code || !ident) return null;
   const receiptHash = sha256Hex(code);
 
-  return (await q(
+  const result = (await q(
     `SELECT
        vr.id AS receipt_id,
        vr.vote_kind,
@@ -719,22 +1467,60 @@ async function lookupVoteReceipt({ receiptCode, identity }) {
        r.dni,
        r.email,
        u.label AS unit_label,
-       rv.cast_at,
-       rv.chain_position,
-       rv.previous_hash,
-       ro.option_label,
-       ro.option_text
+       COALESCE(rv.cast_at, v.cast_at, fv.cast_at) AS cast_at,
+       COALESCE(rv.chain_position, v.chain_position, fv.chain_position) AS chain_position,
+       COALESCE(rv.previous_hash, v.previous_hash, fv.previous_hash) AS previous_hash,
+       rv.token_id AS referendum_token_id,
+       COALESCE(rv.superseded_at, v.superseded_at, fv.superseded_at) AS superseded_at,
+       NULL AS option_label,
+       COALESCE(${REFERENDUM_SELECTION_SQL}, c.name, fl.name, 'Voto en blanco') AS option_text,
+       dr.name AS proxy_delegate_name
      FROM vote_receipts vr
      JOIN elections e ON e.id=vr.election_id
      JOIN registrations r ON r.id=vr.registration_id
      JOIN units u ON u.id=vr.unit_id
+     LEFT JOIN proxies px ON px.id=vr.proxy_id
+     LEFT JOIN registrations dr ON dr.id=px.delegate_registration_id
      LEFT JOIN referendum_votes rv ON vr.vote_table='referendum_votes' AND rv.id=vr.vote_id
-     LEFT JOIN referendum_options ro ON ro.id=rv.option_id
+     LEFT JOIN referendum_questions rq ON rq.id=rv.question_id
+     LEFT JOIN votes v ON vr.vote_table='votes' AND v.id=vr.vote_id
+     LEFT JOIN candidates c ON c.id=v.candidate_id
+     LEFT JOIN fiscal_votes fv ON vr.vote_table='fiscal_votes' AND fv.id=vr.vote_id
+     LEFT JOIN fiscal_lists fl ON fl.id=fv.fiscal_list_id
      WHERE vr.receipt_hash=$1
        AND (lower(COALESCE(r.email,''))=$2 OR lower(COALESCE(r.dni,''))=$2)
      LIMIT 1`,
     [receiptHash, ident]
   )).rows[0] || null;
+  if (!result) return null;
+
+  // En VOTACION el recibo es por papeleta: apunta a la última respuesta y
+  // listamos las respuestas emitidas con el mismo token en la misma
+  // transacción (mismo cast_at), así un cambio de voto no mezcla papeletas.
+  result.answers = [];
+  if (result.vote_kind === "REFERENDUM" && result.referendum_token_id) {
+    result.answers = (await q(
+      `SELECT rq.question_text, ${REFERENDUM_SELECTION_SQL} AS option_text, rv.chain_position, rv.previous_hash, rv.vote_hash
+       FROM referendum_votes rv
+       JOIN referendum_questions rq ON rq.id=rv.question_id
+       WHERE rv.election_id=$1 AND rv.token_id=$2
+         AND rv.cast_at=(SELECT x.cast_at FROM vote_receipts vr JOIN referendum_votes x ON x.id=vr.vote_id WHERE vr.id=$3)
+       ORDER BY rv.chain_position ASC`,
+      [result.election_id, result.referendum_token_id, result.receipt_id]
+    )).rows;
+  }
+
+  // Historial de la unidad para este tipo de voto: el vigente y los reemplazados.
+  const table = { REFERENDUM: "referendum_votes", COUNCIL: "votes", FISCAL: "fiscal_votes" }[result.vote_kind];
+  result.history = table ? (await q(
+    `SELECT cast_at, MAX(chain_position) AS chain_position, bool_or(superseded_at IS NULL) AS current
+     FROM ${table}
+     WHERE election_id=$1 AND unit_id=(SELECT unit_id FROM vote_receipts WHERE id=$2)
+     GROUP BY cast_at
+     ORDER BY cast_at ASC`,
+    [result.election_id, result.receipt_id]
+  )).rows : [];
+  return result;
 }
 
 function cleanText(v) {
@@ -742,17 +1528,11 @@ function cleanText(v) {
   return s || null;
 }
 
-async function upsertResidentRegistry({ unit_id, name, dni, phone, email, status = "ACTIVE", notes = null }) {
-  const dniN = cleanText(dni);
-  const phoneN = cleanText(phone);
-  const emailN = cleanText(email)?.toLowerCase() || null;
-  const nameN = String(name || "").trim();
-  if (!unit_id || !nameN) return null;
-
-  // Una persona puede tener mas de una propiedad. Por eso el match es por unidad
-  // y luego por algun dato de identidad/contacto. No usamos DNI/email globalmente.
-  const found = (await q(
-    `SELECT id FROM resident_registry
+// Una persona puede tener mas de una propiedad. Por eso el match es por unidad
+// y luego por algun dato de identidad/contacto. No usamos DNI/email globalmente.
+async function findResidentMatch(unitId, { dni, email, phone }, db = { query: q }) {
+  return (await db.query(
+    `SELECT * FROM resident_registry
      WHERE unit_id=$1
        AND (
          ($2::text IS NOT NULL AND lower(COALESCE(dni,''))=lower($2))
@@ -761,24 +1541,34 @@ async function upsertResidentRegistry({ unit_id, name, dni, phone, email, status
        )
      ORDER BY id ASC
      LIMIT 1`,
-    [unit_id, dniN, emailN, phoneN]
-  )).rows[0];
+    [unitId, cleanText(dni), cleanText(email)?.toLowerCase() || null, cleanText(phone)]
+  )).rows[0] || null;
+}
+
+async function upsertResidentRegistry({ unit_id, name, dni, phone, email, status = "ACTIVE", notes = null, preferred_channel = "EMAIL" }, db = { query: q }) {
+  const dniN = cleanText(dni);
+  const phoneN = cleanText(phone);
+  const emailN = cleanText(email)?.toLowerCase() || null;
+  const nameN = String(name || "").trim();
+  if (!unit_id || !nameN) return null;
+
+  const found = await findResidentMatch(unit_id, { dni: dniN, email: emailN, phone: phoneN }, db);
 
   if (found) {
-    return (await q(
+    return (await db.query(
       `UPDATE resident_registry
-       SET name=$1, dni=$2, phone=$3, email=$4, status=$5, notes=COALESCE($6, notes), updated_at=now()
+       SET name=$1, dni=$2, phone=$3, email=$4, status=$5, notes=COALESCE($6, notes), preferred_channel=$8, updated_at=now()
        WHERE id=$7
-       RETURNING id`,
-      [nameN, dniN, phoneN, emailN, status, notes, found.id]
+       RETURNING id, false AS created`,
+      [nameN, dniN, phoneN, emailN, status, notes, found.id, preferred_channel]
     )).rows[0];
   }
 
-  return (await q(
-    `INSERT INTO resident_registry(unit_id, name, dni, phone, email, status, notes)
-     VALUES ($1,$2,$3,$4,$5,$6,$7)
-     RETURNING id`,
-    [unit_id, nameN, dniN, phoneN, emailN, status, notes]
+  return (await db.query(
+    `INSERT INTO resident_registry(unit_id, name, dni, phone, email, status, notes, preferred_channel)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+     RETURNING id, true AS created`,
+    [unit_id, nameN, dniN, phoneN, emailN, status, notes, preferred_channel]
   )).rows[0];
 }
 
@@ -799,7 +1589,7 @@ function toDatetimeLocalForInput(dateObj) {
 }
 
 app.get("/admin/election/edit", requireAdmin, async (req, res) => {
-  const election = await getActiveElectionOrLatest(); // ver nota abajo
+  const election = await getActiveElectionOrLatest(req); // ver nota abajo
   if (!election) return res.status(500).send("No hay campañas.");
 
   const vals = {
@@ -813,7 +1603,7 @@ app.get("/admin/election/edit", requireAdmin, async (req, res) => {
 });
 
 app.post("/admin/election/edit", requireAdmin, async (req, res) => {
-  const election = await getActiveElectionOrLatest();
+  const election = await getActiveElectionOrLatest(req);
   if (!election) return res.status(500).send("No hay campañas.");
   if (await isElectionSealed(election.id)) {
     await audit("ELECTION_EDIT_BLOCKED_SEALED", { actor_admin_id: req.session.admin.id, election_id: election.id });
@@ -828,26 +1618,54 @@ app.post("/admin/election/edit", requireAdmin, async (req, res) => {
   const voteClose= toLimaOffset(vote_close_at);
 
   const activeFlag = is_active === "1";
-
-  // si vas a mantener “solo 1 activa”, apaga las demás al activar esta
-  if (activeFlag) {
-    await q(`UPDATE elections SET is_active=false WHERE id<>$1`, [election.id]);
+  // En votaciones internas el voto en blanco se configura por pregunta.
+  const allowBlank = election.kind !== "VOTACION" && req.body.allow_blank_vote === "1";
+
+  const quorumBase = QUORUM_BASES[req.body.quorum_base] ? req.body.quorum_base : "NONE";
+  const quorumPercent = Number(req.body.quorum_percent || 50);
+  if (!(quorumPercent >= 0 && quorumPercent < 100)) return res.status(400).send("El porcentaje de quórum debe estar entre 0 y 99.99.");
+  const weightedTally = req.body.weighted_tally === "1";
+  const majorityRule = MAJORITY_RULES[req.body.majority_rule] ? req.body.majority_rule : "SIMPLE";
+  const tieRule = TIE_RULES[req.body.tie_rule] ? req.body.tie_rule : "NOT_APPROVED";
+  const maxProxies = Number(req.body.max_proxies_per_delegate ?? 2);
+  if (!Number.isInteger(maxProxies) || maxProxies < 0) return res.status(400).send("El máximo de poderes por apoderado debe ser un entero mayor o igual a 0.");
+  const allowRecast = req.body.allow_recast === "1";
+  const autoActivate = req.body.auto_activate === "1";
+  const autoSeal = req.body.auto_seal === "1";
+  const autoSealDelay = Number(req.body.auto_seal_delay_minutes || 0);
+  if (!Number.isInteger(autoSealDelay) || autoSealDelay < 0) return res.status(400).send("La demora del sellado automático debe ser un entero de minutos mayor o igual a 0.");
+  const autoNotifySealed = autoSeal && req.body.auto_notify_sealed === "1";
+  const requireVoteOtp = req.body.require_vote_otp === "1";
+  const preapprovedRoll = req.body.preapproved_roll === "1";
+
+  // Varias campañas pueden estar activas; activated_at ordena la campaña por defecto.
+  if (activeFlag && !election.is_active) {
+    await q(`UPDATE elections SET activated_at=NOW() WHERE id=$1`, [election.id]);
   }
 
   await q(
     `UPDATE elections
-     SET title=$1, reg_open_at=$2, reg_close_at=$3, vote_open_at=$4, vote_close_at=$5, is_active=$6
-     WHERE id=$7`,
-    [title.trim(), regOpen, regClose, voteOpen, voteClose, activeFlag, election.id]
+     SET title=$1, reg_open_at=$2, reg_close_at=$3, vote_open_at=$4, vote_close_at=$5, is_active=$6, allow_blank_vote=$7,
+         quorum_base=$8, quorum_percent=$9, majority_rule=$10, tie_rule=$11, weighted_tally=$12,
+         max_proxies_per_delegate=$13, allow_recast=$14,
+         auto_seal=$15, auto_seal_delay_minutes=$16, auto_notify_sealed=$17, require_vote_otp=$18, preapproved_roll=$19,
+         auto_activate=$20
+     WHERE id=$21`,
+    [title.trim(), regOpen, regClose, voteOpen, voteClose, activeFlag, allowBlank, quorumBase, quorumPercent, majorityRule, tieRule, weightedTally, maxProxies, allowRecast, autoSeal, autoSealDelay, autoNotifySealed, requireVoteOtp, preapprovedRoll, autoActivate, election.id]
   );
 
-  await audit("ELECTION_UPDATED", { actor_admin_id: req.session.admin.id, election_id: election.id });
+  await audit("ELECTION_UPDATED", {
+    actor_admin_id: req.session.admin.id,
+    election_id: election.id,
+    meta_json: { quorum_base: quorumBase, quorum_percent: quorumPercent, majority_rule: majorityRule, tie_rule: tieRule, weighted_tally: weightedTally, max_proxies_per_delegate: maxProxies, allow_recast: allowRecast, auto_activate: autoActivate, auto_seal: autoSeal, auto_seal_delay_minutes: autoSealDelay, auto_notify_sealed: autoNotifySealed, require_vote_otp: requireVoteOtp, preapproved_roll: preapprovedRoll }
+  });
 
   res.redirect("/admin");
 });
 
-async function getActiveElectionOrLatest() {
-  const a = await getActiveElection();
+async function getActiveElectionOrLatest(req) {
+  if (req?.campaignId) return (await q(`SELECT * FROM elections WHERE id=$1`, [req.campaignId])).rows[0] || null;
+  const a = await getActiveElection(req);
   if (a) return a;
   return (await q(`SELECT * FROM elections ORDER BY id DESC LIMIT 1`)).rows[0] || null;
 }
@@ -856,7 +1674,21 @@ async function getActiveElectionOrLatest() {
    LANDING
 ========================= */
 app.get("/", async (req, res) => {
-  const election = await getActiveElection();
+  // Sin campaña en la ruta y con varias activas, se elige primero la campaña.
+  if (!req.campaignId) {
+    const actives = await getActiveElections();
+    if (actives.length > 1) {
+      const n = now();
+      const campaigns = actives.map(e => ({
+        ...e,
+        regOpen: inWindow(n, e.reg_open_at, e.reg_close_at),
+        voteOpen: inWindow(n, e.vote_open_at, e.vote_close_at)
+      }));
+      return res.render("campaigns", { campaigns });
+    }
+  }
+
+  const election = await getActiveElection(req);
   if (!election) {
     const latestFinished = await getLatestFinishedElection();
     return res.render("no_active", { latestFinished });
@@ -869,7 +1701,7 @@ app.get("/", async (req, res) => {
   const metrics = {
     pending_regs: (await q(`SELECT COUNT(*)::int AS n FROM registrations WHERE election_id=$1 AND status='PENDING'`, [election.id])).rows[0].n,
     approved_regs: (await q(`SELECT COUNT(*)::int AS n FROM registrations WHERE election_id=$1 AND status='APPROVED'`, [election.id])).rows[0].n,
-    votes: (await q(election.kind === "VOTACION" ? `SELECT COUNT(*)::int AS n FROM referendum_votes WHERE election_id=$1` : `SELECT COUNT(*)::int AS n FROM votes WHERE election_id=$1`, [election.id])).rows[0].n
+    votes: await countVotes(election)
   };
 
   const previous = (await q(
@@ -890,31 +1722,134 @@ app.get("/verificar-voto", async (req, res) => {
 app.post("/verificar-voto", async (req, res) => {
   const receipt = String(req.body.receipt || "").trim();
   const identity = String(req.body.identity || "").trim();
-  const result = await lookupVoteReceipt({ receiptCode: receipt, identity });
+
+  const lookup = async () => {
+    const found = await lookupVoteReceipt({ receiptCode: receipt, identity });
+    if (!found && identity) await recordAuthFailure(req, "VOTE_RECEIPT", identity, { label: maskIdentity(identity), reason: "no match" });
+    return found;
+  };
+  const attempt = identity ? await withAuthAttempt("VOTE_RECEIPT", identity, lookup) : { result: await lookup() };
+  if (attempt.blocked) return res.status(429).render("verify_vote", { receipt, identity, result: null, error: authBlockedMessage(attempt.blocked) });
+
+  const result = attempt.result;
   if (!result) {
     await audit("VOTE_RECEIPT_VERIFY_FAILED", { meta_json: { has_receipt: !!receipt, has_identity: !!identity }});
     return res.render("verify_vote", { receipt, identity, result: null, error: "No encontramos un voto con esos datos. Revisa el código y el DNI/correo." });
   }
 
+  await clearAuthFailures("VOTE_RECEIPT", identity);
   await audit("VOTE_RECEIPT_VERIFY_OK", { election_id: result.election_id, registration_id: result.registration_id, meta_json: { receipt_id: result.receipt_id, vote_kind: result.vote_kind }});
   res.render("verify_vote", { receipt, identity, result, error: null });
 });
 
 /* =========================
-   REGISTRO (email obligatorio + ventana)
+   PADRÓN PREAPROBADO
 ========================= */
-app.get("/registro", async (req, res) => {
-  const election = await getActiveElection();
-  if (!election) return res.render("no_active");
-
-  const n = now();
-  const regOpen = inWindow(n, election.reg_open_at, election.reg_close_at);
+// Compara la solicitud con los residentes ACTIVE de su unidad en el padrón
+// maestro (ver migrations/20261019_preapproved_roll.sql). Coincide solo si el
+// correo es el del residente y el DNI no lo contradice (se compara sin puntos,
+// guiones ni espacios): el enlace va a ese correo, así que conocer la unidad y
+// el DNI de un vecino no alcanza para recibirlo.
+async function rollCheck(unitId, { dni, email }) {
+  const r = (await q(
+    `SELECT COUNT(*)::int AS residents,
+            COUNT(*) FILTER (WHERE
+              NULLIF(lower(btrim($3::text)), '') = lower(COALESCE(email,''))
+              AND (COALESCE(dni,'') = '' OR regexp_replace(lower($2::text), '[^a-z0-9]', '', 'g') = regexp_replace(lower(dni), '[^a-z0-9]', '', 'g'))
+            )::int AS matches
+     FROM resident_registry
+     WHERE unit_id=$1 AND status='ACTIVE'`,
+    [unitId, dni || "", email || ""]
+  )).rows[0];
+  return r.matches ? "MATCH" : (r.residents ? "MISMATCH" : "NOT_FOUND");
+}
 
-  res.render("register", { election, regOpen, streets: STREETS });
-});
+// Aprueba sin revisión del Consejo una solicitud pendiente que coincide con
+// el padrón: mismo enlace y misma plantilla (registration_approved) que la
+// aprobación manual, siempre por correo. Devuelve null si no corresponde
+// (unidad deshabilitada, otra solicitud aprobada para la unidad, campaña
+// sellada o sin correo); la solicitud queda entonces para revisión manual.
+// La fila de la unidad queda bloqueada mientras se aprueba, así dos
+// residentes de la misma unidad que se registran a la vez no reciben los dos
+// un enlace.
+async function approveFromRoll(election, reg) {
+  if (!reg.email || reg.status !== "PENDING") return null;
+  if (await isElectionSealed(election.id)) return null;
+
+  const raw = newToken();
+  const tokenId = await withTx(pool, async (client) => {
+    const unit = (await client.query(`SELECT enabled FROM units WHERE id=$1 FOR UPDATE`, [reg.unit_id])).rows[0];
+    if (!unit?.enabled) return null;
+    const upd = await client.query(
+      `UPDATE registrations
+       SET status='APPROVED', reviewed_at=NOW(), reviewed_by=NULL, roll_check='MATCH'
+       WHERE id=$1 AND status='PENDING'
+         AND NOT EXISTS (SELECT 1 FROM registrations r2 WHERE r2.election_id=$2 AND r2.unit_id=$3 AND r2.status='APPROVED' AND r2.id<>$1)
+       RETURNING id`,
+      [reg.id, election.id, reg.unit_id]
+    );
+    if (!upd.rows.length) return null;
+    const tr = await client.query(
+      `INSERT INTO vote_tokens(election_id, registration_id, unit_id, token_hash, status, issued_via)
+       VALUES ($1,$2,$3,$4,'ACTIVE','EMAIL')
+       RETURNING id`,
+      [election.id, reg.id, reg.unit_id, hashToken(raw)]
+    );
+    return tr.rows[0].id;
+  });
+  if (!tokenId) return null;
+
+  const link = absoluteUrl(campaignPath(election.id, `/votar/${raw}`));
+  const queued = await sendEmailNotification({
+    template: "registration_approved",
+    recipient: reg.email,
+    election_id: election.id,
+    registration_id: reg.id,
+    meta_json: { token_id: tokenId, unit_label: reg.unit_label, approval_mode: "PREAPPROVED_ROLL" },
+    mailer: "sendVoteLink",
+    args: { to: reg.email, link, electionTitle: election.title, voteOpenAt: election.vote_open_at, voteCloseAt: election.vote_close_at, unitLabel: reg.unit_label }
+  });
+
+  await audit("REGISTRATION_APPROVED", {
+    election_id: election.id,
+    registration_id: reg.id,
+    unit_id: reg.unit_id,
+    token_id: tokenId,
+    meta_json: { via: "EMAIL", approval_mode: "PREAPPROVED_ROLL", queued }
+  });
+  return { tokenId, queued };
+}
+
+/* =========================
+   REGISTRO (email obligatorio + ventana)
+========================= */
+app.get("/registro", async (req, res) => {
+  const election = await getActiveElection(req);
+  if (!election) return res.render("no_active");
+
+  const n = now();
+  const regOpen = inWindow(n, election.reg_open_at, election.reg_close_at);
+
+  res.render("register", {
+    election, regOpen, streets: organizationStreets(), units: await registrationUnits(),
+    unlistedUnits: currentOrganization()?.unlisted_units || "REVIEW",
+    channels: availableChannels(), channelLabels: CHANNELS
+  });
+});
+
+// Unidades habilitadas del catálogo para el selector del registro.
+async function registrationUnits() {
+  return (await q(
+    `SELECT id, label, street, block
+     FROM units
+     WHERE enabled=true AND street = ANY($1::text[])
+     ORDER BY street ASC, block ASC NULLS FIRST, label ASC`,
+    [organizationStreets()]
+  )).rows;
+}
 
 app.post("/registro", async (req, res) => {
-  const election = await getActiveElection();
+  const election = await getActiveElection(req);
   if (!election) return res.render("no_active");
 
   const n = now();
@@ -922,37 +1857,62 @@ app.post("/registro", async (req, res) => {
   if (!regOpen) return res.status(403).send("Registro cerrado.");
 
   const { street, number, unit_extra, name, dni, phone, email } = req.body;
+  const unitId = Number(req.body.unit_id) || null;
 
-  if (!street || !STREETS.includes(street)) return res.status(400).send("Calle inválida.");
-  if (!number || !String(number).trim()) return res.status(400).send("Número obligatorio.");
+  if (!unitId) {
+    if (!street || !organizationStreets().includes(street)) return res.status(400).send("Elige tu unidad de la lista o indica calle y número.");
+    if (!number || !String(number).trim()) return res.status(400).send("Número obligatorio.");
+  }
   if (!name || !dni || !phone || !email) return res.status(400).send("Nombre, DNI, teléfono y correo son obligatorios.");
 
-  const unit = await findOrCreateUnit({ street, number, unit_extra });
+  const preferredChannel = availableChannels().includes(req.body.preferred_channel) ? req.body.preferred_channel : "EMAIL";
+  if (preferredChannel !== "EMAIL" && !normalizePhone(phone)) return res.status(400).send("Para recibir avisos por SMS o WhatsApp ingresa un celular válido.");
+
+  let unit;
+  if (unitId) {
+    unit = (await q(`SELECT id, label, enabled FROM units WHERE id=$1 AND enabled=true`, [unitId])).rows[0];
+    if (!unit) return res.status(400).send("Unidad inválida.");
+  } else {
+    const found = await unlistedRegistrationUnit(election, { street, number, unit_extra });
+    if (found.error) return res.status(400).send(found.error);
+    unit = found.unit;
+  }
+
+  // Con padrón preaprobado el padrón manda: se compara antes de guardar y la
+  // solicitud no lo modifica.
+  const check = election.preapproved_roll ? await rollCheck(unit.id, { dni, email }) : null;
 
   const r = await q(
-    `INSERT INTO registrations(election_id, unit_id, name, dni, phone, email)
-     VALUES ($1,$2,$3,$4,$5,$6)
-     RETURNING id, unit_id`,
-    [election.id, unit.id, name.trim(), dni.trim(), phone.trim(), email.trim().toLowerCase()]
+    `INSERT INTO registrations(election_id, unit_id, name, dni, phone, email, preferred_channel, roll_check)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+     RETURNING *`,
+    [election.id, unit.id, name.trim(), dni.trim(), phone.trim(), email.trim().toLowerCase(), preferredChannel, check]
   );
 
   await audit("REGISTRATION_CREATED", {
     election_id: election.id,
     registration_id: r.rows[0].id,
     unit_id: unit.id,
-    meta_json: { email: email.trim().toLowerCase(), phone: phone.trim() }
+    meta_json: { email: email.trim().toLowerCase(), phone: phone.trim(), preferred_channel: preferredChannel, unit_review: !unit.enabled, roll_check: check }
   });
 
-  try {
-    await upsertResidentRegistry({
-      unit_id: unit.id,
-      name: name.trim(),
-      dni: dni.trim(),
-      phone: phone.trim(),
-      email: email.trim().toLowerCase()
-    });
-  } catch (e) {
-    console.error("resident_registry sync failed", e);
+  if (check === "MATCH" && await approveFromRoll(election, { ...r.rows[0], unit_label: unit.label })) {
+    return res.render("register_done", { election, unitReview: false, approved: true });
+  }
+
+  if (!election.preapproved_roll) {
+    try {
+      await upsertResidentRegistry({
+        unit_id: unit.id,
+        name: name.trim(),
+        dni: dni.trim(),
+        phone: phone.trim(),
+        email: email.trim().toLowerCase(),
+        preferred_channel: preferredChannel
+      });
+    } catch (e) {
+      console.error("resident_registry sync failed", e);
+    }
   }
 
   await sendEmailNotification({
@@ -961,10 +1921,359 @@ app.post("/registro", async (req, res) => {
     election_id: election.id,
     registration_id: r.rows[0].id,
     meta_json: { name: name.trim() },
-    send: () => sendRegistrationReceived({ to: email.trim().toLowerCase(), name: name.trim(), electionTitle: election.title, unitLabel: unit.label })
+    mailer: "sendRegistrationReceived",
+    args: { to: email.trim().toLowerCase(), name: name.trim(), electionTitle: election.title, unitLabel: unit.label }
+  });
+
+  res.render("register_done", { election, unitReview: !unit.enabled, approved: false });
+});
+
+/* =========================
+   PODERES (voto por apoderado)
+========================= */
+// SQL: la unidad ya completó su voto (VOTACION: papeleta; ELECCION: directiva y fiscales).
+function unitVotedSql(election, alias = "p") {
+  return election.kind === "VOTACION"
+    ? `EXISTS (SELECT 1 FROM referendum_votes rv WHERE rv.election_id=${alias}.election_id AND rv.unit_id=${alias}.unit_id)`
+    : `(EXISTS (SELECT 1 FROM votes v WHERE v.election_id=${alias}.election_id AND v.unit_id=${alias}.unit_id)
+        AND EXISTS (SELECT 1 FROM fiscal_votes fv WHERE fv.election_id=${alias}.election_id AND fv.unit_id=${alias}.unit_id))`;
+}
+
+// Poderes aprobados en los que la solicitud es el apoderado, con el estado de
+// voto de cada unidad representada.
+async function getDelegateProxies(election, registrationId) {
+  return (await q(
+    `SELECT p.id, p.registration_id, p.unit_id, u.label AS unit_label, r.name AS registrant_name,
+            ${unitVotedSql(election)} AS voted
+     FROM proxies p
+     JOIN registrations r ON r.id=p.registration_id
+     JOIN units u ON u.id=p.unit_id
+     WHERE p.election_id=$1 AND p.delegate_registration_id=$2 AND p.status='APPROVED'
+     ORDER BY u.label ASC, p.id ASC`,
+    [election.id, registrationId]
+  )).rows;
+}
+
+// Poder vigente (pendiente o aprobado) otorgado por la solicitud.
+async function getOpenProxyFor(electionId, registrationId) {
+  return (await q(
+    `SELECT p.*, dr.name AS delegate_name, du.label AS delegate_unit_label
+     FROM proxies p
+     JOIN registrations dr ON dr.id=p.delegate_registration_id
+     JOIN units du ON du.id=dr.unit_id
+     WHERE p.election_id=$1 AND p.registration_id=$2 AND p.status IN ('PENDING','APPROVED')
+     ORDER BY p.id DESC
+     LIMIT 1`,
+    [electionId, registrationId]
+  )).rows[0] || null;
+}
+
+// Dentro de la transacción de voto: valida que el poder siga aprobado para este
+// apoderado y bloquea el token vigente del poderdante, que es con el que se
+// registra el voto (así padrón, recibos y fiscalización siguen la unidad real).
+async function lockProxyVoteToken(client, election, delegateToken, proxyId) {
+  const proxy = (await client.query(
+    `SELECT p.*, dr.name AS delegate_name, u.label AS unit_label
+     FROM proxies p
+     JOIN registrations dr ON dr.id=p.delegate_registration_id
+     JOIN units u ON u.id=p.unit_id
+     WHERE p.id=$1 AND p.election_id=$2 AND p.delegate_registration_id=$3 AND p.status='APPROVED'
+     FOR UPDATE OF p`,
+    [proxyId, election.id, delegateToken.registration_id]
+  )).rows[0];
+  if (!proxy) return null;
+
+  const vt = (await client.query(
+    `SELECT * FROM vote_tokens
+     WHERE election_id=$1 AND registration_id=$2
+     ORDER BY id DESC
+     LIMIT 1
+     FOR UPDATE`,
+    [election.id, proxy.registration_id]
+  )).rows[0];
+  if (!vt) return null;
+
+  return { proxy, vt };
+}
+
+// Resuelve con qué token se vota en un POST: el propio o, si viene proxy_id, el
+// del poderdante. El token del apoderado puede estar USED (ya votó por su unidad)
+// pero no revocado. Con recast (cambio de voto habilitado y pedido) también se
+// acepta el token USED de la unidad que vota.
+// Devuelve { vt, proxy, own } o { error, status } / { used: true }.
+async function resolveVoteToken(client, election, rawToken, proxyIdRaw, { recast = false } = {}) {
+  const t = await client.query(
+    `SELECT * FROM vote_tokens WHERE token_hash=$1 AND election_id=$2 FOR UPDATE`,
+    [hashToken(rawToken), election.id]
+  );
+  if (!t.rows.length) return { status: 404, error: "Enlace inválido." };
+  const own = t.rows[0];
+
+  const usable = (tok) => tok.status === "ACTIVE" || (recast && tok.status === "USED" && canRecast(election));
+
+  const proxyId = Number(proxyIdRaw || 0);
+  if (!proxyId) {
+    if (!usable(own)) return { used: true };
+    const delegated = (await client.query(
+      `SELECT 1 FROM proxies WHERE election_id=$1 AND registration_id=$2 AND status='APPROVED' LIMIT 1`,
+      [election.id, own.registration_id]
+    )).rows.length > 0;
+    if (delegated) return { status: 403, error: "El voto de esta unidad fue delegado a un apoderado." };
+    return { vt: own, proxy: null, own };
+  }
+
+  if (own.status === "REVOKED") return { status: 403, error: "Enlace inválido." };
+  const pv = await lockProxyVoteToken(client, election, own, proxyId);
+  if (!pv) return { status: 400, error: "El poder no existe o ya no está vigente." };
+  if (!usable(pv.vt)) return { used: true, proxy: pv.proxy };
+  return { vt: pv.vt, proxy: pv.proxy, own };
+}
+
+function proxyAuditMeta(proxy) {
+  return proxy ? { by_proxy: true, proxy_id: proxy.id, delegate_registration_id: proxy.delegate_registration_id } : {};
+}
+
+/* =========================
+   CAMBIO DE VOTO (re-votación antes del cierre)
+========================= */
+// Opt-in por campaña: mientras la ventana siga abierta la unidad puede volver
+// a votar; cuenta solo su último voto y los anteriores quedan en la cadena
+// marcados con superseded_at.
+function canRecast(election, vt = null) {
+  if (!election.allow_recast || !inWindow(now(), election.vote_open_at, election.vote_close_at)) return false;
+  return !vt || vt.status !== "REVOKED";
+}
+
+function recastAuditMeta(superseded) {
+  return superseded.length ? { recast: true, superseded_vote_ids: superseded.map(v => v.id) } : {};
+}
+
+/* =========================
+   CÓDIGO DE UN SOLO USO (OTP) AL ABRIR EL ENLACE
+========================= */
+// Opt-in por campaña (elections.require_vote_otp): antes de mostrar la
+// papeleta se envía un código de 6 dígitos al correo o teléfono de la
+// solicitud. Verificado el código, el token queda habilitado solo en esta
+// sesión del navegador (req.session.voteOtp). Los enlaces de la mesa
+// presencial no piden código. Fallos, bloqueos y límites quedan en auditoría
+// (VOTE_OTP_*) y se resumen en Fiscalización.
+const VOTE_OTP_TTL_MINUTES = Number(process.env.VOTE_OTP_TTL_MINUTES || 10);
+const VOTE_OTP_MAX_ATTEMPTS = Number(process.env.VOTE_OTP_MAX_ATTEMPTS || 5);
+const VOTE_OTP_MAX_SENDS_PER_HOUR = Number(process.env.VOTE_OTP_MAX_SENDS_PER_HOUR || 5);
+const VOTE_OTP_RESEND_SECONDS = 60;
+
+function voteOtpHash(tokenId, code) {
+  return hashToken(`otp:${tokenId}:${code}`);
+}
+
+function voteOtpVerified(req, vt) {
+  return !!req.session?.voteOtp?.[vt.id];
+}
+
+// El código solo se pide donde el enlace abriría una papeleta: token vigente
+// (o usado con cambio de voto o como apoderado) y votación abierta.
+async function voteOtpApplies(election, vt) {
+  if (!election.require_vote_otp || !vt || vt.status === "REVOKED" || vt.issued_via === "PRESENCIAL") return false;
+  if (!inWindow(now(), election.vote_open_at, election.vote_close_at)) return false;
+  if (vt.status === "ACTIVE" || canRecast(election, vt)) return true;
+  return (await q(
+    `SELECT 1 FROM proxies WHERE election_id=$1 AND delegate_registration_id=$2 AND status='APPROVED' LIMIT 1`,
+    [election.id, vt.registration_id]
+  )).rows.length > 0;
+}
+
+async function getVoteOtpToken(election, rawToken) {
+  return (await q(
+    `SELECT vt.*, r.email, r.phone, r.preferred_channel, u.label AS unit_label
+     FROM vote_tokens vt
+     JOIN registrations r ON r.id=vt.registration_id
+     JOIN units u ON u.id=vt.unit_id
+     WHERE vt.token_hash=$1 AND vt.election_id=$2`,
+    [hashToken(rawToken), election.id]
+  )).rows[0] || null;
+}
+
+async function getCurrentVoteOtp(vt) {
+  return (await q(
+    `SELECT * FROM vote_otps
+     WHERE token_id=$1 AND verified_at IS NULL AND invalidated_at IS NULL AND expires_at > NOW()
+     ORDER BY id DESC LIMIT 1`,
+    [vt.id]
+  )).rows[0] || null;
+}
+
+// Destino parcial para mostrar en pantalla sin revelar el dato completo.
+function maskedOtpDestination(vt) {
+  const phone = normalizePhone(vt.phone);
+  if (vt.preferred_channel !== "EMAIL" && canSend(vt.preferred_channel) && phone) {
+    return `${CHANNELS[vt.preferred_channel]} al número terminado en ${phone.slice(-3)}`;
+  }
+  const [user, domain] = String(vt.email || "").split("@");
+  return domain ? `correo ${user.slice(0, 2)}***@${domain}` : "correo registrado";
+}
+
+function voteOtpAuditBase(election, vt) {
+  return {
+    election_id: election.id,
+    registration_id: vt.registration_id,
+    unit_id: vt.unit_id,
+    token_id: vt.id
+  };
+}
+
+function voteOtpRequestMeta(req) {
+  return { ip: getReqIp(req), user_agent: getUserAgent(req) };
+}
+
+// Invalida el código vigente y envía uno nuevo. Devuelve null o el motivo por
+// el que no se envió. Los topes de reenvío se revisan con la fila del token
+// bloqueada, en la misma transacción que crea el código: dos pedidos a la vez
+// no pasan ambos el control.
+async function issueVoteOtp(req, election, vt) {
+  const code = String(crypto.randomInt(0, 1_000_000)).padStart(6, "0");
+  const issued = await withTx(pool, async (client) => {
+    await client.query(`SELECT id FROM vote_tokens WHERE id=$1 FOR UPDATE`, [vt.id]);
+    const recent = (await client.query(
+      `SELECT COUNT(*)::int AS n, MAX(created_at) AS last_at
+       FROM vote_otps WHERE token_id=$1 AND created_at > NOW() - interval '1 hour'`,
+      [vt.id]
+    )).rows[0];
+    if (recent.last_at && now().getTime() - new Date(recent.last_at).getTime() < VOTE_OTP_RESEND_SECONDS * 1000) {
+      return { error: "Espera un minuto antes de pedir otro código." };
+    }
+    if (recent.n >= VOTE_OTP_MAX_SENDS_PER_HOUR) return { rateLimited: recent.n };
+
+    await client.query(`UPDATE vote_otps SET invalidated_at=NOW() WHERE token_id=$1 AND verified_at IS NULL AND invalidated_at IS NULL`, [vt.id]);
+    const otp = (await client.query(
+      `INSERT INTO vote_otps(election_id, token_id, code_hash, expires_at)
+       VALUES ($1,$2,$3,NOW() + make_interval(mins => $4))
+       RETURNING id`,
+      [election.id, vt.id, voteOtpHash(vt.id, code), VOTE_OTP_TTL_MINUTES]
+    )).rows[0];
+    return { otp };
+  });
+  if (issued.error) return issued.error;
+  if (issued.rateLimited) {
+    await audit("VOTE_OTP_RATE_LIMITED", { ...voteOtpAuditBase(election, vt), meta_json: { ...voteOtpRequestMeta(req), sends_last_hour: issued.rateLimited } });
+    return "Se enviaron demasiados códigos en la última hora. Intenta más tarde o comunícate con el Consejo Directivo.";
+  }
+  const { otp } = issued;
+
+  const queued = await sendEmailNotification({
+    template: "vote_otp",
+    recipient: vt.email,
+    election_id: election.id,
+    registration_id: vt.registration_id,
+    meta_json: { token_id: vt.id, otp_id: otp.id },
+    channel: vt.preferred_channel,
+    phone: vt.phone,
+    priority: 1,
+    mailer: "sendVoteOtp",
+    args: { to: vt.email, code, electionTitle: election.title, unitLabel: vt.unit_label, minutes: VOTE_OTP_TTL_MINUTES }
+  });
+
+  await audit(queued ? "VOTE_OTP_SENT" : "VOTE_OTP_SEND_FAILED", { ...voteOtpAuditBase(election, vt), meta_json: { ...voteOtpRequestMeta(req), otp_id: otp.id } });
+  return queued ? null : "No pudimos enviar el código. Comunícate con el Consejo Directivo.";
+}
+
+async function renderVoteOtp(req, res, election, vt, { error = null, notice = null, status = 200 } = {}) {
+  res.status(status).render("vote_otp", {
+    election,
+    token: req.params.token,
+    destination: maskedOtpDestination(vt),
+    minutes: VOTE_OTP_TTL_MINUTES,
+    error,
+    notice
   });
+}
+
+// Puerta para todas las rutas /votar/:token salvo las del propio código.
+app.use("/votar/:token", async (req, res, next) => {
+  if (req.path.startsWith("/codigo")) return next();
+  try {
+    const election = await getActiveElection(req);
+    if (!election?.require_vote_otp) return next();
+    const vt = await getVoteOtpToken(election, req.params.token);
+    if (!vt || voteOtpVerified(req, vt) || !(await voteOtpApplies(election, vt))) return next();
+
+    if (req.method === "GET") return res.redirect(`/votar/${encodeURIComponent(req.params.token)}/codigo`);
+    return res.status(403).send("Confirma el código enviado a tu correo o teléfono antes de votar.");
+  } catch (e) {
+    console.error("vote otp gate failed", e);
+    return res.status(500).send("Error validando el enlace.");
+  }
+});
+
+app.get("/votar/:token/codigo", async (req, res) => {
+  const election = await getActiveElection(req);
+  if (!election) return res.render("no_active");
+  const vt = await getVoteOtpToken(election, req.params.token);
+  if (!vt) return res.status(404).send("Enlace inválido.");
+  if (voteOtpVerified(req, vt) || !(await voteOtpApplies(election, vt))) return res.redirect(`/votar/${encodeURIComponent(req.params.token)}`);
+
+  let error = null;
+  if (!(await getCurrentVoteOtp(vt))) error = await issueVoteOtp(req, election, vt);
+  await renderVoteOtp(req, res, election, vt, { error });
+});
+
+app.post("/votar/:token/codigo", async (req, res) => {
+  const election = await getActiveElection(req);
+  if (!election) return res.render("no_active");
+  const vt = await getVoteOtpToken(election, req.params.token);
+  if (!vt) return res.status(404).send("Enlace inválido.");
+  if (voteOtpVerified(req, vt) || !(await voteOtpApplies(election, vt))) return res.redirect(`/votar/${encodeURIComponent(req.params.token)}`);
+
+  const auditBase = voteOtpAuditBase(election, vt);
+  const otp = await getCurrentVoteOtp(vt);
+  if (!otp) {
+    await audit("VOTE_OTP_EXPIRED", { ...auditBase, meta_json: voteOtpRequestMeta(req) });
+    return renderVoteOtp(req, res, election, vt, { error: "El código venció o ya no es válido. Pide uno nuevo.", status: 400 });
+  }
+
+  // El intento se cuenta antes de comparar y solo mientras quedan intentos:
+  // pedidos en paralelo no pueden probar más códigos que VOTE_OTP_MAX_ATTEMPTS.
+  const claimed = (await q(
+    `UPDATE vote_otps SET attempts=attempts+1
+     WHERE id=$1 AND attempts < $2 AND verified_at IS NULL AND invalidated_at IS NULL AND expires_at > NOW()
+     RETURNING attempts`,
+    [otp.id, VOTE_OTP_MAX_ATTEMPTS]
+  )).rows[0];
+  if (!claimed) {
+    await audit("VOTE_OTP_LOCKED", { ...auditBase, meta_json: { ...voteOtpRequestMeta(req), otp_id: otp.id } });
+    return renderVoteOtp(req, res, election, vt, { error: "Demasiados intentos con este código. Pide uno nuevo.", status: 400 });
+  }
+  const attempts = claimed.attempts;
+  const code = String(req.body.code || "").replace(/\D/g, "");
+  const given = Buffer.from(voteOtpHash(vt.id, code));
+  const expected = Buffer.from(otp.code_hash);
+
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    const locked = attempts >= VOTE_OTP_MAX_ATTEMPTS;
+    if (locked) await q(`UPDATE vote_otps SET invalidated_at=NOW() WHERE id=$1`, [otp.id]);
+    await audit(locked ? "VOTE_OTP_LOCKED" : "VOTE_OTP_FAILED", { ...auditBase, meta_json: { ...voteOtpRequestMeta(req), otp_id: otp.id, attempts } });
+    return renderVoteOtp(req, res, election, vt, {
+      error: locked
+        ? "Demasiados intentos con este código. Pide uno nuevo."
+        : `Código incorrecto. Te quedan ${VOTE_OTP_MAX_ATTEMPTS - attempts} intento(s).`,
+      status: 400
+    });
+  }
+
+  await q(`UPDATE vote_otps SET verified_at=NOW() WHERE id=$1`, [otp.id]);
+  req.session.voteOtp = { ...(req.session.voteOtp || {}), [vt.id]: Date.now() };
+  await audit("VOTE_OTP_VERIFIED", { ...auditBase, meta_json: { ...voteOtpRequestMeta(req), otp_id: otp.id, attempts } });
+  res.redirect(`/votar/${encodeURIComponent(req.params.token)}`);
+});
 
-  res.render("register_done", { election });
+app.post("/votar/:token/codigo/reenviar", async (req, res) => {
+  const election = await getActiveElection(req);
+  if (!election) return res.render("no_active");
+  const vt = await getVoteOtpToken(election, req.params.token);
+  if (!vt) return res.status(404).send("Enlace inválido.");
+  if (voteOtpVerified(req, vt) || !(await voteOtpApplies(election, vt))) return res.redirect(`/votar/${encodeURIComponent(req.params.token)}`);
+
+  const error = await issueVoteOtp(req, election, vt);
+  await renderVoteOtp(req, res, election, vt, { error, notice: error ? null : "Te enviamos un código nuevo. El anterior ya no sirve." });
 });
 
 /* =========================
@@ -972,21 +2281,30 @@ app.post("/registro", async (req, res) => {
 ========================= */
 // SAFE_VOTE_GET_WINDOW_GUARD
 app.get("/votar/:token", async (req, res, next) => {
-  const election = await getActiveElection();
+  const election = await getActiveElection(req);
   if (!election) return res.render("no_active");
 
   const tokenHash = hashToken(req.params.token);
   const t = (await q(
-    `SELECT id, status FROM vote_tokens WHERE token_hash=$1 AND election_id=$2 LIMIT 1`,
+    `SELECT id, status, registration_id FROM vote_tokens WHERE token_hash=$1 AND election_id=$2 LIMIT 1`,
     [tokenHash, election.id]
   )).rows[0];
 
   if (!t) return res.status(404).send("Enlace inválido.");
-  if (t.status !== "ACTIVE") return res.render("vote_used", { election });
+  if (t.status !== "ACTIVE") {
+    // El apoderado que ya votó por su unidad vuelve con su enlace para votar
+    // por las unidades que representa.
+    const represents = t.status === "USED" && (await q(
+      `SELECT 1 FROM proxies WHERE election_id=$1 AND delegate_registration_id=$2 AND status='APPROVED' LIMIT 1`,
+      [election.id, t.registration_id]
+    )).rows.length > 0;
+    // Con cambio de voto habilitado la unidad vuelve con su enlace ya usado.
+    if (!represents && !(t.status === "USED" && canRecast(election))) return res.render("vote_used", { election });
+  }
 
   const n = now();
   if (n < new Date(election.vote_open_at)) {
-    return res.render("closed", { election, state: "pending" });
+    return res.render("closed", { election, state: "pending", token: req.params.token });
   }
   if (n > new Date(election.vote_close_at)) {
     return res.render("closed", { election, state: "closed" });
@@ -994,7 +2312,7 @@ app.get("/votar/:token", async (req, res, next) => {
   return next();
 });
 app.get("/votar/:token", async (req, res) => {
-  const election = await getActiveElection();
+  const election = await getActiveElection(req);
   if (!election) return res.render("no_active");
 
   const tokenHash = hashToken(req.params.token);
@@ -1006,28 +2324,54 @@ app.get("/votar/:token", async (req, res) => {
     [tokenHash, election.id]
   );
   if (!t.rows.length) return res.status(404).send("Enlace inválido.");
-  const vt = t.rows[0];
+  let vt = t.rows[0];
+  // Tablet de mesa presencial: si el vecino deja la papeleta, vuelve sola a /mesa.
+  const kioskRefresh = presencialOperatorId(req, vt) ? `${MESA_IDLE_SECONDS};url=${campaignPath(election.id, "/mesa")}` : null;
+
+  // Apoderado: ?poder=ID abre la papeleta de la unidad representada, que se
+  // vota con el token del poderdante.
+  const proxies = await getDelegateProxies(election, vt.registration_id);
+  const proxyId = Number(req.query.poder || 0);
+  let proxy = null;
+  if (proxyId) {
+    proxy = proxies.find(p => Number(p.id) === proxyId);
+    if (!proxy) return res.status(404).send("El poder no existe o ya no está vigente.");
+    vt = (await q(
+      `SELECT * FROM vote_tokens WHERE election_id=$1 AND registration_id=$2 ORDER BY id DESC LIMIT 1`,
+      [election.id, proxy.registration_id]
+    )).rows[0];
+    if (!vt) return res.status(404).send("La unidad representada no tiene enlace emitido.");
+  } else {
+    const delegated = await getOpenProxyFor(election.id, vt.registration_id);
+    if (delegated?.status === "APPROVED") return res.render("vote_delegated", { election, proxy: delegated });
+  }
+  // ?cambiar=... abre de nuevo la papeleta para reemplazar el voto vigente.
+  const recastOpen = !kioskRefresh && canRecast(election, vt);
+  const recast = recastOpen && !!req.query.cambiar;
+  const ballot = { election, token: req.params.token, proxy, proxies, kioskRefresh, recastOpen, recast };
 
   const n = now();
   const voteOpen = inWindow(n, election.vote_open_at, election.vote_close_at);
 
   if (election.kind === "VOTACION") {
-    const { question, options } = await getReferendumForElection(election.id);
-    if (!question || !options.length) return res.status(400).send("Votación interna sin pregunta/opciones configuradas.");
+    const { questions } = await getReferendumForElection(election.id);
+    if (!questions.length || questions.some(qq => !qq.options.length)) return res.status(400).send("Votación interna sin pregunta/opciones configuradas.");
 
-    if (!voteOpen) return res.render("vote_referendum", { election, token: req.params.token, question, options });
+    if (!voteOpen) return res.render("vote_referendum", { ...ballot, questions });
 
     const hasVote = (await q(
       `SELECT 1 FROM referendum_votes WHERE election_id=$1 AND unit_id=$2 LIMIT 1`,
       [election.id, vt.unit_id]
     )).rows.length > 0;
 
+    if (recast && hasVote) return res.render("vote_referendum", { ...ballot, questions });
+
     if (vt.status !== "ACTIVE" || hasVote) {
       if (vt.status === "ACTIVE") await q(`UPDATE vote_tokens SET status='USED', used_at=NOW() WHERE id=$1`, [vt.id]);
-      return res.render("vote_used", { election });
+      return res.render("vote_used", ballot);
     }
 
-    return res.render("vote_referendum", { election, token: req.params.token, question, options });
+    return res.render("vote_referendum", { ...ballot, questions });
   }
 
   const councilLists = await getCouncilListsWithMembers(election.id);
@@ -1039,23 +2383,25 @@ app.get("/votar/:token", async (req, res) => {
     [election.id]
   )).rows;
 
-  if (!voteOpen) return res.render("vote_preview", { election, token: req.params.token, councilLists, fiscalLists });
+  if (!voteOpen) return res.render("vote_preview", { ...ballot, councilLists, fiscalLists });
 
   const hasCouncil = (await q(`SELECT 1 FROM votes WHERE election_id=$1 AND unit_id=$2 LIMIT 1`, [election.id, vt.unit_id])).rows.length > 0;
   const hasFiscal = (await q(`SELECT 1 FROM fiscal_votes WHERE election_id=$1 AND unit_id=$2 LIMIT 1`, [election.id, vt.unit_id])).rows.length > 0;
 
-  if (hasCouncil && hasFiscal) {
+  if (recast && req.query.cambiar === "directiva" && hasCouncil) return res.render("vote_council", { ...ballot, councilLists });
+  if (recast && req.query.cambiar === "fiscales" && hasFiscal) return res.render("vote_fiscal", { ...ballot, fiscalLists });
+
+  if ((hasCouncil && hasFiscal) || vt.status !== "ACTIVE") {
     if (vt.status === "ACTIVE") await q(`UPDATE vote_tokens SET status='USED', used_at=NOW() WHERE id=$1`, [vt.id]);
-    return res.render("vote_used", { election });
+    return res.render("vote_used", ballot);
   }
 
-  if (!hasCouncil) return res.render("vote_council", { election, token: req.params.token, councilLists });
-  return res.render("vote_fiscal", { election, token: req.params.token, fiscalLists });
+  if (!hasCouncil) return res.render("vote_council", { ...ballot, councilLists });
+  return res.render("vote_fiscal", { ...ballot, fiscalLists });
 });
 
-
 app.post("/votar/:token", async (req, res) => {
-  const election = await getActiveElection();
+  const election = await getActiveElection(req);
   if (!election) return res.render("no_active");
 
   const n = now();
@@ -1065,40 +2411,74 @@ app.post("/votar/:token", async (req, res) => {
   const { candidate_id } = req.body;
   if (!candidate_id) return res.status(400).send("Elige una lista.");
 
-  const tokenHash = hashToken(req.params.token);
+  // Voto en blanco: se registra en la cadena con candidate_id NULL.
+  const isBlank = candidate_id === "BLANK";
+  if (isBlank && !election.allow_blank_vote) return res.status(400).send("Esta campaña no admite voto en blanco.");
+
+  const selectedList = isBlank ? { id: null, name: "Voto en blanco" } : (await q(
+    `SELECT id, name FROM candidates WHERE id=$1 AND election_id=$2`,
+    [Number(candidate_id), election.id]
+  )).rows[0];
+  if (!selectedList) return res.status(400).send("Lista inválida.");
+
+  const backUrl = `/votar/${req.params.token}${req.body.proxy_id ? `?poder=${Number(req.body.proxy_id)}` : ""}`;
+  const recast = req.body.recast === "1";
 
   const c = await pool.connect();
   try {
     await c.query("BEGIN");
 
-    const t = await c.query(
-      `SELECT * FROM vote_tokens WHERE token_hash=$1 AND election_id=$2 FOR UPDATE`,
-      [tokenHash, election.id]
-    );
-    if (!t.rows.length) { await c.query("ROLLBACK"); return res.status(404).send("Enlace inválido."); }
+    const voter = await resolveVoteToken(c, election, req.params.token, req.body.proxy_id, { recast });
+    if (voter.error) { await c.query("ROLLBACK"); return res.status(voter.status).send(voter.error); }
+    if (voter.used) { await c.query("ROLLBACK"); return res.render("vote_used", { election }); }
+    const { vt, proxy } = voter;
+    const operatorId = presencialOperatorId(req, voter.own);
 
-    const vt = t.rows[0];
-    if (vt.status !== "ACTIVE") { await c.query("ROLLBACK"); return res.render("vote_used", { election }); }
+    const superseded = recast ? await supersedeCurrentVotes(c, "votes", election.id, vt.unit_id) : { rows: [] };
+    if (superseded.error) { await c.query("ROLLBACK"); return res.status(409).send(superseded.error); }
 
-  await insertCouncilVoteChained(c, {
+  const vote = await insertCouncilVoteChained(c, {
     election_id: election.id,
     unit_id: vt.unit_id,
-    candidate_id: Number(candidate_id),
+    candidate_id: selectedList.id,
     token_id: vt.id,
+    proxy_id: proxy?.id || null,
+    supersedes: superseded.rows[0]?.id ?? null,
     ip: req.headers["cf-connecting-ip"] || req.ip,
     user_agent: req.headers["user-agent"] || ""
   });
 
+    const receiptCode = await createVoteReceipt(c, {
+      election_id: election.id,
+      registration_id: vt.registration_id,
+      unit_id: vt.unit_id,
+      vote_kind: "COUNCIL",
+      vote_table: "votes",
+      vote_id: vote.id,
+      vote_hash: vote.vote_hash,
+      proxy_id: proxy?.id || null
+    });
+
     await c.query("COMMIT");
 
     await audit("VOTE_CAST", {
+      actor_admin_id: operatorId,
       election_id: election.id,
       unit_id: vt.unit_id,
       token_id: vt.id,
-      meta_json: { candidate_id: Number(candidate_id) }
+      meta_json: { candidate_id: selectedList.id, is_blank: isBlank, vote_hash: vote.vote_hash, chain_position: vote.chain_position, ...recastAuditMeta(superseded.rows), ...proxyAuditMeta(proxy), ...presencialAuditMeta(operatorId) }
     });
 
-    return res.redirect(`/votar/${req.params.token}`);
+    await sendVoteReceiptNotification({ election, vt, vote, receiptCode, kind: "COUNCIL", optionText: `Directiva: ${selectedList.name}`, proxy });
+
+    // Cambio de voto de Directiva con Fiscales ya votado: la papeleta está completa.
+    const hasFiscal = recast && (await q(`SELECT 1 FROM fiscal_votes WHERE election_id=$1 AND unit_id=$2 LIMIT 1`, [election.id, vt.unit_id])).rows.length > 0;
+    if (hasFiscal) {
+      const proxies = await getDelegateProxies(election, voter.own.registration_id);
+      return res.render("vote_done", { election, token: req.params.token, proxy, proxies, kioskRefresh: null, recastOpen: canRecast(election, vt) });
+    }
+
+    return res.redirect(backUrl);
     //res.render("vote_done", { election });
   } catch (e) {
     await c.query("ROLLBACK");
@@ -1112,7 +2492,7 @@ app.post("/votar/:token", async (req, res) => {
 
 // FORCED_REFERENDUM_RECEIPT_ROUTE
 app.post("/votar/:token/referendum", async (req, res, next) => {
-  const election = await getActiveElection();
+  const election = await getActiveElection(req);
   if (!election) return res.render("no_active");
   if (election.kind !== "VOTACION") return next();
 
@@ -1120,47 +2500,69 @@ app.post("/votar/:token/referendum", async (req, res, next) => {
   const voteOpen = inWindow(n, election.vote_open_at, election.vote_close_at);
   if (!voteOpen) return res.render("closed", { election });
 
-  const option_id = Number(req.body.option_id);
-  if (!option_id) return res.status(400).send("Elige una opción.");
+  const { questions } = await getReferendumForElection(election.id);
+  if (!questions.length) return res.status(400).send("Votación interna sin pregunta/opciones configuradas.");
 
-  const { question, options } = await getReferendumForElection(election.id);
-  const selectedOption = options.find(o => Number(o.id) === option_id);
-  if (!question || !selectedOption) return res.status(400).send("Opción inválida.");
+  // Una papeleta = una respuesta por cada pregunta.
+  const answers = [];
+  for (const question of questions) {
+    const answer = parseReferendumAnswer(question, req.body);
+    if (answer.error) return res.status(400).send(answer.error);
+    const options = answer.choices.map(id => question.options.find(o => Number(o.id) === id));
+    answers.push({ question, ...answer, options });
+  }
 
-  const tokenHash = hashToken(req.params.token);
   const c = await pool.connect();
   let vote;
   let vt;
+  let proxy;
+  let ownRegistrationId;
+  let operatorId;
   let receiptCode;
+  let superseded;
+  const votes = [];
+  const recast = req.body.recast === "1";
 
   try {
     await c.query("BEGIN");
 
-    const t = await c.query(
-      `SELECT * FROM vote_tokens WHERE token_hash=$1 AND election_id=$2 FOR UPDATE`,
-      [tokenHash, election.id]
-    );
-
-    if (!t.rows.length) {
+    const voter = await resolveVoteToken(c, election, req.params.token, req.body.proxy_id, { recast });
+    if (voter.error) {
       await c.query("ROLLBACK");
-      return res.status(404).send("Enlace inválido.");
+      return res.status(voter.status).send(voter.error);
     }
-
-    vt = t.rows[0];
-    if (vt.status !== "ACTIVE") {
+    if (voter.used) {
       await c.query("ROLLBACK");
       return res.render("vote_used", { election });
     }
+    ({ vt, proxy } = voter);
+    ownRegistrationId = voter.own.registration_id;
+    operatorId = presencialOperatorId(req, voter.own);
 
-    vote = await insertReferendumVoteChained(c, {
-      election_id: election.id,
-      unit_id: vt.unit_id,
-      question_id: question.id,
-      option_id,
-      token_id: vt.id,
-      ip: getReqIp(req),
-      user_agent: getUserAgent(req)
-    });
+    superseded = recast ? await supersedeCurrentVotes(c, "referendum_votes", election.id, vt.unit_id) : { rows: [] };
+    if (superseded.error) {
+      await c.query("ROLLBACK");
+      return res.status(409).send(superseded.error);
+    }
+
+    // Las respuestas quedan consecutivas en la cadena de la campaña (el lock
+    // es por transacción), así el hash de la última cubre toda la papeleta.
+    for (const a of answers) {
+      votes.push(await insertReferendumVoteChained(c, {
+        election_id: election.id,
+        unit_id: vt.unit_id,
+        question_id: a.question.id,
+        option_id: a.choices[0] ?? null,
+        choices: a.choices,
+        is_blank: a.is_blank,
+        token_id: vt.id,
+        proxy_id: proxy?.id || null,
+        supersedes: superseded.rows.find(v => Number(v.question_id) === Number(a.question.id))?.id ?? null,
+        ip: getReqIp(req),
+        user_agent: getUserAgent(req)
+      }));
+    }
+    vote = votes[votes.length - 1];
 
     receiptCode = await createVoteReceipt(c, {
       election_id: election.id,
@@ -1169,42 +2571,40 @@ app.post("/votar/:token/referendum", async (req, res, next) => {
       vote_kind: "REFERENDUM",
       vote_table: "referendum_votes",
       vote_id: vote.id,
-      vote_hash: vote.vote_hash
+      vote_hash: vote.vote_hash,
+      proxy_id: proxy?.id || null
     });
 
     await c.query(`UPDATE vote_tokens SET status='USED', used_at=NOW() WHERE id=$1`, [vt.id]);
     await c.query("COMMIT");
 
     await audit("REFERENDUM_VOTE_CAST", {
+      actor_admin_id: operatorId,
       election_id: election.id,
       unit_id: vt.unit_id,
       token_id: vt.id,
-      meta_json: { question_id: question.id, option_id, vote_hash: vote.vote_hash, chain_position: vote.chain_position }
+      meta_json: {
+        answers: answers.map((a, i) => ({ question_id: a.question.id, choices: a.choices, is_blank: a.is_blank, vote_hash: votes[i].vote_hash, chain_position: votes[i].chain_position })),
+        vote_hash: vote.vote_hash,
+        chain_position: vote.chain_position,
+        ...recastAuditMeta(superseded.rows),
+        ...proxyAuditMeta(proxy),
+        ...presencialAuditMeta(operatorId)
+      }
     });
 
-    const regForReceipt = (await q(`SELECT r.id, r.email, u.label AS unit_label FROM registrations r JOIN units u ON u.id=r.unit_id WHERE r.id=$1`, [vt.registration_id])).rows[0];
-    const optionText = `${selectedOption.option_label ? selectedOption.option_label + ". " : ""}${selectedOption.option_text}`;
-
-    await sendEmailNotification({
-      template: "vote_receipt",
-      recipient: regForReceipt?.email,
-      election_id: election.id,
-      registration_id: regForReceipt?.id,
-      meta_json: { token_id: vt.id, kind: "REFERENDUM", vote_hash: vote.vote_hash, chain_position: vote.chain_position },
-      send: () => sendVoteReceipt({
-        to: regForReceipt.email,
-        electionTitle: election.title,
-        unitLabel: regForReceipt?.unit_label,
-        castAt: new Date(vote.cast_at).toLocaleString("es-PE", { timeZone: "America/Lima" }),
-        optionText,
-        voteHash: vote.vote_hash,
-        chainPosition: vote.chain_position,
-        receiptCode,
-        verifyUrl: absoluteUrl(`/verificar-voto?receipt=${encodeURIComponent(receiptCode)}`)
-      })
-    });
-
-    return res.render("vote_done", { election });
+    const optionText = answers.map(a => {
+      const label = a.is_blank
+        ? "Voto en blanco"
+        : a.options.map((o, i) => `${a.question.ballot_type === "RANKED" ? (i + 1) + "º " : ""}${o.option_label ? o.option_label + ". " : ""}${o.option_text}`).join(a.question.ballot_type === "SINGLE" ? "" : "; ");
+      return answers.length > 1 ? `${a.question.question_text}\n-> ${label}` : label;
+    }).join("\n\n");
+    await sendVoteReceiptNotification({ election, vt, vote, receiptCode, kind: "REFERENDUM", optionText, proxy });
+
+    const proxies = await getDelegateProxies(election, ownRegistrationId);
+    const kioskRefresh = operatorId ? `${MESA_DONE_SECONDS};url=${campaignPath(election.id, "/mesa")}` : null;
+    const recastOpen = !kioskRefresh && canRecast(election, vt);
+    return res.render("vote_done", { election, token: req.params.token, proxy, proxies, kioskRefresh, recastOpen });
   } catch (e) {
     await c.query("ROLLBACK");
     if (String(e?.code) === "23505") return res.render("vote_used", { election });
@@ -1216,106 +2616,643 @@ app.post("/votar/:token/referendum", async (req, res, next) => {
 });
 
 /* =========================
-   RESULTADOS PÚBLICOS (histórico)
+   VOTAR: designar apoderado (carta poder)
 ========================= */
-app.get("/resultados", async (req, res) => {
-  const election = await getActiveElection();
+async function getProxyGrantContext(election, rawToken) {
+  const vt = (await q(
+    `SELECT vt.*, r.name AS registrant_name, r.status AS registration_status, u.label AS unit_label
+     FROM vote_tokens vt
+     JOIN registrations r ON r.id=vt.registration_id
+     JOIN units u ON u.id=vt.unit_id
+     WHERE vt.token_hash=$1 AND vt.election_id=$2`,
+    [hashToken(rawToken), election.id]
+  )).rows[0];
+  if (!vt) return { status: 404, error: "Enlace inválido." };
+  if (vt.status !== "ACTIVE" || vt.registration_status !== "APPROVED") return { status: 403, error: "Este enlace ya no permite designar apoderado." };
+  if (now() > new Date(election.vote_close_at)) return { status: 403, error: "La votación ya cerró." };
+
+  const hasVote = (await q(
+    `SELECT 1 FROM referendum_votes WHERE election_id=$1 AND unit_id=$2
+     UNION ALL SELECT 1 FROM votes WHERE election_id=$1 AND unit_id=$2
+     UNION ALL SELECT 1 FROM fiscal_votes WHERE election_id=$1 AND unit_id=$2
+     LIMIT 1`,
+    [election.id, vt.unit_id]
+  )).rows.length > 0;
+  if (hasVote) return { status: 403, error: "Esta unidad ya emitió su voto." };
+
+  return { vt, proxy: await getOpenProxyFor(election.id, vt.registration_id) };
+}
+
+app.get("/votar/:token/poder", async (req, res) => {
+  const election = await getActiveElection(req);
   if (!election) return res.render("no_active");
-  return res.redirect(`/resultados/${election.id}`);
-});
 
-// PUBLIC_RESULTS_UNTIL_CLOSE_GUARD
-app.get("/resultados/:electionId", async (req, res, next) => {
-  const electionId = Number(req.params.electionId);
-  if (!electionId) return next();
-  const election = (await q(`SELECT * FROM elections WHERE id=$1`, [electionId])).rows[0];
-  if (!election) return next();
-  const active = await getActiveElection();
-  if (active && Number(active.id) === electionId && now() < new Date(election.vote_close_at)) {
-    return res.render("results_pending", { election });
-  }
-  return next();
+  const ctx = await getProxyGrantContext(election, req.params.token);
+  if (ctx.error) return res.status(ctx.status).send(ctx.error);
+
+  res.render("vote_proxy", { election, token: req.params.token, vt: ctx.vt, proxy: ctx.proxy, error: null, delegateDni: "" });
 });
-app.get("/resultados/:electionId", async (req, res) => {
-  const electionId = Number(req.params.electionId);
-  const election = (await q(`SELECT * FROM elections WHERE id=$1`, [electionId])).rows[0];
-  if (!election) return res.status(404).send("Campaña no existe.");
 
-  let totals;
-  let metrics;
-  if (election.kind === "VOTACION") {
-    totals = (await q(
-      `SELECT ro.option_label AS list_code, ro.option_text AS name, COUNT(rv.id)::int AS votes
-       FROM referendum_options ro
-       LEFT JOIN referendum_votes rv ON rv.option_id=ro.id AND rv.election_id=$1
-       WHERE ro.election_id=$1
-       GROUP BY ro.id
-       ORDER BY ro.sort_order ASC, ro.id ASC`,
-      [electionId]
-    )).rows;
-    metrics = {
-      votes: (await q(`SELECT COUNT(*)::int AS n FROM referendum_votes WHERE election_id=$1`, [electionId])).rows[0].n,
-      approved_regs: (await q(`SELECT COUNT(*)::int AS n FROM registrations WHERE election_id=$1 AND status='APPROVED'`, [electionId])).rows[0].n
-    };
-  } else {
-    totals = (await q(
-      `SELECT c.name, c.list_code, COUNT(v.id)::int AS votes
-       FROM candidates c
-       LEFT JOIN votes v ON v.candidate_id=c.id AND v.election_id=$1
-       WHERE c.election_id=$1
-       GROUP BY c.id
-       ORDER BY c.sort_order ASC`,
-      [electionId]
-    )).rows;
-    metrics = {
-      votes: (await q(`SELECT COUNT(*)::int AS n FROM votes WHERE election_id=$1`, [electionId])).rows[0].n,
-      approved_regs: (await q(`SELECT COUNT(*)::int AS n FROM registrations WHERE election_id=$1 AND status='APPROVED'`, [electionId])).rows[0].n
-    };
-  }
+app.post("/votar/:token/poder", keepOrganization(upload.single("poder_pdf")), async (req, res) => {
+  const election = await getActiveElection(req);
+  const discard = () => { if (req.file) fs.rm(req.file.path, { force: true }, () => {}); };
+  if (!election) { discard(); return res.render("no_active"); }
 
-  res.render("public_results", { election, totals, metrics });
-});
+  const ctx = await getProxyGrantContext(election, req.params.token);
+  if (ctx.error) { discard(); return res.status(ctx.status).send(ctx.error); }
+  const { vt } = ctx;
 
-app.get("/admin/fiscalizacion", requireFiscalOrAdmin, async (req, res) => {
-  const rows = (await q(
-    `SELECT e.id, e.title, e.kind, e.is_active,
-            COALESCE(rv.n,0) + COALESCE(v.n,0) + COALESCE(fv.n,0) AS total_votes,
-            COALESCE(es.n,0) AS seals
-     FROM elections e
-     LEFT JOIN (SELECT election_id, COUNT(*)::int n FROM referendum_votes GROUP BY election_id) rv ON rv.election_id=e.id
-     LEFT JOIN (SELECT election_id, COUNT(*)::int n FROM votes GROUP BY election_id) v ON v.election_id=e.id
-     LEFT JOIN (SELECT election_id, COUNT(*)::int n FROM fiscal_votes GROUP BY election_id) fv ON fv.election_id=e.id
-     LEFT JOIN (SELECT election_id, COUNT(*)::int n FROM election_seals GROUP BY election_id) es ON es.election_id=e.id
-     ORDER BY e.id DESC`
-  )).rows;
-  res.render("fiscalization", { admin: req.session.admin, rows });
-});
+  const delegateDni = cleanText(req.body.delegate_dni);
+  const fail = (error) => {
+    discard();
+    return res.status(400).render("vote_proxy", { election, token: req.params.token, vt, proxy: ctx.proxy, error, delegateDni });
+  };
 
-async function getFiscalizationRows(electionId) {
-  const election = (await q(`SELECT * FROM elections WHERE id=$1`, [electionId])).rows[0];
-  if (!election) return { election: null, rows: [] };
+  if (ctx.proxy) return fail("Tu unidad ya tiene un poder registrado.");
+  if (!delegateDni) return fail("Ingresa el DNI/CE del apoderado.");
+  if (!req.file) return fail("Adjunta la carta poder firmada en PDF.");
 
-  const rows = election.kind === "VOTACION" ? (await q(
-    `SELECT u.label AS unit_label, r.name, r.dni, r.email,
-            ro.option_label, ro.option_text,
-            rv.cast_at, rv.chain_position, rv.previous_hash, rv.vote_hash
-     FROM referendum_votes rv
-     JOIN units u ON u.id=rv.unit_id
-     JOIN vote_tokens vt ON vt.id=rv.token_id
-     JOIN registrations r ON r.id=vt.registration_id
-     JOIN referendum_options ro ON ro.id=rv.option_id
+  // Sin cadenas de poderes: quien representa a otras unidades no delega.
+  if ((await getDelegateProxies(election, vt.registration_id)).length) {
+    return fail("Representas a otras unidades por poder; no puedes delegar tu voto.");
+  }
+
+  const delegate = (await q(
+    `SELECT r.id, r.name, u.label AS unit_label
+     FROM registrations r
+     JOIN units u ON u.id=r.unit_id
+     WHERE r.election_id=$1 AND r.status='APPROVED' AND lower(COALESCE(r.dni,''))=lower($2)
+       AND r.unit_id<>$3
+     ORDER BY r.id ASC
+     LIMIT 1`,
+    [election.id, delegateDni, vt.unit_id]
+  )).rows[0];
+  if (!delegate) return fail("No encontramos una solicitud aprobada de otra unidad con ese DNI/CE. El apoderado debe estar registrado y aprobado en esta campaña.");
+
+  if (await getOpenProxyFor(election.id, delegate.id)) return fail("Esa persona delegó su propio voto y no puede actuar como apoderado.");
+
+  const approvedForDelegate = (await q(
+    `SELECT COUNT(*)::int AS n FROM proxies WHERE election_id=$1 AND delegate_registration_id=$2 AND status='APPROVED'`,
+    [election.id, delegate.id]
+  )).rows[0].n;
+  if (approvedForDelegate >= Number(election.max_proxies_per_delegate)) {
+    return fail(`Esa persona ya alcanzó el máximo de ${election.max_proxies_per_delegate} poder(es) por apoderado.`);
+  }
+
+  const fileName = path.basename(req.file.path);
+  fs.renameSync(req.file.path, path.join(PROXY_DIR, fileName));
+
+  let proxyId;
+  try {
+    proxyId = (await q(
+      `INSERT INTO proxies(election_id, registration_id, unit_id, delegate_registration_id, document_path)
+       VALUES ($1,$2,$3,$4,$5)
+       RETURNING id`,
+      [election.id, vt.registration_id, vt.unit_id, delegate.id, fileName]
+    )).rows[0].id;
+  } catch (e) {
+    fs.rm(path.join(PROXY_DIR, fileName), { force: true }, () => {});
+    if (String(e?.code) === "23505") return fail("Tu unidad ya tiene un poder registrado.");
+    console.error(e);
+    return res.status(500).send("Error registrando el poder.");
+  }
+
+  await audit("PROXY_REQUESTED", {
+    election_id: election.id,
+    registration_id: vt.registration_id,
+    unit_id: vt.unit_id,
+    token_id: vt.id,
+    meta_json: { proxy_id: proxyId, delegate_registration_id: delegate.id }
+  });
+
+  const proxy = await getOpenProxyFor(election.id, vt.registration_id);
+  res.render("vote_proxy", { election, token: req.params.token, vt, proxy, error: null, delegateDni: "" });
+});
+
+/* =========================
+   MESA PRESENCIAL (modo tablet)
+========================= */
+// El operador busca la unidad, verifica identidad y entrega la tablet: el vecino
+// vota por las rutas normales de /votar con un token issued_via='PRESENCIAL'
+// que solo vive en la sesión de la mesa.
+const MESA_IDLE_SECONDS = Number(process.env.MESA_IDLE_SECONDS || 300);
+const MESA_DONE_SECONDS = 8;
+
+// Operador de la sesión presencial de este token (misma tablet), o null.
+function presencialOperatorId(req, token) {
+  const m = req.session?.mesa;
+  if (!m || !token || token.issued_via !== "PRESENCIAL" || Number(m.token_id) !== Number(token.id)) return null;
+  return req.session.admin?.id ?? null;
+}
+
+function presencialAuditMeta(operatorId) {
+  return operatorId ? { via: "PRESENCIAL", operator_admin_id: operatorId } : {};
+}
+
+// Deja la tablet lista para el siguiente vecino: si el token presencial no se
+// usó, se revoca para que no quede un enlace vivo.
+async function resetMesaKiosk(req) {
+  const m = req.session?.mesa;
+  if (!m) return;
+  delete req.session.mesa;
+
+  const revoked = (await q(
+    `UPDATE vote_tokens SET status='REVOKED' WHERE id=$1 AND status='ACTIVE' AND issued_via='PRESENCIAL'`,
+    [m.token_id]
+  )).rowCount > 0;
+
+  await audit("PRESENCIAL_SESSION_RESET", {
+    actor_admin_id: req.session.admin?.id ?? null,
+    election_id: m.election_id,
+    registration_id: m.registration_id,
+    unit_id: m.unit_id,
+    token_id: m.token_id,
+    meta_json: { revoked }
+  });
+}
+
+async function renderMesa(req, res, election, { term = "", error = null, status = 200 } = {}) {
+  let rows = [];
+  if (term.length >= 2) {
+    rows = (await q(
+      `SELECT r.id, r.name, r.dni, u.label AS unit_label,
+              ${unitVotedSql(election, "r")} AS voted,
+              EXISTS (SELECT 1 FROM proxies p WHERE p.registration_id=r.id AND p.status='APPROVED') AS delegated
+       FROM registrations r
+       JOIN units u ON u.id=r.unit_id
+       WHERE r.election_id=$1 AND r.status='APPROVED'
+         AND (u.label ILIKE $2 OR r.name ILIKE $2 OR COALESCE(r.dni,'') ILIKE $2)
+       ORDER BY u.label ASC, r.name ASC
+       LIMIT 30`,
+      [election.id, `%${term}%`]
+    )).rows;
+  }
+
+  const voteOpen = inWindow(now(), election.vote_open_at, election.vote_close_at);
+  res.status(status).render("mesa", { admin: req.session.admin, election, term, rows, error, voteOpen });
+}
+
+app.get("/mesa", requireMesaOrAdmin, async (req, res) => {
+  const election = await getActiveElection(req);
+  if (!election) return res.render("no_active");
+
+  await resetMesaKiosk(req);
+  await renderMesa(req, res, election, { term: String(req.query.q || "").trim() });
+});
+
+app.post("/mesa/:id/iniciar", requireMesaOrAdmin, async (req, res) => {
+  const election = await getActiveElection(req);
+  if (!election) return res.render("no_active");
+
+  await resetMesaKiosk(req);
+  const term = String(req.body.q || "").trim();
+  const fail = (error) => renderMesa(req, res, election, { term, error, status: 400 });
+
+  // La tablet queda con la sesión del operador: solo el rol mesa, que no ve el panel.
+  if (req.session.admin.role !== "mesa") return fail("Solo un usuario de rol mesa puede entregar la tablet.");
+  if (!inWindow(now(), election.vote_open_at, election.vote_close_at)) return fail("La votación no está abierta.");
+
+  const reg = (await q(
+    `SELECT r.*, u.label AS unit_label, ${unitVotedSql(election, "r")} AS voted
+     FROM registrations r
+     JOIN units u ON u.id=r.unit_id
+     WHERE r.id=$1 AND r.election_id=$2 AND r.status='APPROVED'`,
+    [Number(req.params.id), election.id]
+  )).rows[0];
+  if (!reg) return fail("Solicitud aprobada no encontrada.");
+  if (reg.voted) return fail(`La unidad ${reg.unit_label} ya votó.`);
+
+  const proxy = await getOpenProxyFor(election.id, reg.id);
+  if (proxy?.status === "APPROVED") return fail(`La unidad ${reg.unit_label} delegó su voto en ${proxy.delegate_name}.`);
+
+  // Verificación de identidad: el operador digita el DNI/CE del documento físico.
+  const dniCheck = String(req.body.dni_check || "").trim().toLowerCase();
+  if (!dniCheck || dniCheck !== String(reg.dni || "").trim().toLowerCase()) {
+    await audit("PRESENCIAL_IDENTITY_FAILED", {
+      actor_admin_id: req.session.admin.id,
+      election_id: election.id,
+      registration_id: reg.id,
+      unit_id: reg.unit_id
+    });
+    return fail("El DNI/CE no coincide con el de la solicitud.");
+  }
+
+  const raw = newToken();
+  const { tokenId, revokedIds } = await withTx(pool, async (client) => {
+    // El enlace enviado por correo deja de servir: la unidad vota en mesa.
+    const revoked = await client.query(
+      `UPDATE vote_tokens SET status='REVOKED'
+       WHERE election_id=$1 AND unit_id=$2 AND status='ACTIVE'
+       RETURNING id`,
+      [election.id, reg.unit_id]
+    );
+    const tr = await client.query(
+      `INSERT INTO vote_tokens(election_id, registration_id, unit_id, token_hash, status, issued_via)
+       VALUES ($1,$2,$3,$4,'ACTIVE','PRESENCIAL')
+       RETURNING id`,
+      [election.id, reg.id, reg.unit_id, hashToken(raw)]
+    );
+    return { tokenId: tr.rows[0].id, revokedIds: revoked.rows.map(r => r.id) };
+  });
+
+  req.session.mesa = {
+    token_id: tokenId,
+    token_hash: hashToken(raw),
+    election_id: election.id,
+    registration_id: reg.id,
+    unit_id: reg.unit_id,
+    started_at: new Date().toISOString()
+  };
+
+  await audit("PRESENCIAL_SESSION_STARTED", {
+    actor_admin_id: req.session.admin.id,
+    election_id: election.id,
+    registration_id: reg.id,
+    unit_id: reg.unit_id,
+    token_id: tokenId,
+    meta_json: { via: "PRESENCIAL", revoked_token_ids: revokedIds }
+  });
+
+  res.redirect(`/votar/${raw}`);
+});
+
+app.post("/mesa/logout", requireMesaOrAdmin, async (req, res) => {
+  await resetMesaKiosk(req);
+  await audit("ADMIN_LOGOUT", { actor_admin_id: req.session.admin.id });
+  req.session.destroy(() => res.redirect("/admin/login"));
+});
+
+/* =========================
+   PAPELETAS EN PAPEL (conteo de mesa)
+========================= */
+// Un admin transcribe la papeleta física de una unidad y otro usuario (admin o
+// fiscal) la aprueba. Recién al aprobar se agregan los votos a la cadena con
+// channel='PAPER' y sin token; si la unidad ya votó en digital los índices
+// *_one_per_unit_uidx rechazan la papeleta.
+const PAPER_STATUS_LABELS = { PENDING: "Pendiente de aprobación", APPROVED: "Aprobada", REJECTED: "Rechazada" };
+
+async function getPaperBallotOptions(election) {
+  if (election.kind === "VOTACION") return { questions: (await getReferendumForElection(election.id)).questions };
+  const councilLists = (await q(
+    `SELECT id, name FROM candidates WHERE election_id=$1 ORDER BY sort_order ASC, id ASC`,
+    [election.id]
+  )).rows;
+  const fiscalLists = (await q(
+    `SELECT id, name FROM fiscal_lists WHERE election_id=$1 ORDER BY sort_order ASC, id ASC`,
+    [election.id]
+  )).rows;
+  return { councilLists, fiscalLists };
+}
+
+// Lee la papeleta del formulario con las mismas reglas que el voto digital.
+// Devuelve { ballot } (ids a insertar + summary legible) o { error }.
+function parsePaperBallot(election, options, body) {
+  if (election.kind === "VOTACION") {
+    const answers = [];
+    const summary = [];
+    for (const question of options.questions) {
+      const answer = parseReferendumAnswer(question, body);
+      if (answer.error) return { error: answer.error };
+      answers.push({ question_id: question.id, choices: answer.choices, is_blank: answer.is_blank });
+      const label = answer.is_blank
+        ? "Voto en blanco"
+        : answer.choices.map(id => question.options.find(o => Number(o.id) === id)).map(o => `${o.option_label ? o.option_label + ". " : ""}${o.option_text}`).join("; ");
+      summary.push(`${question.question_text}: ${label}`);
+    }
+    return { ballot: { answers, summary } };
+  }
+
+  const pick = (raw, lists, what) => {
+    if (!raw) return { error: `Elige la ${what} marcada en la papeleta.` };
+    if (raw === "BLANK") return election.allow_blank_vote ? { id: null, name: "Voto en blanco" } : { error: "Esta campaña no admite voto en blanco." };
+    return lists.find(l => Number(l.id) === Number(raw)) || { error: `${what[0].toUpperCase()}${what.slice(1)} inválida.` };
+  };
+  const council = pick(body.candidate_id, options.councilLists, "lista de Directiva");
+  if (council.error) return { error: council.error };
+  const fiscal = options.fiscalLists.length ? pick(body.fiscal_list_id, options.fiscalLists, "lista de fiscales") : null;
+  if (fiscal?.error) return { error: fiscal.error };
+
+  const summary = [`Directiva: ${council.name}`];
+  if (fiscal) summary.push(`Fiscales: ${fiscal.name}`);
+  return { ballot: { candidate_id: council.id, fiscal_list_id: fiscal ? fiscal.id : undefined, summary } };
+}
+
+async function renderPaperBallots(req, res, election, { error = null, status = 200, form = {} } = {}) {
+  const rows = (await q(
+    `SELECT pb.*, u.label AS unit_label, ea.email AS entered_email, ra.email AS reviewed_email
+     FROM paper_ballots pb
+     JOIN units u ON u.id=pb.unit_id
+     LEFT JOIN admin_users ea ON ea.id=pb.entered_by
+     LEFT JOIN admin_users ra ON ra.id=pb.reviewed_by
+     WHERE pb.election_id=$1
+     ORDER BY (pb.status='PENDING') DESC, pb.entered_at DESC`,
+    [election.id]
+  )).rows;
+
+  // Unidades habilitadas que todavía no votaron ni tienen papeleta vigente.
+  const units = (await q(
+    `SELECT u.id, u.label
+     FROM units u
+     WHERE u.enabled=true
+       AND NOT EXISTS (SELECT 1 FROM referendum_votes rv WHERE rv.election_id=$1 AND rv.unit_id=u.id)
+       AND NOT EXISTS (SELECT 1 FROM votes v WHERE v.election_id=$1 AND v.unit_id=u.id)
+       AND NOT EXISTS (SELECT 1 FROM fiscal_votes fv WHERE fv.election_id=$1 AND fv.unit_id=u.id)
+       AND NOT EXISTS (SELECT 1 FROM paper_ballots pb WHERE pb.election_id=$1 AND pb.unit_id=u.id AND pb.status IN ('PENDING','APPROVED'))
+     ORDER BY u.label ASC`,
+    [election.id]
+  )).rows;
+
+  const options = await getPaperBallotOptions(election);
+  res.status(status).render("admin_paper_ballots", {
+    admin: req.session.admin, election, rows, units, options, error, form, statusLabels: PAPER_STATUS_LABELS
+  });
+}
+
+async function getPaperBallot(electionId, id) {
+  return (await q(
+    `SELECT pb.*, u.label AS unit_label FROM paper_ballots pb JOIN units u ON u.id=pb.unit_id WHERE pb.id=$1 AND pb.election_id=$2`,
+    [id, electionId]
+  )).rows[0];
+}
+
+app.get("/admin/papeletas", requireFiscalOrAdmin, async (req, res) => {
+  const election = await getActiveElection(req);
+  if (!election) return res.render("no_active");
+  await renderPaperBallots(req, res, election);
+});
+
+app.post("/admin/papeletas", requireAdmin, async (req, res) => {
+  const election = await getActiveElection(req);
+  if (!election) return res.render("no_active");
+
+  const form = req.body;
+  const fail = (error) => renderPaperBallots(req, res, election, { error, status: 400, form });
+
+  const unit = (await q(`SELECT id, label FROM units WHERE id=$1 AND enabled=true`, [Number(req.body.unit_id)])).rows[0];
+  if (!unit) return fail("Elige la unidad de la papeleta.");
+
+  const parsed = parsePaperBallot(election, await getPaperBallotOptions(election), req.body);
+  if (parsed.error) return fail(parsed.error);
+
+  if (await unitHasAnyVote(election.id, unit.id)) return fail(`La unidad ${unit.label} ya votó en digital. La papeleta no puede sumarse.`);
+  const delegated = (await q(
+    `SELECT 1 FROM proxies WHERE election_id=$1 AND unit_id=$2 AND status='APPROVED' LIMIT 1`,
+    [election.id, unit.id]
+  )).rows.length > 0;
+  if (delegated) return fail(`La unidad ${unit.label} delegó su voto en un apoderado.`);
+
+  const sheetRef = cleanText(req.body.sheet_ref);
+  let paperId;
+  try {
+    paperId = (await q(
+      `INSERT INTO paper_ballots(election_id, unit_id, ballot, sheet_ref, entered_by)
+       VALUES ($1,$2,$3,$4,$5)
+       RETURNING id`,
+      [election.id, unit.id, JSON.stringify(parsed.ballot), sheetRef, req.session.admin.id]
+    )).rows[0].id;
+  } catch (e) {
+    if (String(e?.code) === "23505") return fail(`La unidad ${unit.label} ya tiene una papeleta pendiente o aprobada.`);
+    console.error(e);
+    return res.status(500).send("Error registrando la papeleta.");
+  }
+
+  await audit("PAPER_BALLOT_ENTERED", {
+    actor_admin_id: req.session.admin.id,
+    election_id: election.id,
+    unit_id: unit.id,
+    meta_json: { paper_ballot_id: paperId, sheet_ref: sheetRef, summary: parsed.ballot.summary }
+  });
+
+  res.redirect("/admin/papeletas");
+});
+
+app.post("/admin/papeletas/:id/aprobar", requireFiscalOrAdmin, async (req, res) => {
+  const election = await getActiveElection(req);
+  if (!election) return res.render("no_active");
+
+  const pb = await getPaperBallot(election.id, Number(req.params.id));
+  if (!pb) return res.status(404).send("Papeleta no encontrada.");
+  if (pb.status !== "PENDING") return res.status(400).send("Solo se pueden aprobar papeletas pendientes.");
+  if (Number(pb.entered_by) === Number(req.session.admin.id)) {
+    return res.status(403).send("La papeleta debe aprobarla un usuario distinto al que la digitó.");
+  }
+
+  const ballot = pb.ballot;
+  let result;
+  try {
+    result = await withTx(pool, async (client) => {
+      const locked = (await client.query(`SELECT status FROM paper_ballots WHERE id=$1 FOR UPDATE`, [pb.id])).rows[0];
+      if (locked?.status !== "PENDING") return null;
+
+      const votes = [];
+      const base = { election_id: election.id, unit_id: pb.unit_id, token_id: null, channel: "PAPER", ip: null, user_agent: null };
+      if (election.kind === "VOTACION") {
+        // Respuestas consecutivas en la cadena, igual que una papeleta digital.
+        for (const a of ballot.answers) {
+          const v = await insertReferendumVoteChained(client, {
+            ...base, question_id: a.question_id, option_id: a.choices[0] ?? null, choices: a.choices, is_blank: a.is_blank
+          });
+          votes.push({ table: "referendum_votes", id: v.id, vote_hash: v.vote_hash, chain_position: v.chain_position });
+        }
+      } else {
+        const cv = await insertCouncilVoteChained(client, { ...base, candidate_id: ballot.candidate_id });
+        votes.push({ table: "votes", id: cv.id, vote_hash: cv.vote_hash, chain_position: cv.chain_position });
+        if (ballot.fiscal_list_id !== undefined) {
+          const fv = await insertFiscalVoteChained(client, { ...base, fiscal_list_id: ballot.fiscal_list_id });
+          votes.push({ table: "fiscal_votes", id: fv.id, vote_hash: fv.vote_hash, chain_position: fv.chain_position });
+        }
+      }
+
+      // El enlace digital de la unidad deja de servir: ya votó en papel.
+      const revoked = await client.query(
+        `UPDATE vote_tokens SET status='REVOKED'
+         WHERE election_id=$1 AND unit_id=$2 AND status='ACTIVE'
+         RETURNING id`,
+        [election.id, pb.unit_id]
+      );
+
+      await client.query(
+        `UPDATE paper_ballots SET status='APPROVED', reviewed_by=$1, reviewed_at=NOW(), vote_ids=$2 WHERE id=$3`,
+        [req.session.admin.id, JSON.stringify(votes), pb.id]
+      );
+      return { votes, revokedIds: revoked.rows.map(r => r.id) };
+    });
+  } catch (e) {
+    if (String(e?.code) === "23505") return res.status(409).send(`La unidad ${pb.unit_label} ya votó en digital. Rechaza esta papeleta.`);
+    console.error(e);
+    return res.status(500).send("Error aprobando la papeleta.");
+  }
+  if (!result) return res.status(400).send("La papeleta ya fue revisada.");
+
+  await audit("PAPER_BALLOT_APPROVED", {
+    actor_admin_id: req.session.admin.id,
+    election_id: election.id,
+    unit_id: pb.unit_id,
+    meta_json: {
+      paper_ballot_id: pb.id,
+      entered_by: pb.entered_by,
+      sheet_ref: pb.sheet_ref,
+      channel: "PAPER",
+      votes: result.votes,
+      revoked_token_ids: result.revokedIds
+    }
+  });
+
+  res.redirect("/admin/papeletas");
+});
+
+app.post("/admin/papeletas/:id/rechazar", requireFiscalOrAdmin, async (req, res) => {
+  const election = await getActiveElection(req);
+  if (!election) return res.render("no_active");
+
+  const pb = await getPaperBallot(election.id, Number(req.params.id));
+  if (!pb) return res.status(404).send("Papeleta no encontrada.");
+  if (pb.status !== "PENDING") return res.status(400).send("Solo se pueden rechazar papeletas pendientes.");
+
+  const notes = String(req.body.notes || "").trim();
+  await q(
+    `UPDATE paper_ballots SET status='REJECTED', notes=$1, reviewed_by=$2, reviewed_at=NOW() WHERE id=$3 AND status='PENDING'`,
+    [notes || null, req.session.admin.id, pb.id]
+  );
+
+  await audit("PAPER_BALLOT_REJECTED", {
+    actor_admin_id: req.session.admin.id,
+    election_id: election.id,
+    unit_id: pb.unit_id,
+    meta_json: { paper_ballot_id: pb.id, entered_by: pb.entered_by, notes: notes || null }
+  });
+
+  res.redirect("/admin/papeletas");
+});
+
+/* =========================
+   RESULTADOS PÚBLICOS (histórico)
+========================= */
+app.get("/resultados", async (req, res) => {
+  const election = await getActiveElection(req);
+  if (!election) return res.render("no_active");
+  return res.redirect(`/resultados/${election.id}`);
+});
+
+// PUBLIC_RESULTS_UNTIL_CLOSE_GUARD
+app.get("/resultados/:electionId", async (req, res, next) => {
+  const electionId = Number(req.params.electionId);
+  if (!electionId) return next();
+  const election = (await q(`SELECT * FROM elections WHERE id=$1`, [electionId])).rows[0];
+  if (!election) return next();
+  if (election.is_active && now() < new Date(election.vote_close_at)) {
+    return res.render("results_pending", { election });
+  }
+  return next();
+});
+app.get("/resultados/:electionId", async (req, res) => {
+  const electionId = Number(req.params.electionId);
+  const election = (await q(`SELECT * FROM elections WHERE id=$1`, [electionId])).rows[0];
+  if (!election) return res.status(404).send("Campaña no existe.");
+
+  const sections = await getResultSections(election);
+  const metrics = {
+    votes: await countVotes(election),
+    approved_regs: (await q(`SELECT COUNT(*)::int AS n FROM registrations WHERE election_id=$1 AND status='APPROVED'`, [electionId])).rows[0].n
+  };
+
+  res.render("public_results", { election, sections, metrics });
+});
+
+app.get("/admin/fiscalizacion", requireFiscalOrAdmin, async (req, res) => {
+  const rows = (await q(
+    `SELECT e.id, e.title, e.kind, e.is_active,
+            COALESCE(rv.n,0) + COALESCE(v.n,0) + COALESCE(fv.n,0) AS total_votes,
+            COALESCE(es.n,0) AS seals
+     FROM elections e
+     LEFT JOIN (SELECT election_id, COUNT(DISTINCT unit_id)::int n FROM referendum_votes GROUP BY election_id) rv ON rv.election_id=e.id
+     LEFT JOIN (SELECT election_id, COUNT(*)::int n FROM votes x WHERE ${currentVoteSql("votes", "x")} GROUP BY election_id) v ON v.election_id=e.id
+     LEFT JOIN (SELECT election_id, COUNT(*)::int n FROM fiscal_votes x WHERE ${currentVoteSql("fiscal_votes", "x")} GROUP BY election_id) fv ON fv.election_id=e.id
+     LEFT JOIN (SELECT election_id, COUNT(*)::int n FROM election_seals GROUP BY election_id) es ON es.election_id=e.id
+     ORDER BY e.id DESC`
+  )).rows;
+
+  // Unidades con códigos de votación fallidos en la campaña activa: varios
+  // intentos o varias IP sobre un mismo enlace sugieren un enlace reenviado.
+  const active = await getActiveElection(req);
+  const otpAlerts = active ? (await q(
+    `SELECT u.label AS unit_label,
+            COUNT(*) FILTER (WHERE a.event='VOTE_OTP_FAILED')::int AS failed,
+            COUNT(*) FILTER (WHERE a.event='VOTE_OTP_LOCKED')::int AS locked,
+            COUNT(*) FILTER (WHERE a.event='VOTE_OTP_RATE_LIMITED')::int AS rate_limited,
+            COUNT(DISTINCT a.meta_json->>'ip')::int AS ips,
+            MAX(a.created_at) AS last_at
+     FROM audit_log a
+     JOIN units u ON u.id=a.unit_id
+     WHERE a.election_id=$1 AND a.event IN ('VOTE_OTP_FAILED','VOTE_OTP_LOCKED','VOTE_OTP_RATE_LIMITED')
+     GROUP BY u.id, u.label
+     ORDER BY MAX(a.created_at) DESC
+     LIMIT 100`,
+    [active.id]
+  )).rows : [];
+
+  res.render("fiscalization", { admin: req.session.admin, rows, active, otpAlerts });
+});
+
+// Filas finales del CSV de fiscalización: subtotales digital / papel por
+// opción (y voto en blanco), con las mismas columnas que los votos.
+async function withChannelSubtotals(election, rows) {
+  if (!rows.length) return rows;
+  const empty = Object.fromEntries(Object.keys(rows[0]).map(k => [k, ""]));
+  const out = rows.map(r => ({ ...r, subtotal: "" }));
+  for (const s of await getResultSections(election)) {
+    const items = [...s.totals];
+    if (s.allow_blank || s.blank) items.push({ code: null, name: "Voto en blanco", votes: s.blank, paper: s.blank_paper });
+    for (const t of items) {
+      for (const [canal, n] of [["DIGITAL", t.votes - t.paper], ["PAPER", t.paper]]) {
+        out.push({
+          ...empty,
+          unit_label: "SUBTOTAL",
+          ...(election.kind === "VOTACION" ? { question_text: s.title } : {}),
+          option_label: t.code || "",
+          option_text: t.name,
+          canal,
+          subtotal: n
+        });
+      }
+    }
+  }
+  return out;
+}
+
+async function getFiscalizationRows(electionId) {
+  const election = (await q(`SELECT * FROM elections WHERE id=$1`, [electionId])).rows[0];
+  if (!election) return { election: null, rows: [] };
+
+  const rows = election.kind === "VOTACION" ? (await q(
+    `SELECT u.label AS unit_label, r.name, r.dni, r.email,
+            rq.question_text, NULL AS option_label, ${REFERENDUM_SELECTION_SQL} AS option_text,
+            rv.weight, rv.cast_at, rv.chain_position, rv.previous_hash, rv.vote_hash,
+            dr.name AS apoderado, rv.channel AS canal,
+            CASE WHEN rv.superseded_at IS NULL THEN 'VIGENTE' ELSE 'REEMPLAZADO' END AS estado, rv.superseded_at, rv.supersedes
+     FROM referendum_votes rv
+     JOIN units u ON u.id=rv.unit_id
+     LEFT JOIN vote_tokens vt ON vt.id=rv.token_id
+     LEFT JOIN registrations r ON r.id=vt.registration_id
+     JOIN referendum_questions rq ON rq.id=rv.question_id
+     LEFT JOIN proxies px ON px.id=rv.proxy_id
+     LEFT JOIN registrations dr ON dr.id=px.delegate_registration_id
      WHERE rv.election_id=$1
      ORDER BY rv.chain_position ASC`,
     [electionId]
   )).rows : (await q(
     `SELECT u.label AS unit_label, r.name, r.dni, r.email,
-            c.list_code AS option_label, c.name AS option_text,
-            v.cast_at, v.chain_position, v.previous_hash, v.vote_hash
+            c.list_code AS option_label, COALESCE(c.name, 'Voto en blanco') AS option_text,
+            v.weight, v.cast_at, v.chain_position, v.previous_hash, v.vote_hash,
+            dr.name AS apoderado, v.channel AS canal,
+            CASE WHEN v.superseded_at IS NULL THEN 'VIGENTE' ELSE 'REEMPLAZADO' END AS estado, v.superseded_at, v.supersedes
      FROM votes v
      JOIN units u ON u.id=v.unit_id
-     JOIN vote_tokens vt ON vt.id=v.token_id
-     JOIN registrations r ON r.id=vt.registration_id
-     JOIN candidates c ON c.id=v.candidate_id
+     LEFT JOIN vote_tokens vt ON vt.id=v.token_id
+     LEFT JOIN registrations r ON r.id=vt.registration_id
+     LEFT JOIN candidates c ON c.id=v.candidate_id
+     LEFT JOIN proxies px ON px.id=v.proxy_id
+     LEFT JOIN registrations dr ON dr.id=px.delegate_registration_id
      WHERE v.election_id=$1
      ORDER BY v.chain_position ASC`,
     [electionId]
@@ -1337,7 +3274,7 @@ app.get("/admin/fiscalizacion/:electionId/votos.csv", requireFiscalOrAdmin, asyn
   await audit("FISCALIZATION_EXPORTED", { actor_admin_id: req.session.admin.id, election_id: election.id, meta_json: { rows: rows.length }});
   res.setHeader("Content-Type", "text/csv; charset=utf-8");
   res.setHeader("Content-Disposition", `attachment; filename="fiscalizacion_${election.id}.csv"`);
-  res.send(toCSV(rows));
+  res.send(toCSV(await withChannelSubtotals(election, rows)));
 });
 
 async function getPendingVoteRows(electionId) {
@@ -1349,7 +3286,7 @@ async function getPendingVoteRows(electionId) {
     : "LEFT JOIN votes vv ON vv.election_id=r.election_id AND vv.unit_id=r.unit_id";
 
   const rows = (await q(
-    `SELECT r.id AS registration_id, r.name, r.dni, r.email, u.label AS unit_label, vt.status AS token_status
+    `SELECT r.id AS registration_id, r.unit_id, r.name, r.dni, r.email, r.phone, r.preferred_channel, r.email_invalid_at, r.email_invalid_reason, u.label AS unit_label, vt.status AS token_status
      FROM registrations r
      JOIN units u ON u.id=r.unit_id
      LEFT JOIN LATERAL (
@@ -1365,47 +3302,253 @@ async function getPendingVoteRows(electionId) {
 
   const stats = {
     approved: (await q(`SELECT COUNT(*)::int AS n FROM registrations WHERE election_id=$1 AND status='APPROVED'`, [electionId])).rows[0].n,
-    voted: election.kind === "VOTACION"
-      ? (await q(`SELECT COUNT(*)::int AS n FROM referendum_votes WHERE election_id=$1`, [electionId])).rows[0].n
-      : (await q(`SELECT COUNT(*)::int AS n FROM votes WHERE election_id=$1`, [electionId])).rows[0].n
+    voted: await countVotes(election)
   };
 
   return { election, rows, stats };
 }
 
+/* =========================
+   RECORDATORIOS DE VOTO PENDIENTE
+========================= */
+// Cada envío (manual o de una programación) queda en reminder_runs y cada correo
+// en la cola con meta_json.reminder_run_id; los conteos de la página de
+// programación salen de notification_log (resultado) y email_outbox (en cola).
+const REMINDER_INTERVAL_SECONDS = Number(process.env.REMINDER_INTERVAL_SECONDS ?? 60);
+// Un envío RUNNING más viejo que esto quedó cortado (el proceso murió a mitad
+// de camino): se marca FAILED y su programación se vuelve a intentar, hasta
+// REMINDER_SCHEDULE_MAX_TRIES veces.
+const REMINDER_STALE_MINUTES = Number(process.env.REMINDER_STALE_MINUTES ?? 30);
+const REMINDER_SCHEDULE_MAX_TRIES = 3;
+const activeReminderRuns = new Set(); // election_id con un envío en curso en este proceso
+
+// Motivo para no enviar el recordatorio a esta solicitud, o null si corresponde.
+async function reminderSkipReason(election, row, schedule) {
+  if (await unitHasAnyVote(election.id, row.unit_id)) return "already voted";
+  if (!schedule) return null;
+
+  const prev = (await q(
+    `SELECT COUNT(*)::int AS n, MAX(created_at) AS last_at
+     FROM notification_log
+     WHERE election_id=$1 AND registration_id=$2 AND template='vote_pending_reminder' AND status='SENT'`,
+    [election.id, row.registration_id]
+  )).rows[0];
+
+  if (prev.n >= schedule.max_per_recipient) return "recipient cap reached";
+  if (prev.last_at && now().getTime() - new Date(prev.last_at).getTime() < schedule.min_gap_hours * 3600_000) return "min gap not reached";
+  return null;
+}
+
+async function sendReminderRun(election, runId, { schedule = null, actorAdminId = null } = {}) {
+  activeReminderRuns.add(election.id);
+  let queued = 0;
+  let failed = 0;
+  let skipped = 0;
+  let total = 0;
+  let status = "DONE";
+
+  try {
+    const { rows } = await getPendingVoteRows(election.id);
+    total = rows.length;
+    await q(`UPDATE reminder_runs SET total=$2 WHERE id=$1`, [runId, total]);
+
+    for (const r of rows) {
+      const meta_json = { no_link: true, unit_label: r.unit_label, reminder_run_id: runId, ...(schedule ? { schedule_id: schedule.id } : {}) };
+
+      // Se vuelve a mirar por cada solicitud: la unidad pudo votar mientras avanzaba el envío.
+      const skip = await reminderSkipReason(election, r, schedule);
+      if (skip) {
+        await logNotification({ election_id: election.id, registration_id: r.registration_id, template: "vote_pending_reminder", recipient: r.email || "", status: "SKIPPED", error: skip, meta_json });
+        skipped++;
+        continue;
+      }
+
+      const ok = await sendEmailNotification({
+        template: "vote_pending_reminder",
+        recipient: r.email,
+        election_id: election.id,
+        registration_id: r.registration_id,
+        meta_json,
+        channel: r.preferred_channel,
+        phone: r.phone,
+        mailer: "sendVotePendingReminder",
+        args: { to: r.email, electionTitle: election.title, voteOpenAt: election.vote_open_at, voteCloseAt: election.vote_close_at, unitLabel: r.unit_label, recoverUrl: absoluteUrl(campaignPath(election.id, "/perdi-mi-enlace")) }
+      });
+      if (ok) queued++; else failed++;
+    }
+  } catch (e) {
+    status = "FAILED";
+    console.error("reminder run " + runId + " failed", e);
+  } finally {
+    activeReminderRuns.delete(election.id);
+  }
+
+  await q(`UPDATE reminder_runs SET status=$2, finished_at=NOW() WHERE id=$1`, [runId, status]);
+  await audit("VOTE_PENDING_REMINDERS_SENT", {
+    actor_admin_id: actorAdminId,
+    election_id: election.id,
+    meta_json: { queued, failed, skipped, total, reminder_run_id: runId, ...(schedule ? { schedule_id: schedule.id, ...systemAuditMeta("REMINDER_SCHEDULE") } : {}) }
+  });
+}
+
 app.get("/admin/recordatorios-voto", requireAdmin, async (req, res) => {
-  const active = await getActiveElection();
+  const active = await getActiveElection(req);
   if (!active) return res.render("no_active", { latestFinished: await getLatestFinishedElection() });
   const { election, rows, stats } = await getPendingVoteRows(active.id);
-  res.render("vote_pending_reminders", { admin: req.session.admin, election, rows, stats, lastResult: null });
+  res.render("vote_pending_reminders", { admin: req.session.admin, election, rows, stats, channels: CHANNELS, startedRun: null });
 });
 
 app.post("/admin/recordatorios-voto", requireAdmin, async (req, res) => {
-  const active = await getActiveElection();
+  const active = await getActiveElection(req);
   if (!active) return res.render("no_active", { latestFinished: await getLatestFinishedElection() });
+  if (activeReminderRuns.has(active.id)) return res.status(409).send("Ya hay un envío de recordatorios en curso para esta campaña. Revisa su avance en Programación de recordatorios.");
   const { election, rows, stats } = await getPendingVoteRows(active.id);
 
-  let sent = 0;
-  let failed = 0;
-  for (const r of rows) {
-    const ok = await sendEmailNotification({
-      template: "vote_pending_reminder",
-      recipient: r.email,
-      election_id: election.id,
-      registration_id: r.registration_id,
-      meta_json: { no_link: true, unit_label: r.unit_label },
-      send: () => sendVotePendingReminder({ to: r.email, electionTitle: election.title, voteOpenAt: election.vote_open_at, voteCloseAt: election.vote_close_at, unitLabel: r.unit_label })
-    });
-    if (ok) sent++; else failed++;
-  }
+  const run = (await q(
+    `INSERT INTO reminder_runs(election_id, triggered_by, total)
+     VALUES ($1,$2,$3)
+     RETURNING id`,
+    [election.id, req.session.admin.id, rows.length]
+  )).rows[0];
+
+  await sendReminderRun(election, run.id, { actorAdminId: req.session.admin.id });
+
+  res.render("vote_pending_reminders", { admin: req.session.admin, election, rows, stats, channels: CHANNELS, startedRun: { id: run.id, total: rows.length, perMinute: OUTBOX_RATE_PER_MINUTE } });
+});
+
+async function getReminderSchedulePage(election) {
+  const schedules = (await q(
+    `SELECT s.*, $2::timestamptz - make_interval(hours => s.hours_before) AS due_at,
+            rr.id AS run_id, rr.status AS run_status
+     FROM reminder_schedules s
+     LEFT JOIN LATERAL (
+       SELECT id, status FROM reminder_runs WHERE schedule_id=s.id ORDER BY id DESC LIMIT 1
+     ) rr ON true
+     WHERE s.election_id=$1
+     ORDER BY s.hours_before DESC, s.id ASC`,
+    [election.id, election.vote_close_at]
+  )).rows;
+
+  const runs = (await q(
+    `SELECT rr.*, s.hours_before, a.email AS triggered_email,
+            COUNT(nl.id) FILTER (WHERE nl.status='SENT')::int AS sent,
+            COUNT(nl.id) FILTER (WHERE nl.status='FAILED')::int AS failed,
+            COUNT(nl.id) FILTER (WHERE nl.status='SKIPPED')::int AS skipped,
+            (SELECT COUNT(*)::int FROM email_outbox o
+             WHERE o.template='vote_pending_reminder' AND o.status IN ('PENDING','SENDING')
+               AND o.meta_json->>'reminder_run_id' = rr.id::text) AS queued
+     FROM reminder_runs rr
+     LEFT JOIN reminder_schedules s ON s.id=rr.schedule_id
+     LEFT JOIN admin_users a ON a.id=rr.triggered_by
+     LEFT JOIN notification_log nl
+       ON nl.election_id=rr.election_id
+      AND nl.template='vote_pending_reminder'
+      AND nl.meta_json->>'reminder_run_id' = rr.id::text
+     WHERE rr.election_id=$1
+     GROUP BY rr.id, s.hours_before, a.email
+     ORDER BY rr.started_at DESC`,
+    [election.id]
+  )).rows;
+
+  return { schedules, runs };
+}
+
+async function renderReminderSchedules(req, res, election, { error = null, status = 200, form = {} } = {}) {
+  const { schedules, runs } = await getReminderSchedulePage(election);
+  res.status(status).render("admin_reminder_schedules", { admin: req.session.admin, election, schedules, runs, error, form, perMinute: OUTBOX_RATE_PER_MINUTE });
+}
+
+app.get("/admin/recordatorios-voto/programacion", requireAdmin, async (req, res) => {
+  const active = await getActiveElection(req);
+  if (!active) return res.render("no_active", { latestFinished: await getLatestFinishedElection() });
+  await renderReminderSchedules(req, res, active);
+});
+
+app.post("/admin/recordatorios-voto/programacion", requireAdmin, async (req, res) => {
+  const active = await getActiveElection(req);
+  if (!active) return res.status(500).send("No hay campaña activa.");
+
+  const form = {
+    hours_before: String(req.body.hours_before || "").trim(),
+    max_per_recipient: String(req.body.max_per_recipient || "").trim(),
+    min_gap_hours: String(req.body.min_gap_hours || "").trim()
+  };
+  const fail = (error) => renderReminderSchedules(req, res, active, { error, status: 400, form });
+
+  const hoursBefore = Number(form.hours_before);
+  const maxPerRecipient = Number(form.max_per_recipient || 2);
+  const minGapHours = Number(form.min_gap_hours || 0);
+  if (!Number.isInteger(hoursBefore) || hoursBefore <= 0) return fail("Las horas antes del cierre deben ser un entero mayor a 0.");
+  if (!Number.isInteger(maxPerRecipient) || maxPerRecipient <= 0) return fail("El máximo de recordatorios por vecino debe ser un entero mayor a 0.");
+  if (!Number.isInteger(minGapHours) || minGapHours < 0) return fail("La separación mínima debe ser un entero de horas mayor o igual a 0.");
+
+  const s = (await q(
+    `INSERT INTO reminder_schedules(election_id, hours_before, max_per_recipient, min_gap_hours, created_by)
+     VALUES ($1,$2,$3,$4,$5)
+     RETURNING id`,
+    [active.id, hoursBefore, maxPerRecipient, minGapHours, req.session.admin.id]
+  )).rows[0];
+
+  await audit("REMINDER_SCHEDULE_CREATED", { actor_admin_id: req.session.admin.id, election_id: active.id, meta_json: { schedule_id: s.id, hours_before: hoursBefore, max_per_recipient: maxPerRecipient, min_gap_hours: minGapHours }});
+  res.redirect("/admin/recordatorios-voto/programacion");
+});
+
+app.post("/admin/recordatorios-voto/programacion/:id/estado", requireAdmin, async (req, res) => {
+  const active = await getActiveElection(req);
+  if (!active) return res.status(500).send("No hay campaña activa.");
+
+  const enabled = req.body.enabled === "1";
+  const r = await q(`UPDATE reminder_schedules SET enabled=$3 WHERE id=$1 AND election_id=$2 RETURNING id`, [Number(req.params.id), active.id, enabled]);
+  if (!r.rows.length) return res.status(404).send("Programación no encontrada.");
+
+  await audit("REMINDER_SCHEDULE_UPDATED", { actor_admin_id: req.session.admin.id, election_id: active.id, meta_json: { schedule_id: r.rows[0].id, enabled }});
+  res.redirect("/admin/recordatorios-voto/programacion");
+});
+
+// Revoca el enlace vigente de la solicitud, emite uno nuevo y lo encola por el
+// canal preferido. template distingue la reemisión del admin de la del vecino.
+async function reissueVoteLink(election, reg, { issuedVia = "EMAIL", template = "vote_link_reissued" } = {}) {
+  const raw = newToken();
+  const tokenHash = hashToken(raw);
+  let tokenId;
+
+  await withTx(pool, async (client) => {
+    await client.query(`UPDATE vote_tokens SET status='REVOKED' WHERE election_id=$1 AND registration_id=$2 AND status='ACTIVE'`, [election.id, reg.id]);
+    const tr = await client.query(
+      `INSERT INTO vote_tokens(election_id, registration_id, unit_id, token_hash, status, issued_via)
+       VALUES ($1,$2,$3,$4,'ACTIVE',$5)
+       RETURNING id`,
+      [election.id, reg.id, reg.unit_id, tokenHash, issuedVia]
+    );
+    tokenId = tr.rows[0].id;
+  });
+
+  const link = absoluteUrl(campaignPath(election.id, `/votar/${raw}`));
+  const queued = await sendEmailNotification({
+    template,
+    recipient: reg.email,
+    election_id: election.id,
+    registration_id: reg.id,
+    meta_json: { token_id: tokenId, reissue: true, unit_label: reg.unit_label },
+    channel: reg.preferred_channel,
+    phone: reg.phone,
+    mailer: "sendVoteLink",
+    args: {
+      to: reg.email,
+      link,
+      electionTitle: election.title,
+      voteOpenAt: election.vote_open_at,
+      voteCloseAt: election.vote_close_at,
+      unitLabel: reg.unit_label
+    }
+  });
 
-  await audit("VOTE_PENDING_REMINDERS_SENT", { actor_admin_id: req.session.admin.id, election_id: election.id, meta_json: { sent, failed, total: rows.length }});
-  res.render("vote_pending_reminders", { admin: req.session.admin, election, rows, stats, lastResult: { sent, failed, total: rows.length } });
-});
+  return { tokenId, link, queued };
+}
 
 // REISSUE_SHOW_BACKUP_LINK_ROUTE
 app.post("/admin/solicitudes/:id/reemitir", requireAdmin, async (req, res) => {
-  const active = await getActiveElection();
+  const active = await getActiveElection(req);
   if (!active) return res.status(500).send("No hay campaña activa.");
   if (await isElectionSealed(active.id)) return res.status(403).send("La campaña ya fue sellada. No se pueden reemitir enlaces.");
 
@@ -1427,37 +3570,7 @@ app.post("/admin/solicitudes/:id/reemitir", requireAdmin, async (req, res) => {
     : (await q(`SELECT 1 FROM votes WHERE election_id=$1 AND unit_id=$2 LIMIT 1`, [active.id, reg.unit_id])).rows.length > 0;
   if (alreadyVoted) return res.status(400).send("Esta unidad ya emitió su voto. No se puede reemitir enlace.");
 
-  const raw = newToken();
-  const tokenHash = hashToken(raw);
-  let tokenId;
-
-  await withTx(pool, async (client) => {
-    await client.query(`UPDATE vote_tokens SET status='REVOKED' WHERE election_id=$1 AND registration_id=$2 AND status='ACTIVE'`, [active.id, reg.id]);
-    const tr = await client.query(
-      `INSERT INTO vote_tokens(election_id, registration_id, unit_id, token_hash, status, issued_via)
-       VALUES ($1,$2,$3,$4,'ACTIVE','EMAIL')
-       RETURNING id`,
-      [active.id, reg.id, reg.unit_id, tokenHash]
-    );
-    tokenId = tr.rows[0].id;
-  });
-
-  const link = absoluteUrl(`/votar/${raw}`);
-  const sent = await sendEmailNotification({
-    template: "vote_link_reissued",
-    recipient: reg.email,
-    election_id: active.id,
-    registration_id: reg.id,
-    meta_json: { token_id: tokenId, reissue: true, unit_label: reg.unit_label },
-    send: () => sendVoteLink({
-      to: reg.email,
-      link,
-      electionTitle: active.title,
-      voteOpenAt: active.vote_open_at,
-      voteCloseAt: active.vote_close_at,
-      unitLabel: reg.unit_label
-    })
-  });
+  const { tokenId, link, queued } = await reissueVoteLink(active, reg);
 
   await audit("TOKEN_REISSUED", {
     actor_admin_id: req.session.admin.id,
@@ -1465,32 +3578,495 @@ app.post("/admin/solicitudes/:id/reemitir", requireAdmin, async (req, res) => {
     registration_id: reg.id,
     unit_id: reg.unit_id,
     token_id: tokenId,
-    meta_json: { sent }
+    meta_json: { queued }
   });
 
   const tokenRow = { id: tokenId, status: "ACTIVE", issued_at: new Date(), used_at: null };
-  return res.render("admin_request_detail", { admin: req.session.admin, r: reg, tokenRow, link, sent });
+  return res.render("admin_request_detail", { admin: req.session.admin, r: reg, tokenRow, link, queued, channelLabels: CHANNELS });
+});
+
+/* =========================
+   PERDÍ MI ENLACE (reemisión por el vecino)
+========================= */
+// El vecino ingresa DNI/CE y correo. Si coinciden con una solicitud APROBADA
+// cuya unidad todavía no votó, se revoca el enlace anterior y se envía uno
+// nuevo por su canal preferido. La respuesta es siempre la misma (no revela si
+// los datos existen) y cada intento queda en link_recovery_attempts, que limita
+// los intentos por identidad y por IP en la última hora.
+const LINK_RECOVERY_MAX_PER_IDENTITY = Number(process.env.LINK_RECOVERY_MAX_PER_IDENTITY || 3);
+const LINK_RECOVERY_MAX_PER_IP = Number(process.env.LINK_RECOVERY_MAX_PER_IP || 20);
+
+// Motivo por el que no se reemite (queda en auditoría, nunca se muestra).
+async function linkRecoverySkipReason(election, reg) {
+  if (await isElectionSealed(election.id)) return "election sealed";
+  if (election.vote_close_at && now() > new Date(election.vote_close_at)) return "voting closed";
+  if (await unitHasAnyVote(election.id, reg.unit_id)) return "already voted";
+  return null;
+}
+
+app.get("/perdi-mi-enlace", async (req, res) => {
+  const election = await getActiveElection(req);
+  if (!election) return res.render("no_active", { latestFinished: await getLatestFinishedElection() });
+  res.render("lost_link", { election, sent: false, error: null });
+});
+
+app.post("/perdi-mi-enlace", async (req, res) => {
+  const election = await getActiveElection(req);
+  if (!election) return res.render("no_active", { latestFinished: await getLatestFinishedElection() });
+
+  const dni = String(req.body.dni || "").trim().toLowerCase();
+  const email = String(req.body.email || "").trim().toLowerCase();
+  if (!dni || !email) return res.status(400).render("lost_link", { election, sent: false, error: "Ingresa tu DNI/CE y tu correo." });
+
+  const ip = req.ip || null;
+  const identityHash = sha256Hex(`${election.id}|${dni}|${email}`);
+  const auditBase = { ip, user_agent: getUserAgent(req), identity_hash: identityHash };
+
+  const recent = (await q(
+    `SELECT COUNT(*) FILTER (WHERE identity_hash=$1)::int AS by_identity,
+            COUNT(*) FILTER (WHERE ip=$2)::int AS by_ip
+     FROM link_recovery_attempts
+     WHERE (identity_hash=$1 OR ip=$2) AND created_at > NOW() - interval '1 hour'`,
+    [identityHash, ip]
+  )).rows[0];
+  await q(`INSERT INTO link_recovery_attempts(election_id, identity_hash, ip) VALUES ($1,$2,$3)`, [election.id, identityHash, ip]);
+
+  if (recent.by_identity >= LINK_RECOVERY_MAX_PER_IDENTITY || recent.by_ip >= LINK_RECOVERY_MAX_PER_IP) {
+    await audit("LINK_RECOVERY_RATE_LIMITED", {
+      election_id: election.id,
+      meta_json: { ...auditBase, scope: recent.by_identity >= LINK_RECOVERY_MAX_PER_IDENTITY ? "identity" : "ip", by_identity: recent.by_identity, by_ip: recent.by_ip }
+    });
+    return res.render("lost_link", { election, sent: true, error: null });
+  }
+
+  // Una persona puede tener más de una unidad: se reemite el enlace de cada una.
+  const regs = (await q(
+    `SELECT r.*, u.label AS unit_label
+     FROM registrations r
+     JOIN units u ON u.id=r.unit_id
+     WHERE r.election_id=$1 AND r.status='APPROVED'
+       AND lower(trim(r.dni))=$2 AND lower(trim(r.email))=$3
+     ORDER BY r.id ASC`,
+    [election.id, dni, email]
+  )).rows;
+
+  if (!regs.length) {
+    await audit("LINK_RECOVERY_REQUESTED", { election_id: election.id, meta_json: { ...auditBase, outcome: "no match" } });
+  }
+
+  for (const reg of regs) {
+    const skip = await linkRecoverySkipReason(election, reg);
+    if (skip) {
+      await audit("LINK_RECOVERY_REQUESTED", {
+        election_id: election.id,
+        registration_id: reg.id,
+        unit_id: reg.unit_id,
+        meta_json: { ...auditBase, outcome: skip }
+      });
+      continue;
+    }
+
+    const { tokenId, queued } = await reissueVoteLink(election, reg, { issuedVia: "SELF_SERVICE", template: "vote_link_recovered" });
+    await audit("TOKEN_REISSUED", {
+      election_id: election.id,
+      registration_id: reg.id,
+      unit_id: reg.unit_id,
+      token_id: tokenId,
+      meta_json: { ...auditBase, self_service: true, queued }
+    });
+    await audit("LINK_RECOVERY_REQUESTED", {
+      election_id: election.id,
+      registration_id: reg.id,
+      unit_id: reg.unit_id,
+      token_id: tokenId,
+      meta_json: { ...auditBase, outcome: "reissued", queued }
+    });
+  }
+
+  res.render("lost_link", { election, sent: true, error: null });
 });
+
+/* =========================
+   PROTECCIÓN CONTRA FUERZA BRUTA
+========================= */
+// Contador de fallos por cuenta del panel (correo) y por identidad de
+// /verificar-voto (DNI/correo), exista o no: así la respuesta no revela qué
+// cuentas existen. Desde el fallo AUTH_DELAY_FREE_FAILURES hay que esperar
+// 1, 2, 4... segundos (hasta 60) antes de reintentar; al llegar a
+// AUTH_LOCKOUT_THRESHOLD se bloquea AUTH_LOCKOUT_MINUTES. Un acierto o un
+// admin (desbloquear) reinician el contador. Cada fallo queda en auth_failures
+// por AUTH_FAILURE_RETENTION_DAYS días.
+const AUTH_LOCKOUT_THRESHOLD = Number(process.env.AUTH_LOCKOUT_THRESHOLD || 10);
+const AUTH_LOCKOUT_MINUTES = Number(process.env.AUTH_LOCKOUT_MINUTES || 15);
+const AUTH_DELAY_FREE_FAILURES = 3;
+const AUTH_FAILURE_WINDOW_MINUTES = 60;
+const AUTH_FAILURE_RETENTION_DAYS = Number(process.env.AUTH_FAILURE_RETENTION_DAYS || 90);
+const AUTH_IN_PROGRESS_SECONDS = 10;
+const AUTH_SCOPES = { ADMIN_LOGIN: "Ingreso al panel", VOTE_RECEIPT: "Verificación de voto" };
+
+function authSubjectHash(scope, subject) {
+  return sha256Hex(scope + ":" + String(subject || "").trim().toLowerCase());
+}
+
+function maskIdentity(identity) {
+  const value = String(identity || "").trim().toLowerCase();
+  const [user, domain] = value.split("@");
+  if (domain) return `${user.slice(0, 2)}***@${domain}`;
+  return value.length > 3 ? `***${value.slice(-3)}` : "***";
+}
+
+// Segundos que faltan para poder reintentar (0 si no hay espera ni bloqueo).
+async function authBlockedSeconds(scope, subject) {
+  const row = (await q(
+    `SELECT CEIL(EXTRACT(EPOCH FROM blocked_until - NOW()))::int AS secs
+     FROM auth_lockouts WHERE scope=$1 AND subject_hash=$2 AND blocked_until > NOW()`,
+    [scope, authSubjectHash(scope, subject)]
+  )).rows[0];
+  return row ? row.secs : 0;
+}
+
+// Un intento a la vez por cuenta o identidad: antes de comparar, el pedido
+// reserva el contador con un solo UPDATE (blocked_until pasa a NOW() +
+// AUTH_IN_PROGRESS_SECONDS) que solo prospera si no hay espera vigente. Sin
+// esto, pedidos en paralelo pasan todos la revisión antes de que se registre
+// el primer fallo y se saltan la espera. El fallo (recordAuthFailure) fija la
+// espera real; si no, al terminar se suelta la reserva, y si el proceso muere
+// a mitad, vence sola. No se retiene ninguna conexión durante
+// la comparación. Devuelve { blocked } con los segundos de espera o { result }
+// con lo que devuelve fn.
+async function withAuthAttempt(scope, subject, fn) {
+  const reserved = (await q(
+    `INSERT INTO auth_lockouts(scope, subject_hash, failures, blocked_until)
+     VALUES ($1,$2,0,NOW() + make_interval(secs => $3))
+     ON CONFLICT (organization_id, scope, subject_hash) DO UPDATE
+       SET blocked_until=EXCLUDED.blocked_until,
+           failures=CASE WHEN auth_lockouts.locked_at IS NOT NULL THEN 0 ELSE auth_lockouts.failures END,
+           locked_at=NULL
+       WHERE auth_lockouts.blocked_until IS NULL OR auth_lockouts.blocked_until <= NOW()
+     RETURNING id, blocked_until::text AS reserved_until`,
+    [scope, authSubjectHash(scope, subject), AUTH_IN_PROGRESS_SECONDS]
+  )).rows[0];
+  if (!reserved) return { blocked: Math.max(1, await authBlockedSeconds(scope, subject)) };
+  try {
+    return { result: await fn() };
+  } finally {
+    // Suelta la reserva si nadie fijó otra espera (acierto, o clave correcta
+    // que sigue al segundo paso).
+    await q(`UPDATE auth_lockouts SET blocked_until=NOW() WHERE id=$1 AND blocked_until=$2::timestamptz`, [reserved.id, reserved.reserved_until]);
+  }
+}
+
+function authBlockedMessage(secs) {
+  return secs > 90
+    ? `Demasiados intentos fallidos. Intenta de nuevo en ${Math.ceil(secs / 60)} minutos.`
+    : `Demasiados intentos fallidos. Espera ${secs} segundos antes de reintentar.`;
+}
+
+// Texto escrito por quien intenta (correo, IP): se muestra en el panel.
+function authDisplayText(v) {
+  return v ? String(v).replace(/[<>"'&]/g, "").slice(0, 120) : null;
+}
+
+async function recordAuthFailure(req, scope, subject, { label, adminUserId = null, reason }) {
+  const subjectHash = authSubjectHash(scope, subject);
+  label = authDisplayText(label);
+  await q(
+    `INSERT INTO auth_failures(scope, subject_hash, label, admin_user_id, reason, ip, user_agent)
+     VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+    [scope, subjectHash, label, adminUserId, reason, authDisplayText(req.ip), getUserAgent(req)]
+  );
+
+  const state = await withTx(pool, async client => {
+    const prev = (await client.query(
+      `SELECT failures, locked_at, blocked_until,
+              last_failure_at > NOW() - make_interval(mins => $3) AS recent
+       FROM auth_lockouts WHERE scope=$1 AND subject_hash=$2 FOR UPDATE`,
+      [scope, subjectHash, AUTH_FAILURE_WINDOW_MINUTES]
+    )).rows[0];
+
+    // Un bloqueo ya cumplido o fallos viejos no suman.
+    const expiredLock = prev?.locked_at && new Date(prev.blocked_until) <= now();
+    const failures = prev && prev.recent && !expiredLock ? prev.failures + 1 : 1;
+    const locked = failures >= AUTH_LOCKOUT_THRESHOLD;
+    const waitSeconds = locked
+      ? AUTH_LOCKOUT_MINUTES * 60
+      : (failures >= AUTH_DELAY_FREE_FAILURES ? Math.min(60, 2 ** (failures - AUTH_DELAY_FREE_FAILURES)) : 0);
+
+    await client.query(
+      `INSERT INTO auth_lockouts(scope, subject_hash, label, admin_user_id, failures, last_failure_at, blocked_until, locked_at)
+       VALUES ($1,$2,$3,$4,$5,NOW(),NOW() + make_interval(secs => $6),CASE WHEN $7 THEN NOW() END)
+       ON CONFLICT (organization_id, scope, subject_hash) DO UPDATE
+         SET label=EXCLUDED.label, admin_user_id=EXCLUDED.admin_user_id, failures=EXCLUDED.failures,
+             last_failure_at=EXCLUDED.last_failure_at, blocked_until=EXCLUDED.blocked_until, locked_at=EXCLUDED.locked_at`,
+      [scope, subjectHash, label, adminUserId, failures, waitSeconds, locked]
+    );
+    return { failures, locked, waitSeconds };
+  });
+
+  if (state.locked) {
+    await audit("AUTH_LOCKED", {
+      actor_admin_id: scope === "ADMIN_LOGIN" ? adminUserId : null,
+      meta_json: { scope, label, failures: state.failures, minutes: AUTH_LOCKOUT_MINUTES, ip: req.ip || null, user_agent: getUserAgent(req) }
+    });
+  }
+  return state;
+}
+
+async function clearAuthFailures(scope, subject) {
+  await q(`DELETE FROM auth_lockouts WHERE scope=$1 AND subject_hash=$2`, [scope, authSubjectHash(scope, subject)]);
+}
+
+// Borra los fallos y contadores más viejos que AUTH_FAILURE_RETENTION_DAYS.
+async function purgeAuthFailures() {
+  try {
+    await q(`DELETE FROM auth_failures WHERE created_at < NOW() - make_interval(days => $1)`, [AUTH_FAILURE_RETENTION_DAYS]);
+    await q(
+      `DELETE FROM auth_lockouts WHERE last_failure_at < NOW() - make_interval(days => $1) AND blocked_until < NOW()`,
+      [AUTH_FAILURE_RETENTION_DAYS]
+    );
+  } catch (e) {
+    console.error("auth failures purge failed", e);
+  }
+}
+
+if (AUTH_FAILURE_RETENTION_DAYS > 0) {
+  setInterval(() => runForAllOrganizations(purgeAuthFailures), 3600_000).unref();
+}
+
+// Resumen para el panel: cuentas/identidades con fallos recientes y las IP con
+// más intentos fallidos en las últimas 24 horas.
+async function suspiciousAuthActivity() {
+  const lockouts = (await q(
+    `SELECT id, scope, label, admin_user_id, failures, last_failure_at, blocked_until, locked_at,
+            (blocked_until > NOW()) AS blocked
+     FROM auth_lockouts
+     WHERE failures >= $1 AND last_failure_at > NOW() - interval '24 hours'
+     ORDER BY (blocked_until > NOW()) DESC, last_failure_at DESC
+     LIMIT 50`,
+    [AUTH_DELAY_FREE_FAILURES]
+  )).rows;
+  const ips = (await q(
+    `SELECT ip, COUNT(*)::int AS failures, COUNT(DISTINCT subject_hash)::int AS subjects, MAX(created_at) AS last_at
+     FROM auth_failures
+     WHERE created_at > NOW() - interval '24 hours'
+     GROUP BY ip
+     HAVING COUNT(*) >= $1
+     ORDER BY failures DESC
+     LIMIT 20`,
+    [AUTH_LOCKOUT_THRESHOLD]
+  )).rows;
+  return { lockouts, ips };
+}
+
 /* =========================
    ADMIN: LOGIN
 ========================= */
-app.get("/admin/login", (req, res) => res.render("admin_login", { error: null }));
+// Verificación en dos pasos (TOTP): obligatoria para el rol admin, opcional para
+// los demás. Tras la clave correcta el usuario queda en req.session.pendingAdmin
+// hasta ingresar el código de su app (o un código de recuperación). Un admin que
+// aún no la configuró debe activarla en ese momento para poder entrar.
+const TOTP_REQUIRED_ROLES = ["admin"];
+const LOGIN_2FA_MAX_ATTEMPTS = 5;
+const LOGIN_2FA_TTL_MS = 10 * 60_000;
+
+function loginRequestMeta(req) {
+  return { ip: getReqIp(req), user_agent: getUserAgent(req) };
+}
+
+function recoveryCodeHash(code) {
+  return hashToken("recovery:" + code);
+}
+
+async function startAdminSession(req, user, meta = {}) {
+  delete req.session.pendingAdmin;
+  delete req.session.totpSetup;
+  req.session.admin = {
+    id: user.id, email: user.email, role: user.role, mustChangePassword: !!user.must_change_password,
+    organizationId: req.organization.id, isSuperAdmin: !!user.is_superadmin
+  };
+  await clearAuthFailures("ADMIN_LOGIN", user.email);
+  await audit("ADMIN_LOGIN", { actor_admin_id: user.id, meta_json: meta });
+}
+
+// Usuario que ya pasó la clave y espera el segundo paso (null si venció).
+async function getPendingAdmin(req) {
+  const pending = req.session.pendingAdmin;
+  if (!pending || Date.now() - pending.at > LOGIN_2FA_TTL_MS) {
+    delete req.session.pendingAdmin;
+    return null;
+  }
+  const user = (await q(`SELECT * FROM admin_users WHERE id=$1`, [pending.id])).rows[0];
+  if (!user || user.enabled === false) {
+    delete req.session.pendingAdmin;
+    return null;
+  }
+  return user;
+}
+
+// Secreto nuevo para configurar la app. Se guarda en sesión hasta confirmar con
+// un código, así recargar la página no invalida el QR ya escaneado.
+async function totpSetupView(req, user) {
+  let setup = req.session.totpSetup;
+  if (!setup || setup.admin_id !== user.id) {
+    setup = req.session.totpSetup = { admin_id: user.id, secret: newTotpSecret() };
+  }
+  const uri = totpUri(setup.secret, user.email, (await getBranding()).system_name);
+  return { secret: setup.secret, qr: await QRCode.toDataURL(uri, { margin: 1, width: 220 }) };
+}
+
+async function replaceRecoveryCodes(client, adminId) {
+  const codes = newRecoveryCodes();
+  await client.query(`DELETE FROM admin_recovery_codes WHERE admin_user_id=$1`, [adminId]);
+  for (const code of codes) {
+    await client.query(`INSERT INTO admin_recovery_codes(admin_user_id, code_hash) VALUES ($1,$2)`, [adminId, recoveryCodeHash(code)]);
+  }
+  return codes;
+}
+
+// Confirma la configuración con el primer código. Devuelve los códigos de
+// recuperación (se muestran una sola vez) o null si el código no coincide.
+async function enableTotp(req, user, code) {
+  const setup = req.session.totpSetup;
+  if (!setup || setup.admin_id !== user.id) return null;
+  const step = verifyTotp(setup.secret, code);
+  if (step === null) return null;
+
+  const codes = await withTx(pool, async client => {
+    await client.query(
+      `UPDATE admin_users SET totp_secret=$1, totp_enabled_at=now(), totp_last_step=$2, updated_at=now() WHERE id=$3`,
+      [encryptJson(setup.secret), step, user.id]
+    );
+    return replaceRecoveryCodes(client, user.id);
+  });
+  delete req.session.totpSetup;
+  await audit("ADMIN_2FA_ENABLED", { actor_admin_id: user.id, meta_json: loginRequestMeta(req) });
+  return codes;
+}
+
+// Valida el código de la app (cada código sirve una sola vez) o, si se permite,
+// un código de recuperación. Devuelve "totp", "recovery_code" o null.
+async function checkSecondFactor(user, code, { allowRecovery = false } = {}) {
+  if (user.totp_secret) {
+    const step = verifyTotp(decryptJson(user.totp_secret), code);
+    if (step !== null) {
+      const used = await q(
+        `UPDATE admin_users SET totp_last_step=$1 WHERE id=$2 AND COALESCE(totp_last_step,-1) < $1 RETURNING id`,
+        [step, user.id]
+      );
+      return used.rows.length ? "totp" : null;
+    }
+  }
+  if (!allowRecovery) return null;
+
+  const recovery = normalizeRecoveryCode(code);
+  if (!recovery) return null;
+  const used = await q(
+    `UPDATE admin_recovery_codes SET used_at=now() WHERE admin_user_id=$1 AND code_hash=$2 AND used_at IS NULL RETURNING id`,
+    [user.id, recoveryCodeHash(recovery)]
+  );
+  return used.rows.length ? "recovery_code" : null;
+}
+
+async function remainingRecoveryCodes(adminId) {
+  return (await q(`SELECT COUNT(*)::int AS n FROM admin_recovery_codes WHERE admin_user_id=$1 AND used_at IS NULL`, [adminId])).rows[0].n;
+}
+
+app.get("/admin/login", (req, res) => res.render("admin_login", { error: null, notice: null }));
 
 app.post("/admin/login", async (req, res) => {
   const email = String(req.body.email || "").toLowerCase().trim();
   const password = String(req.body.password || "");
 
-  const u = await q(`SELECT * FROM admin_users WHERE email=$1`, [email]);
-  if (!u.rows.length) return res.render("admin_login", { error: "Credenciales inválidas." });
+  const attempt = await withAuthAttempt("ADMIN_LOGIN", email, async () => {
+    const found = (await q(`SELECT * FROM admin_users WHERE email=$1`, [email])).rows[0];
+    const ok = found && found.enabled !== false && await bcrypt.compare(password, found.password_hash);
+    if (ok) return found;
+    await recordAuthFailure(req, "ADMIN_LOGIN", email, {
+      label: email,
+      adminUserId: found?.id ?? null,
+      reason: !found ? "unknown account" : (found.enabled === false ? "disabled" : "bad password")
+    });
+    return null;
+  });
+  if (attempt.blocked) return res.status(429).render("admin_login", { error: authBlockedMessage(attempt.blocked), notice: null });
+
+  const user = attempt.result;
+  if (!user) return res.render("admin_login", { error: "Credenciales inválidas.", notice: null });
 
-  const user = u.rows[0];
-  if (user.enabled === false) return res.render("admin_login", { error: "Credenciales inválidas." });
-  const ok = await bcrypt.compare(password, user.password_hash);
-  if (!ok) return res.render("admin_login", { error: "Credenciales inválidas." });
+  if (user.totp_enabled_at || TOTP_REQUIRED_ROLES.includes(user.role)) {
+    req.session.pendingAdmin = { id: user.id, at: Date.now(), attempts: 0 };
+    return res.redirect("/admin/login/2fa");
+  }
 
-  req.session.admin = { id: user.id, email: user.email, role: user.role };
-  await audit("ADMIN_LOGIN", { actor_admin_id: user.id });
-  res.redirect("/admin");
+  await startAdminSession(req, user);
+  res.redirect(user.role === "mesa" ? "/mesa" : "/admin");
+});
+
+app.get("/admin/login/2fa", async (req, res) => {
+  const user = await getPendingAdmin(req);
+  if (!user) return res.redirect("/admin/login");
+
+  if (!user.totp_enabled_at) {
+    return res.render("admin_2fa", {
+      admin: null, user, enabled: false, required: true, setup: await totpSetupView(req, user),
+      recoveryCodes: null, remaining: 0, action: "/admin/login/2fa/activar", error: null
+    });
+  }
+  res.render("admin_login_2fa", { error: null });
+});
+
+app.post("/admin/login/2fa", async (req, res) => {
+  const user = await getPendingAdmin(req);
+  if (!user || !user.totp_enabled_at) return res.redirect("/admin/login");
+  const attempt = await withAuthAttempt("ADMIN_LOGIN", user.email, async () => {
+    const factor = await checkSecondFactor(user, req.body.code, { allowRecovery: true });
+    if (factor) return { factor };
+    return { factor, failure: await recordAuthFailure(req, "ADMIN_LOGIN", user.email, { label: user.email, adminUserId: user.id, reason: "bad second factor" }) };
+  });
+  if (attempt.blocked) return res.status(429).render("admin_login_2fa", { error: authBlockedMessage(attempt.blocked) });
+
+  const { factor, failure } = attempt.result;
+  if (!factor) {
+    const attempts = ++req.session.pendingAdmin.attempts;
+    await audit("ADMIN_2FA_FAILED", { actor_admin_id: user.id, meta_json: { ...loginRequestMeta(req), attempts } });
+    if (failure.locked) {
+      delete req.session.pendingAdmin;
+      return res.status(429).render("admin_login", { error: authBlockedMessage(AUTH_LOCKOUT_MINUTES * 60), notice: null });
+    }
+    if (attempts >= LOGIN_2FA_MAX_ATTEMPTS) {
+      delete req.session.pendingAdmin;
+      return res.render("admin_login", { error: "Demasiados códigos incorrectos. Vuelve a ingresar tu clave.", notice: null });
+    }
+    return res.render("admin_login_2fa", { error: "Código incorrecto." });
+  }
+
+  const meta = { ...loginRequestMeta(req), second_factor: factor };
+  if (factor === "recovery_code") {
+    meta.recovery_codes_left = await remainingRecoveryCodes(user.id);
+    await audit("ADMIN_2FA_RECOVERY_CODE_USED", { actor_admin_id: user.id, meta_json: meta });
+  }
+  await startAdminSession(req, user, meta);
+  res.redirect(user.role === "mesa" ? "/mesa" : "/admin");
+});
+
+app.post("/admin/login/2fa/activar", async (req, res) => {
+  const user = await getPendingAdmin(req);
+  if (!user || user.totp_enabled_at) return res.redirect("/admin/login");
+
+  const recoveryCodes = await enableTotp(req, user, req.body.code);
+  if (!recoveryCodes) {
+    return res.render("admin_2fa", {
+      admin: null, user, enabled: false, required: true, setup: await totpSetupView(req, user),
+      recoveryCodes: null, remaining: 0, action: "/admin/login/2fa/activar",
+      error: "Código incorrecto. Revisa que la hora del celular sea la correcta y vuelve a intentar."
+    });
+  }
+
+  await startAdminSession(req, user, { ...loginRequestMeta(req), second_factor: "totp" });
+  res.render("admin_2fa", {
+    admin: req.session.admin, user, enabled: true, required: true, setup: null,
+    recoveryCodes, remaining: recoveryCodes.length, action: null, error: null
+  });
 });
 
 app.post("/admin/logout", requireViewerOrAdmin, async (req, res) => {
@@ -1498,20 +4074,197 @@ app.post("/admin/logout", requireViewerOrAdmin, async (req, res) => {
   req.session.destroy(() => res.redirect("/admin/login"));
 });
 
+/* =========================
+   ADMIN: CLAVES (política, cambio y recuperación)
+========================= */
+// Los usuarios nuevos eligen su clave con un enlace de invitación; la clave que
+// asigna un admin desde "Administradores" es temporal y se cambia al ingresar.
+// Los enlaces (invitación y "Olvidé mi clave") se guardan como hashToken,
+// vencen y sirven una sola vez.
+const ADMIN_PASSWORD_MIN_LENGTH = Number(process.env.ADMIN_PASSWORD_MIN_LENGTH || 12);
+const ADMIN_INVITE_TTL_HOURS = Number(process.env.ADMIN_INVITE_TTL_HOURS || 72);
+const ADMIN_PASSWORD_RESET_TTL_MINUTES = Number(process.env.ADMIN_PASSWORD_RESET_TTL_MINUTES || 60);
+const ADMIN_PASSWORD_RESET_MAX_PER_HOUR = 3;
+
+// Motivo por el que la clave no cumple la política, o null si es válida.
+function passwordPolicyError(password, email) {
+  if (password.length < ADMIN_PASSWORD_MIN_LENGTH) return `La clave debe tener al menos ${ADMIN_PASSWORD_MIN_LENGTH} caracteres.`;
+  // bcrypt ignora lo que pasa de 72 bytes.
+  if (Buffer.byteLength(password, "utf8") > 72) return "La clave no puede pasar de 72 bytes (las letras con tilde y la ñ cuentan doble).";
+  if (!/\p{L}/u.test(password) || !/\d/.test(password)) return "La clave debe combinar letras y números.";
+  const local = String(email || "").split("@")[0].toLowerCase();
+  if (local.length >= 3 && password.toLowerCase().includes(local)) return "La clave no puede contener tu correo.";
+  return null;
+}
+
+// Emite un enlace nuevo y anula los anteriores sin usar del mismo usuario.
+async function issueAdminPasswordToken(adminId, purpose, ttlMinutes, req) {
+  const token = newToken();
+  await withTx(pool, async client => {
+    await client.query(`UPDATE admin_password_tokens SET used_at=now() WHERE admin_user_id=$1 AND used_at IS NULL`, [adminId]);
+    await client.query(
+      `INSERT INTO admin_password_tokens(admin_user_id, purpose, token_hash, expires_at, ip)
+       VALUES ($1,$2,$3,NOW() + make_interval(mins => $4),$5)`,
+      [adminId, purpose, hashToken(token), ttlMinutes, getReqIp(req)]
+    );
+  });
+  return absoluteUrl(`/admin/clave/nueva/${token}`);
+}
+
+async function getAdminPasswordToken(token) {
+  return (await q(
+    `SELECT t.id, t.admin_user_id, t.purpose, u.email, u.role
+     FROM admin_password_tokens t
+     JOIN admin_users u ON u.id=t.admin_user_id
+     WHERE t.token_hash=$1 AND t.used_at IS NULL AND t.expires_at > NOW() AND COALESCE(u.enabled,true)`,
+    [hashToken(String(token || ""))]
+  )).rows[0] || null;
+}
+
+// Con tokenId, el enlace se reclama en la misma transacción que guarda la
+// clave: de dos envíos en paralelo con el mismo enlace solo uno la cambia.
+// Devuelve false si el enlace ya se usó o venció.
+async function setAdminPassword(adminId, password, { tokenId = null } = {}) {
+  const hash = await bcrypt.hash(password, 12);
+  return withTx(pool, async client => {
+    if (tokenId) {
+      const claimed = await client.query(
+        `UPDATE admin_password_tokens SET used_at=now()
+         WHERE id=$1 AND admin_user_id=$2 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING id`,
+        [tokenId, adminId]
+      );
+      if (!claimed.rows.length) return false;
+    }
+    await client.query(
+      `UPDATE admin_users SET password_hash=$1, must_change_password=false, password_changed_at=now(), updated_at=now() WHERE id=$2`,
+      [hash, adminId]
+    );
+    await client.query(`UPDATE admin_password_tokens SET used_at=now() WHERE admin_user_id=$1 AND used_at IS NULL`, [adminId]);
+    return true;
+  });
+}
+
+async function sendAdminPasswordResetLink(user, req) {
+  const link = await issueAdminPasswordToken(user.id, "RESET", ADMIN_PASSWORD_RESET_TTL_MINUTES, req);
+  return sendEmailNotification({
+    template: "admin_password_reset",
+    recipient: user.email,
+    admin_user_id: user.id,
+    mailer: "sendAdminPasswordReset",
+    args: { to: user.email, link, minutes: ADMIN_PASSWORD_RESET_TTL_MINUTES },
+    priority: 1
+  });
+}
+
+function renderPasswordChange(req, res, error = null) {
+  res.render("admin_password", {
+    admin: req.session.admin,
+    forced: !!req.session.admin.mustChangePassword,
+    minLength: ADMIN_PASSWORD_MIN_LENGTH,
+    error
+  });
+}
+
+app.get("/admin/clave", requireLogin, (req, res) => renderPasswordChange(req, res));
+
+app.post("/admin/clave", requireLogin, async (req, res) => {
+  const current = String(req.body.current || "");
+  const password = String(req.body.password || "");
+  const user = (await q(`SELECT * FROM admin_users WHERE id=$1`, [req.session.admin.id])).rows[0];
+  if (!user) return res.redirect("/admin/login");
+
+  if (!await bcrypt.compare(current, user.password_hash)) return renderPasswordChange(req, res, "La clave actual no es correcta.");
+  if (password !== String(req.body.confirm || "")) return renderPasswordChange(req, res, "Las claves nuevas no coinciden.");
+  if (password === current) return renderPasswordChange(req, res, "La clave nueva debe ser distinta de la actual.");
+  const policyError = passwordPolicyError(password, user.email);
+  if (policyError) return renderPasswordChange(req, res, policyError);
+
+  const forced = !!req.session.admin.mustChangePassword;
+  await setAdminPassword(user.id, password);
+  req.session.admin.mustChangePassword = false;
+  await audit("ADMIN_PASSWORD_CHANGED", { actor_admin_id: user.id, meta_json: { forced, ...loginRequestMeta(req) } });
+  res.redirect(user.role === "mesa" ? "/mesa" : "/admin");
+});
+
+app.get("/admin/recuperar-clave", (req, res) => res.render("admin_password_forgot", { sent: false }));
+
+// Responde siempre lo mismo, exista o no el correo.
+app.post("/admin/recuperar-clave", async (req, res) => {
+  const email = String(req.body.email || "").trim().toLowerCase();
+  const meta = { ...loginRequestMeta(req), email_hash: sha256Hex(email) };
+  const user = email ? (await q(`SELECT id, email FROM admin_users WHERE email=$1 AND COALESCE(enabled,true)`, [email])).rows[0] : null;
+
+  if (!user) {
+    await audit("ADMIN_PASSWORD_RESET_REQUESTED", { meta_json: { ...meta, outcome: "no match" } });
+    return res.render("admin_password_forgot", { sent: true });
+  }
+
+  const recent = (await q(
+    `SELECT COUNT(*)::int AS n FROM admin_password_tokens
+     WHERE admin_user_id=$1 AND purpose='RESET' AND created_at > NOW() - interval '1 hour'`,
+    [user.id]
+  )).rows[0].n;
+  if (recent >= ADMIN_PASSWORD_RESET_MAX_PER_HOUR) {
+    await audit("ADMIN_PASSWORD_RESET_RATE_LIMITED", { actor_admin_id: user.id, meta_json: { ...meta, requests_last_hour: recent } });
+    return res.render("admin_password_forgot", { sent: true });
+  }
+
+  const queued = await sendAdminPasswordResetLink(user, req);
+  await audit("ADMIN_PASSWORD_RESET_REQUESTED", { actor_admin_id: user.id, meta_json: { ...meta, outcome: "sent", queued } });
+  res.render("admin_password_forgot", { sent: true });
+});
+
+app.get("/admin/clave/nueva/:token", async (req, res) => {
+  const t = await getAdminPasswordToken(req.params.token);
+  res.render("admin_password_set", { t, token: req.params.token, minLength: ADMIN_PASSWORD_MIN_LENGTH, error: null });
+});
+
+app.post("/admin/clave/nueva/:token", async (req, res) => {
+  const t = await getAdminPasswordToken(req.params.token);
+  const render = error => res.render("admin_password_set", { t, token: req.params.token, minLength: ADMIN_PASSWORD_MIN_LENGTH, error });
+  if (!t) return render(null);
+
+  const password = String(req.body.password || "");
+  if (password !== String(req.body.confirm || "")) return render("Las claves no coinciden.");
+  const policyError = passwordPolicyError(password, t.email);
+  if (policyError) return render(policyError);
+
+  if (!(await setAdminPassword(t.admin_user_id, password, { tokenId: t.id }))) {
+    return res.render("admin_password_set", { t: null, token: req.params.token, minLength: ADMIN_PASSWORD_MIN_LENGTH, error: null });
+  }
+  await audit("ADMIN_PASSWORD_SET", { actor_admin_id: t.admin_user_id, meta_json: { via: t.purpose, ...loginRequestMeta(req) } });
+  res.render("admin_login", { error: null, notice: "Clave guardada. Ya puedes ingresar." });
+});
+
 /* =========================
    ADMIN: DASHBOARD + campañas
 ========================= */
 app.get("/admin", requireViewerOrAdmin, async (req, res) => {
-  const active = await getActiveElection();
+  const active = await getActiveElection(req);
   const elections = (await q(`SELECT * FROM elections ORDER BY id DESC LIMIT 30`)).rows;
 
   const stats = active ? {
     pending_regs: (await q(`SELECT COUNT(*)::int AS n FROM registrations WHERE election_id=$1 AND status='PENDING'`, [active.id])).rows[0].n,
     approved_regs: (await q(`SELECT COUNT(*)::int AS n FROM registrations WHERE election_id=$1 AND status='APPROVED'`, [active.id])).rows[0].n,
-    votes: (await q(active.kind === "VOTACION" ? `SELECT COUNT(*)::int AS n FROM referendum_votes WHERE election_id=$1` : `SELECT COUNT(*)::int AS n FROM votes WHERE election_id=$1`, [active.id])).rows[0].n
+    votes: await countVotes(active)
   } : null;
 
-  res.render("admin_dashboard", { admin: req.session.admin, active, elections, stats, canMail: canMail() });
+  const suspicious = req.session.admin.role === "admin" ? await suspiciousAuthActivity() : null;
+  const actives = await getActiveElections();
+
+  res.render("admin_dashboard", { admin: req.session.admin, active, actives, elections, stats, canMail: canMail(), suspicious, authScopes: AUTH_SCOPES });
+});
+
+app.post("/admin/bloqueos/:id/desbloquear", requireAdmin, async (req, res) => {
+  const row = (await q(`DELETE FROM auth_lockouts WHERE id=$1 RETURNING scope, label, admin_user_id, failures`, [Number(req.params.id)])).rows[0];
+  if (row) {
+    await audit("AUTH_UNLOCKED", {
+      actor_admin_id: req.session.admin.id,
+      meta_json: { scope: row.scope, label: row.label, target_admin_id: row.admin_user_id, failures: row.failures }
+    });
+  }
+  res.redirect(String(req.body.back || "") === "users" ? "/admin/users" : "/admin");
 });
 
 app.get("/admin/elections/new", requireAdmin, async (req, res) => {
@@ -1555,12 +4308,11 @@ app.post("/admin/elections/new", requireAdmin, async (req, res) => {
   res.redirect("/admin");
 });
 
+// Activar no desactiva las demás: pueden correr varias campañas a la vez.
 app.post("/admin/elections/:id/activate", requireAdmin, async (req, res) => {
   const id = Number(req.params.id);
-  
 
-  await q(`UPDATE elections SET is_active=false WHERE is_active=true`);
-  await q(`UPDATE elections SET is_active=true WHERE id=$1`, [id]);
+  await q(`UPDATE elections SET is_active=true, activated_at=NOW() WHERE id=$1`, [id]);
 
   await audit("ELECTION_ACTIVATED", { actor_admin_id: req.session.admin.id, election_id: id });
   res.redirect("/admin");
@@ -1574,85 +4326,192 @@ app.post("/admin/elections/:id/close", requireAdmin, async (req, res) => {
 });
 
 app.get("/admin/votacion", requireViewerOrAdmin, async (req, res) => {
-  const election = await getActiveElection();
+  const election = await getActiveElection(req);
   if (!election) return res.status(500).send("No hay campaña activa.");
   if (election.kind !== "VOTACION") return res.status(400).send("La campaña activa no es una votación interna.");
-  const data = await getReferendumForElection(election.id);
-  res.render("admin_referendum", { admin: req.session.admin, election, question: data.question, options: data.options });
+  const { questions } = await getReferendumForElection(election.id);
+  const hasVotes = (await q(`SELECT 1 FROM referendum_votes WHERE election_id=$1 LIMIT 1`, [election.id])).rows.length > 0;
+  res.render("admin_referendum", { admin: req.session.admin, election, questions, hasVotes });
 });
 
 app.post("/admin/votacion", requireAdmin, async (req, res) => {
-  const election = await getActiveElection();
+  const election = await getActiveElection(req);
   if (!election) return res.status(500).send("No hay campaña activa.");
   if (election.kind !== "VOTACION") return res.status(400).send("La campaña activa no es una votación interna.");
 
-  const questionText = String(req.body.question_text || "").trim();
-  const labels = Array.isArray(req.body.option_label) ? req.body.option_label : [req.body.option_label];
-  const texts = Array.isArray(req.body.option_text) ? req.body.option_text : [req.body.option_text];
-  const opts = texts.map((t, i) => ({ label: String(labels[i] || "").trim(), text: String(t || "").trim() })).filter(o => o.text);
-
-  if (!questionText || opts.length < 2) return res.status(400).send("Carga una pregunta y al menos dos opciones.");
+  const hasVotes = (await q(`SELECT 1 FROM referendum_votes WHERE election_id=$1 LIMIT 1`, [election.id])).rows.length > 0;
+  if (hasVotes) return res.status(400).send("La votación ya tiene votos. No se pueden modificar preguntas ni opciones.");
+
+  // Campos por pregunta: question_text_<i>, option_label_<i>[], option_text_<i>[]
+  // y option_rejection_<i>[] (índices de las opciones que significan rechazo).
+  // Una pregunta con texto vacío se descarta (así se eliminan o se agregan preguntas).
+  const asList = (v) => Array.isArray(v) ? v : [v];
+  const questions = [];
+  for (let qi = 0; req.body[`question_text_${qi}`] !== undefined; qi++) {
+    const text = String(req.body[`question_text_${qi}`] || "").trim();
+    if (!text) continue;
+    const labels = asList(req.body[`option_label_${qi}`]);
+    const texts = asList(req.body[`option_text_${qi}`]);
+    const rejections = asList(req.body[`option_rejection_${qi}`]).map(Number);
+    const opts = texts.map((t, i) => ({ label: String(labels[i] || "").trim(), text: String(t || "").trim(), rejection: rejections.includes(i) })).filter(o => o.text);
+    if (opts.length < 2) return res.status(400).send(`La pregunta "${text}" necesita al menos dos opciones.`);
+
+    const ballotType = BALLOT_TYPES.includes(req.body[`ballot_type_${qi}`]) ? req.body[`ballot_type_${qi}`] : "SINGLE";
+    const maxChoices = ballotType === "SINGLE" ? null : (Number(req.body[`max_choices_${qi}`]) || null);
+    if (maxChoices !== null && (maxChoices < 1 || maxChoices > opts.length)) {
+      return res.status(400).send(`En "${text}" el máximo de opciones debe estar entre 1 y ${opts.length}.`);
+    }
+    questions.push({
+      text,
+      opts,
+      ballotType,
+      maxChoices,
+      allowBlank: req.body[`allow_blank_${qi}`] === "1",
+      majorityRule: MAJORITY_RULES[req.body[`majority_rule_${qi}`]] ? req.body[`majority_rule_${qi}`] : null,
+      tieRule: TIE_RULES[req.body[`tie_rule_${qi}`]] ? req.body[`tie_rule_${qi}`] : null
+    });
+  }
 
-  await q(`DELETE FROM referendum_questions WHERE election_id=$1`, [election.id]);
-  const question = (await q(
-    `INSERT INTO referendum_questions(election_id, question_text, sort_order) VALUES ($1,$2,1) RETURNING id`,
-    [election.id, questionText]
-  )).rows[0];
+  if (!questions.length) return res.status(400).send("Carga al menos una pregunta con dos opciones.");
 
-  for (let i = 0; i < opts.length; i++) {
-    await q(
-      `INSERT INTO referendum_options(election_id, question_id, option_label, option_text, sort_order) VALUES ($1,$2,$3,$4,$5)`,
-      [election.id, question.id, opts[i].label || String.fromCharCode(65 + i), opts[i].text, i + 1]
-    );
-  }
+  await withTx(pool, async (client) => {
+    await client.query(`DELETE FROM referendum_questions WHERE election_id=$1`, [election.id]);
+    for (let qi = 0; qi < questions.length; qi++) {
+      const question = (await client.query(
+        `INSERT INTO referendum_questions(election_id, question_text, sort_order, ballot_type, max_choices, allow_blank, majority_rule, tie_rule)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING id`,
+        [election.id, questions[qi].text, qi + 1, questions[qi].ballotType, questions[qi].maxChoices, questions[qi].allowBlank, questions[qi].majorityRule, questions[qi].tieRule]
+      )).rows[0];
+
+      const opts = questions[qi].opts;
+      for (let i = 0; i < opts.length; i++) {
+        await client.query(
+          `INSERT INTO referendum_options(election_id, question_id, option_label, option_text, sort_order, is_rejection) VALUES ($1,$2,$3,$4,$5,$6)`,
+          [election.id, question.id, opts[i].label || String.fromCharCode(65 + i), opts[i].text, i + 1, opts[i].rejection]
+        );
+      }
+    }
+  });
 
-  await audit("REFERENDUM_CONFIG_UPDATED", { actor_admin_id: req.session.admin.id, election_id: election.id, meta_json: { options: opts.length }});
+  await audit("REFERENDUM_CONFIG_UPDATED", { actor_admin_id: req.session.admin.id, election_id: election.id, meta_json: { questions: questions.length, options: questions.map(qq => qq.opts.length), ballot_types: questions.map(qq => qq.ballotType) }});
   res.redirect("/admin/votacion");
 });
 
 /* =========================
    ADMIN: usuarios y padrón maestro
 ========================= */
+// mesa: operador de voto presencial, solo accede a /mesa.
+const ADMIN_ROLES = ["admin", "fiscal", "viewer", "mesa"];
+
 app.get("/admin/users", requireAdmin, async (req, res) => {
   const users = (await q(
-    `SELECT id, email, role, COALESCE(enabled,true) AS enabled, created_at, updated_at
-     FROM admin_users
-     ORDER BY email ASC`
+    `SELECT u.id, u.email, u.role, COALESCE(u.enabled,true) AS enabled, u.totp_enabled_at IS NOT NULL AS totp_enabled, u.created_at, u.updated_at,
+            l.id AS lockout_id, l.blocked_until
+     FROM admin_users u
+     LEFT JOIN auth_lockouts l ON l.scope='ADMIN_LOGIN' AND l.admin_user_id=u.id AND l.blocked_until > NOW()
+     ORDER BY u.email ASC`
   )).rows;
-  res.render("admin_users", { admin: req.session.admin, users });
+  res.render("admin_users", { admin: req.session.admin, users, totpRequiredRoles: TOTP_REQUIRED_ROLES });
 });
 
-app.post("/admin/users/new", requireAdmin, async (req, res) => {
-  const email = String(req.body.email || "").trim().toLowerCase();
-  const secret = String(req.body.secret || "");
-  const rawRole = String(req.body.role || "viewer");
-  const role = ["admin", "fiscal", "viewer"].includes(rawRole) ? rawRole : "viewer";
-  if (!email || !secret) return res.status(400).send("Email y clave son obligatorios.");
+// Verificación en dos pasos del propio usuario (cualquier rol del panel).
+async function currentAdminUser(req) {
+  return (await q(`SELECT * FROM admin_users WHERE id=$1`, [req.session.admin.id])).rows[0];
+}
 
-  const hash = await bcrypt.hash(secret, 12);
+async function renderOwnTotp(req, res, { recoveryCodes = null, error = null } = {}) {
+  const user = await currentAdminUser(req);
+  if (!user) return res.redirect("/admin/login");
+  const enabled = !!user.totp_enabled_at;
+  res.render("admin_2fa", {
+    admin: req.session.admin,
+    user,
+    enabled,
+    required: TOTP_REQUIRED_ROLES.includes(user.role),
+    setup: enabled ? null : await totpSetupView(req, user),
+    recoveryCodes,
+    remaining: enabled ? await remainingRecoveryCodes(user.id) : 0,
+    action: "/admin/users/2fa/activar",
+    error
+  });
+}
+
+app.get("/admin/users/2fa", requireViewerOrAdmin, async (req, res) => {
+  await renderOwnTotp(req, res);
+});
+
+app.post("/admin/users/2fa/activar", requireViewerOrAdmin, async (req, res) => {
+  const user = await currentAdminUser(req);
+  if (!user || user.totp_enabled_at) return res.redirect("/admin/users/2fa");
+
+  const recoveryCodes = await enableTotp(req, user, req.body.code);
+  if (!recoveryCodes) return renderOwnTotp(req, res, { error: "Código incorrecto. Revisa que la hora del celular sea la correcta y vuelve a intentar." });
+  await renderOwnTotp(req, res, { recoveryCodes });
+});
+
+app.post("/admin/users/2fa/codigos", requireViewerOrAdmin, async (req, res) => {
+  const user = await currentAdminUser(req);
+  if (!user?.totp_enabled_at) return res.redirect("/admin/users/2fa");
+  if (!await checkSecondFactor(user, req.body.code)) return renderOwnTotp(req, res, { error: "Código incorrecto." });
+
+  const recoveryCodes = await withTx(pool, client => replaceRecoveryCodes(client, user.id));
+  await audit("ADMIN_2FA_RECOVERY_CODES_REGENERATED", { actor_admin_id: user.id, meta_json: loginRequestMeta(req) });
+  await renderOwnTotp(req, res, { recoveryCodes });
+});
+
+app.post("/admin/users/2fa/desactivar", requireViewerOrAdmin, async (req, res) => {
+  const user = await currentAdminUser(req);
+  if (!user?.totp_enabled_at) return res.redirect("/admin/users/2fa");
+  if (TOTP_REQUIRED_ROLES.includes(user.role)) return res.status(400).send("La verificación en dos pasos es obligatoria para tu rol.");
+  if (!await checkSecondFactor(user, req.body.code)) return renderOwnTotp(req, res, { error: "Código incorrecto." });
+
+  await withTx(pool, async client => {
+    await client.query(`UPDATE admin_users SET totp_secret=NULL, totp_enabled_at=NULL, totp_last_step=NULL, updated_at=now() WHERE id=$1`, [user.id]);
+    await client.query(`DELETE FROM admin_recovery_codes WHERE admin_user_id=$1`, [user.id]);
+  });
+  await audit("ADMIN_2FA_DISABLED", { actor_admin_id: user.id, meta_json: loginRequestMeta(req) });
+  res.redirect("/admin/users/2fa");
+});
+
+// El usuario nuevo (o reinvitado) no tiene clave utilizable hasta abrir el
+// enlace de invitación.
+async function inviteAdminUser(req, email, role) {
+  const hash = await bcrypt.hash(newToken(), 12);
   const user = (await q(
-    `INSERT INTO admin_users(email, password_hash, role, enabled)
-     VALUES ($1,$2,$3,true)
-     ON CONFLICT (email) DO UPDATE SET password_hash=EXCLUDED.password_hash, role=EXCLUDED.role, enabled=true, updated_at=now()
+    `INSERT INTO admin_users(email, password_hash, role, enabled, must_change_password)
+     VALUES ($1,$2,$3,true,false)
+     ON CONFLICT (organization_id, email) DO UPDATE SET password_hash=EXCLUDED.password_hash, role=EXCLUDED.role, enabled=true, must_change_password=false, updated_at=now()
      RETURNING id`,
     [email, hash, role]
   )).rows[0];
 
   await audit("ADMIN_USER_UPSERTED", { actor_admin_id: req.session.admin.id, meta_json: { target_admin_id: user.id, email, role }});
+  const link = await issueAdminPasswordToken(user.id, "INVITE", ADMIN_INVITE_TTL_HOURS * 60, req);
   await sendEmailNotification({
     template: "admin_invite",
     recipient: email,
     admin_user_id: user.id,
     meta_json: { role },
-    send: () => sendAdminInvite({ to: email, role, secret, loginUrl: absoluteUrl("/admin/login") })
+    mailer: "sendAdminInvite",
+    args: { to: email, role, link, hours: ADMIN_INVITE_TTL_HOURS, loginUrl: absoluteUrl("/admin/login") }
   });
+  return user;
+}
+
+app.post("/admin/users/new", requireAdmin, async (req, res) => {
+  const email = String(req.body.email || "").trim().toLowerCase();
+  const rawRole = String(req.body.role || "viewer");
+  const role = ADMIN_ROLES.includes(rawRole) ? rawRole : "viewer";
+  if (!email) return res.status(400).send("Email obligatorio.");
+
+  await inviteAdminUser(req, email, role);
   res.redirect("/admin/users");
 });
 
 app.post("/admin/users/:id/role", requireAdmin, async (req, res) => {
   const id = Number(req.params.id);
   const rawRole = String(req.body.role || "viewer");
-  const role = ["admin", "fiscal", "viewer"].includes(rawRole) ? rawRole : "viewer";
+  const role = ADMIN_ROLES.includes(rawRole) ? rawRole : "viewer";
   if (id === req.session.admin.id && role !== "admin") return res.status(400).send("No puedes quitarte tu propio rol admin.");
 
   await q(`UPDATE admin_users SET role=$1, updated_at=now() WHERE id=$2`, [role, id]);
@@ -1660,17 +4519,50 @@ app.post("/admin/users/:id/role", requireAdmin, async (req, res) => {
   res.redirect("/admin/users");
 });
 
+// Clave temporal dictada por un admin: el usuario debe cambiarla al ingresar.
 app.post("/admin/users/:id/secret", requireAdmin, async (req, res) => {
   const id = Number(req.params.id);
   const secret = String(req.body.secret || "");
   if (!secret) return res.status(400).send("Clave obligatoria.");
+  if (secret.length < 8) return res.status(400).send("La clave temporal debe tener al menos 8 caracteres.");
 
   const hash = await bcrypt.hash(secret, 12);
-  await q(`UPDATE admin_users SET password_hash=$1, updated_at=now() WHERE id=$2`, [hash, id]);
+  await q(`UPDATE admin_users SET password_hash=$1, must_change_password=$3, updated_at=now() WHERE id=$2`, [hash, id, id !== req.session.admin.id]);
   await audit("ADMIN_USER_SECRET_RESET", { actor_admin_id: req.session.admin.id, meta_json: { target_admin_id: id }});
   res.redirect("/admin/users");
 });
 
+app.post("/admin/users/:id/enlace-clave", requireAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  const target = (await q(`SELECT id, email FROM admin_users WHERE id=$1 AND COALESCE(enabled,true)`, [id])).rows[0];
+  if (!target) return res.status(404).send("Usuario no existe o está desactivado.");
+
+  const queued = await sendAdminPasswordResetLink(target, req);
+  await audit("ADMIN_PASSWORD_RESET_REQUESTED", {
+    actor_admin_id: req.session.admin.id,
+    meta_json: { target_admin_id: id, outcome: "sent", queued, by_admin: true }
+  });
+  res.redirect("/admin/users");
+});
+
+// Para quien perdió el celular y sus códigos de recuperación: en el próximo
+// ingreso vuelve a configurar la app (obligatorio si es admin).
+app.post("/admin/users/:id/2fa/reset", requireAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  const target = (await q(`SELECT id, email, role, totp_enabled_at FROM admin_users WHERE id=$1`, [id])).rows[0];
+  if (!target) return res.status(404).send("Usuario no existe.");
+
+  await withTx(pool, async client => {
+    await client.query(`UPDATE admin_users SET totp_secret=NULL, totp_enabled_at=NULL, totp_last_step=NULL, updated_at=now() WHERE id=$1`, [id]);
+    await client.query(`DELETE FROM admin_recovery_codes WHERE admin_user_id=$1`, [id]);
+  });
+  await audit("ADMIN_2FA_RESET", {
+    actor_admin_id: req.session.admin.id,
+    meta_json: { target_admin_id: id, email: target.email, role: target.role, was_enabled: !!target.totp_enabled_at, ...loginRequestMeta(req) }
+  });
+  res.redirect("/admin/users");
+});
+
 app.post("/admin/users/:id/delete", requireAdmin, async (req, res) => {
   const id = Number(req.params.id);
   if (!id) return res.status(400).send("Usuario inválido.");
@@ -1696,6 +4588,110 @@ app.post("/admin/users/:id/toggle", requireAdmin, async (req, res) => {
   res.redirect("/admin/users");
 });
 
+/* =========================
+   ADMIN: ORGANIZACIONES
+========================= */
+// Solo el superadministrador. Una organización nueva arranca con su catálogo de
+// calles y un usuario admin invitado por correo; el enlace y el remitente ya
+// son los de la organización nueva. Las demás tablas se aíslan solas (RLS).
+function organizationForm(body) {
+  return {
+    name: cleanText(body.name),
+    slug: String(body.slug || "").trim().toLowerCase(),
+    hostname: cleanText(String(body.hostname || "").toLowerCase()),
+    streets: [...new Set(String(body.streets || "").split(/\r?\n/).map(s => s.trim()).filter(Boolean))],
+    smtp_from: cleanText(body.smtp_from),
+    enabled: body.enabled === "1"
+  };
+}
+
+function organizationFormError(form) {
+  if (!form.name) return "El nombre es obligatorio.";
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(form.slug)) return "El identificador solo admite minúsculas, números y guiones.";
+  if (form.hostname && !/^[a-z0-9][a-z0-9.-]*$/.test(form.hostname)) return "Dominio inválido (sin https:// ni rutas).";
+  if (!form.streets.length) return "Indica al menos una calle.";
+  return null;
+}
+
+async function renderOrganizations(req, res, { form = null, error = null, status = 200 } = {}) {
+  const rows = await runForAllOrganizations(async () => (await q(
+    `SELECT o.*,
+            (SELECT COUNT(*)::int FROM elections e WHERE e.organization_id=o.id) AS elections,
+            (SELECT COUNT(*)::int FROM units u WHERE u.organization_id=o.id) AS units,
+            (SELECT COUNT(*)::int FROM admin_users a WHERE a.organization_id=o.id) AS admins
+     FROM organizations o
+     ORDER BY o.id`
+  )).rows);
+  res.status(status).render("admin_organizations", {
+    admin: req.session.admin, rows, form, error, created: Number(req.query.creada) || null,
+    baseUrl: String(process.env.BASE_URL || "").replace(/\/$/, ""), defaultId: DEFAULT_ORGANIZATION_ID
+  });
+}
+
+app.get("/admin/organizaciones", requireSuperAdmin, async (req, res) => {
+  await renderOrganizations(req, res);
+});
+
+app.post("/admin/organizaciones", requireSuperAdmin, async (req, res) => {
+  const form = { ...organizationForm(req.body), enabled: true, admin_email: String(req.body.admin_email || "").trim().toLowerCase() };
+  const error = organizationFormError(form) || (!form.admin_email ? "Indica el correo del primer administrador." : null);
+  if (error) return renderOrganizations(req, res, { form, error, status: 400 });
+
+  let org;
+  try {
+    org = (await q(
+      `INSERT INTO organizations(slug, name, hostname, streets, smtp_from)
+       VALUES ($1,$2,$3,$4,$5)
+       RETURNING *`,
+      [form.slug, form.name, form.hostname, form.streets, form.smtp_from]
+    )).rows[0];
+  } catch (e) {
+    if (String(e?.code) === "23505") return renderOrganizations(req, res, { form, error: "Ya existe una organización con ese identificador o dominio.", status: 400 });
+    throw e;
+  }
+
+  await audit("ORGANIZATION_CREATED", {
+    actor_admin_id: req.session.admin.id,
+    meta_json: { organization_id: org.id, slug: org.slug, name: org.name, hostname: org.hostname, admin_email: form.admin_email }
+  });
+  await runWithOrganization(org, () => inviteAdminUser(req, form.admin_email, "admin"));
+  res.redirect(`/admin/organizaciones?creada=${org.id}`);
+});
+
+app.get("/admin/organizaciones/:id", requireSuperAdmin, async (req, res) => {
+  const org = await findOrganization("id", Number(req.params.id));
+  if (!org) return res.status(404).send("Organización no encontrada.");
+  res.render("admin_organization_edit", { admin: req.session.admin, org, form: null, error: null });
+});
+
+app.post("/admin/organizaciones/:id", requireSuperAdmin, async (req, res) => {
+  const org = await findOrganization("id", Number(req.params.id));
+  if (!org) return res.status(404).send("Organización no encontrada.");
+
+  const form = organizationForm(req.body);
+  let error = organizationFormError(form);
+  if (!error && !form.enabled && org.id === req.organization.id) error = "No puedes desactivar la organización en la que estás trabajando.";
+  if (error) return res.status(400).render("admin_organization_edit", { admin: req.session.admin, org, form, error });
+
+  try {
+    await q(
+      `UPDATE organizations
+       SET slug=$1, name=$2, hostname=$3, streets=$4, smtp_from=$5, enabled=$6, updated_at=now()
+       WHERE id=$7`,
+      [form.slug, form.name, form.hostname, form.streets, form.smtp_from, form.enabled, org.id]
+    );
+  } catch (e) {
+    if (String(e?.code) === "23505") return res.status(400).render("admin_organization_edit", { admin: req.session.admin, org, form, error: "Ya existe una organización con ese identificador o dominio." });
+    throw e;
+  }
+
+  await audit("ORGANIZATION_UPDATED", {
+    actor_admin_id: req.session.admin.id,
+    meta_json: { organization_id: org.id, from: { slug: org.slug, name: org.name, hostname: org.hostname, enabled: org.enabled }, to: { slug: form.slug, name: form.name, hostname: form.hostname, enabled: form.enabled } }
+  });
+  res.redirect("/admin/organizaciones");
+});
+
 app.get("/admin/residentes", requireAdmin, async (req, res) => {
   const search = String(req.query.q || "").trim();
   const params = [];
@@ -1706,7 +4702,7 @@ app.get("/admin/residentes", requireAdmin, async (req, res) => {
   }
 
   const rows = (await q(
-    `SELECT rr.*, u.label AS unit_label
+    `SELECT rr.*, u.label AS unit_label, u.weight AS unit_weight
      FROM resident_registry rr
      JOIN units u ON u.id=rr.unit_id
      ${where}
@@ -1718,15 +4714,23 @@ app.get("/admin/residentes", requireAdmin, async (req, res) => {
   res.render("residents", { admin: req.session.admin, rows, search });
 });
 
+// El admin puede dejar SMS/WhatsApp aunque el proveedor aún no esté configurado:
+// mientras tanto los avisos salen por correo.
+function residentChannel(v) {
+  return CHANNELS[v] ? v : "EMAIL";
+}
+
 app.get("/admin/residentes/new", requireAdmin, async (req, res) => {
-  res.render("resident_form", { admin: req.session.admin, resident: null, streets: STREETS });
+  res.render("resident_form", { admin: req.session.admin, resident: null, streets: organizationStreets(), channelLabels: CHANNELS });
 });
 
 app.post("/admin/residentes/new", requireAdmin, async (req, res) => {
   const { street, number, unit_extra, name, dni, phone, email, status, notes } = req.body;
-  if (!street || !STREETS.includes(street) || !number || !name) return res.status(400).send("Calle, número y nombre son obligatorios.");
+  if (!street || !organizationStreets().includes(street) || !number || !name) return res.status(400).send("Calle, número y nombre son obligatorios.");
+  if (!validUnitWeight(req.body.unit_weight)) return res.status(400).send("La alícuota debe ser un número mayor que cero.");
   const unit = await findOrCreateUnit({ street, number, unit_extra });
-  const row = await upsertResidentRegistry({ unit_id: unit.id, name, dni, phone, email, status: status || "ACTIVE", notes });
+  await updateUnitWeight(unit.id, req.body.unit_weight, req.session.admin.id);
+  const row = await upsertResidentRegistry({ unit_id: unit.id, name, dni, phone, email, status: status || "ACTIVE", notes, preferred_channel: residentChannel(req.body.preferred_channel) });
   await audit("RESIDENT_UPSERTED", { actor_admin_id: req.session.admin.id, unit_id: unit.id, meta_json: { resident_id: row?.id }});
   res.redirect("/admin/residentes");
 });
@@ -1734,50 +4738,687 @@ app.post("/admin/residentes/new", requireAdmin, async (req, res) => {
 app.get("/admin/residentes/:id/edit", requireAdmin, async (req, res) => {
   const id = Number(req.params.id);
   const resident = (await q(
-    `SELECT rr.*, u.label AS unit_label, u.street, u.number, u.unit_extra
+    `SELECT rr.*, u.label AS unit_label, u.street, u.number, u.unit_extra, u.weight AS unit_weight
      FROM resident_registry rr
      JOIN units u ON u.id=rr.unit_id
      WHERE rr.id=$1`,
     [id]
   )).rows[0];
   if (!resident) return res.status(404).send("Residente no existe.");
-  res.render("resident_form", { admin: req.session.admin, resident, streets: STREETS });
+  res.render("resident_form", { admin: req.session.admin, resident, streets: organizationStreets(), channelLabels: CHANNELS });
 });
 
 app.post("/admin/residentes/:id/edit", requireAdmin, async (req, res) => {
   const id = Number(req.params.id);
   const { street, number, unit_extra, name, dni, phone, email, status, notes } = req.body;
-  if (!street || !STREETS.includes(street) || !number || !name) return res.status(400).send("Calle, número y nombre son obligatorios.");
+  if (!street || !organizationStreets().includes(street) || !number || !name) return res.status(400).send("Calle, número y nombre son obligatorios.");
+  if (!validUnitWeight(req.body.unit_weight)) return res.status(400).send("La alícuota debe ser un número mayor que cero.");
   const unit = await findOrCreateUnit({ street, number, unit_extra });
+  await updateUnitWeight(unit.id, req.body.unit_weight, req.session.admin.id);
 
   await q(
     `UPDATE resident_registry
-     SET unit_id=$1, name=$2, dni=$3, phone=$4, email=$5, status=$6, notes=$7, updated_at=now()
+     SET unit_id=$1, name=$2, dni=$3, phone=$4, email=$5, status=$6, notes=$7, preferred_channel=$9, updated_at=now()
      WHERE id=$8`,
-    [unit.id, String(name).trim(), cleanText(dni), cleanText(phone), cleanText(email)?.toLowerCase() || null, status || "ACTIVE", cleanText(notes), id]
+    [unit.id, String(name).trim(), cleanText(dni), cleanText(phone), cleanText(email)?.toLowerCase() || null, status || "ACTIVE", cleanText(notes), id, residentChannel(req.body.preferred_channel)]
   );
   await audit("RESIDENT_UPDATED", { actor_admin_id: req.session.admin.id, unit_id: unit.id, meta_json: { resident_id: id }});
   res.redirect("/admin/residentes");
 });
 
 app.post("/admin/residentes/importar-campana", requireAdmin, async (req, res) => {
-  const active = await getActiveElection();
+  const active = await getActiveElection(req);
   if (!active) return res.status(500).send("No hay campaña activa.");
 
   const rows = (await q(
-    `INSERT INTO registrations(election_id, unit_id, name, dni, phone, email, status)
-     SELECT $1, rr.unit_id, rr.name, COALESCE(rr.dni,''), COALESCE(rr.phone,''), COALESCE(rr.email,''), 'PENDING'
+    `INSERT INTO registrations(election_id, unit_id, name, dni, phone, email, status, preferred_channel, roll_check)
+     SELECT $1, rr.unit_id, rr.name, COALESCE(rr.dni,''), COALESCE(rr.phone,''), COALESCE(rr.email,''), 'PENDING', rr.preferred_channel,
+            CASE WHEN $2 THEN 'MATCH' END
      FROM resident_registry rr
+     JOIN units u ON u.id=rr.unit_id AND u.enabled=true
      WHERE rr.status='ACTIVE'
        AND NOT EXISTS (
          SELECT 1 FROM registrations r WHERE r.election_id=$1 AND r.unit_id=rr.unit_id
        )
-     RETURNING id, unit_id`,
-    [active.id]
+     RETURNING *`,
+    [active.id, !!active.preapproved_roll]
   )).rows;
 
-  await audit("RESIDENT_REGISTRY_IMPORTED", { actor_admin_id: req.session.admin.id, election_id: active.id, meta_json: { imported: rows.length }});
-  res.redirect("/admin/solicitudes?filter=pending");
+  // Padrón preaprobado: cada fila importada ya es el padrón, se emite el
+  // enlace directo. Las que no tienen correo o repiten unidad quedan PENDING.
+  let approved = 0;
+  if (active.preapproved_roll) {
+    const labels = new Map((await q(`SELECT id, label FROM units WHERE id = ANY($1::int[])`, [rows.map(r => r.unit_id)])).rows.map(u => [u.id, u.label]));
+    for (const reg of rows) {
+      if (await approveFromRoll(active, { ...reg, unit_label: labels.get(reg.unit_id) })) approved++;
+    }
+  }
+
+  await audit("RESIDENT_REGISTRY_IMPORTED", {
+    actor_admin_id: req.session.admin.id,
+    election_id: active.id,
+    meta_json: { imported: rows.length, approval_mode: active.preapproved_roll ? "PREAPPROVED_ROLL" : "MANUAL", approved }
+  });
+  res.redirect(active.preapproved_roll ? "/admin/solicitudes?filter=approved" : "/admin/solicitudes?filter=pending");
+});
+
+/* =========================
+   ADMIN: CATÁLOGO DE UNIDADES
+========================= */
+const UNLISTED_UNIT_MODES = {
+  OPEN: "Se crean habilitadas (sin revisión)",
+  REVIEW: "Se crean pendientes de revisión",
+  REJECT: "No se aceptan: solo unidades de la lista"
+};
+
+// Planillas (catálogo de unidades, padrón) en memoria: solo se leen, no se
+// guardan tal cual en disco.
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const ok = /\.(csv|txt|xlsx)$/i.test(file.originalname);
+    cb(ok ? null : new Error("Solo CSV o Excel (.xlsx)"), ok);
+  }
+});
+
+// Filas de la planilla subida como arreglos de celdas (primera hoja si es Excel).
+function readSpreadsheet(file) {
+  if (/\.xlsx$/i.test(file.originalname)) return parseXlsx(file.buffer);
+  return parseCsv(file.buffer.toString("utf8"));
+}
+
+// Índice de cada campo según los nombres de columna de la primera fila.
+function guessColumns(header, columns) {
+  const keys = header.map(headerKey);
+  const col = {};
+  for (const [field, names] of Object.entries(columns)) {
+    const i = keys.findIndex(k => names.includes(k));
+    if (i >= 0) col[field] = i;
+  }
+  return col;
+}
+
+const UNIT_COLUMNS = {
+  street: ["calle", "street", "avenida", "via"],
+  block: ["bloque", "manzana", "mz", "block", "torre", "etapa"],
+  number: ["numero", "nro", "no", "lote", "number"],
+  unit_extra: ["depto", "departamento", "piso_depto", "piso", "interior", "unit_extra"],
+  weight: ["alicuota", "peso", "coeficiente", "weight"],
+  enabled: ["habilitada", "habilitado", "activa", "activo", "enabled"]
+};
+
+function csvYesNo(v) {
+  const s = headerKey(v);
+  if (!s) return null;
+  if (["si", "s", "1", "true", "x", "habilitada", "habilitado", "activa", "activo"].includes(s)) return true;
+  if (["no", "n", "0", "false", "deshabilitada", "deshabilitado", "inactiva", "inactivo"].includes(s)) return false;
+  return undefined;
+}
+
+// Valida el archivo completo antes de tocar la base: si alguna fila tiene
+// error no se importa ninguna.
+function parseUnitRows([header, ...lines]) {
+  if (!header) return { error: "El archivo está vacío." };
+  const col = guessColumns(header, UNIT_COLUMNS);
+  if (col.street == null || col.number == null) return { error: "El archivo debe tener al menos las columnas Calle y Número en la primera fila." };
+
+  const streets = organizationStreets();
+  const rows = [];
+  const errors = [];
+  lines.forEach((cells, i) => {
+    const line = i + 2;
+    const get = (f) => (col[f] == null ? "" : cells[col[f]] || "");
+    const row = {
+      line,
+      street: streets.find(s => s.toLowerCase() === get("street").toLowerCase()) || get("street"),
+      block: cleanText(get("block")),
+      number: get("number"),
+      unit_extra: cleanText(get("unit_extra")),
+      weight: get("weight").replace(",", "."),
+      enabled: csvYesNo(get("enabled"))
+    };
+    if (!streets.includes(row.street)) errors.push({ line, error: `Calle "${row.street}" no está en la lista de calles.` });
+    else if (!row.number) errors.push({ line, error: "Falta el número." });
+    else if (!validUnitWeight(row.weight)) errors.push({ line, error: `Alícuota inválida: "${row.weight}".` });
+    else if (row.enabled === undefined) errors.push({ line, error: `Valor de Habilitada no reconocido: "${get("enabled")}". Usa sí o no.` });
+    else rows.push(row);
+  });
+  if (!rows.length && !errors.length) errors.push({ line: 1, error: "El archivo no tiene filas de unidades." });
+  return { rows, errors };
+}
+
+async function renderUnits(req, res, { error = null, importResult = null, status = 200 } = {}) {
+  const search = String(req.query.q || "").trim();
+  const street = String(req.query.calle || "");
+  const state = String(req.query.estado || "todas");
+
+  const params = [];
+  const where = [];
+  if (search) { params.push("%" + search.toLowerCase() + "%"); where.push(`(lower(u.label) LIKE $${params.length} OR lower(COALESCE(u.block,'')) LIKE $${params.length})`); }
+  if (street) { params.push(street); where.push(`u.street=$${params.length}`); }
+  if (state === "habilitadas") where.push("u.enabled=true");
+  if (state === "deshabilitadas") where.push("u.enabled=false");
+  if (state === "revision") where.push("u.enabled=false AND u.review_requested_at IS NOT NULL");
+
+  const rows = (await q(
+    `SELECT u.*,
+            (SELECT COUNT(*)::int FROM registrations r WHERE r.unit_id=u.id) AS registrations,
+            (SELECT COUNT(*)::int FROM resident_registry rr WHERE rr.unit_id=u.id) AS residents
+     FROM units u
+     ${where.length ? "WHERE " + where.join(" AND ") : ""}
+     ORDER BY u.street ASC NULLS LAST, u.block ASC NULLS FIRST, u.label ASC
+     LIMIT 1000`,
+    params
+  )).rows;
+
+  const stats = (await q(
+    `SELECT COUNT(*)::int AS total,
+            COUNT(*) FILTER (WHERE enabled)::int AS enabled,
+            COUNT(*) FILTER (WHERE NOT enabled AND review_requested_at IS NOT NULL)::int AS review
+     FROM units`
+  )).rows[0];
+
+  // Posibles duplicados: misma calle y mismo número/depto en forma canónica.
+  const duplicates = (await q(
+    `SELECT street, json_agg(json_build_object('id', id, 'label', label, 'enabled', enabled) ORDER BY enabled DESC, id ASC) AS units
+     FROM units
+     WHERE street IS NOT NULL
+     GROUP BY street, unit_key(number), unit_key(unit_extra)
+     HAVING COUNT(*) > 1
+     ORDER BY street ASC
+     LIMIT 100`
+  )).rows;
+
+  res.status(status).render("admin_units", {
+    admin: req.session.admin, rows, stats, duplicates, search, street, state, error, importResult,
+    streets: organizationStreets(), unlistedUnits: req.organization.unlisted_units, unlistedModes: UNLISTED_UNIT_MODES,
+    saved: req.query.ok || null
+  });
+}
+
+app.get("/admin/unidades", requireAdmin, async (req, res) => {
+  await renderUnits(req, res);
+});
+
+app.post("/admin/unidades/calles", requireAdmin, async (req, res) => {
+  const streets = [...new Set(String(req.body.streets || "").split(/\r?\n/).map(s => s.trim()).filter(Boolean))];
+  const mode = UNLISTED_UNIT_MODES[req.body.unlisted_units] ? req.body.unlisted_units : "REVIEW";
+  if (!streets.length) return renderUnits(req, res, { error: "Indica al menos una calle.", status: 400 });
+
+  const org = req.organization;
+  await q(`UPDATE organizations SET streets=$1, unlisted_units=$2, updated_at=now() WHERE id=$3`, [streets, mode, org.id]);
+  await audit("UNIT_CATALOGUE_SETTINGS_UPDATED", {
+    actor_admin_id: req.session.admin.id,
+    meta_json: { from: { streets: org.streets, unlisted_units: org.unlisted_units }, to: { streets, unlisted_units: mode } }
+  });
+  res.redirect("/admin/unidades?ok=calles");
+});
+
+app.post("/admin/unidades", requireAdmin, async (req, res) => {
+  const { street, number, unit_extra, block } = req.body;
+  if (!street || !organizationStreets().includes(street) || !String(number || "").trim()) {
+    return renderUnits(req, res, { error: "Calle y número son obligatorios.", status: 400 });
+  }
+  if (!validUnitWeight(req.body.unit_weight)) return renderUnits(req, res, { error: "La alícuota debe ser un número mayor que cero.", status: 400 });
+
+  const existing = await findUnit({ street, number, unit_extra });
+  if (existing) return renderUnits(req, res, { error: `La unidad ya existe como "${existing.label}".`, status: 400 });
+
+  const unit = await findOrCreateUnit({ street, number, unit_extra, block });
+  await updateUnitWeight(unit.id, req.body.unit_weight, req.session.admin.id);
+  await audit("UNIT_CREATED", { actor_admin_id: req.session.admin.id, unit_id: unit.id, meta_json: { label: unit.label } });
+  res.redirect("/admin/unidades?ok=creada");
+});
+
+app.post("/admin/unidades/importar", requireAdmin, keepOrganization(spreadsheetUpload.single("csv_file")), async (req, res) => {
+  if (!req.file) return renderUnits(req, res, { error: "Adjunta un archivo CSV o Excel.", status: 400 });
+  let parsed;
+  try {
+    parsed = parseUnitRows(readSpreadsheet(req.file));
+  } catch (e) {
+    return renderUnits(req, res, { error: "No se pudo leer el archivo. Guárdalo como CSV o Excel (.xlsx).", status: 400 });
+  }
+  if (parsed.error) return renderUnits(req, res, { error: parsed.error, status: 400 });
+  if (parsed.errors.length) return renderUnits(req, res, { importResult: { errors: parsed.errors }, status: 400 });
+
+  const result = await withTx(pool, async (client) => {
+    const out = { created: 0, updated: 0, unchanged: 0, errors: [] };
+    for (const row of parsed.rows) {
+      const existing = await findUnit(row, client);
+      if (!existing) {
+        const unit = await findOrCreateUnit(row, { enabled: row.enabled !== false }, client);
+        if (row.weight) await client.query(`UPDATE units SET weight=$1 WHERE id=$2`, [Number(row.weight), unit.id]);
+        out.created++;
+        continue;
+      }
+      const r = await client.query(
+        `UPDATE units
+         SET block=COALESCE($2, block),
+             weight=COALESCE($3::numeric, weight),
+             enabled=COALESCE($4, enabled),
+             review_requested_at=CASE WHEN COALESCE($4, enabled) THEN NULL ELSE review_requested_at END
+         WHERE id=$1
+           AND (block IS DISTINCT FROM COALESCE($2, block)
+             OR weight IS DISTINCT FROM COALESCE($3::numeric, weight)
+             OR enabled IS DISTINCT FROM COALESCE($4, enabled))
+         RETURNING id`,
+        [existing.id, row.block, row.weight ? Number(row.weight) : null, row.enabled]
+      );
+      if (r.rows.length) out.updated++;
+      else out.unchanged++;
+    }
+    return out;
+  });
+
+  await audit("UNIT_CATALOGUE_IMPORTED", {
+    actor_admin_id: req.session.admin.id,
+    meta_json: { file: req.file.originalname, rows: parsed.rows.length, created: result.created, updated: result.updated, unchanged: result.unchanged }
+  });
+  await renderUnits(req, res, { importResult: result });
+});
+
+async function getCatalogueUnit(id) {
+  return (await q(
+    `SELECT u.*,
+            (SELECT COUNT(*)::int FROM registrations r WHERE r.unit_id=u.id) AS registrations,
+            (SELECT COUNT(*)::int FROM resident_registry rr WHERE rr.unit_id=u.id) AS residents
+     FROM units u
+     WHERE u.id=$1`,
+    [id]
+  )).rows[0] || null;
+}
+
+async function renderUnitEdit(req, res, unit, { form = null, error = null, status = 200 } = {}) {
+  const others = (await q(`SELECT id, label, enabled FROM units WHERE id<>$1 ORDER BY label ASC`, [unit.id])).rows;
+  const similar = unit.street ? (await q(
+    `SELECT id, label, enabled FROM units
+     WHERE id<>$1 AND street=$2 AND unit_key(number)=unit_key($3)
+     ORDER BY unit_key(unit_extra)=unit_key($4) DESC, label ASC`,
+    [unit.id, unit.street, unit.number, unit.unit_extra]
+  )).rows : [];
+  res.status(status).render("admin_unit_edit", {
+    admin: req.session.admin, unit, form, error, others, similar, streets: organizationStreets()
+  });
+}
+
+app.get("/admin/unidades/:id", requireAdmin, async (req, res) => {
+  const unit = await getCatalogueUnit(Number(req.params.id));
+  if (!unit) return res.status(404).send("Unidad no existe.");
+  await renderUnitEdit(req, res, unit);
+});
+
+app.post("/admin/unidades/:id", requireAdmin, async (req, res) => {
+  const unit = await getCatalogueUnit(Number(req.params.id));
+  if (!unit) return res.status(404).send("Unidad no existe.");
+
+  const form = {
+    street: String(req.body.street || ""),
+    number: String(req.body.number || "").trim(),
+    unit_extra: cleanText(req.body.unit_extra),
+    block: cleanText(req.body.block),
+    weight: req.body.unit_weight,
+    enabled: req.body.enabled === "1"
+  };
+  // Una calle retirada de la lista se conserva mientras no se cambie.
+  if (!form.street || (!organizationStreets().includes(form.street) && form.street !== unit.street) || !form.number) {
+    return renderUnitEdit(req, res, unit, { form, error: "Calle y número son obligatorios.", status: 400 });
+  }
+  if (!validUnitWeight(form.weight)) return renderUnitEdit(req, res, unit, { form, error: "La alícuota debe ser un número mayor que cero.", status: 400 });
+
+  const same = await findUnit(form);
+  if (same && same.id !== unit.id) {
+    return renderUnitEdit(req, res, unit, { form, error: `Ya existe la unidad "${same.label}" con esa dirección. Si son la misma, fusiónalas.`, status: 400 });
+  }
+
+  const label = unitLabel(form.street, form.number, form.unit_extra);
+  try {
+    await q(
+      `UPDATE units
+       SET street=$1, number=$2, unit_extra=$3, block=$4, label=$5, enabled=$6,
+           review_requested_at=CASE WHEN $6 THEN NULL ELSE review_requested_at END
+       WHERE id=$7`,
+      [form.street, form.number, form.unit_extra, form.block, label, form.enabled, unit.id]
+    );
+  } catch (e) {
+    if (String(e?.code) === "23505") return renderUnitEdit(req, res, unit, { form, error: "Ya existe otra unidad con ese nombre.", status: 400 });
+    throw e;
+  }
+  await updateUnitWeight(unit.id, form.weight, req.session.admin.id);
+
+  await audit("UNIT_UPDATED", {
+    actor_admin_id: req.session.admin.id,
+    unit_id: unit.id,
+    meta_json: {
+      from: { label: unit.label, block: unit.block, enabled: unit.enabled },
+      to: { label, block: form.block, enabled: form.enabled }
+    }
+  });
+  res.redirect("/admin/unidades?ok=guardada");
+});
+
+app.post("/admin/unidades/:id/estado", requireAdmin, async (req, res) => {
+  const r = (await q(
+    `UPDATE units
+     SET enabled=NOT enabled, review_requested_at=CASE WHEN NOT enabled THEN NULL ELSE review_requested_at END
+     WHERE id=$1
+     RETURNING id, label, enabled`,
+    [Number(req.params.id)]
+  )).rows[0];
+  if (!r) return res.status(404).send("Unidad no existe.");
+  await audit(r.enabled ? "UNIT_ENABLED" : "UNIT_DISABLED", { actor_admin_id: req.session.admin.id, unit_id: r.id, meta_json: { label: r.label } });
+  const back = new URLSearchParams(String(req.body.back || "")).toString();
+  res.redirect("/admin/unidades" + (back ? "?" + back : ""));
+});
+
+// Tablas que apuntan a la unidad y se pasan a la unidad que se conserva.
+const UNIT_MERGE_TABLES = ["registrations", "vote_tokens", "proxies", "resident_registry"];
+
+// Fusiona una unidad duplicada (from) en la correcta (into): mueve
+// solicitudes, enlaces, poderes y padrón, y borra la duplicada. Los votos,
+// papeletas y recibos no se mueven porque el hash de la cadena incluye la
+// unidad: si la duplicada ya votó, no se fusiona. audit_log conserva el id
+// anterior; el evento UNIT_MERGED deja la equivalencia.
+async function mergeUnits(fromId, intoId) {
+  return withTx(pool, async (client) => {
+    const units = (await client.query(`SELECT * FROM units WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE`, [[fromId, intoId]])).rows;
+    const from = units.find(u => u.id === fromId);
+    const into = units.find(u => u.id === intoId);
+    if (!from || !into || fromId === intoId) return { error: "Elige dos unidades distintas." };
+
+    const voted = (await client.query(
+      `SELECT EXISTS (SELECT 1 FROM votes WHERE unit_id=$1)
+           OR EXISTS (SELECT 1 FROM fiscal_votes WHERE unit_id=$1)
+           OR EXISTS (SELECT 1 FROM referendum_votes WHERE unit_id=$1)
+           OR EXISTS (SELECT 1 FROM paper_ballots WHERE unit_id=$1)
+           OR EXISTS (SELECT 1 FROM vote_receipts WHERE unit_id=$1) AS voted`,
+      [fromId]
+    )).rows[0].voted;
+    if (voted) return { error: `"${from.label}" ya tiene votos registrados. La cadena de votos incluye la unidad y no se puede reescribir.` };
+
+    const clash = (await client.query(
+      `SELECT e.title FROM registrations a
+       JOIN registrations b ON b.election_id=a.election_id AND b.unit_id=$2 AND b.status='APPROVED'
+       JOIN elections e ON e.id=a.election_id
+       WHERE a.unit_id=$1 AND a.status='APPROVED'
+       LIMIT 1`,
+      [fromId, intoId]
+    )).rows[0];
+    if (clash) return { error: `Las dos unidades tienen una solicitud aprobada en "${clash.title}". Rechaza o revoca una antes de fusionar.` };
+
+    const moved = {};
+    for (const table of UNIT_MERGE_TABLES) {
+      moved[table] = (await client.query(`UPDATE ${table} SET unit_id=$2 WHERE unit_id=$1`, [fromId, intoId])).rowCount;
+    }
+    await client.query(`DELETE FROM units WHERE id=$1`, [fromId]);
+    return { from, into, moved };
+  });
+}
+
+app.post("/admin/unidades/:id/fusionar", requireAdmin, async (req, res) => {
+  const fromId = Number(req.params.id);
+  const unit = await getCatalogueUnit(fromId);
+  if (!unit) return res.status(404).send("Unidad no existe.");
+
+  const result = await mergeUnits(fromId, Number(req.body.into_id));
+  if (result.error) return renderUnitEdit(req, res, unit, { error: result.error, status: 400 });
+
+  await audit("UNIT_MERGED", {
+    actor_admin_id: req.session.admin.id,
+    unit_id: result.into.id,
+    meta_json: { from_unit_id: result.from.id, from_label: result.from.label, into_label: result.into.label, moved: result.moved }
+  });
+  res.redirect("/admin/unidades?ok=fusionada");
+});
+
+/* =========================
+   ADMIN: IMPORTAR PADRÓN (CSV / Excel)
+========================= */
+// La planilla subida se guarda leída (JSON) hasta confirmar la importación:
+// el admin elige las columnas, revisa la simulación y recién ahí se aplica.
+// Contiene datos personales: se borra al confirmar o al subir otra.
+const IMPORT_DIR = path.resolve("uploads/importaciones");
+fs.mkdirSync(IMPORT_DIR, { recursive: true });
+
+const RESIDENT_FIELDS = {
+  street: "Calle",
+  number: "Número",
+  unit_extra: "Piso/Depto",
+  name: "Nombre",
+  dni: "DNI/CE",
+  phone: "Teléfono",
+  email: "Correo",
+  status: "Estado"
+};
+
+const RESIDENT_COLUMNS = {
+  street: UNIT_COLUMNS.street,
+  number: UNIT_COLUMNS.number,
+  unit_extra: UNIT_COLUMNS.unit_extra,
+  name: ["nombre", "nombres", "nombre_completo", "nombres_y_apellidos", "residente", "propietario", "name"],
+  dni: ["dni", "dni_ce", "ce", "documento", "doc", "nro_documento"],
+  phone: ["telefono", "celular", "movil", "whatsapp", "phone"],
+  email: ["correo", "email", "e_mail", "correo_electronico", "mail"],
+  status: ["estado", "status", "situacion"]
+};
+
+const RESIDENT_STATUS_WORDS = {
+  ACTIVE: ["active", "activo", "activa", "habilitado", "habilitada"],
+  INACTIVE: ["inactive", "inactivo", "inactiva", "baja"],
+  BLOCKED: ["blocked", "bloqueado", "bloqueada", "suspendido", "suspendida"]
+};
+
+const IMPORT_OUTCOMES = { insert: "Nuevo", update: "Actualiza", unchanged: "Sin cambios", conflict: "Conflicto", error: "Error" };
+
+function residentStatus(v) {
+  const k = headerKey(v);
+  if (!k) return "ACTIVE";
+  return Object.keys(RESIDENT_STATUS_WORDS).find(st => RESIDENT_STATUS_WORDS[st].includes(k)) || null;
+}
+
+function loadResidentImport(req) {
+  const file = req.session.residentImport?.file;
+  if (!file) return null;
+  try {
+    return JSON.parse(fs.readFileSync(path.join(IMPORT_DIR, file), "utf8"));
+  } catch {
+    req.session.residentImport = null;
+    return null;
+  }
+}
+
+function dropResidentImport(req) {
+  const file = req.session.residentImport?.file;
+  if (file) fs.rm(path.join(IMPORT_DIR, file), { force: true }, () => {});
+  req.session.residentImport = null;
+}
+
+// Columna elegida para cada campo (índice en la planilla o null).
+function residentImportMapping(body, header) {
+  const mapping = {};
+  for (const field of Object.keys(RESIDENT_FIELDS)) {
+    const i = body[`col_${field}`] === "" || body[`col_${field}`] == null ? null : Number(body[`col_${field}`]);
+    mapping[field] = Number.isInteger(i) && i >= 0 && i < header.length ? i : null;
+  }
+  return mapping;
+}
+
+function residentImportDiff(before, data) {
+  return ["name", "dni", "phone", "email", "status"]
+    .filter(f => String(before[f] ?? "") !== String(data[f] ?? ""))
+    .map(f => `${RESIDENT_FIELDS[f]}: ${before[f] || "vacío"} → ${data[f] || "vacío"}`);
+}
+
+// Corre la importación fila por fila con findOrCreateUnit y
+// upsertResidentRegistry dentro de una transacción. En la simulación
+// (commit=false) se hace ROLLBACK al final, así que el resultado es
+// exactamente lo que haría la importación real. Un conflicto es una fila
+// que coincide con un residente de la unidad por correo o teléfono pero trae
+// otro DNI, o que repite a un residente ya tocado por una fila anterior: no
+// se aplica salvo que se pida.
+async function runResidentImport(table, mapping, { commit = false, applyConflicts = false } = {}) {
+  const streets = organizationStreets();
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const results = [];
+    const touched = new Map();
+
+    for (const [i, cells] of table.rows.slice(1).entries()) {
+      const line = i + 2;
+      const get = (f) => (mapping[f] == null ? "" : String(cells[mapping[f]] ?? "").trim());
+      const street = streets.find(s => s.toLowerCase() === get("street").toLowerCase()) || get("street");
+      const address = { street, number: get("number"), unit_extra: get("unit_extra") };
+      const data = {
+        name: get("name"),
+        dni: cleanText(get("dni")),
+        phone: cleanText(get("phone")),
+        email: cleanText(get("email"))?.toLowerCase() || null,
+        status: residentStatus(get("status"))
+      };
+      const base = { line, unit: address.number ? unitLabel(street || "?", address.number, address.unit_extra) : "", name: data.name };
+
+      let error = null;
+      if (!streets.includes(street)) error = `Calle "${street}" no está en la lista de calles.`;
+      else if (!address.number) error = "Falta el número.";
+      else if (!data.name) error = "Falta el nombre.";
+      else if (!data.status) error = `Estado no reconocido: "${get("status")}". Usa ACTIVE, INACTIVE o BLOCKED.`;
+      else if (data.email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(data.email)) error = `Correo inválido: "${data.email}".`;
+      else if (!data.dni && !data.email && !data.phone) error = "Falta DNI, correo o teléfono para identificar al residente.";
+      if (error) { results.push({ ...base, outcome: "error", detail: error }); continue; }
+
+      await client.query("SAVEPOINT import_row");
+      try {
+        const known = await findUnit(address, client);
+        const unit = known || await findOrCreateUnit(address, {}, client);
+        const notes = [];
+        if (!known) notes.push("unidad nueva en el catálogo");
+        else if (!known.enabled) notes.push("unidad deshabilitada");
+
+        const before = await findResidentMatch(unit.id, data, client);
+        const diff = before ? residentImportDiff(before, data) : [];
+        let conflict = null;
+        if (before && touched.has(before.id)) conflict = `Repite al residente de la fila ${touched.get(before.id)}`;
+        else if (before?.dni && data.dni && before.dni.toLowerCase() !== data.dni.toLowerCase()) conflict = `Coincide con ${before.name} (ID ${before.id}) pero con otro DNI`;
+        const row = { ...base, unit: unit.label, unit_id: unit.id, resident_id: before?.id || null };
+
+        if (before && !diff.length) {
+          results.push({ ...row, outcome: "unchanged", detail: notes.join("; ") });
+          touched.set(before.id, line);
+        } else if (conflict && !applyConflicts) {
+          await client.query("ROLLBACK TO SAVEPOINT import_row");
+          results.push({ ...row, outcome: "conflict", detail: [conflict, ...diff].join("; ") });
+          continue;
+        } else {
+          const saved = await upsertResidentRegistry({ unit_id: unit.id, ...data, preferred_channel: before?.preferred_channel || "EMAIL" }, client);
+          results.push({
+            ...row,
+            resident_id: saved.id,
+            outcome: saved.created ? "insert" : (conflict ? "conflict" : "update"),
+            detail: [conflict && `${conflict} (sobrescrito)`, ...diff, ...notes].filter(Boolean).join("; ")
+          });
+          touched.set(saved.id, line);
+        }
+        await client.query("RELEASE SAVEPOINT import_row");
+      } catch (e) {
+        await client.query("ROLLBACK TO SAVEPOINT import_row");
+        results.push({ ...base, outcome: "error", detail: String(e?.code) === "23505" ? "DNI o correo ya registrado en otro residente." : "Error de base de datos." });
+      }
+    }
+
+    await client.query(commit ? "COMMIT" : "ROLLBACK");
+    const counts = Object.fromEntries(Object.keys(IMPORT_OUTCOMES).map(k => [k, results.filter(r => r.outcome === k).length]));
+    return { results, counts };
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Filas con error o conflicto de la última simulación o importación, para
+// descargar y corregir la planilla.
+function residentImportReport(results) {
+  return results
+    .filter(r => r.outcome === "error" || r.outcome === "conflict")
+    .slice(0, 2000)
+    .map(r => ({ fila: r.line, unidad: r.unit, nombre: r.name, resultado: IMPORT_OUTCOMES[r.outcome], detalle: r.detail }));
+}
+
+function renderResidentImport(req, res, { table = null, mapping = null, run = null, done = false, applyConflicts = false, error = null, status = 200 } = {}) {
+  res.status(status).render("resident_import", {
+    admin: req.session.admin, fileName: req.session.residentImport?.name || null, table, mapping, run, done, applyConflicts, error,
+    fields: RESIDENT_FIELDS, outcomes: IMPORT_OUTCOMES, hasReport: !!req.session.residentImportReport?.length
+  });
+}
+
+app.get("/admin/residentes/importar", requireAdmin, async (req, res) => {
+  if (req.query.nuevo === "1") dropResidentImport(req);
+  const table = loadResidentImport(req);
+  renderResidentImport(req, res, { table, mapping: table ? guessColumns(table.rows[0], RESIDENT_COLUMNS) : null });
+});
+
+app.post("/admin/residentes/importar", requireAdmin, keepOrganization(spreadsheetUpload.single("archivo")), async (req, res) => {
+  if (!req.file) return renderResidentImport(req, res, { error: "Adjunta un archivo CSV o Excel.", status: 400 });
+  let rows;
+  try {
+    rows = readSpreadsheet(req.file);
+  } catch (e) {
+    return renderResidentImport(req, res, { error: "No se pudo leer el archivo. Guárdalo como CSV o Excel (.xlsx).", status: 400 });
+  }
+  if (rows.length < 2) return renderResidentImport(req, res, { error: "El archivo no tiene filas de residentes debajo de los nombres de columna.", status: 400 });
+
+  dropResidentImport(req);
+  const file = randName(".json");
+  fs.writeFileSync(path.join(IMPORT_DIR, file), JSON.stringify({ rows }));
+  req.session.residentImport = { file, name: req.file.originalname };
+  req.session.residentImportReport = null;
+  res.redirect("/admin/residentes/importar");
+});
+
+app.post("/admin/residentes/importar/revisar", requireAdmin, async (req, res) => {
+  const table = loadResidentImport(req);
+  if (!table) return res.redirect("/admin/residentes/importar");
+  const mapping = residentImportMapping(req.body, table.rows[0]);
+  if (mapping.street == null || mapping.number == null || mapping.name == null) {
+    return renderResidentImport(req, res, { table, mapping, error: "Elige al menos las columnas de calle, número y nombre.", status: 400 });
+  }
+
+  const run = await runResidentImport(table, mapping);
+  req.session.residentImportReport = residentImportReport(run.results);
+  renderResidentImport(req, res, { table, mapping, run });
+});
+
+app.post("/admin/residentes/importar/confirmar", requireAdmin, async (req, res) => {
+  const table = loadResidentImport(req);
+  if (!table) return res.redirect("/admin/residentes/importar");
+  const mapping = residentImportMapping(req.body, table.rows[0]);
+  if (mapping.street == null || mapping.number == null || mapping.name == null) return res.redirect("/admin/residentes/importar");
+  const applyConflicts = req.body.apply_conflicts === "1";
+
+  const run = await runResidentImport(table, mapping, { commit: true, applyConflicts });
+  await audit("RESIDENT_REGISTRY_FILE_IMPORTED", {
+    actor_admin_id: req.session.admin.id,
+    meta_json: {
+      file: req.session.residentImport.name,
+      columns: Object.fromEntries(Object.entries(mapping).filter(([, i]) => i != null).map(([f, i]) => [f, table.rows[0][i]])),
+      apply_conflicts: applyConflicts,
+      counts: run.counts,
+      rows: run.results.map(r => ({ line: r.line, outcome: r.outcome, unit_id: r.unit_id || null, resident_id: r.resident_id || null, detail: r.detail || null }))
+    }
+  });
+
+  req.session.residentImportReport = residentImportReport(run.results);
+  dropResidentImport(req);
+  renderResidentImport(req, res, { run, done: true, applyConflicts });
+});
+
+app.get("/admin/residentes/importar/errores.csv", requireAdmin, async (req, res) => {
+  const rows = req.session.residentImportReport || [];
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="padron_importacion_errores.csv"`);
+  res.send(toCSV(rows));
 });
 
 /* =========================
@@ -1786,7 +5427,7 @@ app.post("/admin/residentes/importar-campana", requireAdmin, async (req, res) =>
 app.post("/admin/solicitudes/bulk-approve", requireAdmin, async (req, res) => {
   // BULK_APPROVE_SAFE_ROUTE
   try {
-  const active = await getActiveElection();
+  const active = await getActiveElection(req);
   if (!active) return res.status(500).send("No hay campaña activa.");
   if (await isElectionSealed(active.id)) return res.status(403).send("La campaña ya fue sellada. No se pueden aprobar solicitudes.");
 
@@ -1795,20 +5436,20 @@ app.post("/admin/solicitudes/bulk-approve", requireAdmin, async (req, res) => {
   if (!ids.length) return res.redirect("/admin/solicitudes?filter=pending");
 
   let approved = 0;
-  let sent = 0;
+  let queued = 0;
   let failed = 0;
   let skipped = 0;
 
   for (const id of ids) {
     const reg = (await q(
-      `SELECT r.*, u.id AS unit_id, u.label AS unit_label
+      `SELECT r.*, u.id AS unit_id, u.label AS unit_label, u.enabled AS unit_enabled
        FROM registrations r
        JOIN units u ON u.id=r.unit_id
        WHERE r.id=$1 AND r.election_id=$2`,
       [id, active.id]
     )).rows[0];
 
-    if (!reg || reg.status !== "PENDING" || !reg.email) { skipped++; continue; }
+    if (!reg || reg.status !== "PENDING" || !reg.email || !reg.unit_enabled) { skipped++; continue; }
 
     // BULK_DUPLICATE_APPROVED_UNIT_GUARD
     const unitAlreadyApproved = (await q(
@@ -1840,22 +5481,25 @@ app.post("/admin/solicitudes/bulk-approve", requireAdmin, async (req, res) => {
     });
 
     approved++;
-    const link = absoluteUrl(`/votar/${raw}`);
+    const link = absoluteUrl(campaignPath(active.id, `/votar/${raw}`));
     const ok = await sendEmailNotification({
       template: "registration_approved",
       recipient: reg.email,
       election_id: active.id,
       registration_id: reg.id,
       meta_json: { token_id: tokenId, bulk: true },
-      send: () => sendVoteLink({ to: reg.email, link, electionTitle: active.title, voteOpenAt: active.vote_open_at, voteCloseAt: active.vote_close_at, unitLabel: reg.unit_label })
+      channel: reg.preferred_channel,
+      phone: reg.phone,
+      mailer: "sendVoteLink",
+      args: { to: reg.email, link, electionTitle: active.title, voteOpenAt: active.vote_open_at, voteCloseAt: active.vote_close_at, unitLabel: reg.unit_label }
     });
-    if (ok) sent++; else failed++;
+    if (ok) queued++; else failed++;
 
-    await audit("REGISTRATION_APPROVED", { actor_admin_id: req.session.admin.id, election_id: active.id, registration_id: reg.id, unit_id: reg.unit_id, token_id: tokenId, meta_json: { via: "EMAIL", bulk: true, sent: ok } });
+    await audit("REGISTRATION_APPROVED", { actor_admin_id: req.session.admin.id, election_id: active.id, registration_id: reg.id, unit_id: reg.unit_id, token_id: tokenId, meta_json: { via: "EMAIL", bulk: true, approval_mode: "BULK", queued: ok } });
   }
 
-  await audit("REGISTRATION_BULK_APPROVED", { actor_admin_id: req.session.admin.id, election_id: active.id, meta_json: { requested: ids.length, approved, sent, failed, skipped } });
-  res.redirect(`/admin/solicitudes?filter=pending&bulk=1&approved=${approved}&sent=${sent}&failed=${failed}&skipped=${skipped}`);
+  await audit("REGISTRATION_BULK_APPROVED", { actor_admin_id: req.session.admin.id, election_id: active.id, meta_json: { requested: ids.length, approved, queued, failed, skipped } });
+  res.redirect(`/admin/solicitudes?filter=pending&bulk=1&approved=${approved}&queued=${queued}&failed=${failed}&skipped=${skipped}`);
   } catch (e) {
     console.error("bulk approve failed", e);
     await audit("REGISTRATION_BULK_APPROVE_FAILED", { actor_admin_id: req.session.admin.id, election_id: active?.id ?? null, meta_json: { error: String(e?.message || e) } });
@@ -1864,7 +5508,7 @@ app.post("/admin/solicitudes/bulk-approve", requireAdmin, async (req, res) => {
   // BULK_APPROVE_SAFE_ROUTE_END
 });
 app.get("/admin/solicitudes", requireViewerOrAdmin, async (req, res) => {
-  const active = await getActiveElection();
+  const active = await getActiveElection(req);
   if (!active) return res.render("no_active");
 
   const filter = String(req.query.filter || "pending").toLowerCase();
@@ -1874,10 +5518,11 @@ app.get("/admin/solicitudes", requireViewerOrAdmin, async (req, res) => {
   if (filter === "pending") where = "AND r.status='PENDING'";
   if (filter === "approved") where = "AND r.status='APPROVED'";
   if (filter === "rejected") where = "AND r.status='REJECTED'";
+  if (filter === "bounced") where = "AND r.email_invalid_at IS NOT NULL AND r.status<>'REJECTED'";
   if (filter === "all") where = "";
 
   const rows = (await q(
-    `SELECT r.*, u.label AS unit_label
+    `SELECT r.*, u.label AS unit_label, u.enabled AS unit_enabled
      FROM registrations r
      JOIN units u ON u.id = r.unit_id
      WHERE r.election_id=$1 ${where}
@@ -1885,16 +5530,21 @@ app.get("/admin/solicitudes", requireViewerOrAdmin, async (req, res) => {
     params
   )).rows;
 
-  res.render("admin_requests", { admin: req.session.admin, election: active, rows, filter });
+  const bouncedCount = (await q(
+    `SELECT COUNT(*)::int AS n FROM registrations WHERE election_id=$1 AND email_invalid_at IS NOT NULL AND status<>'REJECTED'`,
+    [active.id]
+  )).rows[0].n;
+
+  res.render("admin_requests", { admin: req.session.admin, election: active, rows, filter, bouncedCount, bulkResult: req.query });
 });
 
 app.get("/admin/solicitudes/:id", requireViewerOrAdmin, async (req, res) => {
-  const active = await getActiveElection();
+  const active = await getActiveElection(req);
   if (!active) return res.render("no_active");
 
   const id = Number(req.params.id);
   const r = (await q(
-    `SELECT r.*, u.label AS unit_label, u.street, u.number, u.unit_extra
+    `SELECT r.*, u.label AS unit_label, u.street, u.number, u.unit_extra, u.enabled AS unit_enabled, u.review_requested_at AS unit_review_requested_at
      FROM registrations r JOIN units u ON u.id=r.unit_id
      WHERE r.id=$1 AND r.election_id=$2`,
     [id, active.id]
@@ -1910,24 +5560,76 @@ app.get("/admin/solicitudes/:id", requireViewerOrAdmin, async (req, res) => {
     [id, active.id]
   )).rows[0] || null;
 
+  // Poderes otorgados por esta solicitud y unidades que representa como apoderado.
+  const grantedProxies = (await q(
+    `SELECT p.*, dr.name AS delegate_name, dr.dni AS delegate_dni, du.label AS delegate_unit_label
+     FROM proxies p
+     JOIN registrations dr ON dr.id=p.delegate_registration_id
+     JOIN units du ON du.id=dr.unit_id
+     WHERE p.election_id=$1 AND p.registration_id=$2
+     ORDER BY p.id DESC`,
+    [active.id, id]
+  )).rows;
+  const representedProxies = await getDelegateProxies(active, id);
+
+  // Residentes del padrón contra los que no coincidió la solicitud.
+  const rollResidents = r.roll_check === "MISMATCH" ? (await q(
+    `SELECT name, dni, email FROM resident_registry WHERE unit_id=$1 AND status='ACTIVE' ORDER BY name ASC`,
+    [r.unit_id]
+  )).rows : [];
+
   res.render("admin_request_detail", {
     admin: req.session.admin,
     election: active,
     r,
     tokenRow,
-    baseUrl: process.env.BASE_URL
+    grantedProxies,
+    representedProxies,
+    rollResidents,
+    channelLabels: CHANNELS,
+    emailUpdated: req.query.correo === "1",
+    baseUrl: baseUrl()
+  });
+});
+
+// Corrige el correo de una solicitud (por ejemplo, tras un rebote) y quita la
+// marca de correo inválido. El enlace no se reenvía solo: usar Reemitir enlace.
+app.post("/admin/solicitudes/:id/correo", requireAdmin, async (req, res) => {
+  const active = await getActiveElection(req);
+  if (!active) return res.status(500).send("No hay campaña activa.");
+
+  const id = Number(req.params.id);
+  const email = cleanText(req.body.email)?.toLowerCase();
+  if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return res.status(400).send("Correo inválido.");
+
+  const prev = (await q(`SELECT id, unit_id, email, email_invalid_reason FROM registrations WHERE id=$1 AND election_id=$2`, [id, active.id])).rows[0];
+  if (!prev) return res.status(404).send("No existe.");
+
+  await q(
+    `UPDATE registrations SET email=$2, email_invalid_at=NULL, email_invalid_reason=NULL WHERE id=$1`,
+    [id, email]
+  );
+
+  await audit("REGISTRATION_EMAIL_UPDATED", {
+    actor_admin_id: req.session.admin.id,
+    election_id: active.id,
+    registration_id: id,
+    unit_id: prev.unit_id,
+    meta_json: { old_email: prev.email, new_email: email, bounce_reason: prev.email_invalid_reason }
   });
+
+  res.redirect(`/admin/solicitudes/${id}?correo=1`);
 });
 
 // APPROVAL_EMAIL_DELIVERY_STABLE_ROUTE
 app.post("/admin/solicitudes/:id/aprobar", requireAdmin, async (req, res) => {
-  const active = await getActiveElection();
+  const active = await getActiveElection(req);
   if (!active) return res.status(500).send("No hay campaña activa.");
   if (await isElectionSealed(active.id)) return res.status(403).send("La campaña ya fue sellada. No se pueden aprobar solicitudes.");
 
   const id = Number(req.params.id);
   const reg = (await q(
-    `SELECT r.*, u.label AS unit_label,
+    `SELECT r.*, u.label AS unit_label, u.enabled AS unit_enabled,
             (SELECT COUNT(*)::int FROM registrations r2 WHERE r2.election_id=r.election_id AND r2.unit_id=r.unit_id AND r2.id<>r.id AND r2.status IN ('PENDING','APPROVED')) AS duplicate_open_count,
             (SELECT COUNT(*)::int FROM registrations r2 WHERE r2.election_id=r.election_id AND r2.unit_id=r.unit_id AND r2.id<>r.id AND r2.status='PENDING') AS duplicate_pending_count,
             (SELECT COUNT(*)::int FROM registrations r2 WHERE r2.election_id=r.election_id AND r2.unit_id=r.unit_id AND r2.id<>r.id AND r2.status='APPROVED') AS duplicate_approved_count
@@ -1940,6 +5642,7 @@ app.post("/admin/solicitudes/:id/aprobar", requireAdmin, async (req, res) => {
   if (!reg) return res.status(404).send("Solicitud no encontrada.");
   if (reg.status !== "PENDING") return res.status(400).send("Solo se pueden aprobar solicitudes pendientes.");
   if (!reg.email) return res.status(400).send("La solicitud no tiene correo electrónico.");
+  if (!reg.unit_enabled) return res.status(400).send("La unidad de esta solicitud no está habilitada en el catálogo. Habilítala o fusiónala con la unidad correcta en Unidades antes de aprobar.");
 
   // APPROVE_DUPLICATE_APPROVED_UNIT_GUARD
   const unitAlreadyApproved = (await q(
@@ -1974,21 +5677,24 @@ app.post("/admin/solicitudes/:id/aprobar", requireAdmin, async (req, res) => {
     tokenId = tr.rows[0].id;
   });
 
-  const link = absoluteUrl(`/votar/${raw}`);
-  const sent = await sendEmailNotification({
+  const link = absoluteUrl(campaignPath(active.id, `/votar/${raw}`));
+  const queued = await sendEmailNotification({
     template: "registration_approved",
     recipient: reg.email,
     election_id: active.id,
     registration_id: reg.id,
     meta_json: { token_id: tokenId, unit_label: reg.unit_label },
-    send: () => sendVoteLink({
+    channel: reg.preferred_channel,
+    phone: reg.phone,
+    mailer: "sendVoteLink",
+    args: {
       to: reg.email,
       link,
       electionTitle: active.title,
       voteOpenAt: active.vote_open_at,
       voteCloseAt: active.vote_close_at,
       unitLabel: reg.unit_label
-    })
+    }
   });
 
   await audit("REGISTRATION_APPROVED", {
@@ -1997,14 +5703,14 @@ app.post("/admin/solicitudes/:id/aprobar", requireAdmin, async (req, res) => {
     registration_id: reg.id,
     unit_id: reg.unit_id,
     token_id: tokenId,
-    meta_json: { via: "EMAIL", sent }
+    meta_json: { via: "EMAIL", approval_mode: "MANUAL", queued }
   });
 
   const tokenRow = { id: tokenId, status: "ACTIVE", issued_at: new Date(), used_at: null };
-  res.render("admin_request_detail", { admin: req.session.admin, r: { ...reg, status: "APPROVED" }, tokenRow, link, sent });
+  res.render("admin_request_detail", { admin: req.session.admin, r: { ...reg, status: "APPROVED" }, tokenRow, link, queued, channelLabels: CHANNELS });
 });
 app.post("/admin/solicitudes/:id/reemitir", requireAdmin, async (req, res) => {
-  const active = await getActiveElection();
+  const active = await getActiveElection(req);
   if (!active) return res.render("no_active");
 
   const id = Number(req.params.id);
@@ -2027,7 +5733,7 @@ app.post("/admin/solicitudes/:id/reemitir", requireAdmin, async (req, res) => {
     [active.id, reg.id, reg.unit_id, tokenHash]
   )).rows[0];
 
-  const link = `${process.env.BASE_URL}/votar/${token}`;
+  const link = absoluteUrl(campaignPath(active.id, `/votar/${token}`));
 
   await audit("TOKEN_REISSUED", {
     actor_admin_id: req.session.admin.id,
@@ -2062,7 +5768,7 @@ app.post("/admin/solicitudes/:id/reemitir", requireAdmin, async (req, res) => {
 });
 
 app.post("/admin/solicitudes/:id/rechazar", requireAdmin, async (req, res) => {
-  const active = await getActiveElection();
+  const active = await getActiveElection(req);
   if (!active) return res.status(500).send("No hay campaña activa.");
   if (await isElectionSealed(active.id)) return res.status(403).send("La campaña ya fue sellada. No se pueden rechazar solicitudes.");
 
@@ -2086,20 +5792,21 @@ app.post("/admin/solicitudes/:id/rechazar", requireAdmin, async (req, res) => {
     [req.session.admin.id, notes, id]
   );
 
-  let sent = false;
+  let queued = false;
   if (reg.email) {
-    sent = await sendEmailNotification({
+    queued = await sendEmailNotification({
       template: "registration_rejected",
       recipient: reg.email,
       election_id: active.id,
       registration_id: reg.id,
       meta_json: { unit_label: reg.unit_label, has_reason: !!notes },
-      send: () => sendRegistrationRejected({
+      mailer: "sendRegistrationRejected",
+      args: {
         to: reg.email,
         electionTitle: active.title,
         reason: notes,
         unitLabel: reg.unit_label
-      })
+      }
     });
   } else {
     await logNotification({
@@ -2118,51 +5825,141 @@ app.post("/admin/solicitudes/:id/rechazar", requireAdmin, async (req, res) => {
     election_id: active.id,
     registration_id: reg.id,
     unit_id: reg.unit_id,
-    meta_json: { notes, sent }
+    meta_json: { notes, queued }
   });
 
   res.redirect("/admin/solicitudes?filter=pending");
 });
 
+/* =========================
+   ADMIN: Poderes (revisión en la solicitud del poderdante)
+========================= */
+async function getProxyForReview(electionId, registrationId, proxyId) {
+  return (await q(
+    `SELECT p.*, r.status AS registration_status, dr.status AS delegate_status, dr.name AS delegate_name
+     FROM proxies p
+     JOIN registrations r ON r.id=p.registration_id
+     JOIN registrations dr ON dr.id=p.delegate_registration_id
+     WHERE p.id=$1 AND p.registration_id=$2 AND p.election_id=$3`,
+    [proxyId, registrationId, electionId]
+  )).rows[0] || null;
+}
+
+async function unitHasAnyVote(electionId, unitId) {
+  return (await q(
+    `SELECT 1 FROM referendum_votes WHERE election_id=$1 AND unit_id=$2
+     UNION ALL SELECT 1 FROM votes WHERE election_id=$1 AND unit_id=$2
+     UNION ALL SELECT 1 FROM fiscal_votes WHERE election_id=$1 AND unit_id=$2
+     LIMIT 1`,
+    [electionId, unitId]
+  )).rows.length > 0;
+}
+
+app.get("/admin/poderes/:proxyId/documento", requireViewerOrAdmin, async (req, res) => {
+  const proxy = (await q(`SELECT id, election_id, document_path FROM proxies WHERE id=$1`, [Number(req.params.proxyId)])).rows[0];
+  if (!proxy || !/^[a-f0-9]{48}\.pdf$/.test(proxy.document_path)) return res.status(404).send("No encontrado.");
+
+  const full = path.join(PROXY_DIR, proxy.document_path);
+  if (!fs.existsSync(full)) return res.status(404).send("No encontrado.");
+
+  await audit("PROXY_DOCUMENT_VIEWED", { actor_admin_id: req.session.admin.id, election_id: proxy.election_id, meta_json: { proxy_id: proxy.id } });
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", "inline");
+  res.setHeader("Cache-Control", "no-store");
+  res.sendFile(full);
+});
+
+app.post("/admin/solicitudes/:id/poderes/:proxyId/aprobar", requireAdmin, async (req, res) => {
+  const active = await getActiveElection(req);
+  if (!active) return res.status(500).send("No hay campaña activa.");
+
+  const proxy = await getProxyForReview(active.id, Number(req.params.id), Number(req.params.proxyId));
+  if (!proxy) return res.status(404).send("Poder no encontrado.");
+  if (proxy.status !== "PENDING") return res.status(400).send("Solo se pueden aprobar poderes pendientes.");
+  if (proxy.registration_status !== "APPROVED" || proxy.delegate_status !== "APPROVED") {
+    return res.status(400).send("Poderdante y apoderado deben tener su solicitud aprobada.");
+  }
+  if (await unitHasAnyVote(active.id, proxy.unit_id)) return res.status(400).send("La unidad ya emitió su voto. El poder no puede aprobarse.");
+  if (await getOpenProxyFor(active.id, proxy.delegate_registration_id)) {
+    return res.status(400).send("El apoderado delegó su propio voto y no puede representar a otras unidades.");
+  }
+
+  // El tope por apoderado se valida bajo lock de su solicitud para que dos
+  // aprobaciones simultáneas no lo superen.
+  const approved = await withTx(pool, async (client) => {
+    await client.query(`SELECT id FROM registrations WHERE id=$1 FOR UPDATE`, [proxy.delegate_registration_id]);
+    const n = (await client.query(
+      `SELECT COUNT(*)::int AS n FROM proxies WHERE election_id=$1 AND delegate_registration_id=$2 AND status='APPROVED'`,
+      [active.id, proxy.delegate_registration_id]
+    )).rows[0].n;
+    if (n >= Number(active.max_proxies_per_delegate)) return false;
+
+    await client.query(
+      `UPDATE proxies SET status='APPROVED', reviewed_at=NOW(), reviewed_by=$1 WHERE id=$2 AND status='PENDING'`,
+      [req.session.admin.id, proxy.id]
+    );
+    return true;
+  });
+  if (!approved) return res.status(400).send(`El apoderado ya tiene el máximo de ${active.max_proxies_per_delegate} poder(es) aprobados.`);
+
+  await audit("PROXY_APPROVED", {
+    actor_admin_id: req.session.admin.id,
+    election_id: active.id,
+    registration_id: proxy.registration_id,
+    unit_id: proxy.unit_id,
+    meta_json: { proxy_id: proxy.id, delegate_registration_id: proxy.delegate_registration_id }
+  });
+
+  res.redirect(`/admin/solicitudes/${proxy.registration_id}`);
+});
+
+app.post("/admin/solicitudes/:id/poderes/:proxyId/rechazar", requireAdmin, async (req, res) => {
+  const active = await getActiveElection(req);
+  if (!active) return res.status(500).send("No hay campaña activa.");
+
+  const proxy = await getProxyForReview(active.id, Number(req.params.id), Number(req.params.proxyId));
+  if (!proxy) return res.status(404).send("Poder no encontrado.");
+  if (!["PENDING", "APPROVED"].includes(proxy.status)) return res.status(400).send("El poder ya no está vigente.");
+  if (proxy.status === "APPROVED" && await unitHasAnyVote(active.id, proxy.unit_id)) {
+    return res.status(400).send("El apoderado ya votó por esta unidad. El poder no puede revocarse.");
+  }
+
+  // Pendiente -> REJECTED; aprobado -> REVOKED (el poderdante recupera su enlace).
+  const status = proxy.status === "PENDING" ? "REJECTED" : "REVOKED";
+  const notes = String(req.body.notes || "").trim();
+  await q(
+    `UPDATE proxies SET status=$1, notes=$2, reviewed_at=NOW(), reviewed_by=$3 WHERE id=$4`,
+    [status, notes || null, req.session.admin.id, proxy.id]
+  );
+
+  await audit(status === "REJECTED" ? "PROXY_REJECTED" : "PROXY_REVOKED", {
+    actor_admin_id: req.session.admin.id,
+    election_id: active.id,
+    registration_id: proxy.registration_id,
+    unit_id: proxy.unit_id,
+    meta_json: { proxy_id: proxy.id, delegate_registration_id: proxy.delegate_registration_id, notes }
+  });
+
+  res.redirect(`/admin/solicitudes/${proxy.registration_id}`);
+});
+
 /* =========================
    ADMIN: Resultados + exports
 ========================= */
 app.get("/admin/resultados", requireViewerOrAdmin, async (req, res) => {
-  const active = await getActiveElection();
+  const active = await getActiveElection(req);
   if (!active) return res.render("no_active");
 
-  let totals;
-  let votesSql = `SELECT COUNT(*)::int AS n FROM votes WHERE election_id=$1`;
-  if (active.kind === "VOTACION") {
-    votesSql = `SELECT COUNT(*)::int AS n FROM referendum_votes WHERE election_id=$1`;
-    totals = (await q(
-      `SELECT ro.option_label AS list_code, ro.option_text AS name, COUNT(rv.id)::int AS votes
-       FROM referendum_options ro
-       LEFT JOIN referendum_votes rv ON rv.option_id=ro.id AND rv.election_id=$1
-       WHERE ro.election_id=$1
-       GROUP BY ro.id
-       ORDER BY ro.sort_order ASC, ro.id ASC`,
-      [active.id]
-    )).rows;
-  } else {
-    totals = (await q(
-      `SELECT c.name, c.list_code, COUNT(v.id)::int AS votes
-       FROM candidates c
-       LEFT JOIN votes v ON v.candidate_id=c.id AND v.election_id=$1
-       WHERE c.election_id=$1
-       GROUP BY c.id
-       ORDER BY c.sort_order ASC`,
-      [active.id]
-    )).rows;
-  }
+  const sections = await getResultSections(active);
 
   const metrics = {
-    votes: (await q(votesSql, [active.id])).rows[0].n,
+    votes: await countVotes(active),
     pending_regs: (await q(`SELECT COUNT(*)::int AS n FROM registrations WHERE election_id=$1 AND status='PENDING'`, [active.id])).rows[0].n,
     approved_regs: (await q(`SELECT COUNT(*)::int AS n FROM registrations WHERE election_id=$1 AND status='APPROVED'`, [active.id])).rows[0].n
   };
 
-  res.render("admin_result", { admin: req.session.admin, election: active, totals, metrics });
+  res.render("admin_result", { admin: req.session.admin, election: active, sections, metrics });
 });
 
 function toCSV(rows) {
@@ -2177,24 +5974,38 @@ function toCSV(rows) {
 }
 
 app.get("/admin/export/resultados.csv", requireViewerOrAdmin, async (req, res) => {
-  const active = await getActiveElection();
-  const rows = active.kind === "VOTACION" ? (await q(
-    `SELECT ro.option_label AS opcion, ro.option_text AS descripcion, COUNT(rv.id)::int AS votos
-     FROM referendum_options ro
-     LEFT JOIN referendum_votes rv ON rv.option_id=ro.id AND rv.election_id=$1
-     WHERE ro.election_id=$1
-     GROUP BY ro.id
-     ORDER BY ro.sort_order ASC, ro.id ASC`,
-    [active.id]
-  )).rows : (await q(
-    `SELECT c.name AS lista, COUNT(v.id)::int AS votos
-     FROM candidates c
-     LEFT JOIN votes v ON v.candidate_id=c.id AND v.election_id=$1
-     WHERE c.election_id=$1
-     GROUP BY c.id
-     ORDER BY c.sort_order ASC`,
-    [active.id]
-  )).rows;
+  const active = await getActiveElection(req);
+  const sections = await getResultSections(active);
+  const rows = [];
+  for (const s of sections) {
+    const finalRound = s.rounds ? s.rounds[s.rounds.length - 1].totals : null;
+    for (const t of s.totals) {
+      const peso = s.weighted ? { peso: t.weight } : {};
+      const canal = s.paper ? { votos_digital: t.votes - t.paper, votos_papel: t.paper } : {};
+      if (active.kind !== "VOTACION") {
+        rows.push({ lista: t.name, votos: t.votes, ...canal, ...peso });
+        continue;
+      }
+      const final = finalRound?.find(f => f.option_id === t.option_id);
+      rows.push({
+        pregunta: s.title,
+        tipo: s.ballot_type,
+        opcion: t.code,
+        descripcion: t.name,
+        votos: t.votes,
+        ...canal,
+        ...peso,
+        votos_ronda_final: s.rounds ? (final ? final.votes : "eliminada") : ""
+      });
+    }
+    if (s.allow_blank || s.blank) {
+      const peso = s.weighted ? { peso: s.blank_weight } : {};
+      const canal = s.paper ? { votos_digital: s.blank - s.blank_paper, votos_papel: s.blank_paper } : {};
+      rows.push(active.kind === "VOTACION"
+        ? { pregunta: s.title, tipo: s.ballot_type, opcion: "", descripcion: "Voto en blanco", votos: s.blank, ...canal, ...peso, votos_ronda_final: "" }
+        : { lista: "Voto en blanco", votos: s.blank, ...canal, ...peso });
+    }
+  }
 
   res.setHeader("Content-Type", "text/csv; charset=utf-8");
   res.setHeader("Content-Disposition", `attachment; filename="resultados_election_${active.id}.csv"`);
@@ -2202,7 +6013,7 @@ app.get("/admin/export/resultados.csv", requireViewerOrAdmin, async (req, res) =
 });
 
 app.get("/admin/export/padron_estado.csv", requireViewerOrAdmin, async (req, res) => {
-  const active = await getActiveElection();
+  const active = await getActiveElection(req);
   const rows = (await q(
   `SELECT
      u.label AS unidad,
@@ -2213,7 +6024,8 @@ app.get("/admin/export/padron_estado.csv", requireViewerOrAdmin, async (req, res
      r.phone,
      COALESCE(vt.status::text, '-') AS token_estado,
      COALESCE(vt.issued_at::text, '-') AS token_emitido,
-     COALESCE(vt.used_at::text, '-') AS token_usado
+     COALESCE(vt.used_at::text, '-') AS token_usado,
+     COALESCE(vt.issued_via, '-') AS token_canal
    FROM registrations r
    JOIN units u ON u.id=r.unit_id
    LEFT JOIN LATERAL (
@@ -2232,7 +6044,7 @@ app.get("/admin/export/padron_estado.csv", requireViewerOrAdmin, async (req, res
 });
 
 app.get("/admin/export/auditoria.csv", requireViewerOrAdmin, async (req, res) => {
-  const active = await getActiveElection();
+  const active = await getActiveElection(req);
   const rows = (await q(
     `SELECT created_at, event, actor_admin_id, unit_id, registration_id, token_id, meta_json
      FROM audit_log
@@ -2250,33 +6062,45 @@ app.get("/admin/export/auditoria.csv", requireViewerOrAdmin, async (req, res) =>
    ADMIN: vista impresión
 ========================= */
 app.get("/admin/print/padron", requireAdmin, async (req, res) => {
-  const election = await getActiveElection();
+  const election = await getActiveElection(req);
   if (!election) return res.status(400).send("No hay campaña activa.");
 
   // PRINT_PADRON_VOTE_STATUS_BY_TOKEN
   // El estado de voto debe salir del voto real ligado al token usado.
   // En campañas VOTACION el voto vive en referendum_votes, no en votes.
+  // Con voto por poder el voto también queda en el token del poderdante; se
+  // marca con proxy_id y se muestra quién es el apoderado.
   const rows = (await q(`
     SELECT
       u.label AS unidad,
       r.status AS registro_estado,
       COALESCE(vt.status::text, '-') AS token_estado,
+      COALESCE(vt.issued_via, '-') AS token_canal,
       CASE
-        WHEN rv.id IS NOT NULL OR cv.id IS NOT NULL OR fv.id IS NOT NULL THEN 'SI'
-        ELSE 'NO'
-      END AS voto_emitido
+        WHEN vv.voted IS NULL THEN 'NO'
+        WHEN vv.proxy_id IS NOT NULL THEN 'SI (por poder)'
+        ELSE 'SI'
+      END AS voto_emitido,
+      dr.name AS apoderado
     FROM registrations r
     JOIN units u ON u.id = r.unit_id
     LEFT JOIN LATERAL (
-      SELECT id, status
+      SELECT id, status, issued_via
       FROM vote_tokens
       WHERE registration_id = r.id
       ORDER BY id DESC
       LIMIT 1
     ) vt ON true
-    LEFT JOIN referendum_votes rv ON rv.token_id = vt.id AND rv.election_id = r.election_id
-    LEFT JOIN votes cv ON cv.token_id = vt.id AND cv.election_id = r.election_id
-    LEFT JOIN fiscal_votes fv ON fv.token_id = vt.id AND fv.election_id = r.election_id
+    LEFT JOIN LATERAL (
+      SELECT 1 AS voted, proxy_id FROM referendum_votes WHERE token_id = vt.id AND election_id = r.election_id AND superseded_at IS NULL
+      UNION ALL
+      SELECT 1, proxy_id FROM votes WHERE token_id = vt.id AND election_id = r.election_id AND superseded_at IS NULL
+      UNION ALL
+      SELECT 1, proxy_id FROM fiscal_votes WHERE token_id = vt.id AND election_id = r.election_id AND superseded_at IS NULL
+      LIMIT 1
+    ) vv ON true
+    LEFT JOIN proxies p ON p.registration_id = r.id AND p.status = 'APPROVED'
+    LEFT JOIN registrations dr ON dr.id = p.delegate_registration_id
     WHERE r.election_id = $1
       AND r.status = 'APPROVED'
     ORDER BY u.label ASC, r.id ASC
@@ -2295,24 +6119,35 @@ app.get(
     q,
     PDFDocument,
     getActiveElection,
-    getReferendumForElection,
+    getResultSections,
+    countVotes,
     audit
   })
 );
 
 app.get("/admin/padron_v2.pdf", requireViewerOrAdmin, async (req, res) => {
-  const active = await getActiveElection();
+  const active = await getActiveElection(req);
   if (!active) return res.render("no_active");
 
   const rows = (await q(
-    `SELECT u.label AS unidad, r.name AS representante
+    `SELECT u.label AS unidad, r.name AS representante, dr.name AS apoderado,
+            (EXISTS (SELECT 1 FROM referendum_votes WHERE election_id=r.election_id AND unit_id=r.unit_id AND proxy_id IS NOT NULL AND superseded_at IS NULL)
+             OR EXISTS (SELECT 1 FROM votes WHERE election_id=r.election_id AND unit_id=r.unit_id AND proxy_id IS NOT NULL AND superseded_at IS NULL)
+             OR EXISTS (SELECT 1 FROM fiscal_votes WHERE election_id=r.election_id AND unit_id=r.unit_id AND proxy_id IS NOT NULL AND superseded_at IS NULL)) AS voto_por_poder
      FROM registrations r
      JOIN units u ON u.id=r.unit_id
+     LEFT JOIN proxies p ON p.registration_id=r.id AND p.status='APPROVED'
+     LEFT JOIN registrations dr ON dr.id=p.delegate_registration_id
      WHERE r.election_id=$1 AND r.status='APPROVED'
      ORDER BY u.label ASC`,
     [active.id]
   )).rows;
 
+  // Columna "Representante": el apoderado va debajo y se marca si ya votó por poder.
+  for (const r of rows) {
+    if (r.apoderado) r.representante = `${r.representante ?? ""}\nApoderado: ${r.apoderado}${r.voto_por_poder ? " (votó por poder)" : ""}`;
+  }
+
   res.setHeader("Content-Type", "application/pdf");
   res.setHeader("Cache-Control", "no-store, no-cache, must-revalidate, proxy-revalidate");
   res.setHeader("Pragma", "no-cache");
@@ -2396,6 +6231,10 @@ app.get("/admin/padron_v2.pdf", requireViewerOrAdmin, async (req, res) => {
   // -------- Total --------
   doc.moveDown(0.6);
   doc.fontSize(11).text(`Total de habilitados: ${rows.length}`, { align: "right" });
+  const proxyCount = rows.filter(r => r.apoderado).length;
+  if (proxyCount) {
+    doc.fontSize(10).text(`Unidades con poder aprobado: ${proxyCount} (votos por poder emitidos: ${rows.filter(r => r.voto_por_poder).length})`, { align: "right" });
+  }
   doc.moveDown(1.2);
 
   // -------- Firmas (sin título) --------
@@ -2463,7 +6302,7 @@ app.get("/plan/:filename", async (req, res) => {
 });
 
 app.get("/admin/directiva", requireViewerOrAdmin, async (req, res) => {
-  const election = await getActiveElection();
+  const election = await getActiveElection(req);
   const lists = (await q(
     `SELECT id, name, plan_pdf_path, sort_order
      FROM candidates
@@ -2476,7 +6315,7 @@ app.get("/admin/directiva", requireViewerOrAdmin, async (req, res) => {
 });
 
 app.get("/admin/directiva/new", requireAdmin, async (req, res) => {
-  const election = await getActiveElection();
+  const election = await getActiveElection(req);
   res.render("admin_directiva_edit", {
     admin: req.session.admin,
     election,
@@ -2486,8 +6325,8 @@ app.get("/admin/directiva/new", requireAdmin, async (req, res) => {
   });
 });
 
-app.post("/admin/directiva/new", requireAdmin, upload.single("plan_pdf"), async (req, res) => {
-  const election = await getActiveElection();
+app.post("/admin/directiva/new", requireAdmin, keepOrganization(upload.single("plan_pdf")), async (req, res) => {
+  const election = await getActiveElection(req);
   const { name, sort_order } = req.body;
 
   if (!name) return res.status(400).send("Nombre obligatorio.");
@@ -2522,7 +6361,7 @@ app.post("/admin/directiva/new", requireAdmin, upload.single("plan_pdf"), async
 });
 
 app.get("/admin/directiva/:id/edit", requireAdmin, async (req, res) => {
-  const election = await getActiveElection();
+  const election = await getActiveElection(req);
   const id = Number(req.params.id);
 
   const list = (await q(
@@ -2545,8 +6384,8 @@ app.get("/admin/directiva/:id/edit", requireAdmin, async (req, res) => {
   res.render("admin_directiva_edit", { admin: req.session.admin, election, mode: "edit", list, members });
 });
 
-app.post("/admin/directiva/:id/edit", requireAdmin, upload.single("plan_pdf"), async (req, res) => {
-  const election = await getActiveElection();
+app.post("/admin/directiva/:id/edit", requireAdmin, keepOrganization(upload.single("plan_pdf")), async (req, res) => {
+  const election = await getActiveElection(req);
   const id = Number(req.params.id);
 
   const { name, sort_order, remove_pdf } = req.body;
@@ -2595,7 +6434,7 @@ app.post("/admin/directiva/:id/edit", requireAdmin, upload.single("plan_pdf"), a
 });
 
 app.post("/admin/directiva/:id/delete", requireAdmin, async (req, res) => {
-  const election = await getActiveElection();
+  const election = await getActiveElection(req);
   const id = Number(req.params.id);
   await q(`DELETE FROM candidates WHERE id=$1 AND election_id=$2`, [id, election.id]);
   await audit("DIRECTIVA_LIST_DELETED", { actor_admin_id: req.session.admin.id, election_id: election.id, meta_json: { slate_id: id }});
@@ -2603,7 +6442,7 @@ app.post("/admin/directiva/:id/delete", requireAdmin, async (req, res) => {
 });
 
 app.get("/admin/fiscales", requireViewerOrAdmin, async (req, res) => {
-  const election = await getActiveElection();
+  const election = await getActiveElection(req);
   const lists = (await q(
     `SELECT * FROM fiscal_lists WHERE election_id=$1 ORDER BY sort_order ASC, id ASC`,
     [election.id]
@@ -2613,12 +6452,12 @@ app.get("/admin/fiscales", requireViewerOrAdmin, async (req, res) => {
 });
 
 app.get("/admin/fiscales/new", requireAdmin, async (req, res) => {
-  const election = await getActiveElection();
+  const election = await getActiveElection(req);
   res.render("admin_fiscales_edit", { admin: req.session.admin, election, mode: "new", item: null });
 });
 
 app.post("/admin/fiscales/new", requireAdmin, async (req, res) => {
-  const election = await getActiveElection();
+  const election = await getActiveElection(req);
   const { name, sort_order, titular_name, titular_dni, suplente_name, suplente_dni } = req.body;
   const code = "FISC_" + crypto.randomBytes(6).toString("hex");
 
@@ -2635,7 +6474,7 @@ app.post("/admin/fiscales/new", requireAdmin, async (req, res) => {
 });
 
 app.get("/admin/fiscales/:id/edit", requireAdmin, async (req, res) => {
-  const election = await getActiveElection();
+  const election = await getActiveElection(req);
   const id = Number(req.params.id);
 
   const item = (await q(
@@ -2648,7 +6487,7 @@ app.get("/admin/fiscales/:id/edit", requireAdmin, async (req, res) => {
 });
 
 app.post("/admin/fiscales/:id/edit", requireAdmin, async (req, res) => {
-  const election = await getActiveElection();
+  const election = await getActiveElection(req);
   const id = Number(req.params.id);
   const { name, sort_order, titular_name, titular_dni, suplente_name, suplente_dni } = req.body;
   if (!name || !titular_name || !suplente_name) return res.status(400).send("Completa nombre y titulares/suplentes.");
@@ -2665,7 +6504,7 @@ app.post("/admin/fiscales/:id/edit", requireAdmin, async (req, res) => {
 });
 
 app.post("/admin/fiscales/:id/delete", requireAdmin, async (req, res) => {
-  const election = await getActiveElection();
+  const election = await getActiveElection(req);
   const id = Number(req.params.id);
   await q(`DELETE FROM fiscal_lists WHERE id=$1 AND election_id=$2`, [id, election.id]);
   await audit("FISCAL_LIST_DELETED", { actor_admin_id: req.session.admin.id, election_id: election.id });
@@ -2673,7 +6512,7 @@ app.post("/admin/fiscales/:id/delete", requireAdmin, async (req, res) => {
 });
 
 app.post("/votar/:token/fiscales", async (req, res) => {
-  const election = await getActiveElection();
+  const election = await getActiveElection(req);
   if (!election) return res.render("no_active");
 
   const n = now();
@@ -2683,30 +6522,53 @@ app.post("/votar/:token/fiscales", async (req, res) => {
   const { fiscal_list_id } = req.body;
   if (!fiscal_list_id) return res.status(400).send("Elige una lista de fiscales.");
 
-  const tokenHash = hashToken(req.params.token);
+  const isBlank = fiscal_list_id === "BLANK";
+  if (isBlank && !election.allow_blank_vote) return res.status(400).send("Esta campaña no admite voto en blanco.");
+
+  const selectedList = isBlank ? { id: null, name: "Voto en blanco" } : (await q(
+    `SELECT id, name FROM fiscal_lists WHERE id=$1 AND election_id=$2`,
+    [Number(fiscal_list_id), election.id]
+  )).rows[0];
+  if (!selectedList) return res.status(400).send("Lista de fiscales inválida.");
+
+  const backUrl = `/votar/${req.params.token}${req.body.proxy_id ? `?poder=${Number(req.body.proxy_id)}` : ""}`;
+  const recast = req.body.recast === "1";
 
   const c = await pool.connect();
   try {
     await c.query("BEGIN");
 
-    const t = await c.query(
-      `SELECT * FROM vote_tokens WHERE token_hash=$1 AND election_id=$2 FOR UPDATE`,
-      [tokenHash, election.id]
-    );
-    if (!t.rows.length) { await c.query("ROLLBACK"); return res.status(404).send("Enlace inválido."); }
+    const voter = await resolveVoteToken(c, election, req.params.token, req.body.proxy_id, { recast });
+    if (voter.error) { await c.query("ROLLBACK"); return res.status(voter.status).send(voter.error); }
+    if (voter.used) { await c.query("ROLLBACK"); return res.render("vote_used", { election }); }
+    const { vt, proxy } = voter;
+    const operatorId = presencialOperatorId(req, voter.own);
 
-    const vt = t.rows[0];
-    if (vt.status !== "ACTIVE") { await c.query("ROLLBACK"); return res.render("vote_used", { election }); }
+    const superseded = recast ? await supersedeCurrentVotes(c, "fiscal_votes", election.id, vt.unit_id) : { rows: [] };
+    if (superseded.error) { await c.query("ROLLBACK"); return res.status(409).send(superseded.error); }
 
-    await insertFiscalVoteChained(c, {
+    const vote = await insertFiscalVoteChained(c, {
       election_id: election.id,
       unit_id: vt.unit_id,
-      fiscal_list_id: Number(fiscal_list_id),
+      fiscal_list_id: selectedList.id,
       token_id: vt.id,
+      proxy_id: proxy?.id || null,
+      supersedes: superseded.rows[0]?.id ?? null,
       ip: getReqIp(req),
       user_agent: getUserAgent(req)
     });
 
+    const receiptCode = await createVoteReceipt(c, {
+      election_id: election.id,
+      registration_id: vt.registration_id,
+      unit_id: vt.unit_id,
+      vote_kind: "FISCAL",
+      vote_table: "fiscal_votes",
+      vote_id: vote.id,
+      vote_hash: vote.vote_hash,
+      proxy_id: proxy?.id || null
+    });
+
     // si ya existe voto de directiva, ahora sí cerramos token
     const hasCouncil = await c.query(
       `SELECT 1 FROM votes WHERE election_id=$1 AND unit_id=$2 LIMIT 1`,
@@ -2722,16 +6584,21 @@ app.post("/votar/:token/fiscales", async (req, res) => {
 
     await c.query("COMMIT");
 
-    await audit("FISCAL_VOTE_CAST", { election_id: election.id, unit_id: vt.unit_id, token_id: vt.id, meta_json: { fiscal_list_id: Number(fiscal_list_id) }});
+    await audit("FISCAL_VOTE_CAST", { actor_admin_id: operatorId, election_id: election.id, unit_id: vt.unit_id, token_id: vt.id, meta_json: { fiscal_list_id: selectedList.id, is_blank: isBlank, vote_hash: vote.vote_hash, chain_position: vote.chain_position, ...recastAuditMeta(superseded.rows), ...proxyAuditMeta(proxy), ...presencialAuditMeta(operatorId) }});
+
+    await sendVoteReceiptNotification({ election, vt, vote, receiptCode, kind: "FISCAL", optionText: `Fiscales: ${selectedList.name}`, proxy });
 
     // si por algún caso raro no hay voto directiva, lo mandamos a completar
-    if (!hasCouncil.rows.length) return res.redirect(`/votar/${req.params.token}`);
+    if (!hasCouncil.rows.length) return res.redirect(backUrl);
 
-    return res.render("vote_done", { election });
+    const proxies = await getDelegateProxies(election, voter.own.registration_id);
+    const kioskRefresh = operatorId ? `${MESA_DONE_SECONDS};url=${campaignPath(election.id, "/mesa")}` : null;
+    const recastOpen = !kioskRefresh && canRecast(election, vt);
+    return res.render("vote_done", { election, token: req.params.token, proxy, proxies, kioskRefresh, recastOpen });
 
   } catch (e) {
     await c.query("ROLLBACK");
-    if (String(e?.code) === "23505") return res.redirect(`/votar/${req.params.token}`); // ya votó fiscal o ya completó
+    if (String(e?.code) === "23505") return res.redirect(backUrl); // ya votó fiscal o ya completó
     console.error(e);
     return res.status(500).send("Error registrando voto fiscal.");
   } finally {
@@ -2739,6 +6606,561 @@ app.post("/votar/:token/fiscales", async (req, res) => {
   }
 });
 
+/* =========================
+   COLA DE CORREOS (outbox)
+========================= */
+// Los handlers solo encolan (sendEmailNotification). Este worker toma los
+// mensajes PENDING con FOR UPDATE SKIP LOCKED (varias instancias no envían el
+// mismo), respeta OUTBOX_RATE_PER_MINUTE y reintenta con espera exponencial.
+// Tras OUTBOX_MAX_ATTEMPTS intentos el mensaje queda DEAD hasta que un admin lo
+// reintente desde /admin/correos. notification_log guarda el resultado final
+// (SENT o FAILED); el contenido cifrado se borra al enviarse.
+const OUTBOX_MAILERS = { sendVoteLink, sendAdminInvite, sendAdminPasswordReset, sendRegistrationReceived, sendRegistrationRejected, sendVoteReceipt, sendElectionSealed, sendVotePendingReminder, sendVoteOtp };
+const OUTBOX_POLL_SECONDS = Number(process.env.OUTBOX_POLL_SECONDS ?? 5);
+const OUTBOX_RATE_PER_MINUTE = Number(process.env.OUTBOX_RATE_PER_MINUTE || 30);
+const OUTBOX_MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || 6);
+const OUTBOX_BACKOFF_SECONDS = Number(process.env.OUTBOX_BACKOFF_SECONDS || 60);
+const OUTBOX_STALE_MINUTES = 10;
+const OUTBOX_STATUS_LABELS = {
+  PENDING: "En cola",
+  SENDING: "Enviando",
+  SENT: "Enviado",
+  DEAD: "Fallido (sin más reintentos)"
+};
+let outboxRunning = false;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// 1, 2, 4, 8... veces OUTBOX_BACKOFF_SECONDS, con tope de 6 horas.
+function outboxBackoffSeconds(attempts) {
+  return Math.min(OUTBOX_BACKOFF_SECONDS * 2 ** Math.max(attempts - 1, 0), 6 * 3600);
+}
+
+async function deliverOutboxMessage(m) {
+  const logBase = {
+    election_id: m.election_id,
+    registration_id: m.registration_id,
+    admin_user_id: m.admin_user_id,
+    channel: m.channel,
+    template: m.template,
+    recipient: m.recipient,
+    meta_json: { ...m.meta_json, outbox_id: m.id, attempts: m.attempts }
+  };
+
+  try {
+    const mailer = OUTBOX_MAILERS[m.mailer];
+    if (!mailer) throw new Error("unknown mailer " + m.mailer);
+    const ok = await mailer(decryptJson(m.payload));
+    if (ok === false) throw new Error(m.channel === "EMAIL" ? "SMTP not configured" : m.channel + " provider not configured");
+    const messageId = typeof ok === "string" ? ok : null;
+
+    await q(`UPDATE email_outbox SET status='SENT', sent_at=NOW(), locked_at=NULL, last_error=NULL, payload=NULL, message_id=$2 WHERE id=$1`, [m.id, messageId]);
+    await logNotification({ ...logBase, status: "SENT", meta_json: { ...logBase.meta_json, message_id: messageId } });
+  } catch (e) {
+    const error = String(e?.message || e);
+    const dead = m.attempts >= m.max_attempts;
+    await q(
+      `UPDATE email_outbox
+       SET status=$2, last_error=$3, locked_at=NULL, next_attempt_at=NOW() + make_interval(secs => $4)
+       WHERE id=$1`,
+      [m.id, dead ? "DEAD" : "PENDING", error, dead ? 0 : outboxBackoffSeconds(m.attempts)]
+    );
+    if (dead) await logNotification({ ...logBase, status: "FAILED", error });
+    console.error(m.channel.toLowerCase() + " " + m.template + " #" + m.id + " attempt " + m.attempts + " failed", e);
+  }
+}
+
+async function runOutbox() {
+  if (outboxRunning) return;
+  outboxRunning = true;
+  try {
+    // Mensajes que quedaron en SENDING porque el proceso murió a mitad del envío.
+    await q(
+      `UPDATE email_outbox SET status='PENDING', locked_at=NULL
+       WHERE status='SENDING' AND locked_at < NOW() - make_interval(mins => $1)`,
+      [OUTBOX_STALE_MINUTES]
+    );
+
+    const batch = Math.max(1, Math.ceil(OUTBOX_RATE_PER_MINUTE * OUTBOX_POLL_SECONDS / 60));
+    const rows = (await q(
+      `UPDATE email_outbox
+       SET status='SENDING', locked_at=NOW(), attempts=attempts+1
+       WHERE id IN (
+         SELECT id FROM email_outbox
+         WHERE status='PENDING' AND next_attempt_at <= NOW()
+         ORDER BY priority DESC, next_attempt_at ASC, id ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [batch]
+    )).rows.sort((a, b) => b.priority - a.priority || Number(a.id) - Number(b.id));
+
+    const spacingMs = Math.ceil(60_000 / OUTBOX_RATE_PER_MINUTE);
+    for (const m of rows) {
+      await asOrganization(m.organization_id, () => deliverOutboxMessage(m));
+      await sleep(spacingMs);
+    }
+  } catch (e) {
+    console.error("outbox run failed", e);
+  } finally {
+    outboxRunning = false;
+  }
+}
+
+if (OUTBOX_POLL_SECONDS > 0) {
+  setInterval(() => runForAllOrganizations(runOutbox), OUTBOX_POLL_SECONDS * 1000).unref();
+}
+
+app.get("/admin/correos", requireAdmin, async (req, res) => {
+  const status = OUTBOX_STATUS_LABELS[req.query.estado] ? req.query.estado : "DEAD";
+
+  const counts = Object.fromEntries((await q(
+    `SELECT status, COUNT(*)::int AS n FROM email_outbox GROUP BY status`
+  )).rows.map(r => [r.status, r.n]));
+
+  const rows = (await q(
+    `SELECT o.id, o.channel, o.template, o.recipient, o.status, o.delivery_status, o.delivery_detail, o.attempts, o.max_attempts, o.last_error,
+            o.next_attempt_at, o.created_at, o.sent_at, e.title AS election_title
+     FROM email_outbox o
+     LEFT JOIN elections e ON e.id=o.election_id
+     WHERE o.status=$1
+     ORDER BY o.id DESC
+     LIMIT 300`,
+    [status]
+  )).rows;
+
+  res.render("admin_outbox", { admin: req.session.admin, status, statusLabels: OUTBOX_STATUS_LABELS, counts, rows, retried: req.query.reintentados ?? null, perMinute: OUTBOX_RATE_PER_MINUTE, channels: CHANNELS });
+});
+
+// Reintento manual: individual (ids = uno) o en bloque (seleccionados o todos los DEAD).
+app.post("/admin/correos/reintentar", requireAdmin, async (req, res) => {
+  const all = req.body.all === "1";
+  const ids = (Array.isArray(req.body.ids) ? req.body.ids : [req.body.ids])
+    .map(Number)
+    .filter(n => Number.isInteger(n) && n > 0);
+  if (!all && !ids.length) return res.status(400).send("No se seleccionaron correos.");
+
+  const r = await q(
+    `UPDATE email_outbox
+     SET status='PENDING', attempts=0, next_attempt_at=NOW(), locked_at=NULL
+     WHERE status='DEAD' AND ($1::boolean OR id = ANY($2::bigint[]))
+     RETURNING id`,
+    [all, ids]
+  );
+
+  await audit("EMAIL_RETRY_REQUESTED", { actor_admin_id: req.session.admin.id, meta_json: { all, outbox_ids: r.rows.map(x => Number(x.id)), count: r.rows.length }});
+  res.redirect(`/admin/correos?estado=DEAD&reintentados=${r.rows.length}`);
+});
+
+/* =========================
+   REBOTES Y ENTREGA DE CORREOS
+========================= */
+// El proveedor SMTP (o scripts/ingest_bounces.mjs, que lee los rebotes de un
+// buzón mbox) informa rebotes y entregas en POST /correos/eventos con el
+// secreto BOUNCE_WEBHOOK_SECRET. Cada evento se asocia al mensaje de la cola
+// por Message-ID o, si no viene, al último correo enviado a ese destinatario.
+// Un rebote permanente marca el correo de las solicitudes como inválido para
+// que el Consejo Directivo llame al vecino y lo corrija antes del cierre.
+const BOUNCE_WEBHOOK_SECRET = String(process.env.BOUNCE_WEBHOOK_SECRET || "");
+
+function normalizeDeliveryEvent(ev) {
+  const kind = String(ev?.event || ev?.type || "").toLowerCase();
+  const status = ["bounce", "bounced", "failed", "dropped"].includes(kind) ? "BOUNCED"
+    : ["delivered", "delivery"].includes(kind) ? "DELIVERED"
+    : null;
+  if (!status) return null;
+
+  const severity = String(ev.severity || ev.bounce_type || "").toLowerCase();
+  return {
+    status,
+    messageId: cleanText(ev.message_id || ev.messageId),
+    recipient: cleanText(ev.recipient || ev.email)?.toLowerCase() || null,
+    // El diagnóstico viene del servidor remoto y se muestra en el panel: sin marcas HTML.
+    reason: cleanText(String(ev.reason || ev.diagnostic || "").replace(/[<>"'&]/g, ""))?.slice(0, 500) || null,
+    permanent: status === "BOUNCED" && !["soft", "transient", "temporary"].includes(severity)
+  };
+}
+
+// El proveedor informa todo a una sola URL: el correo se busca en todas las
+// organizaciones y el evento se registra en la dueña del correo.
+async function recordDeliveryEvent(ev) {
+  const bare = ev.messageId ? ev.messageId.replace(/^<|>$/g, "") : null;
+  const m = await runForAllOrganizations(async () => (await q(
+    `SELECT * FROM email_outbox
+     WHERE channel='EMAIL' AND status='SENT'
+       AND (
+         ($1::text IS NOT NULL AND trim(both '<>' from message_id)=$1)
+         OR ($1::text IS NULL AND lower(recipient)=$2 AND sent_at > NOW() - interval '30 days')
+       )
+     ORDER BY sent_at DESC
+     LIMIT 1`,
+    [bare, ev.recipient]
+  )).rows[0]);
+  if (m) return asOrganization(m.organization_id, () => applyDeliveryEvent(ev, m, bare));
+  return applyDeliveryEvent(ev, null, bare);
+}
+
+async function applyDeliveryEvent(ev, m, bare) {
+  const recipient = m?.recipient?.toLowerCase() || ev.recipient;
+  if (!recipient) return null;
+
+  if (m) {
+    // Un rebote no se pisa con un "entregado" que llegue después.
+    await q(
+      `UPDATE email_outbox
+       SET delivery_status=$2, delivery_at=NOW(), delivery_detail=$3
+       WHERE id=$1 AND (delivery_status IS DISTINCT FROM 'BOUNCED' OR $2='BOUNCED')`,
+      [m.id, ev.status, ev.reason]
+    );
+  }
+
+  await logNotification({
+    election_id: m?.election_id ?? null,
+    registration_id: m?.registration_id ?? null,
+    admin_user_id: m?.admin_user_id ?? null,
+    template: m?.template || "unknown",
+    recipient,
+    status: ev.status,
+    error: ev.reason,
+    meta_json: { outbox_id: m?.id ?? null, message_id: bare, permanent: ev.permanent }
+  });
+
+  let flagged = 0;
+  if (ev.status === "BOUNCED" && ev.permanent) {
+    flagged = (await q(
+      `UPDATE registrations
+       SET email_invalid_at=NOW(), email_invalid_reason=$2
+       WHERE lower(email)=$1 AND email_invalid_at IS NULL
+       RETURNING id`,
+      [recipient, ev.reason || "rebote permanente"]
+    )).rowCount;
+
+    await audit("EMAIL_BOUNCED", {
+      election_id: m?.election_id ?? null,
+      registration_id: m?.registration_id ?? null,
+      meta_json: { ...systemAuditMeta("bounce"), recipient, outbox_id: m?.id ?? null, reason: ev.reason, flagged }
+    });
+  }
+
+  return { status: ev.status, matched: !!m, flagged };
+}
+
+function bounceSecretOk(req) {
+  const given = Buffer.from(String(req.get("x-webhook-secret") || ""));
+  const expected = Buffer.from(BOUNCE_WEBHOOK_SECRET);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+app.post("/correos/eventos", async (req, res) => {
+  if (!BOUNCE_WEBHOOK_SECRET) return res.status(404).send("No disponible.");
+  if (!bounceSecretOk(req)) return res.status(401).json({ error: "unauthorized" });
+
+  const events = (Array.isArray(req.body) ? req.body : Array.isArray(req.body?.events) ? req.body.events : [req.body])
+    .slice(0, 500)
+    .map(normalizeDeliveryEvent)
+    .filter(Boolean);
+
+  const results = [];
+  for (const ev of events) {
+    try {
+      results.push(await recordDeliveryEvent(ev));
+    } catch (e) {
+      console.error("delivery event failed", e);
+      results.push(null);
+    }
+  }
+
+  res.json({
+    received: events.length,
+    bounced: results.filter(r => r?.status === "BOUNCED").length,
+    delivered: results.filter(r => r?.status === "DELIVERED").length,
+    unmatched: results.filter(r => !r).length
+  });
+});
+
+/* =========================
+   PLANTILLAS DE CORREO
+========================= */
+// Las plantillas por defecto están en src/mail_templates; lo editado en el
+// panel se guarda en email_templates y se puede restaurar. La marca (nombre de
+// la comunidad, logo, firmantes, contacto) vive en email_branding. Plantillas
+// y marca son de cada organización.
+function escapeAttr(v) {
+  return String(v ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function emailTemplateForm(body) {
+  return {
+    subject: String(body.subject || "").trim(),
+    text_body: String(body.text_body || "").replace(/\r\n/g, "\n"),
+    html_body: String(body.html_body || "").replace(/\r\n/g, "\n")
+  };
+}
+
+async function renderEmailTemplateEdit(req, res, type, { template = null, error = null, notice = null, status = 200 } = {}) {
+  const tpl = template || await getEmailTemplate(type);
+  let preview = null;
+  try {
+    preview = await renderEmail(type, EMAIL_TEMPLATES[type].sample, tpl);
+  } catch (e) {
+    error = error || "No se pudo generar la vista previa: " + String(e?.message || e);
+  }
+  res.status(status).render("admin_email_template_edit", {
+    admin: req.session.admin,
+    type,
+    meta: EMAIL_TEMPLATES[type],
+    brandingVars: BRANDING_VARS,
+    form: { subject: escapeAttr(tpl.subject), text_body: escapeAttr(tpl.text_body), html_body: escapeAttr(tpl.html_body) },
+    customized: !!tpl.customized,
+    preview: preview ? { subject: escapeAttr(preview.subject), text: escapeAttr(preview.text), srcdoc: escapeAttr(preview.html) } : null,
+    error,
+    notice
+  });
+}
+
+app.get("/admin/correos/plantillas", requireAdmin, async (req, res) => {
+  let customized = [];
+  let stored = {};
+  try {
+    customized = (await q(`SELECT type FROM email_templates`)).rows.map(r => r.type);
+    stored = (await q(`SELECT * FROM email_branding WHERE organization_id=app_org_id()`)).rows[0] || {};
+  } catch (e) {
+    console.error("email_templates read failed", e.message);
+  }
+  // En los campos va solo lo guardado; lo que se usa hoy (con los valores del servidor) va como placeholder.
+  const escaped = (obj) => Object.fromEntries(BRANDING_VARS.map(k => [k, escapeAttr(obj[k])]));
+  res.render("admin_email_templates", { admin: req.session.admin, templates: EMAIL_TEMPLATES, customized, branding: escaped(stored), effective: escaped(await getBranding()), saved: req.query.guardado === "1" });
+});
+
+app.post("/admin/correos/plantillas/marca", requireAdmin, async (req, res) => {
+  const b = {
+    system_name: cleanText(req.body.system_name),
+    community_name: cleanText(req.body.community_name),
+    logo_url: cleanText(req.body.logo_url),
+    signatories: String(req.body.signatories || "").replace(/\r\n/g, "\n").trim() || null,
+    support_contact: cleanText(req.body.support_contact)
+  };
+  if (b.logo_url && !/^https:\/\//i.test(b.logo_url)) return res.status(400).send("El logo debe ser una URL https:// pública (los correos no pueden mostrar archivos locales).");
+
+  await q(
+    `INSERT INTO email_branding(system_name, community_name, logo_url, signatories, support_contact, updated_by, updated_at)
+     VALUES ($1,$2,$3,$4,$5,$6,NOW())
+     ON CONFLICT (organization_id) DO UPDATE SET system_name=EXCLUDED.system_name, community_name=EXCLUDED.community_name, logo_url=EXCLUDED.logo_url,
+       signatories=EXCLUDED.signatories, support_contact=EXCLUDED.support_contact, updated_by=EXCLUDED.updated_by, updated_at=NOW()`,
+    [b.system_name, b.community_name, b.logo_url, b.signatories, b.support_contact, req.session.admin.id]
+  );
+
+  await audit("EMAIL_BRANDING_UPDATED", { actor_admin_id: req.session.admin.id, meta_json: b });
+  res.redirect("/admin/correos/plantillas?guardado=1");
+});
+
+app.get("/admin/correos/plantillas/:type", requireAdmin, async (req, res) => {
+  if (!EMAIL_TEMPLATES[req.params.type]) return res.status(404).send("Plantilla no encontrada.");
+  await renderEmailTemplateEdit(req, res, req.params.type);
+});
+
+// Un solo formulario con tres acciones: vista previa, guardar y enviarme una prueba.
+app.post("/admin/correos/plantillas/:type", requireAdmin, async (req, res) => {
+  const type = req.params.type;
+  if (!EMAIL_TEMPLATES[type]) return res.status(404).send("Plantilla no encontrada.");
+
+  const template = emailTemplateForm(req.body);
+  const action = String(req.body.action || "preview");
+  if (!template.subject || !template.text_body.trim() || !template.html_body.trim()) {
+    return renderEmailTemplateEdit(req, res, type, { template, error: "Asunto, texto y HTML son obligatorios.", status: 400 });
+  }
+
+  if (action === "save") {
+    await q(
+      `INSERT INTO email_templates(type, subject, text_body, html_body, updated_by, updated_at)
+       VALUES ($1,$2,$3,$4,$5,NOW())
+       ON CONFLICT (organization_id, type) DO UPDATE SET subject=EXCLUDED.subject, text_body=EXCLUDED.text_body, html_body=EXCLUDED.html_body,
+         updated_by=EXCLUDED.updated_by, updated_at=NOW()`,
+      [type, template.subject, template.text_body, template.html_body, req.session.admin.id]
+    );
+    await audit("EMAIL_TEMPLATE_UPDATED", { actor_admin_id: req.session.admin.id, meta_json: { type } });
+    return renderEmailTemplateEdit(req, res, type, { notice: "Plantilla guardada." });
+  }
+
+  if (action === "test") {
+    // Prueba inmediata (sin cola) con los datos de ejemplo y el texto del formulario, aunque no esté guardado.
+    if (!canMail()) return renderEmailTemplateEdit(req, res, type, { template, error: "SMTP no está configurado.", status: 400 });
+    const to = req.session.admin.email;
+    try {
+      const rendered = await renderEmail(type, EMAIL_TEMPLATES[type].sample, template);
+      await sendRendered({ to, subject: "[Prueba] " + rendered.subject, text: rendered.text, html: rendered.html });
+      await logNotification({ admin_user_id: req.session.admin.id, template: "template_test", recipient: to, status: "SENT", meta_json: { type } });
+      await audit("EMAIL_TEMPLATE_TEST_SENT", { actor_admin_id: req.session.admin.id, meta_json: { type, to } });
+      return renderEmailTemplateEdit(req, res, type, { template, notice: `Prueba enviada a ${to}.` });
+    } catch (e) {
+      await logNotification({ admin_user_id: req.session.admin.id, template: "template_test", recipient: to, status: "FAILED", error: String(e?.message || e), meta_json: { type } });
+      return renderEmailTemplateEdit(req, res, type, { template, error: "No se pudo enviar la prueba: " + String(e?.message || e), status: 502 });
+    }
+  }
+
+  return renderEmailTemplateEdit(req, res, type, { template: { ...template, customized: req.body.customized === "1" } });
+});
+
+app.post("/admin/correos/plantillas/:type/restaurar", requireAdmin, async (req, res) => {
+  const type = req.params.type;
+  if (!EMAIL_TEMPLATES[type]) return res.status(404).send("Plantilla no encontrada.");
+  await q(`DELETE FROM email_templates WHERE type=$1`, [type]);
+  await audit("EMAIL_TEMPLATE_RESET", { actor_admin_id: req.session.admin.id, meta_json: { type } });
+  await renderEmailTemplateEdit(req, res, type, { template: { ...defaultEmailTemplate(type), customized: false }, notice: "Se restauró la plantilla original." });
+});
+
+/* =========================
+   APERTURA Y SELLADO AUTOMÁTICOS
+========================= */
+// Cada AUTO_SEAL_INTERVAL_SECONDS se activan las campañas con auto_activate
+// cuya primera ventana (registro o votación) ya abrió y que nunca se
+// activaron: el UPDATE condicional hace que solo una instancia las active y
+// que una campaña cerrada a mano no se vuelva a abrir.
+//
+// También se buscan campañas activas con auto_seal
+// cuyo vote_close_at + auto_seal_delay_minutes ya pasó y que no tienen sellos.
+// sealElection toma pg_advisory_xact_lock(99, id) y vuelve a mirar los sellos,
+// así que varias instancias o un reinicio no sellan dos veces: solo la que
+// sella envía el correo (auto_notify_sealed) y deja la auditoría.
+const AUTO_SEAL_INTERVAL_SECONDS = Number(process.env.AUTO_SEAL_INTERVAL_SECONDS ?? 60);
+let autoSealRunning = false;
+
+async function runAutoActivate() {
+  try {
+    const opened = (await q(
+      `UPDATE elections
+       SET is_active=true, activated_at=NOW()
+       WHERE auto_activate=true
+         AND is_active=false
+         AND activated_at IS NULL AND closed_at IS NULL
+         AND LEAST(reg_open_at, vote_open_at) <= NOW()
+         AND vote_close_at > NOW()
+         AND NOT EXISTS (SELECT 1 FROM election_seals s WHERE s.election_id=elections.id)
+       RETURNING id, organization_id`
+    )).rows;
+
+    for (const election of opened) {
+      await asOrganization(election.organization_id, () =>
+        audit("ELECTION_ACTIVATED", { election_id: election.id, meta_json: systemAuditMeta("AUTO_ACTIVATE") })
+      );
+    }
+  } catch (e) {
+    console.error("auto-activate check failed", e);
+  }
+}
+
+async function runAutoSeal() {
+  if (autoSealRunning) return;
+  autoSealRunning = true;
+  try {
+    const due = (await q(
+      `SELECT e.*
+       FROM elections e
+       WHERE e.is_active=true
+         AND e.auto_seal=true
+         AND e.vote_close_at + make_interval(mins => e.auto_seal_delay_minutes) <= NOW()
+         AND NOT EXISTS (SELECT 1 FROM election_seals s WHERE s.election_id=e.id)
+       ORDER BY e.id ASC`
+    )).rows;
+
+    for (const election of due) {
+      try {
+        await asOrganization(election.organization_id, async () => {
+          const result = await sealElection(election, null, systemAuditMeta("AUTO_SEAL"));
+          if (!result.sealed) return;
+          if (election.auto_notify_sealed) await notifySealedResults(election, null, systemAuditMeta("AUTO_SEAL"));
+        });
+      } catch (e) {
+        console.error("auto-seal election " + election.id + " failed", e);
+      }
+    }
+  } catch (e) {
+    console.error("auto-seal check failed", e);
+  } finally {
+    autoSealRunning = false;
+  }
+}
+
+async function runCampaignScheduler() {
+  await runAutoActivate();
+  await runAutoSeal();
+}
+
+if (AUTO_SEAL_INTERVAL_SECONDS > 0) {
+  setInterval(() => runForAllOrganizations(runCampaignScheduler), AUTO_SEAL_INTERVAL_SECONDS * 1000).unref();
+  setTimeout(() => runForAllOrganizations(runCampaignScheduler), 5_000).unref();
+}
+
+/* =========================
+   RECORDATORIOS PROGRAMADOS
+========================= */
+// Cada REMINDER_INTERVAL_SECONDS se ejecutan las programaciones cuyo momento
+// (vote_close_at - hours_before) ya llegó mientras la votación sigue abierta.
+// El índice único de reminder_runs.schedule_id (sin contar los FAILED) hace
+// que cada programación se ejecute una sola vez aunque corran varias
+// instancias; una interrumpida se reintenta.
+let reminderSchedulesRunning = false;
+
+async function runReminderSchedules() {
+  if (reminderSchedulesRunning) return;
+  reminderSchedulesRunning = true;
+  try {
+    await q(
+      `UPDATE reminder_runs SET status='FAILED', finished_at=NOW()
+       WHERE status='RUNNING' AND started_at < NOW() - make_interval(mins => $1)`,
+      [REMINDER_STALE_MINUTES]
+    );
+
+    const due = (await q(
+      `SELECT s.*
+       FROM reminder_schedules s
+       JOIN elections e ON e.id=s.election_id
+       WHERE s.enabled=true
+         AND e.is_active=true
+         AND NOW() >= e.vote_open_at AND NOW() < e.vote_close_at
+         AND NOW() >= e.vote_close_at - make_interval(hours => s.hours_before)
+         AND NOT EXISTS (SELECT 1 FROM reminder_runs rr WHERE rr.schedule_id=s.id AND rr.status<>'FAILED')
+         AND (SELECT COUNT(*) FROM reminder_runs rr WHERE rr.schedule_id=s.id) < $1
+         AND NOT EXISTS (SELECT 1 FROM election_seals es WHERE es.election_id=e.id)
+       ORDER BY s.hours_before DESC, s.id ASC`,
+      [REMINDER_SCHEDULE_MAX_TRIES]
+    )).rows;
+
+    for (const schedule of due) {
+      try {
+        const election = (await q(`SELECT * FROM elections WHERE id=$1`, [schedule.election_id])).rows[0];
+        if (activeReminderRuns.has(election.id)) continue;
+
+        await asOrganization(election.organization_id, async () => {
+          const run = (await q(
+            `INSERT INTO reminder_runs(election_id, schedule_id)
+             VALUES ($1,$2)
+             ON CONFLICT (schedule_id) WHERE schedule_id IS NOT NULL AND status<>'FAILED' DO NOTHING
+             RETURNING id`,
+            [election.id, schedule.id]
+          )).rows[0];
+          if (!run) return; // la tomó otra instancia
+
+          await sendReminderRun(election, run.id, { schedule });
+        });
+      } catch (e) {
+        console.error("reminder schedule " + schedule.id + " failed", e);
+      }
+    }
+  } catch (e) {
+    console.error("reminder schedules check failed", e);
+  } finally {
+    reminderSchedulesRunning = false;
+  }
+}
+
+if (REMINDER_INTERVAL_SECONDS > 0) {
+  setInterval(() => runForAllOrganizations(runReminderSchedules), REMINDER_INTERVAL_SECONDS * 1000).unref();
+}
+
 /* =========================
    START
 ========================= */
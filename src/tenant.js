@@ -0,0 +1,37 @@
+import { AsyncLocalStorage, AsyncResource } from "async_hooks";
+
+// Organización (urbanización) del pedido en curso. db.js la copia a
+// app.org_id en cada conexión y las políticas de row-level security de
+// Postgres filtran con ella (ver migrations/20261019_organizations.sql). Sin
+// organización no se ve ninguna fila; solo los procesos de fondo corren con
+// todas ("*") y pasan a la organización de cada campaña o correo que atienden.
+const storage = new AsyncLocalStorage();
+
+// La instalación original: recibe los datos previos a las organizaciones y
+// atiende los pedidos sin hostname ni prefijo propio.
+export const DEFAULT_ORGANIZATION_ID = 1;
+
+export function runWithOrganization(org, fn) {
+  return storage.run({ org }, fn);
+}
+
+export function runForAllOrganizations(fn) {
+  return storage.run({ org: null, all: true }, fn);
+}
+
+export function currentOrganization() {
+  return storage.getStore()?.org || null;
+}
+
+// Valor de app.org_id: id de la organización, "*" o vacío.
+export function organizationSetting() {
+  const s = storage.getStore();
+  if (s?.all) return "*";
+  return s?.org ? String(s.org.id) : "";
+}
+
+// Middlewares que llaman a next desde eventos de un stream (multer) pierden
+// el contexto: se ata a la organización vigente al entrar.
+export function keepOrganization(middleware) {
+  return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+}
@@ -0,0 +1,88 @@
+import crypto from "crypto";
+
+// TOTP (RFC 6238) compatible con Google Authenticator, Authy, 1Password, etc.:
+// SHA-1, 6 dígitos, pasos de 30 segundos. El secreto viaja en base32.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buf) {
+  let bits = 0, value = 0, out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(text) {
+  const clean = String(text || "").toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0, value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32.indexOf(ch);
+    if (idx < 0) throw new Error("secreto base32 inválido");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+export function newTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function codeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const mac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = mac[mac.length - 1] & 15;
+  const bin = mac.readUInt32BE(offset) & 0x7fffffff;
+  return String(bin % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+export function currentTotpStep(at = Date.now()) {
+  return Math.floor(at / 1000 / STEP_SECONDS);
+}
+
+// Devuelve el paso que coincide (acepta ±1 paso por desfase de reloj) o null.
+// Quien llama guarda el paso usado para no aceptar el mismo código dos veces.
+export function verifyTotp(secret, code, at = Date.now()) {
+  const clean = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(clean)) return null;
+  const step = currentTotpStep(at);
+  for (const s of [step, step - 1, step + 1]) {
+    if (crypto.timingSafeEqual(Buffer.from(codeAt(secret, s)), Buffer.from(clean))) return s;
+  }
+  return null;
+}
+
+// URI que leen las apps de autenticación (se muestra como QR).
+export function totpUri(secret, account, issuer) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+// Códigos de recuperación de un solo uso, formato XXXX-XXXX sin caracteres ambiguos.
+export function newRecoveryCodes(count = 10) {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  return Array.from({ length: count }, () => {
+    const bytes = crypto.randomBytes(8);
+    const chars = [...bytes].map(b => alphabet[b % alphabet.length]).join("");
+    return chars.slice(0, 4) + "-" + chars.slice(4);
+  });
+}
+
+export function normalizeRecoveryCode(code) {
+  const clean = String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return clean.length === 8 ? clean.slice(0, 4) + "-" + clean.slice(4) : null;
+}
@@ -0,0 +1,125 @@
+import zlib from "zlib";
+
+// Lectura mínima de .xlsx (Excel 2007+): toma la primera hoja y devuelve las
+// filas como arreglos de celdas en texto, igual que parseCsv. Solo valores;
+// fórmulas entran con su último resultado guardado y las fechas como número
+// de serie de Excel.
+
+// Tope del contenido descomprimido de cada entrada: un .xlsx chico puede
+// declarar (o esconder) gigas de XML comprimido.
+const MAX_ENTRY_BYTES = 20 * 1024 * 1024;
+
+// Última columna de Excel (XFD) y tope de celdas de la hoja contando los
+// huecos: una referencia como r="XFD1" en cada fila no debe armar millones
+// de celdas vacías.
+const MAX_COLUMN = 16383;
+const MAX_CELLS = 2_000_000;
+
+// Índice del zip: por nombre, una función que descomprime esa entrada recién
+// cuando se pide. Solo se leen las pocas que hacen falta para la primera
+// hoja. Admite sin compresión o deflate, que es lo que generan Excel,
+// LibreOffice y Google Sheets.
+function unzip(buf) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error("XLSX inválido");
+
+  const files = new Map();
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(p) !== 0x02014b50) throw new Error("XLSX inválido");
+    const method = buf.readUInt16LE(p + 10);
+    const size = buf.readUInt32LE(p + 20);
+    const fullSize = buf.readUInt32LE(p + 24);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const local = buf.readUInt32LE(p + 42);
+    const name = buf.toString("utf8", p + 46, p + 46 + nameLen);
+    p += 46 + nameLen + extraLen + commentLen;
+    if (method !== 0 && method !== 8) continue;
+
+    files.set(name, () => {
+      if (fullSize > MAX_ENTRY_BYTES) throw new Error("XLSX demasiado grande");
+      const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+      const data = buf.subarray(start, start + size);
+      return method === 0 ? data : zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_BYTES });
+    });
+  }
+  return files;
+}
+
+// Texto de una entrada del zip, o "" si no existe.
+function entryText(files, name) {
+  return files.get(name)?.().toString("utf8") || "";
+}
+
+function xmlText(s) {
+  return s
+    .replace(/<[^>]+>/g, "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&amp;/g, "&");
+}
+
+// Texto de un <si> o <is>: concatena los <t>, sin la guía fonética (<rPh>).
+function richText(xml) {
+  return [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, "").matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(m => xmlText(m[1])).join("");
+}
+
+function columnIndex(ref) {
+  const letters = /^[A-Z]+/.exec(ref || "")?.[0] || "";
+  let n = 0;
+  for (const ch of letters.slice(0, 4)) n = n * 26 + (ch.charCodeAt(0) - 64);
+  if (n - 1 > MAX_COLUMN) throw new Error("XLSX inválido: columna fuera de rango");
+  return n - 1;
+}
+
+function firstSheetPath(files) {
+  const workbook = entryText(files, "xl/workbook.xml");
+  const rels = entryText(files, "xl/_rels/workbook.xml.rels");
+  const rid = /<sheet\b[^>]*\br:id="([^"]+)"/.exec(workbook)?.[1];
+  const target = rid && new RegExp(`<Relationship\\b[^>]*\\bId="${rid}"[^>]*\\bTarget="([^"]+)"`).exec(rels)?.[1]
+    || rid && new RegExp(`<Relationship\\b[^>]*\\bTarget="([^"]+)"[^>]*\\bId="${rid}"`).exec(rels)?.[1];
+  if (!target) return "xl/worksheets/sheet1.xml";
+  return target.startsWith("/") ? target.slice(1) : "xl/" + target.replace(/^\.\//, "");
+}
+
+export function parseXlsx(buf) {
+  const files = unzip(buf);
+  const shared = [...entryText(files, "xl/sharedStrings.xml").matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>/g)].map(m => richText(m[1]));
+  const sheet = entryText(files, firstSheetPath(files));
+  if (!sheet) throw new Error("XLSX sin hojas");
+
+  const rows = [];
+  let cellCount = 0;
+  for (const r of sheet.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const row = [];
+    for (const c of r[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = c[1];
+      const body = c[2] || "";
+      const type = /\bt="([^"]+)"/.exec(attrs)?.[1];
+      const v = /<v>([\s\S]*?)<\/v>/.exec(body)?.[1];
+      let value = "";
+      if (type === "s") value = shared[Number(v)] ?? "";
+      else if (type === "inlineStr") value = richText(body);
+      else if (v != null) value = xmlText(v);
+      const i = columnIndex(/\br="([^"]+)"/.exec(attrs)?.[1]);
+      const col = i >= 0 ? i : row.length;
+      if (col > MAX_COLUMN) throw new Error("XLSX inválido: columna fuera de rango");
+      row[col] = value.trim();
+    }
+    cellCount += row.length;
+    if (cellCount > MAX_CELLS) throw new Error("XLSX demasiado grande");
+    const cells = Array.from(row, v => v ?? "");
+    if (cells.some(v => v !== "")) rows.push(cells);
+  }
+  return rows;
+}